@@ -0,0 +1,22 @@
+-- Per-user FSRS parameters
+-- Stores the weights fitted by POST /api/flashcards/optimize on the user's profile
+-- Execute in Supabase SQL editor
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS fsrs_parameters JSONB,
+  ADD COLUMN IF NOT EXISTS fsrs_optimized_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS fsrs_review_count INTEGER DEFAULT 0;
+
+COMMENT ON COLUMN public.profiles.fsrs_parameters IS 'Optimized FSRS weights ({"w": [17 numbers]}). NULL = use the default weights';
+COMMENT ON COLUMN public.profiles.fsrs_optimized_at IS 'When the FSRS weights were last optimized';
+COMMENT ON COLUMN public.profiles.fsrs_review_count IS 'Number of reviews used for the last optimization';
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS fsrs_parameters;
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS fsrs_optimized_at;
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS fsrs_review_count;
+*/
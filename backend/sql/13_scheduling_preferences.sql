@@ -0,0 +1,22 @@
+-- Per-user spaced repetition preferences
+-- Used by the flashcard and quiz schedulers; NULL = use the scheduler defaults
+-- Execute in Supabase SQL editor
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS desired_retention REAL CHECK (desired_retention >= 0.7 AND desired_retention <= 0.97),
+  ADD COLUMN IF NOT EXISTS maximum_interval INTEGER CHECK (maximum_interval >= 1 AND maximum_interval <= 36500),
+  ADD COLUMN IF NOT EXISTS quiz_minimum_interval REAL CHECK (quiz_minimum_interval > 0 AND quiz_minimum_interval <= 7);
+
+COMMENT ON COLUMN public.profiles.desired_retention IS 'Target recall probability for flashcard reviews (default 0.9)';
+COMMENT ON COLUMN public.profiles.maximum_interval IS 'Maximum review interval in days for flashcards (quiz questions keep their 180-day cap)';
+COMMENT ON COLUMN public.profiles.quiz_minimum_interval IS 'Minimum quiz question interval in days (default 0.25 = 6 hours)';
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS desired_retention;
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS maximum_interval;
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS quiz_minimum_interval;
+*/
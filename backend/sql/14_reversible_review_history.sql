@@ -0,0 +1,40 @@
+-- Reversible review history
+-- Records the full card state before each review so POST /api/flashcards/reviews/:reviewId/undo
+-- can restore it, and lets users delete their own review history rows
+-- Execute in Supabase SQL editor
+
+ALTER TABLE public.review_history
+  ADD COLUMN IF NOT EXISTS old_reps INTEGER,
+  ADD COLUMN IF NOT EXISTS old_lapses INTEGER,
+  ADD COLUMN IF NOT EXISTS old_last_review TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS old_elapsed_days INTEGER,
+  ADD COLUMN IF NOT EXISTS old_scheduled_days INTEGER;
+
+COMMENT ON COLUMN public.review_history.old_reps IS 'Card reps before the review. NULL for reviews recorded before undo support';
+COMMENT ON COLUMN public.review_history.old_lapses IS 'Card lapses before the review';
+COMMENT ON COLUMN public.review_history.old_last_review IS 'Card last_review before the review';
+COMMENT ON COLUMN public.review_history.old_elapsed_days IS 'Card elapsed_days before the review';
+COMMENT ON COLUMN public.review_history.old_scheduled_days IS 'Card scheduled_days before the review';
+
+-- Composite index for "latest review of a card" lookups
+CREATE INDEX IF NOT EXISTS idx_review_history_card_created ON public.review_history(card_id, created_at);
+
+-- Allow users to delete their own review history (needed for undo)
+DROP POLICY IF EXISTS "Users can delete their own review history" ON public.review_history;
+CREATE POLICY "Users can delete their own review history" ON public.review_history
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+DROP POLICY IF EXISTS "Users can delete their own review history" ON public.review_history;
+DROP INDEX IF EXISTS public.idx_review_history_card_created;
+ALTER TABLE public.review_history
+  DROP COLUMN IF EXISTS old_reps,
+  DROP COLUMN IF EXISTS old_lapses,
+  DROP COLUMN IF EXISTS old_last_review,
+  DROP COLUMN IF EXISTS old_elapsed_days,
+  DROP COLUMN IF EXISTS old_scheduled_days;
+*/
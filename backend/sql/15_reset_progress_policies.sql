@@ -0,0 +1,19 @@
+-- Self-service progress reset
+-- POST /api/flashcards/reset runs with the user's own token, so users need to be able
+-- to delete their own quiz attempts (review history deletes were added in 14)
+-- Execute in Supabase SQL editor
+
+DROP POLICY IF EXISTS "Users can delete their own quiz attempts" ON public.quiz_attempts;
+CREATE POLICY "Users can delete their own quiz attempts" ON public.quiz_attempts
+  FOR DELETE USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user_created ON public.quiz_attempts(user_id, created_at);
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+DROP POLICY IF EXISTS "Users can delete their own quiz attempts" ON public.quiz_attempts;
+DROP INDEX IF EXISTS public.idx_quiz_attempts_user_created;
+*/
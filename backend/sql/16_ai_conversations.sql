@@ -0,0 +1,79 @@
+-- AI Tutor Conversations
+-- Stores tutor chats so /api/ai/chat and /api/ai/chat-stream can replay earlier turns
+-- Execute in Supabase SQL editor
+
+-- Conversations: one row per chat thread
+CREATE TABLE IF NOT EXISTS public.ai_conversations (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  title TEXT NOT NULL DEFAULT 'New conversation',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Messages: every user and assistant turn in a conversation
+CREATE TABLE IF NOT EXISTS public.ai_messages (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  conversation_id UUID REFERENCES public.ai_conversations(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.ai_conversations IS 'AI tutor chat threads, most recently active first by updated_at';
+COMMENT ON TABLE public.ai_messages IS 'Turns of an AI tutor conversation, replayed as context for follow-up questions';
+
+-- Indexes for the conversation list and history replay
+CREATE INDEX IF NOT EXISTS idx_ai_conversations_user_updated ON public.ai_conversations(user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_messages_conversation_created ON public.ai_messages(conversation_id, created_at);
+
+-- Row Level Security
+ALTER TABLE public.ai_conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.ai_messages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own conversations" ON public.ai_conversations;
+CREATE POLICY "Users can view their own conversations" ON public.ai_conversations
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert their own conversations" ON public.ai_conversations;
+CREATE POLICY "Users can insert their own conversations" ON public.ai_conversations
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update their own conversations" ON public.ai_conversations;
+CREATE POLICY "Users can update their own conversations" ON public.ai_conversations
+  FOR UPDATE USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete their own conversations" ON public.ai_conversations;
+CREATE POLICY "Users can delete their own conversations" ON public.ai_conversations
+  FOR DELETE USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can view their own conversation messages" ON public.ai_messages;
+CREATE POLICY "Users can view their own conversation messages" ON public.ai_messages
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert their own conversation messages" ON public.ai_messages;
+CREATE POLICY "Users can insert their own conversation messages" ON public.ai_messages
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete their own conversation messages" ON public.ai_messages;
+CREATE POLICY "Users can delete their own conversation messages" ON public.ai_messages
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- Keep updated_at current (handle_updated_at is created in 7_flashcard_system_complete.sql)
+DROP TRIGGER IF EXISTS set_updated_at_ai_conversations ON public.ai_conversations;
+CREATE TRIGGER set_updated_at_ai_conversations BEFORE UPDATE ON public.ai_conversations
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+BEGIN;
+
+DROP TABLE IF EXISTS public.ai_messages;
+DROP TABLE IF EXISTS public.ai_conversations;
+
+COMMIT;
+*/
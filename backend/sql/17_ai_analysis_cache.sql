@@ -0,0 +1,40 @@
+-- AI Word Analysis Cache
+-- Shares word analyses across users so common words skip the AI provider
+-- Execute in Supabase SQL editor
+
+-- One row per (lemma, prompt version, model). The backend reads and writes it
+-- with the service role key, so no user-facing policies are defined.
+CREATE TABLE IF NOT EXISTS public.ai_analysis_cache (
+  cache_key TEXT PRIMARY KEY,
+  lemma TEXT NOT NULL,
+  prompt_version TEXT NOT NULL,
+  model TEXT NOT NULL,
+  analysis JSONB NOT NULL,
+  hit_count INTEGER DEFAULT 0 NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+COMMENT ON TABLE public.ai_analysis_cache IS 'AI word analyses shared across users, keyed by normalized lemma, prompt version and model';
+COMMENT ON COLUMN public.ai_analysis_cache.cache_key IS 'SHA-256 of lemma, prompt version and model';
+COMMENT ON COLUMN public.ai_analysis_cache.prompt_version IS 'Hash of the analysis prompt, entries from older prompts are never read';
+COMMENT ON COLUMN public.ai_analysis_cache.model IS 'Provider and model that produced the analysis, e.g. openai:gpt-4o-mini';
+
+-- Indexes for lookups and purges
+CREATE INDEX IF NOT EXISTS idx_ai_analysis_cache_lemma ON public.ai_analysis_cache(lemma, prompt_version);
+CREATE INDEX IF NOT EXISTS idx_ai_analysis_cache_expires_at ON public.ai_analysis_cache(expires_at);
+
+-- Row Level Security: only the service role (which bypasses RLS) may access the cache
+ALTER TABLE public.ai_analysis_cache ENABLE ROW LEVEL SECURITY;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+BEGIN;
+
+DROP TABLE IF EXISTS public.ai_analysis_cache;
+
+COMMIT;
+*/
@@ -0,0 +1,78 @@
+-- AI Usage Metering
+-- Records the tokens of every AI provider call per user, feature and model,
+-- used for the daily quotas and the usage page in Settings
+-- Execute in Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS public.ai_usage_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  feature TEXT NOT NULL CHECK (feature IN ('analyze-word', 'analyze-sentence', 'analyze-content', 'quiz-generation', 'chat')),
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  prompt_tokens INTEGER DEFAULT 0 NOT NULL,
+  completion_tokens INTEGER DEFAULT 0 NOT NULL,
+  estimated BOOLEAN DEFAULT false NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.ai_usage_events IS 'One row per AI provider call, attributed to the user and feature that triggered it';
+COMMENT ON COLUMN public.ai_usage_events.estimated IS 'Token counts were estimated from text length because the provider reported none (e.g. streamed replies)';
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_events_user_created ON public.ai_usage_events(user_id, created_at DESC);
+
+-- Row Level Security
+ALTER TABLE public.ai_usage_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own AI usage" ON public.ai_usage_events;
+CREATE POLICY "Users can view their own AI usage" ON public.ai_usage_events
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert their own AI usage" ON public.ai_usage_events;
+CREATE POLICY "Users can insert their own AI usage" ON public.ai_usage_events
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- Usage of the calling user since a point in time, grouped by UTC day, feature and model
+-- Grouping in the database keeps quota checks cheap for heavy users
+CREATE OR REPLACE FUNCTION public.get_ai_usage_summary(p_since TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+  day DATE,
+  feature TEXT,
+  provider TEXT,
+  model TEXT,
+  requests BIGINT,
+  prompt_tokens BIGINT,
+  completion_tokens BIGINT
+)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+  SELECT
+    (e.created_at AT TIME ZONE 'utc')::date AS day,
+    e.feature,
+    e.provider,
+    e.model,
+    COUNT(*) AS requests,
+    COALESCE(SUM(e.prompt_tokens), 0) AS prompt_tokens,
+    COALESCE(SUM(e.completion_tokens), 0) AS completion_tokens
+  FROM public.ai_usage_events e
+  WHERE e.user_id = auth.uid()
+    AND e.created_at >= p_since
+  GROUP BY 1, 2, 3, 4
+  ORDER BY 1;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_ai_usage_summary(TIMESTAMP WITH TIME ZONE) TO authenticated;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+BEGIN;
+
+DROP FUNCTION IF EXISTS public.get_ai_usage_summary(TIMESTAMP WITH TIME ZONE);
+DROP TABLE IF EXISTS public.ai_usage_events;
+
+COMMIT;
+*/
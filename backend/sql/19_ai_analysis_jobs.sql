@@ -0,0 +1,67 @@
+-- Content Analysis Jobs
+-- Long content analysis runs as a background job; this table keeps its progress
+-- and partial vocabulary so the client can poll it or resume after a reload
+-- Execute in Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS public.ai_analysis_jobs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+  source_type TEXT NOT NULL,
+  source_info JSONB DEFAULT '{}'::jsonb NOT NULL,
+  content TEXT NOT NULL,
+  user_cefr_level TEXT NOT NULL DEFAULT 'B2',
+  total_chunks INTEGER DEFAULT 0 NOT NULL,
+  processed_chunks INTEGER DEFAULT 0 NOT NULL,
+  vocabulary JSONB DEFAULT '[]'::jsonb NOT NULL,
+  provider TEXT,
+  error TEXT,
+  error_code TEXT,
+  worker_id TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+COMMENT ON TABLE public.ai_analysis_jobs IS 'Background content analysis jobs with their progress and the vocabulary found so far';
+COMMENT ON COLUMN public.ai_analysis_jobs.content IS 'Extracted text of the URL, file or pasted text being analyzed';
+COMMENT ON COLUMN public.ai_analysis_jobs.error_code IS 'Machine readable failure reason, e.g. quota_exceeded or interrupted';
+COMMENT ON COLUMN public.ai_analysis_jobs.worker_id IS 'Backend process running the job, used to detect jobs lost in a restart';
+
+CREATE INDEX IF NOT EXISTS idx_ai_analysis_jobs_user_created ON public.ai_analysis_jobs(user_id, created_at DESC);
+
+-- Row Level Security
+ALTER TABLE public.ai_analysis_jobs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own analysis jobs" ON public.ai_analysis_jobs;
+CREATE POLICY "Users can view their own analysis jobs" ON public.ai_analysis_jobs
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert their own analysis jobs" ON public.ai_analysis_jobs;
+CREATE POLICY "Users can insert their own analysis jobs" ON public.ai_analysis_jobs
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update their own analysis jobs" ON public.ai_analysis_jobs;
+CREATE POLICY "Users can update their own analysis jobs" ON public.ai_analysis_jobs
+  FOR UPDATE USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete their own analysis jobs" ON public.ai_analysis_jobs;
+CREATE POLICY "Users can delete their own analysis jobs" ON public.ai_analysis_jobs
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- Keep updated_at current (handle_updated_at is created in 7_flashcard_system_complete.sql)
+DROP TRIGGER IF EXISTS set_updated_at_ai_analysis_jobs ON public.ai_analysis_jobs;
+CREATE TRIGGER set_updated_at_ai_analysis_jobs BEFORE UPDATE ON public.ai_analysis_jobs
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+BEGIN;
+
+DROP TABLE IF EXISTS public.ai_analysis_jobs;
+
+COMMIT;
+*/
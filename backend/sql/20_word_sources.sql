@@ -0,0 +1,26 @@
+-- Word Sources
+-- Keeps where a word was found, e.g. the subtitle cue of a YouTube video, so the
+-- vocabulary list can link back to the moment it was spoken
+-- Execute in Supabase SQL editor
+
+ALTER TABLE public.words ADD COLUMN IF NOT EXISTS source JSONB;
+
+COMMENT ON COLUMN public.words.source IS 'Where the word was found: { type: youtube|subtitle, url, videoId, filename, title, start, end, text }, cue times in seconds';
+
+-- Timed subtitle cues of an analysis job, used to attach the cue to each vocabulary item
+ALTER TABLE public.ai_analysis_jobs ADD COLUMN IF NOT EXISTS cues JSONB;
+
+COMMENT ON COLUMN public.ai_analysis_jobs.cues IS 'Subtitle cues { start, end, text } of YouTube and subtitle file sources, null for other content';
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+BEGIN;
+
+ALTER TABLE public.ai_analysis_jobs DROP COLUMN IF EXISTS cues;
+ALTER TABLE public.words DROP COLUMN IF EXISTS source;
+
+COMMIT;
+*/
@@ -0,0 +1,77 @@
+-- Content Sources
+-- Websites, videos, files and texts a user has analyzed for vocabulary. Words saved
+-- from an analysis link to their source with the sentence they were found in
+-- Execute in Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS public.sources (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  source_key TEXT NOT NULL,
+  source_type TEXT NOT NULL CHECK (source_type IN ('website', 'youtube', 'file', 'text')),
+  title TEXT,
+  url TEXT,
+  filename TEXT,
+  file_type TEXT,
+  excerpt TEXT,
+  info JSONB DEFAULT '{}'::jsonb NOT NULL,
+  content TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  UNIQUE (user_id, source_key)
+);
+
+COMMENT ON TABLE public.sources IS 'Content analyzed for vocabulary, kept so it can be re-read with the words saved from it';
+COMMENT ON COLUMN public.sources.source_key IS 'youtube:<video id>, url:<url> or <type>:<content hash>, so analyzing the same content again reuses the row';
+COMMENT ON COLUMN public.sources.info IS 'Other source details, e.g. videoInfo, videoId, pageCount or the EPUB chapters analyzed';
+
+CREATE INDEX IF NOT EXISTS idx_sources_user_updated ON public.sources(user_id, updated_at DESC);
+
+-- Words and analysis jobs link to their source
+ALTER TABLE public.words ADD COLUMN IF NOT EXISTS source_id UUID REFERENCES public.sources(id) ON DELETE SET NULL;
+ALTER TABLE public.words ADD COLUMN IF NOT EXISTS source_sentence TEXT;
+
+COMMENT ON COLUMN public.words.source_sentence IS 'Sentence of the source the word was found in';
+
+CREATE INDEX IF NOT EXISTS idx_words_source_id ON public.words(source_id);
+
+ALTER TABLE public.ai_analysis_jobs ADD COLUMN IF NOT EXISTS source_id UUID REFERENCES public.sources(id) ON DELETE SET NULL;
+
+-- Row Level Security
+ALTER TABLE public.sources ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own sources" ON public.sources;
+CREATE POLICY "Users can view their own sources" ON public.sources
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert their own sources" ON public.sources;
+CREATE POLICY "Users can insert their own sources" ON public.sources
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update their own sources" ON public.sources;
+CREATE POLICY "Users can update their own sources" ON public.sources
+  FOR UPDATE USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete their own sources" ON public.sources;
+CREATE POLICY "Users can delete their own sources" ON public.sources
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- Keep updated_at current, it orders the source list by last analysis
+DROP TRIGGER IF EXISTS set_updated_at_sources ON public.sources;
+CREATE TRIGGER set_updated_at_sources BEFORE UPDATE ON public.sources
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+BEGIN;
+
+ALTER TABLE public.ai_analysis_jobs DROP COLUMN IF EXISTS source_id;
+DROP INDEX IF EXISTS public.idx_words_source_id;
+ALTER TABLE public.words DROP COLUMN IF EXISTS source_sentence;
+ALTER TABLE public.words DROP COLUMN IF EXISTS source_id;
+DROP TABLE IF EXISTS public.sources;
+
+COMMIT;
+*/
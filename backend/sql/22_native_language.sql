@@ -0,0 +1,55 @@
+-- Native Language
+-- Learners choose the language their translations are in. Word translations move
+-- from the Vietnamese-only column to words.translations, keyed by language code
+-- Execute in Supabase SQL editor
+
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS native_language TEXT DEFAULT 'vi' NOT NULL;
+
+COMMENT ON COLUMN public.profiles.native_language IS 'Language code translations are requested in, e.g. vi, es or ja';
+
+ALTER TABLE public.words ADD COLUMN IF NOT EXISTS translations JSONB DEFAULT '{}'::jsonb NOT NULL;
+
+COMMENT ON COLUMN public.words.translations IS 'Translations of the word by language code, e.g. { "vi": "...", "es": "..." }';
+
+-- Jobs keep the language the owner had when the analysis started
+ALTER TABLE public.ai_analysis_jobs ADD COLUMN IF NOT EXISTS native_language TEXT DEFAULT 'vi' NOT NULL;
+
+-- Move existing Vietnamese translations, then drop the old column and its search index
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'words' AND column_name = 'vietnamese_translation'
+  ) THEN
+    UPDATE public.words
+    SET translations = translations || jsonb_build_object('vi', vietnamese_translation)
+    WHERE COALESCE(vietnamese_translation, '') <> '';
+  END IF;
+END $$;
+
+DROP INDEX IF EXISTS idx_words_search;
+ALTER TABLE public.words DROP COLUMN IF EXISTS vietnamese_translation;
+
+CREATE INDEX idx_words_search ON public.words
+USING gin(to_tsvector('english', word || ' ' || definition || ' ' || example_sentence || ' ' || synonyms || ' ' || translations::text));
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+BEGIN;
+
+ALTER TABLE public.words ADD COLUMN IF NOT EXISTS vietnamese_translation TEXT DEFAULT '';
+UPDATE public.words SET vietnamese_translation = translations->>'vi' WHERE translations ? 'vi';
+
+DROP INDEX IF EXISTS idx_words_search;
+CREATE INDEX idx_words_search ON public.words
+USING gin(to_tsvector('english', word || ' ' || definition || ' ' || example_sentence || ' ' || vietnamese_translation || ' ' || synonyms));
+
+ALTER TABLE public.ai_analysis_jobs DROP COLUMN IF EXISTS native_language;
+ALTER TABLE public.words DROP COLUMN IF EXISTS translations;
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS native_language;
+
+COMMIT;
+*/
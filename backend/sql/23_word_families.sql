@@ -0,0 +1,38 @@
+-- Word Families
+-- Inflected forms merged into a saved word are kept in words.forms, derived words
+-- link to the head of their family. Keys are computed by services/lemmatizer.js;
+-- words saved before this migration get them from POST /api/words/families/rebuild
+-- Execute in Supabase SQL editor
+
+ALTER TABLE public.words ADD COLUMN IF NOT EXISTS lemma_key TEXT;
+ALTER TABLE public.words ADD COLUMN IF NOT EXISTS family_key TEXT;
+ALTER TABLE public.words ADD COLUMN IF NOT EXISTS family_head_id UUID REFERENCES public.words(id) ON DELETE SET NULL;
+ALTER TABLE public.words ADD COLUMN IF NOT EXISTS forms JSONB DEFAULT '[]'::jsonb NOT NULL;
+
+COMMENT ON COLUMN public.words.lemma_key IS 'Key shared by the inflections of the word, e.g. analyz for analyze and analyzed';
+COMMENT ON COLUMN public.words.family_key IS 'Key shared by the words of its family, e.g. anal for analyze and analysis';
+COMMENT ON COLUMN public.words.family_head_id IS 'Word heading the family of this word, NULL for heads and words without a family';
+COMMENT ON COLUMN public.words.forms IS 'Inflected forms merged into the word, e.g. ["analyzed", "analyzing"]';
+
+CREATE INDEX IF NOT EXISTS idx_words_user_lemma_key ON public.words(user_id, lemma_key);
+CREATE INDEX IF NOT EXISTS idx_words_user_family_key ON public.words(user_id, family_key);
+CREATE INDEX IF NOT EXISTS idx_words_family_head_id ON public.words(family_head_id) WHERE family_head_id IS NOT NULL;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+BEGIN;
+
+DROP INDEX IF EXISTS idx_words_family_head_id;
+DROP INDEX IF EXISTS idx_words_user_family_key;
+DROP INDEX IF EXISTS idx_words_user_lemma_key;
+
+ALTER TABLE public.words DROP COLUMN IF EXISTS forms;
+ALTER TABLE public.words DROP COLUMN IF EXISTS family_head_id;
+ALTER TABLE public.words DROP COLUMN IF EXISTS family_key;
+ALTER TABLE public.words DROP COLUMN IF EXISTS lemma_key;
+
+COMMIT;
+*/
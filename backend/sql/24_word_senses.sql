@@ -0,0 +1,105 @@
+-- Word Senses
+-- A word can have several meanings, e.g. the river and the money sense of "bank".
+-- Each sense has its own part of speech, definition, example and CEFR level, and
+-- every sense the learner studies gets an FSRS card of its own. Words without
+-- senses keep their single word card (sense_id NULL)
+-- Execute in Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS public.word_senses (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  word_id UUID REFERENCES public.words(id) ON DELETE CASCADE NOT NULL,
+  position INTEGER DEFAULT 0 NOT NULL,
+  part_of_speech TEXT DEFAULT '' NOT NULL,
+  definition TEXT NOT NULL,
+  example_sentence TEXT DEFAULT '' NOT NULL,
+  cefr_level TEXT DEFAULT '' NOT NULL,
+  translations JSONB DEFAULT '{}'::jsonb NOT NULL,
+  is_studied BOOLEAN DEFAULT true NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.word_senses IS 'Meanings of a word, the first one is also stored on the word itself';
+COMMENT ON COLUMN public.word_senses.position IS 'Order of the sense, most common first';
+COMMENT ON COLUMN public.word_senses.is_studied IS 'Whether the sense has a flashcard, chosen by the learner';
+
+CREATE INDEX IF NOT EXISTS idx_word_senses_word_position ON public.word_senses(word_id, position);
+
+-- Cards belong to a word, or to one sense of it
+ALTER TABLE public.cards ADD COLUMN IF NOT EXISTS sense_id UUID REFERENCES public.word_senses(id) ON DELETE CASCADE;
+
+COMMENT ON COLUMN public.cards.sense_id IS 'Sense the card studies, NULL for the card of a word without senses';
+
+ALTER TABLE public.cards DROP CONSTRAINT IF EXISTS cards_user_id_word_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cards_user_word_unique ON public.cards(user_id, word_id) WHERE sense_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cards_sense_unique ON public.cards(sense_id) WHERE sense_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_cards_word_id ON public.cards(word_id);
+
+-- New words still start with a single word card, senses take it over when they are saved
+CREATE OR REPLACE FUNCTION public.create_card_for_word()
+RETURNS trigger AS $$
+BEGIN
+  INSERT INTO public.cards (user_id, word_id)
+  VALUES (NEW.user_id, NEW.id)
+  ON CONFLICT (user_id, word_id) WHERE sense_id IS NULL DO NOTHING;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Row Level Security
+ALTER TABLE public.word_senses ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own word senses" ON public.word_senses;
+CREATE POLICY "Users can view their own word senses" ON public.word_senses
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert their own word senses" ON public.word_senses;
+CREATE POLICY "Users can insert their own word senses" ON public.word_senses
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update their own word senses" ON public.word_senses;
+CREATE POLICY "Users can update their own word senses" ON public.word_senses
+  FOR UPDATE USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete their own word senses" ON public.word_senses;
+CREATE POLICY "Users can delete their own word senses" ON public.word_senses
+  FOR DELETE USING (auth.uid() = user_id);
+
+DROP TRIGGER IF EXISTS set_updated_at_word_senses ON public.word_senses;
+CREATE TRIGGER set_updated_at_word_senses BEFORE UPDATE ON public.word_senses
+  FOR EACH ROW EXECUTE FUNCTION public.handle_updated_at();
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+BEGIN;
+
+-- Keep one card per word: the oldest one
+DELETE FROM public.cards c
+USING public.cards older
+WHERE c.word_id = older.word_id AND c.user_id = older.user_id
+  AND (older.created_at, older.id) < (c.created_at, c.id);
+
+DROP INDEX IF EXISTS public.idx_cards_word_id;
+DROP INDEX IF EXISTS public.idx_cards_sense_unique;
+DROP INDEX IF EXISTS public.idx_cards_user_word_unique;
+ALTER TABLE public.cards DROP COLUMN IF EXISTS sense_id;
+ALTER TABLE public.cards ADD CONSTRAINT cards_user_id_word_id_key UNIQUE (user_id, word_id);
+
+CREATE OR REPLACE FUNCTION public.create_card_for_word()
+RETURNS trigger AS $$
+BEGIN
+  INSERT INTO public.cards (user_id, word_id)
+  VALUES (NEW.user_id, NEW.id)
+  ON CONFLICT (user_id, word_id) DO NOTHING;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TABLE IF EXISTS public.word_senses;
+
+COMMIT;
+*/
@@ -0,0 +1,73 @@
+-- Card Templates
+-- A word can be studied in several directions: recognition (word to meaning),
+-- production (meaning to typed word), translation to word and audio to word.
+-- Each group enables its templates and every enabled template is a card of its
+-- own, for the word or for each of its studied senses
+-- Execute in Supabase SQL editor
+
+ALTER TABLE public.cards ADD COLUMN IF NOT EXISTS template TEXT DEFAULT 'recognition' NOT NULL;
+
+ALTER TABLE public.cards DROP CONSTRAINT IF EXISTS cards_template_check;
+ALTER TABLE public.cards ADD CONSTRAINT cards_template_check
+  CHECK (template IN ('recognition', 'production', 'translation', 'audio'));
+
+COMMENT ON COLUMN public.cards.template IS 'Direction the card studies: recognition, production, translation or audio';
+
+ALTER TABLE public.collections ADD COLUMN IF NOT EXISTS card_templates TEXT[] DEFAULT '{recognition}' NOT NULL;
+
+ALTER TABLE public.collections DROP CONSTRAINT IF EXISTS collections_card_templates_check;
+ALTER TABLE public.collections ADD CONSTRAINT collections_card_templates_check
+  CHECK (cardinality(card_templates) > 0 AND card_templates <@ ARRAY['recognition', 'production', 'translation', 'audio']);
+
+COMMENT ON COLUMN public.collections.card_templates IS 'Card templates the words of the group are studied with';
+
+-- One card per template for a word, or for each sense of it
+DROP INDEX IF EXISTS public.idx_cards_user_word_unique;
+DROP INDEX IF EXISTS public.idx_cards_sense_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cards_word_template_unique ON public.cards(user_id, word_id, template) WHERE sense_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cards_sense_template_unique ON public.cards(sense_id, template) WHERE sense_id IS NOT NULL;
+
+-- Sibling burying looks up the cards of the user reviewed today
+CREATE INDEX IF NOT EXISTS idx_cards_user_last_review ON public.cards(user_id, last_review);
+
+-- New words start with a recognition card, the API adds the cards of the group's other templates
+CREATE OR REPLACE FUNCTION public.create_card_for_word()
+RETURNS trigger AS $$
+BEGIN
+  INSERT INTO public.cards (user_id, word_id)
+  VALUES (NEW.user_id, NEW.id)
+  ON CONFLICT (user_id, word_id, template) WHERE sense_id IS NULL DO NOTHING;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+BEGIN;
+
+DELETE FROM public.cards WHERE template <> 'recognition';
+
+DROP INDEX IF EXISTS public.idx_cards_user_last_review;
+DROP INDEX IF EXISTS public.idx_cards_sense_template_unique;
+DROP INDEX IF EXISTS public.idx_cards_word_template_unique;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cards_user_word_unique ON public.cards(user_id, word_id) WHERE sense_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cards_sense_unique ON public.cards(sense_id) WHERE sense_id IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION public.create_card_for_word()
+RETURNS trigger AS $$
+BEGIN
+  INSERT INTO public.cards (user_id, word_id)
+  VALUES (NEW.user_id, NEW.id)
+  ON CONFLICT (user_id, word_id) WHERE sense_id IS NULL DO NOTHING;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+ALTER TABLE public.collections DROP COLUMN IF EXISTS card_templates;
+ALTER TABLE public.cards DROP COLUMN IF EXISTS template;
+
+COMMIT;
+*/
@@ -0,0 +1,57 @@
+-- Listening Questions
+-- Dictation quiz questions: the learner hears the word or its example sentence,
+-- synthesized by the backend's text-to-speech engine (GET /api/audio/:wordId),
+-- and types what they heard. They need no AI, so every saved word gets them
+-- Execute in Supabase SQL editor
+
+ALTER TABLE public.quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE public.quiz_questions ADD CONSTRAINT quiz_questions_question_type_check
+  CHECK (question_type IN ('fill_blank', 'definition_choice', 'synonym_choice', 'context_choice', 'listening'));
+
+ALTER TABLE public.quiz_questions ADD COLUMN IF NOT EXISTS audio_source TEXT;
+
+ALTER TABLE public.quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_audio_source_check;
+ALTER TABLE public.quiz_questions ADD CONSTRAINT quiz_questions_audio_source_check
+  CHECK (
+    (question_type = 'listening' AND audio_source IN ('word', 'example')) OR
+    (question_type <> 'listening' AND audio_source IS NULL)
+  );
+
+COMMENT ON COLUMN public.quiz_questions.audio_source IS 'What a listening question plays: the word or its example sentence';
+
+-- Listening questions for the words saved so far
+INSERT INTO public.quiz_questions (word_id, question_type, question_text, correct_answer, audio_source, difficulty_level)
+SELECT w.id, 'listening', 'Type the word you hear', w.word, 'word', 1
+FROM public.words w
+WHERE NOT EXISTS (
+  SELECT 1 FROM public.quiz_questions q
+  WHERE q.word_id = w.id AND q.question_type = 'listening' AND q.audio_source = 'word'
+);
+
+INSERT INTO public.quiz_questions (word_id, question_type, question_text, correct_answer, audio_source, difficulty_level)
+SELECT w.id, 'listening', 'Type the sentence you hear', w.example_sentence, 'example', 3
+FROM public.words w
+WHERE COALESCE(w.example_sentence, '') <> ''
+  AND NOT EXISTS (
+    SELECT 1 FROM public.quiz_questions q
+    WHERE q.word_id = w.id AND q.question_type = 'listening' AND q.audio_source = 'example'
+  );
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+BEGIN;
+
+DELETE FROM public.quiz_questions WHERE question_type = 'listening';
+
+ALTER TABLE public.quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_audio_source_check;
+ALTER TABLE public.quiz_questions DROP COLUMN IF EXISTS audio_source;
+
+ALTER TABLE public.quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE public.quiz_questions ADD CONSTRAINT quiz_questions_question_type_check
+  CHECK (question_type IN ('fill_blank', 'definition_choice', 'synonym_choice', 'context_choice'));
+
+COMMIT;
+*/
@@ -0,0 +1,60 @@
+-- Pronunciation Attempts
+-- Recordings of a learner saying a word or its example sentence, transcribed by the
+-- backend's speech recognition engine and scored phoneme by phoneme against the target.
+-- The first attempt at a due card rates it like a review, that review is linked so
+-- undoing or resetting it removes the attempt too
+-- Execute in Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS public.pronunciation_attempts (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  card_id UUID REFERENCES public.cards(id) ON DELETE CASCADE NOT NULL,
+  review_id UUID REFERENCES public.review_history(id) ON DELETE CASCADE,
+
+  -- Attempt details
+  source TEXT NOT NULL CHECK (source IN ('word', 'example')),
+  target_text TEXT NOT NULL,
+  transcript TEXT NOT NULL,
+  score INTEGER NOT NULL CHECK (score BETWEEN 0 AND 100),
+  phoneme_diff JSONB DEFAULT '[]'::jsonb NOT NULL,
+  scoring_method TEXT NOT NULL CHECK (scoring_method IN ('phonemes', 'letters')),
+  asr_engine TEXT NOT NULL,
+  response_time INTEGER,                    -- Time to answer in milliseconds
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+COMMENT ON TABLE public.pronunciation_attempts IS 'Speaking exercises, scored like quiz_attempts are graded';
+COMMENT ON COLUMN public.pronunciation_attempts.review_id IS 'Card review the attempt rated, NULL for practice retries';
+COMMENT ON COLUMN public.pronunciation_attempts.phoneme_diff IS 'Diff of the heard phonemes against the target: [{ type: equal | missing | extra, text }]';
+COMMENT ON COLUMN public.pronunciation_attempts.scoring_method IS 'phonemes when espeak-ng could transcribe both texts to IPA, letters otherwise';
+
+CREATE INDEX IF NOT EXISTS idx_pronunciation_attempts_user_created ON public.pronunciation_attempts(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_pronunciation_attempts_card_id ON public.pronunciation_attempts(card_id);
+
+-- Row Level Security
+ALTER TABLE public.pronunciation_attempts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own pronunciation attempts" ON public.pronunciation_attempts;
+CREATE POLICY "Users can view their own pronunciation attempts" ON public.pronunciation_attempts
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert their own pronunciation attempts" ON public.pronunciation_attempts;
+CREATE POLICY "Users can insert their own pronunciation attempts" ON public.pronunciation_attempts
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete their own pronunciation attempts" ON public.pronunciation_attempts;
+CREATE POLICY "Users can delete their own pronunciation attempts" ON public.pronunciation_attempts
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+BEGIN;
+
+DROP TABLE IF EXISTS public.pronunciation_attempts;
+
+COMMIT;
+*/
@@ -0,0 +1,39 @@
+-- Collocation, Word Formation and Matching Questions
+-- collocation_choice: pick the word that goes with another ("___ a decision": make)
+-- word_formation: type the form of a word that fits a sentence ("decide" -> "decision")
+-- matching: pair 5 words with their definitions, the pairs are stored in options
+-- as [{ "word", "definition" }] and correct_answer is the word the exercise was made for
+-- Execute in Supabase SQL editor
+
+ALTER TABLE public.quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE public.quiz_questions ADD CONSTRAINT quiz_questions_question_type_check
+  CHECK (question_type IN (
+    'fill_blank', 'definition_choice', 'synonym_choice', 'context_choice', 'listening',
+    'collocation_choice', 'word_formation', 'matching'
+  ));
+
+ALTER TABLE public.quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_matching_options_check;
+ALTER TABLE public.quiz_questions ADD CONSTRAINT quiz_questions_matching_options_check
+  CHECK (question_type <> 'matching' OR jsonb_array_length(options) = 5);
+
+COMMENT ON COLUMN public.quiz_questions.options IS 'Options of multiple choice questions, or the { word, definition } pairs of a matching exercise';
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+BEGIN;
+
+DELETE FROM public.quiz_questions WHERE question_type IN ('collocation_choice', 'word_formation', 'matching');
+
+ALTER TABLE public.quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_matching_options_check;
+
+ALTER TABLE public.quiz_questions DROP CONSTRAINT IF EXISTS quiz_questions_question_type_check;
+ALTER TABLE public.quiz_questions ADD CONSTRAINT quiz_questions_question_type_check
+  CHECK (question_type IN ('fill_blank', 'definition_choice', 'synonym_choice', 'context_choice', 'listening'));
+
+COMMENT ON COLUMN public.quiz_questions.options IS NULL;
+
+COMMIT;
+*/
@@ -0,0 +1,69 @@
+-- Atomic progress reset
+-- POST /api/flashcards/reset restores cards and deletes their review history and quiz
+-- attempts. Doing it in one function call runs it in one transaction, so a failure
+-- part way leaves progress untouched instead of half reset
+-- Execute in Supabase SQL editor
+
+-- p_cards: [{ id, stability, difficulty, state, due_date, reps, lapses, last_review,
+-- elapsed_days, scheduled_days, total_study_time }], the state each card is restored to
+CREATE OR REPLACE FUNCTION public.reset_review_progress(
+  p_cards JSONB,
+  p_review_ids UUID[],
+  p_attempt_ids UUID[]
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+BEGIN
+  DELETE FROM public.review_history
+  WHERE user_id = auth.uid()
+    AND id = ANY(p_review_ids);
+
+  DELETE FROM public.quiz_attempts
+  WHERE user_id = auth.uid()
+    AND id = ANY(p_attempt_ids);
+
+  UPDATE public.cards c
+  SET
+    stability = r.stability,
+    difficulty = r.difficulty,
+    state = r.state,
+    due_date = r.due_date,
+    reps = r.reps,
+    lapses = r.lapses,
+    last_review = r.last_review,
+    elapsed_days = r.elapsed_days,
+    scheduled_days = r.scheduled_days,
+    total_study_time = r.total_study_time
+  FROM jsonb_to_recordset(p_cards) AS r(
+    id UUID,
+    stability REAL,
+    difficulty REAL,
+    state TEXT,
+    due_date TIMESTAMP WITH TIME ZONE,
+    reps INTEGER,
+    lapses INTEGER,
+    last_review TIMESTAMP WITH TIME ZONE,
+    elapsed_days INTEGER,
+    scheduled_days INTEGER,
+    total_study_time INTEGER
+  )
+  WHERE c.id = r.id
+    AND c.user_id = auth.uid();
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.reset_review_progress(JSONB, UUID[], UUID[]) TO authenticated;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+BEGIN;
+
+DROP FUNCTION IF EXISTS public.reset_review_progress(JSONB, UUID[], UUID[]);
+
+COMMIT;
+*/
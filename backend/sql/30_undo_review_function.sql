@@ -0,0 +1,143 @@
+-- Atomic review undo
+-- POST /api/flashcards/reviews/:reviewId/undo restores the card, deletes its review history
+-- entry and reverts the user statistics. Doing it in one function call runs it in one
+-- transaction, so a failure part way leaves the review in place instead of half undone
+-- Execute in Supabase SQL editor
+
+-- p_card: { stability, difficulty, state, due_date, reps, lapses, last_review,
+-- elapsed_days, scheduled_days, total_study_time }, the state the card is restored to
+CREATE OR REPLACE FUNCTION public.undo_review(
+  p_review_id UUID,
+  p_card JSONB
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY INVOKER
+AS $$
+DECLARE
+  v_review public.review_history%ROWTYPE;
+  v_stats public.user_statistics%ROWTYPE;
+  v_today DATE := (now() AT TIME ZONE 'utc')::DATE;
+  v_response_time INTEGER;
+  v_was_correct INTEGER;
+  v_total_reviews INTEGER;
+  v_current_streak INTEGER;
+  v_last_study_date DATE;
+  v_previous_date DATE;
+BEGIN
+  SELECT * INTO v_review
+  FROM public.review_history
+  WHERE id = p_review_id
+    AND user_id = auth.uid();
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Review % not found', p_review_id;
+  END IF;
+
+  UPDATE public.cards c
+  SET
+    stability = r.stability,
+    difficulty = r.difficulty,
+    state = r.state,
+    due_date = r.due_date,
+    reps = r.reps,
+    lapses = r.lapses,
+    last_review = r.last_review,
+    elapsed_days = r.elapsed_days,
+    scheduled_days = r.scheduled_days,
+    total_study_time = r.total_study_time
+  FROM jsonb_to_record(p_card) AS r(
+    stability REAL,
+    difficulty REAL,
+    state TEXT,
+    due_date TIMESTAMP WITH TIME ZONE,
+    reps INTEGER,
+    lapses INTEGER,
+    last_review TIMESTAMP WITH TIME ZONE,
+    elapsed_days INTEGER,
+    scheduled_days INTEGER,
+    total_study_time INTEGER
+  )
+  WHERE c.id = v_review.card_id
+    AND c.user_id = auth.uid();
+
+  DELETE FROM public.review_history
+  WHERE id = p_review_id
+    AND user_id = auth.uid();
+
+  -- Reverse the statistics the review added, users without statistics have nothing to revert
+  SELECT * INTO v_stats
+  FROM public.user_statistics
+  WHERE user_id = auth.uid()
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  v_response_time := COALESCE(v_review.response_time, 0);
+  v_was_correct := CASE WHEN v_review.rating >= 3 THEN 1 ELSE 0 END;
+  v_total_reviews := GREATEST(0, v_stats.total_reviews - 1);
+
+  -- If the undone review was the only one today, the streak goes back to where it was.
+  -- longest_streak is left alone, it may have been set by an earlier streak
+  v_current_streak := v_stats.current_streak;
+  v_last_study_date := v_stats.last_study_date;
+
+  IF (v_review.created_at AT TIME ZONE 'utc')::DATE = v_today
+    AND v_last_study_date = v_today THEN
+    SELECT (created_at AT TIME ZONE 'utc')::DATE INTO v_previous_date
+    FROM public.review_history
+    WHERE user_id = auth.uid()
+    ORDER BY created_at DESC
+    LIMIT 1;
+
+    IF v_previous_date IS DISTINCT FROM v_today THEN
+      v_current_streak := CASE
+        WHEN v_previous_date = v_today - 1 THEN GREATEST(0, v_current_streak - 1)
+        ELSE 0
+      END;
+      v_last_study_date := v_previous_date;
+    END IF;
+  END IF;
+
+  UPDATE public.user_statistics
+  SET
+    total_cards_studied = GREATEST(0, total_cards_studied - 1),
+    total_study_time = GREATEST(0, total_study_time - v_response_time),
+    total_reviews = v_total_reviews,
+    average_retention_rate = CASE
+      WHEN v_total_reviews > 0 THEN LEAST(1, GREATEST(0,
+        (average_retention_rate * total_reviews - v_was_correct) / v_total_reviews))
+      ELSE 0
+    END,
+    average_response_time = CASE
+      WHEN v_total_reviews > 0 THEN GREATEST(0, ROUND(
+        (average_response_time * total_reviews - v_response_time)::NUMERIC / v_total_reviews))
+      ELSE 0
+    END,
+    current_streak = v_current_streak,
+    words_mastered = (
+      SELECT COUNT(*)
+      FROM public.cards
+      WHERE user_id = auth.uid()
+        AND stability >= 21
+    ),
+    last_study_date = v_last_study_date
+  WHERE user_id = auth.uid();
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.undo_review(UUID, JSONB) TO authenticated;
+
+-- ============================================================================
+-- ROLLBACK SCRIPT
+-- ============================================================================
+
+/*
+BEGIN;
+
+DROP FUNCTION IF EXISTS public.undo_review(UUID, JSONB);
+
+COMMIT;
+*/
@@ -0,0 +1,23 @@
+/**
+ * Card Templates
+ * The directions a word can be studied in. Every template a group enables is a
+ * card of its own with its own FSRS scheduling (see sql/25_card_templates.sql)
+ */
+
+const CARD_TEMPLATES = {
+  recognition: 'Word to meaning',
+  production: 'Meaning to typed word',
+  translation: 'Translation to word',
+  audio: 'Audio to word',
+};
+
+const CARD_TEMPLATE_IDS = Object.keys(CARD_TEMPLATES);
+
+// Groups created before templates existed only studied recognition
+const DEFAULT_CARD_TEMPLATES = ['recognition'];
+
+export {
+  CARD_TEMPLATES,
+  CARD_TEMPLATE_IDS,
+  DEFAULT_CARD_TEMPLATES
+};
@@ -0,0 +1,62 @@
+/**
+ * Native Languages
+ * Languages learners can get their word translations in. Translations are stored
+ * by language code in words.translations (see sql/22_native_language.sql)
+ */
+
+const NATIVE_LANGUAGES = {
+  vi: 'Vietnamese',
+  es: 'Spanish',
+  ja: 'Japanese',
+  zh: 'Chinese (Simplified)',
+  ko: 'Korean',
+  fr: 'French',
+  de: 'German',
+  pt: 'Portuguese',
+  it: 'Italian',
+  ru: 'Russian',
+  ar: 'Arabic',
+  hi: 'Hindi',
+  id: 'Indonesian',
+  th: 'Thai',
+  tr: 'Turkish',
+};
+
+// Accounts created before the setting existed were all Vietnamese speakers
+const DEFAULT_NATIVE_LANGUAGE = 'vi';
+
+const NATIVE_LANGUAGE_CODES = Object.keys(NATIVE_LANGUAGES);
+
+const getLanguageName = (code) => NATIVE_LANGUAGES[code] || NATIVE_LANGUAGES[DEFAULT_NATIVE_LANGUAGE];
+
+/**
+ * Stored translations for AI prompts, e.g. "Spanish: correr; Vietnamese: chạy"
+ */
+const formatTranslations = (translations) => Object.entries(translations || {})
+  .filter(([, text]) => text)
+  .map(([code, text]) => `${NATIVE_LANGUAGES[code] || code}: ${text}`)
+  .join('; ');
+
+const getUserNativeLanguage = async (supabase, userId) => {
+  try {
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('native_language')
+      .eq('id', userId)
+      .single();
+
+    return NATIVE_LANGUAGES[profile?.native_language] ? profile.native_language : DEFAULT_NATIVE_LANGUAGE;
+  } catch (profileError) {
+    console.log('Could not fetch user profile, using default native language');
+    return DEFAULT_NATIVE_LANGUAGE;
+  }
+};
+
+export {
+  NATIVE_LANGUAGES,
+  NATIVE_LANGUAGE_CODES,
+  DEFAULT_NATIVE_LANGUAGE,
+  getLanguageName,
+  formatTranslations,
+  getUserNativeLanguage
+};
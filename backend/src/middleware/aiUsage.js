@@ -0,0 +1,20 @@
+import { usageService, FEATURES } from '../services/usageService.js';
+
+// Meter the AI calls of a route to the signed-in user and reject it with
+// 429 quota_exceeded once the daily quota is used up
+export const meterAIUsage = (feature) => {
+  if (!FEATURES.includes(feature)) {
+    throw new Error(`Unknown AI usage feature: ${feature}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      await usageService.run({ supabase: req.supabase, userId: req.user.id, feature }, () => {
+        usageService.assertWithinQuota();
+        next();
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+};
@@ -43,11 +43,12 @@ export const authMiddleware = async (req, res, next) => {
     // Replace the supabase client with the authenticated one
     req.supabase = authenticatedSupabase;
 
-    // Attach user info to request object
+    // Attach user info to request object. user_metadata is writable by the user,
+    // so it must not override the verified id and email
     req.user = {
+      ...user.user_metadata,
       id: user.id,
       email: user.email,
-      ...user.user_metadata,
     };
 
     next();
@@ -69,9 +70,9 @@ export const optionalAuth = async (req, res, next) => {
 
       if (!error && user) {
         req.user = {
+          ...user.user_metadata,
           id: user.id,
           email: user.email,
-          ...user.user_metadata,
         };
       }
     }
@@ -81,4 +82,21 @@ export const optionalAuth = async (req, res, next) => {
     // Optional auth should not fail the request
     next();
   }
-};
\ No newline at end of file
+};
+
+// Restrict a route to the accounts listed in ADMIN_EMAILS (comma-separated). req.user.email
+// is the address Supabase verified for the token, never a user_metadata value
+export const requireAdmin = (req, res, next) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user?.email || !adminEmails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({
+      error: 'Admin access required.',
+    });
+  }
+
+  next();
+};
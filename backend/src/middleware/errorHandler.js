@@ -12,6 +12,17 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Daily AI quota used up
+  if (err.code === 'quota_exceeded') {
+    return res.status(429).json({
+      error: 'quota_exceeded',
+      message: err.message,
+      quota: err.quota,
+      used: err.used,
+      resetsAt: err.resetsAt,
+    });
+  }
+
   // Supabase errors
   if (err.code) {
     const statusCode = getSupabaseErrorStatus(err.code);
@@ -34,6 +45,13 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Errors that carry their own HTTP status (e.g. 503 when no AI provider answers)
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({
+      error: err.message,
+    });
+  }
+
   // Default server error
   res.status(500).json({
     error: 'Internal server error',
@@ -5,6 +5,15 @@ import { aiService } from '../services/aiService.js';
 import { webScrapingService } from '../services/webScrapingService.js';
 import { fileProcessingService } from '../services/fileProcessingService.js';
 import { youtubeTranscriptService } from '../services/youtubeTranscriptService.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { meterAIUsage } from '../middleware/aiUsage.js';
+import { usageService } from '../services/usageService.js';
+import { analysisJobService } from '../services/analysisJobService.js';
+import { attachCues } from '../services/subtitleCues.js';
+import { sourceService } from '../services/sourceService.js';
+import { wordFamilyService } from '../services/wordFamilyService.js';
+import { senseService } from '../services/senseService.js';
+import { getUserNativeLanguage } from '../config/languages.js';
 
 const router = express.Router();
 
@@ -19,7 +28,7 @@ const upload = multer({
     if (fileProcessingService.isValidFileType(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only TXT, PDF, DOCX, and SRT files are allowed.'), false);
+      cb(new Error('Invalid file type. Only TXT, PDF, DOCX, SRT, VTT, Markdown, HTML, and EPUB files are allowed.'), false);
     }
   },
 });
@@ -29,6 +38,8 @@ const analyzeWordSchema = Joi.object({
   word: Joi.string().min(1).max(100).required(),
   autoSave: Joi.boolean().default(false),
   collectionId: Joi.string().uuid(),
+  // Saving an inflection of a saved word: add it to that word's forms or save it anyway
+  inflection: Joi.string().valid('merge', 'separate').optional(),
 });
 
 const analyzeSentenceSchema = Joi.object({
@@ -38,16 +49,54 @@ const analyzeSentenceSchema = Joi.object({
 const chatSchema = Joi.object({
   message: Joi.string().min(1).max(2000).required(),
   conversationId: Joi.string().uuid().optional(),
+  // Ground the tutor in the learner's level and vocabulary
+  context: Joi.object({
+    groupId: Joi.alternatives().try(Joi.string().uuid(), Joi.string().valid('ungrouped')),
+    includeStruggling: Joi.boolean().default(false),
+  }).optional(),
+});
+
+const renameConversationSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(100).required(),
+});
+
+// Background jobs analyze the whole content, so longer pasted text is accepted
+const analysisJobSchema = Joi.object({
+  url: Joi.string().uri().optional(),
+  text: Joi.string().min(1).max(200000).optional(),
+  // Subtitle language of YouTube videos, e.g. en, de or pt-BR
+  language: Joi.string().pattern(/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/).optional(),
+});
+
+// Multipart fields sent along with a file upload
+// chapters limits an EPUB to the given chapter indexes, e.g. "0,2,5"
+const fileUploadSchema = Joi.object({
+  chapters: Joi.string().pattern(/^\d+(,\d+)*$/).optional(),
+}).unknown(true);
+
+const jobQuerySchema = Joi.object({
+  includeContent: Joi.boolean().default(false),
+});
+
+const usageSchema = Joi.object({
+  days: Joi.number().integer().min(1).max(90).default(30),
+});
+
+const purgeCacheSchema = Joi.object({
+  word: Joi.string().trim().min(1).max(100),
+  staleOnly: Joi.boolean().default(false),
 });
 
 const analyzeContentSchema = Joi.object({
   url: Joi.string().uri().optional(),
   text: Joi.string().min(1).max(20000).optional(),
+  // Subtitle language of YouTube videos, e.g. en, de or pt-BR
+  language: Joi.string().pattern(/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/).optional(),
   limit: Joi.number().integer().min(1).max(20).default(20),
 });
 
 // Analyze word with AI
-router.post('/analyze-word', async (req, res, next) => {
+router.post('/analyze-word', meterAIUsage('analyze-word'), async (req, res, next) => {
   try {
     const { error, value } = analyzeWordSchema.validate(req.body);
     if (error) {
@@ -55,16 +104,39 @@ router.post('/analyze-word', async (req, res, next) => {
       return next(error);
     }
 
-    const { word, autoSave, collectionId } = value;
+    const { word, autoSave, collectionId, inflection } = value;
 
-    // Get AI analysis
-    const analysis = await aiService.analyzeWord(word);
+    // Get AI analysis, translated into the learner's language
+    const nativeLanguage = await getUserNativeLanguage(req.supabase, req.user.id);
+    const analysis = await aiService.analyzeWord(word, { nativeLanguage });
 
     let savedWord = null;
     if (autoSave && analysis) {
+      const wordText = analysis.word || word;
+      const vocabulary = await wordFamilyService.loadVocabulary(req.supabase, req.user.id);
+      const { inflectionOf, familyHead } = wordFamilyService.findRelated(vocabulary, wordText);
+
+      if (inflectionOf && !inflection) {
+        return res.json({
+          analysis,
+          error: 'inflected_duplicate',
+          message: `"${wordText}" is a form of "${inflectionOf.word}", which is already in your vocabulary`,
+          existingWord: { id: inflectionOf.id, word: inflectionOf.word },
+        });
+      }
+
+      if (inflectionOf && inflection === 'merge') {
+        const mergedWord = await wordFamilyService.mergeForm(req.supabase, req.user.id, inflectionOf, wordText);
+        return res.json({ analysis, savedWord: mergedWord, merged: true });
+      }
+
+      const family = inflectionOf ? wordFamilyService.getFamilyHead(vocabulary, inflectionOf) : familyHead;
+
       // Save word to database
       const wordData = {
-        word: analysis.word || word,
+        word: wordText,
+        ...wordFamilyService.describe(wordText),
+        family_head_id: family?.id || null,
         definition: analysis.definition || '',
         word_type: analysis.wordType || '',
         cefr_level: analysis.cefrLevel || '',
@@ -72,7 +144,7 @@ router.post('/analyze-word', async (req, res, next) => {
         example_sentence: analysis.exampleSentence || '',
         notes: analysis.notes || '',
         tags: analysis.tags || [],
-        vietnamese_translation: analysis.vietnameseTranslation || '',
+        translations: analysis.translation ? { [nativeLanguage]: analysis.translation } : {},
         synonyms: analysis.synonyms || '',
         user_id: req.user.id,
       };
@@ -95,7 +167,13 @@ router.post('/analyze-word', async (req, res, next) => {
           });
         }
       } else {
-        savedWord = insertedWord;
+        // All senses are kept, the learner picks the ones to study besides the first
+        savedWord = {
+          ...insertedWord,
+          senses: await senseService.replaceSenses(
+            req.supabase, req.user.id, insertedWord.id, senseService.fromAnalysis(analysis, nativeLanguage)
+          ),
+        };
 
         // Add to collection if specified
         if (collectionId) {
@@ -124,7 +202,7 @@ router.post('/analyze-word', async (req, res, next) => {
 });
 
 // Analyze sentence with AI
-router.post('/analyze-sentence', async (req, res, next) => {
+router.post('/analyze-sentence', meterAIUsage('analyze-sentence'), async (req, res, next) => {
   try {
     const { error, value } = analyzeSentenceSchema.validate(req.body);
     if (error) {
@@ -150,7 +228,7 @@ router.post('/analyze-sentence', async (req, res, next) => {
 });
 
 // Analyze website, text, or file content for vocabulary
-router.post('/analyze-content', upload.single('file'), async (req, res, next) => {
+router.post('/analyze-content', upload.single('file'), meterAIUsage('analyze-content'), async (req, res, next) => {
   try {
     console.log('📁 File upload request received');
     console.log('📄 Request body:', req.body);
@@ -160,140 +238,36 @@ router.post('/analyze-content', upload.single('file'), async (req, res, next) =>
       size: req.file.size
     } : 'No file uploaded');
 
-    // For validation, we skip validation if we have a file upload
-    let validatedBody = req.body;
-    if (!req.file) {
-      const { error, value } = analyzeContentSchema.validate(req.body);
-      if (error) {
-        error.isJoi = true;
-        return next(error);
-      }
-      validatedBody = value;
+    // File uploads only carry the multipart fields
+    const { error, value: validatedBody } = (req.file ? fileUploadSchema : analyzeContentSchema).validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
     }
 
-    const { url, text, limit, offset = 0, chunksToProcess = 3 } = validatedBody;
-    const uploadedFile = req.file;
-
-    // Get user's CEFR level from profile
-    let userCefrLevel = 'B2'; // Default
-    try {
-      const { data: profile } = await req.supabase
-        .from('profiles')
-        .select('cefr_level')
-        .eq('id', req.user.id)
-        .single();
-
-      if (profile?.cefr_level) {
-        userCefrLevel = profile.cefr_level;
-      }
-    } catch (profileError) {
-      console.log('Could not fetch user profile, using default CEFR level');
-    }
-
-    let content;
-    let sourceType;
-    let sourceInfo = {};
-
-    if (uploadedFile) {
-      // Process uploaded file
-      try {
-        console.log('🔄 Processing file:', uploadedFile.originalname);
-        const fileResult = await fileProcessingService.processFile(uploadedFile);
-        console.log('✅ File processed successfully');
-        console.log('📊 File stats:', {
-          title: fileResult.title,
-          wordCount: fileResult.wordCount,
-          fileType: fileResult.fileType,
-          contentLength: fileResult.content.length,
-          contentPreview: fileResult.content.substring(0, 200) + '...'
-        });
-
-        content = fileResult.content;
-        sourceType = 'file';
-        sourceInfo = {
-          filename: uploadedFile.originalname,
-          title: fileResult.title,
-          excerpt: fileResult.excerpt,
-          fileType: fileResult.fileType,
-          wordCount: fileResult.wordCount,
-          ...(fileResult.pageCount && { pageCount: fileResult.pageCount })
-        };
-      } catch (fileError) {
-        console.error('❌ File processing failed:', fileError);
-        return res.status(400).json({
-          error: 'file_processing_failed',
-          message: `Failed to process file: ${fileError.message}`
-        });
-      }
-    } else if (url) {
-      // Check if URL is a YouTube video
-      if (youtubeTranscriptService.isYouTubeUrl(url)) {
-        console.log('🎥 Detected YouTube URL, extracting transcript...');
-        const transcriptResult = await youtubeTranscriptService.processYouTubeUrl(url);
-
-        if (!transcriptResult.success) {
-          return res.status(400).json({
-            error: 'youtube_transcript_failed',
-            message: `Failed to extract YouTube transcript: ${transcriptResult.error}`
-          });
-        }
-
-        content = transcriptResult.content;
-        sourceType = 'youtube';
-        sourceInfo = {
-          url: transcriptResult.url,
-          title: transcriptResult.title,
-          excerpt: transcriptResult.excerpt,
-          videoInfo: transcriptResult.videoInfo
-        };
-        console.log('✅ YouTube transcript extracted successfully');
-      } else {
-        // Scrape regular website content
-        const scrapingResult = await webScrapingService.scrapeUrl(url);
+    const { url, text, language, limit, offset = 0, chunksToProcess = 3 } = validatedBody;
 
-        if (!scrapingResult.success) {
-          return res.status(400).json({
-            error: 'website_scraping_failed',
-            message: `Failed to extract content from website: ${scrapingResult.error}`
-          });
-        }
-
-        content = scrapingResult.content;
-        sourceType = 'website';
-        sourceInfo = {
-          url: scrapingResult.url,
-          title: scrapingResult.title,
-          excerpt: scrapingResult.excerpt
-        };
-      }
-    } else if (text) {
-      // Process text content
-      const textResult = await webScrapingService.processTextContent(text);
-      content = textResult.content;
-      sourceType = 'text';
-      sourceInfo = {
-        title: textResult.title,
-        excerpt: textResult.excerpt
-      };
-    } else {
-      return res.status(400).json({
-        error: 'missing_content',
-        message: 'Please provide either a URL, text content, or upload a file to analyze.'
-      });
-    }
+    const [userCefrLevel, nativeLanguage, savedVocabulary] = await Promise.all([
+      getUserCefrLevel(req.supabase, req.user.id),
+      getUserNativeLanguage(req.supabase, req.user.id),
+      wordFamilyService.loadVocabulary(req.supabase, req.user.id),
+    ]);
+    const { content, sourceType, sourceInfo, cues } = await loadAnalysisSource({
+      file: req.file,
+      url,
+      text,
+      language,
+      chapters: parseChapterSelection(validatedBody.chapters),
+    });
 
-    if (!content || content.length < 100) {
-      return res.status(400).json({
-        error: 'insufficient_content',
-        message: 'The content is too short to analyze. Please provide more substantial content.'
-      });
-    }
+    const source = await saveAnalysisSource(req.supabase, req.user.id, { sourceType, sourceInfo, content });
 
     // Analyze content with AI (with pagination support)
     const result = await aiService.analyzeWebsiteContent(content, userCefrLevel, {
       limit,
       offset: parseInt(offset) || 0,
-      chunksToProcess: parseInt(chunksToProcess) || 3
+      chunksToProcess: parseInt(chunksToProcess) || 3,
+      nativeLanguage,
     });
 
     if (!result.vocabulary || result.vocabulary.length === 0) {
@@ -301,20 +275,27 @@ router.post('/analyze-content', upload.single('file'), async (req, res, next) =>
         vocabulary: [],
         sourceType,
         sourceInfo,
+        sourceId: source?.id || null,
         userCefrLevel,
         originalContent: offset === 0 ? content : undefined, // Only send full content on first request
         hasMore: result.hasMore || false,
         nextOffset: result.nextOffset || 0,
         totalChunks: result.totalChunks || 0,
         processedChunks: result.processedChunks || 0,
+        quotaExceeded: result.quotaExceeded || false,
         message: 'No new vocabulary found in the content that matches your current level.'
       });
     }
 
     res.json({
-      vocabulary: result.vocabulary,
+      // Items that are forms or relatives of saved words say which, so they can be merged
+      vocabulary: wordFamilyService.annotateVocabulary(
+        savedVocabulary,
+        sourceService.attachSentences(attachCues(result.vocabulary, cues), content)
+      ),
       sourceType,
       sourceInfo,
+      sourceId: source?.id || null,
       userCefrLevel,
       totalFound: result.vocabulary.length,
       originalContent: offset === 0 ? content : undefined, // Only send full content on first request
@@ -322,10 +303,19 @@ router.post('/analyze-content', upload.single('file'), async (req, res, next) =>
       nextOffset: result.nextOffset,
       totalChunks: result.totalChunks,
       processedChunks: result.processedChunks,
+      provider: result.provider,
+      quotaExceeded: result.quotaExceeded || false,
       message: `Found ${result.vocabulary.length} vocabulary items (chunks ${offset + 1}-${offset + result.processedChunks}/${result.totalChunks})`
     });
 
   } catch (error) {
+    if (error.code === 'quota_exceeded') {
+      return next(error);
+    }
+    if (error.sourceError) {
+      return res.status(400).json({ error: error.sourceError, message: error.message });
+    }
+
     console.error('Content analysis error:', error);
     console.error('Error stack:', error.stack);
 
@@ -353,8 +343,151 @@ router.post('/analyze-content', upload.single('file'), async (req, res, next) =>
   }
 });
 
+// Read an uploaded file without analyzing it, e.g. to list the chapters of an EPUB
+router.post('/inspect-file', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'missing_file', message: 'Please upload a file to inspect.' });
+  }
+
+  try {
+    const { content, cues, ...fileInfo } = await fileProcessingService.processFile(req.file);
+
+    res.json({
+      file: {
+        filename: req.file.originalname,
+        ...fileInfo,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({ error: 'file_processing_failed', message: `Failed to process file: ${error.message}` });
+  }
+});
+
+// Start a background analysis of website, text, or file content
+// Responds with the job right away, progress is read from /jobs/:id or /jobs/:id/events
+router.post('/jobs', upload.single('file'), meterAIUsage('analyze-content'), async (req, res, next) => {
+  try {
+    // File uploads only carry the multipart fields
+    const { error, value: validatedBody } = (req.file ? fileUploadSchema : analysisJobSchema).validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const [userCefrLevel, nativeLanguage] = await Promise.all([
+      getUserCefrLevel(req.supabase, req.user.id),
+      getUserNativeLanguage(req.supabase, req.user.id),
+    ]);
+    const { content, sourceType, sourceInfo, cues } = await loadAnalysisSource({
+      file: req.file,
+      url: validatedBody.url,
+      text: validatedBody.text,
+      language: validatedBody.language,
+      chapters: parseChapterSelection(validatedBody.chapters),
+    });
+
+    const source = await saveAnalysisSource(req.supabase, req.user.id, { sourceType, sourceInfo, content });
+
+    const job = await analysisJobService.createJob(req.supabase, req.user.id, {
+      sourceId: source?.id || null,
+      content,
+      sourceType,
+      sourceInfo,
+      cues,
+      userCefrLevel,
+      nativeLanguage,
+    });
+
+    res.status(202).json({
+      job,
+      originalContent: content,
+    });
+  } catch (error) {
+    if (error.sourceError) {
+      return res.status(400).json({ error: error.sourceError, message: error.message });
+    }
+    next(error);
+  }
+});
+
+// Get a job with its progress and the vocabulary found so far
+router.get('/jobs/:id', async (req, res, next) => {
+  try {
+    const { error, value } = jobQuerySchema.validate(req.query);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const job = await analysisJobService.getJob(req.supabase, req.params.id, value);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stream job progress as Server-Sent Events
+// Sends a snapshot with all vocabulary so far, then progress events with only the new items
+router.get('/jobs/:id/events', async (req, res, next) => {
+  try {
+    const job = await analysisJobService.getJob(req.supabase, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Cache-Control',
+    });
+
+    const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+    const { vocabulary, ...summary } = job;
+    send({ type: 'snapshot', job: summary, vocabulary });
+
+    if (analysisJobService.isFinished(job)) {
+      send({ type: 'done', job: summary });
+      return res.end();
+    }
+
+    const unsubscribe = analysisJobService.subscribe(job.id, (event) => {
+      send(event);
+      if (event.type === 'done') {
+        unsubscribe();
+        res.end();
+      }
+    });
+
+    // The job keeps running when the client goes away
+    res.on('close', unsubscribe);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel a queued or running job, the vocabulary found so far is kept
+router.post('/jobs/:id/cancel', async (req, res, next) => {
+  try {
+    const job = await analysisJobService.cancelJob(req.supabase, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // AI chat
-router.post('/chat', async (req, res, next) => {
+router.post('/chat', meterAIUsage('chat'), async (req, res, next) => {
   try {
     const { error, value } = chatSchema.validate(req.body);
     if (error) {
@@ -362,11 +495,30 @@ router.post('/chat', async (req, res, next) => {
       return next(error);
     }
 
-    const { message, conversationId } = value;
+    const { message } = value;
+    const askedAt = new Date();
+
+    const conversation = await getOrCreateConversation(req.supabase, req.user.id, value.conversationId, message);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const history = await getConversationHistory(req.supabase, conversation.id);
+    const learnerContext = value.context
+      ? await getLearnerContext(req.supabase, req.user.id, value.context)
+      : null;
 
     const response = await aiService.chat(message, {
       userId: req.user.id,
-      conversationId,
+      conversationId: conversation.id,
+      history,
+      learnerContext,
+    });
+
+    await saveConversationTurn(req.supabase, req.user.id, conversation.id, {
+      question: message,
+      answer: response.message,
+      askedAt,
     });
 
     res.json({
@@ -379,7 +531,7 @@ router.post('/chat', async (req, res, next) => {
 });
 
 // Stream AI chat response
-router.post('/chat-stream', async (req, res, next) => {
+router.post('/chat-stream', meterAIUsage('chat'), async (req, res, next) => {
   try {
     const { error, value } = chatSchema.validate(req.body);
     if (error) {
@@ -387,7 +539,19 @@ router.post('/chat-stream', async (req, res, next) => {
       return next(error);
     }
 
-    const { message, conversationId } = value;
+    const { message } = value;
+    const askedAt = new Date();
+
+    const conversation = await getOrCreateConversation(req.supabase, req.user.id, value.conversationId, message);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const conversationId = conversation.id;
+    const history = await getConversationHistory(req.supabase, conversationId);
+    const learnerContext = value.context
+      ? await getLearnerContext(req.supabase, req.user.id, value.context)
+      : null;
 
     // Set up Server-Sent Events
     res.writeHead(200, {
@@ -400,10 +564,21 @@ router.post('/chat-stream', async (req, res, next) => {
 
     let responseId = null;
 
+    // Stop generating when the client disconnects mid-stream
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        abortController.abort();
+      }
+    });
+
     try {
-      await aiService.chatStream(message, {
+      const result = await aiService.chatStream(message, {
         userId: req.user.id,
         conversationId,
+        history,
+        learnerContext,
+        signal: abortController.signal,
         onChunk: (chunk) => {
           if (chunk.type === 'start') {
             responseId = chunk.responseId;
@@ -414,14 +589,36 @@ router.post('/chat-stream', async (req, res, next) => {
         },
       });
 
+      // Keep whatever was generated, even if the client left early
+      if (result.message) {
+        try {
+          await saveConversationTurn(req.supabase, req.user.id, conversationId, {
+            question: message,
+            answer: result.message,
+            askedAt,
+          });
+        } catch (saveError) {
+          console.error('Failed to save conversation turn:', saveError);
+        }
+      }
+
+      if (result.aborted) {
+        return;
+      }
+
       // Send completion event
       res.write(`data: ${JSON.stringify({
         type: 'complete',
         responseId,
-        conversationId
+        conversationId,
+        provider: result.provider
       })}\n\n`);
       res.end();
     } catch (streamError) {
+      if (abortController.signal.aborted) {
+        return;
+      }
+
       res.write(`data: ${JSON.stringify({
         type: 'error',
         error: streamError.message
@@ -433,6 +630,118 @@ router.post('/chat-stream', async (req, res, next) => {
   }
 });
 
+// List the user's tutor conversations, most recent first
+router.get('/conversations', async (req, res, next) => {
+  try {
+    const { data: conversations, error } = await req.supabase
+      .from('ai_conversations')
+      .select('id, title, created_at, updated_at')
+      .eq('user_id', req.user.id)
+      .order('updated_at', { ascending: false })
+      .limit(100);
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({ conversations });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a conversation with all of its messages
+router.get('/conversations/:id', async (req, res, next) => {
+  try {
+    const { data: conversation, error } = await req.supabase
+      .from('ai_conversations')
+      .select('id, title, created_at, updated_at')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const { data: messages, error: messagesError } = await req.supabase
+      .from('ai_messages')
+      .select('id, role, content, created_at')
+      .eq('conversation_id', conversation.id)
+      .order('created_at', { ascending: true });
+
+    if (messagesError) {
+      throw messagesError;
+    }
+
+    res.json({ conversation, messages });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rename a conversation
+router.put('/conversations/:id', async (req, res, next) => {
+  try {
+    const { error, value } = renameConversationSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const { data: conversation, error: updateError } = await req.supabase
+      .from('ai_conversations')
+      .update({ title: value.title })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select('id, title, created_at, updated_at')
+      .maybeSingle();
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({
+      message: 'Conversation renamed successfully',
+      conversation,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a conversation and its messages
+router.delete('/conversations/:id', async (req, res, next) => {
+  try {
+    const { data: deleted, error } = await req.supabase
+      .from('ai_conversations')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ message: 'Conversation deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get AI configuration
 router.get('/config', async (req, res, next) => {
   try {
@@ -441,8 +750,10 @@ router.get('/config', async (req, res, next) => {
     res.json({
       config: {
         provider: config.provider,
+        providerName: config.providerName,
         model: config.model,
         available: config.available,
+        chain: config.chain,
       },
     });
   } catch (error) {
@@ -461,4 +772,363 @@ router.post('/test-connection', async (req, res, next) => {
   }
 });
 
+// AI usage of the current user, with quotas and estimated cost
+router.get('/usage', async (req, res, next) => {
+  try {
+    const { error, value } = usageSchema.validate(req.query);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const usage = await usageService.getSummary(req.supabase, value.days);
+
+    res.json({ usage });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Shared word analysis cache statistics (admin only)
+router.get('/cache', requireAdmin, async (req, res, next) => {
+  try {
+    res.json({ cache: aiService.getAnalysisCacheStats() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Purge the shared word analysis cache (admin only)
+// ?word= limits the purge to one word, ?staleOnly=true to expired entries and old prompt versions
+router.delete('/cache', requireAdmin, async (req, res, next) => {
+  try {
+    const { error, value } = purgeCacheSchema.validate(req.query);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const removed = await aiService.purgeAnalysisCache(value);
+
+    res.json({
+      message: 'Analysis cache purged',
+      removed,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Gather the learner data the tutor is grounded in: CEFR level,
+ * words from the selected group and recently lapsed flashcards
+ * @param {Object} context - { groupId, includeStruggling } from the chat request
+ * @returns {Object} { cefrLevel, groupName, groupWords, strugglingWords }
+ */
+async function getLearnerContext(supabase, userId, context) {
+  const learnerContext = {
+    cefrLevel: null,
+    groupName: null,
+    groupWords: [],
+    strugglingWords: [],
+  };
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('cefr_level')
+    .eq('id', userId)
+    .maybeSingle();
+
+  learnerContext.cefrLevel = profile?.cefr_level || null;
+
+  if (context.groupId) {
+    let wordsQuery = supabase
+      .from('words')
+      .select('word, definition')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(30);
+
+    if (context.groupId === 'ungrouped') {
+      wordsQuery = wordsQuery.is('group_id', null);
+    } else {
+      const { data: group } = await supabase
+        .from('collections')
+        .select('name')
+        .eq('id', context.groupId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      learnerContext.groupName = group?.name || null;
+      wordsQuery = wordsQuery.eq('group_id', context.groupId);
+    }
+
+    const { data: groupWords, error } = await wordsQuery;
+    if (error) {
+      throw error;
+    }
+
+    learnerContext.groupWords = groupWords || [];
+  }
+
+  if (context.includeStruggling) {
+    const { data: cards, error } = await supabase
+      .from('cards')
+      .select('lapses, words!inner(word, definition)')
+      .eq('user_id', userId)
+      .gt('lapses', 0)
+      .order('last_review', { ascending: false, nullsFirst: false })
+      .limit(15);
+
+    if (error) {
+      throw error;
+    }
+
+    learnerContext.strugglingWords = (cards || []).map(card => ({
+      word: card.words.word,
+      definition: card.words.definition,
+    }));
+  }
+
+  return learnerContext;
+}
+
+/**
+ * Load the conversation a chat message belongs to, or start a new one
+ * @returns {Object|null} The conversation, or null if the given id is not the user's
+ */
+async function getOrCreateConversation(supabase, userId, conversationId, firstMessage) {
+  if (conversationId) {
+    const { data: conversation, error } = await supabase
+      .from('ai_conversations')
+      .select('id, title')
+      .eq('id', conversationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return conversation;
+  }
+
+  const title = firstMessage.length > 80
+    ? `${firstMessage.slice(0, 77).trim()}...`
+    : firstMessage;
+
+  const { data: conversation, error } = await supabase
+    .from('ai_conversations')
+    .insert({ user_id: userId, title })
+    .select('id, title')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return conversation;
+}
+
+/**
+ * Earlier turns of a conversation, oldest first
+ * Only the newest rows are loaded, aiService trims them further to its token budget
+ */
+async function getConversationHistory(supabase, conversationId, limit = 50) {
+  const { data: messages, error } = await supabase
+    .from('ai_messages')
+    .select('role, content')
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  return (messages || []).reverse();
+}
+
+/**
+ * Store a question and its answer, and mark the conversation as recently active
+ */
+async function saveConversationTurn(supabase, userId, conversationId, { question, answer, askedAt }) {
+  // Explicit timestamps keep the pair ordered, a shared default now() would tie
+  const answeredAt = new Date(Math.max(Date.now(), askedAt.getTime() + 1));
+
+  const { error } = await supabase
+    .from('ai_messages')
+    .insert([
+      {
+        conversation_id: conversationId,
+        user_id: userId,
+        role: 'user',
+        content: question,
+        created_at: askedAt.toISOString(),
+      },
+      {
+        conversation_id: conversationId,
+        user_id: userId,
+        role: 'assistant',
+        content: answer,
+        created_at: answeredAt.toISOString(),
+      },
+    ]);
+
+  if (error) {
+    throw error;
+  }
+
+  const { error: updateError } = await supabase
+    .from('ai_conversations')
+    .update({ updated_at: answeredAt.toISOString() })
+    .eq('id', conversationId)
+    .eq('user_id', userId);
+
+  if (updateError) {
+    throw updateError;
+  }
+}
+
+/**
+ * The learner's CEFR level from their profile, B2 when not set
+ */
+async function getUserCefrLevel(supabase, userId) {
+  try {
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('cefr_level')
+      .eq('id', userId)
+      .single();
+
+    return profile?.cefr_level || 'B2';
+  } catch (profileError) {
+    console.log('Could not fetch user profile, using default CEFR level');
+    return 'B2';
+  }
+}
+
+/**
+ * Extract the text to analyze from an uploaded file, a URL (website or YouTube video) or pasted text
+ * Problems with the source are thrown with `sourceError` set to an error code for a 400 response
+ * Subtitle files and YouTube transcripts also return their timed cues
+ * @returns {Object} { content, sourceType, sourceInfo, cues }
+ */
+async function loadAnalysisSource({ file, url, text, language, chapters }) {
+  let content;
+  let sourceType;
+  let sourceInfo = {};
+  let cues = null;
+
+  if (file) {
+    // Process uploaded file
+    let fileResult;
+    try {
+      console.log('🔄 Processing file:', file.originalname);
+      fileResult = await fileProcessingService.processFile(file, { chapters });
+      console.log('✅ File processed successfully');
+      console.log('📊 File stats:', {
+        title: fileResult.title,
+        wordCount: fileResult.wordCount,
+        fileType: fileResult.fileType,
+        contentLength: fileResult.content.length,
+        contentPreview: fileResult.content.substring(0, 200) + '...'
+      });
+    } catch (fileError) {
+      console.error('❌ File processing failed:', fileError);
+      throw createSourceError('file_processing_failed', `Failed to process file: ${fileError.message}`);
+    }
+
+    content = fileResult.content;
+    cues = fileResult.cues || null;
+    sourceType = 'file';
+    sourceInfo = {
+      filename: file.originalname,
+      title: fileResult.title,
+      excerpt: fileResult.excerpt,
+      fileType: fileResult.fileType,
+      wordCount: fileResult.wordCount,
+      ...(fileResult.pageCount && { pageCount: fileResult.pageCount }),
+      ...(fileResult.selectedChapters && { chapters: fileResult.selectedChapters.map(chapter => chapter.title) })
+    };
+  } else if (url) {
+    // Check if URL is a YouTube video
+    if (youtubeTranscriptService.isYouTubeUrl(url)) {
+      console.log('🎥 Detected YouTube URL, extracting transcript...');
+      const transcriptResult = await youtubeTranscriptService.processYouTubeUrl(url, { language });
+
+      if (!transcriptResult.success) {
+        throw createSourceError('youtube_transcript_failed', `Failed to extract YouTube transcript: ${transcriptResult.error}`);
+      }
+
+      content = transcriptResult.content;
+      cues = transcriptResult.cues;
+      sourceType = 'youtube';
+      sourceInfo = {
+        url: transcriptResult.url,
+        videoId: transcriptResult.videoId,
+        language: transcriptResult.language,
+        title: transcriptResult.title,
+        excerpt: transcriptResult.excerpt,
+        videoInfo: transcriptResult.videoInfo
+      };
+      console.log('✅ YouTube transcript extracted successfully');
+    } else {
+      // Scrape regular website content
+      const scrapingResult = await webScrapingService.scrapeUrl(url);
+
+      if (!scrapingResult.success) {
+        throw createSourceError('website_scraping_failed', `Failed to extract content from website: ${scrapingResult.error}`);
+      }
+
+      content = scrapingResult.content;
+      sourceType = 'website';
+      sourceInfo = {
+        url: scrapingResult.url,
+        title: scrapingResult.title,
+        excerpt: scrapingResult.excerpt
+      };
+    }
+  } else if (text) {
+    // Process text content
+    const textResult = await webScrapingService.processTextContent(text);
+    content = textResult.content;
+    sourceType = 'text';
+    sourceInfo = {
+      title: textResult.title,
+      excerpt: textResult.excerpt
+    };
+  } else {
+    throw createSourceError('missing_content', 'Please provide either a URL, text content, or upload a file to analyze.');
+  }
+
+  if (!content || content.length < 100) {
+    throw createSourceError('insufficient_content', 'The content is too short to analyze. Please provide more substantial content.');
+  }
+
+  return { content, sourceType, sourceInfo, cues };
+}
+
+// Keep the analyzed content as a source words can link to
+// A failure is only logged, the analysis itself does not need the source
+async function saveAnalysisSource(supabase, userId, source) {
+  try {
+    return await sourceService.saveSource(supabase, userId, source);
+  } catch (error) {
+    console.error('Failed to save content source:', error);
+    return null;
+  }
+}
+
+// "0,2,5" from the upload form to [0, 2, 5]
+function parseChapterSelection(chapters) {
+  return chapters ? chapters.split(',').map(index => parseInt(index, 10)) : undefined;
+}
+
+function createSourceError(code, message) {
+  const error = new Error(message);
+  error.sourceError = code;
+  return error;
+}
+
 export default router;
\ No newline at end of file
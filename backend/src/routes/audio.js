@@ -0,0 +1,52 @@
+import express from 'express';
+import Joi from 'joi';
+import { ttsService } from '../services/ttsService.js';
+
+const router = express.Router();
+
+// Validation schemas
+const audioQuerySchema = Joi.object({
+  source: Joi.string().valid('word', 'example').default('word'),
+  rate: Joi.string().valid('normal', 'slow').default('normal'),
+});
+
+// GET /api/audio/:wordId - Spoken audio of a word or its example sentence
+router.get('/:wordId', async (req, res, next) => {
+  try {
+    const { error, value } = audioQuerySchema.validate(req.query);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const { data: word, error: fetchError } = await req.supabase
+      .from('words')
+      .select('id, word, example_sentence')
+      .eq('id', req.params.wordId)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (fetchError) return next(fetchError);
+
+    if (!word) {
+      return res.status(404).json({ error: 'Word not found' });
+    }
+
+    const text = value.source === 'example' ? word.example_sentence : word.word;
+    if (!text) {
+      return res.status(404).json({ error: 'Word has no example sentence' });
+    }
+
+    const { filePath, contentType } = await ttsService.getAudio(text, { rate: value.rate });
+
+    res.type(contentType);
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.sendFile(filePath, err => {
+      if (err && !res.headersSent) next(err);
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
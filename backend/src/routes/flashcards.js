@@ -1,12 +1,67 @@
 import express from "express";
+import Joi from "joi";
+import multer from "multer";
 import { authMiddleware } from "../middleware/auth.js";
 import { FSRS, RATING, CARD_STATE } from "../services/fsrs.js";
+import { FSRSOptimizer, MIN_REVIEWS } from "../services/fsrsOptimizer.js";
 import { QuizFSRS, QUIZ_RESPONSE } from "../services/quizFsrs.js";
 import { quizService } from "../services/quizService.js";
+import { usageService } from "../services/usageService.js";
+import { cardService } from "../services/cardService.js";
+import { gradeAnswer, getAnswerRating } from "../services/answerGrader.js";
+import { asrService } from "../services/asrService.js";
+import { scorePronunciation, getPronunciationRating } from "../services/pronunciationScorer.js";
 
 const router = express.Router();
-const fsrs = new FSRS();
-const quizFsrs = new QuizFSRS();
+const fsrsOptimizer = new FSRSOptimizer();
+
+// Validation schemas
+const resetProgressSchema = Joi.object({
+  from: Joi.date().iso(), // Defaults to the start of today (UTC)
+  to: Joi.date().iso(), // Defaults to now
+  groups: Joi.array().items(
+    Joi.alternatives().try(Joi.string().uuid(), Joi.string().valid("ungrouped"))
+  ),
+  dryRun: Joi.boolean().default(false),
+});
+
+const typedAnswerSchema = Joi.object({
+  answer: Joi.string().allow("").max(200).required(),
+  responseTime: Joi.number().integer().min(0).default(5000),
+});
+
+// Answers are graded with edit-distance tables, so their length is capped. Chosen options
+// can be whole definitions, matching answers map each word to the chosen definition
+const quizAnswerSchema = Joi.object({
+  userAnswer: Joi.alternatives()
+    .try(
+      Joi.string().allow("").max(500),
+      Joi.object().pattern(Joi.string().max(200), Joi.string().allow("").max(500)).max(5)
+    )
+    .required(),
+  responseTime: Joi.number().integer().min(0).allow(null),
+  cardId: Joi.string().uuid().allow(null),
+});
+
+const pronunciationSchema = Joi.object({
+  source: Joi.string().valid("word", "example").default("word"),
+  responseTime: Joi.number().integer().min(0).default(5000),
+  // Retries after the rated attempt are practice, recorded without rating the card again
+  review: Joi.boolean().default(true),
+});
+
+// Recordings are 16 kHz mono WAV made in the browser, 2 MB is about a minute
+const recordingUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024,
+  },
+});
+
+const isWav = (buffer) =>
+  buffer.length > 44 &&
+  buffer.toString("ascii", 0, 4) === "RIFF" &&
+  buffer.toString("ascii", 8, 12) === "WAVE";
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
@@ -31,8 +86,13 @@ router.get("/due", async (req, res) => {
       .select(
         `
         *,
-        words!inner(*)
-      `
+        words!inner(
+          *,
+          found_in:sources!source_id(id, source_type, title, url, filename)
+        ),
+        sense:word_senses!sense_id(*)
+      `,
+        { count: "exact" }
       )
       .eq("user_id", userId)
       .lte("due_date", now);
@@ -59,15 +119,38 @@ router.get("/due", async (req, res) => {
       }
     }
 
-    const { data: cards, error } = await query
+    // Cards of other templates of a word are buried, so fetch extra to still fill the session
+    const { data: dueCards, count: dueCount, error } = await query
       .order("due_date", { ascending: true })
-      .limit(parseInt(limit));
+      .limit(Math.min(parseInt(limit) * 3, 500));
 
     if (error) {
       console.error("Error fetching due cards:", error);
       return res.status(500).json({ error: "Failed to fetch due cards" });
     }
 
+    // Every card reviewed today, a day's reviews are few compared to the due word ids
+    const startOfDay = new Date(new Date().toISOString().split("T")[0]).toISOString();
+    let reviewedToday;
+    try {
+      reviewedToday = await fetchAllPages(() =>
+        req.supabase
+          .from("cards")
+          .select("id, word_id")
+          .eq("user_id", userId)
+          .gte("last_review", startOfDay)
+          .order("id", { ascending: true })
+      );
+    } catch (reviewedError) {
+      console.error("Error fetching cards reviewed today:", reviewedError);
+      return res.status(500).json({ error: "Failed to fetch due cards" });
+    }
+
+    const { cards: unburied, buried } = cardService.burySiblings(dueCards, reviewedToday);
+    const cards = unburied.slice(0, parseInt(limit));
+
+    const { fsrs } = await getUserSchedulers(req.supabase, userId);
+
     // Add next intervals for preview
     let cardsWithIntervals = cards.map((card) => ({
       ...card,
@@ -105,7 +188,9 @@ router.get("/due", async (req, res) => {
 
     res.json({
       cards: cardsWithIntervals,
-      totalDue: cards.length,
+      // All due cards matching the filters, less the siblings buried among those fetched
+      totalDue: Math.max((dueCount ?? dueCards.length) - buried, cards.length),
+      buried,
     });
   } catch (error) {
     console.error("Error in /due endpoint:", error);
@@ -181,6 +266,47 @@ router.get("/stats", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/flashcards/workload
+ * Estimate daily review load for a range of desired retention values
+ */
+router.get("/workload", async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { data: cards, error } = await req.supabase
+      .from("cards")
+      .select("state, stability")
+      .eq("user_id", userId);
+
+    if (error) {
+      console.error("Error fetching cards for workload:", error);
+      return res.status(500).json({ error: "Failed to fetch cards" });
+    }
+
+    const { fsrs } = await getUserSchedulers(req.supabase, userId);
+    const retentions = [0.7, 0.75, 0.8, 0.85, 0.9, 0.93, 0.95, 0.97];
+
+    const estimates = retentions.map((retention) => {
+      const scheduler = new FSRS({ ...fsrs.parameters, requestRetention: retention });
+      return {
+        retention,
+        dailyReviews: Number(scheduler.estimateDailyReviews(cards).toFixed(1)),
+      };
+    });
+
+    res.json({
+      currentRetention: fsrs.parameters.requestRetention,
+      currentDailyReviews: Number(fsrs.estimateDailyReviews(cards).toFixed(1)),
+      estimates,
+      totalCards: cards.length,
+    });
+  } catch (error) {
+    console.error("Error in /workload endpoint:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 /**
  * POST /api/flashcards/:cardId/review
  * Submit a card review
@@ -213,84 +339,552 @@ router.post("/:cardId/review", async (req, res) => {
       return res.status(404).json({ error: "Card not found" });
     }
 
-    // Calculate new card parameters using FSRS
-    const reviewDate = new Date();
-    const newParams = fsrs.schedule(card, rating, reviewDate);
-
-    // Store old values for history
-    const oldValues = {
-      stability: card.stability,
-      difficulty: card.difficulty,
-      state: card.state,
-      due_date: card.due_date,
-    };
+    // Calculate new card parameters using the user's FSRS settings
+    const { fsrs } = await getUserSchedulers(req.supabase, userId);
+    const result = await applyCardReview(req.supabase, userId, fsrs, card, rating, responseTime);
+    if (result.error) {
+      console.error("Error updating card:", result.error);
+      return res.status(500).json({ error: "Failed to update card" });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error in /review endpoint:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/flashcards/:cardId/answer
+ * Grade a typed answer to a card and review the card with the rating it earns:
+ * the response quality from the answer time, capped by how close the answer was
+ */
+router.post("/:cardId/answer", async (req, res) => {
+  try {
+    const { cardId } = req.params;
+    const userId = req.user.id;
+
+    const { error: validationError, value } = typedAnswerSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: "Validation error",
+        details: validationError.details.map((detail) => ({
+          message: detail.message,
+          path: detail.path,
+        })),
+      });
+    }
 
-    // Update the card
-    const { data: updatedCard, error: updateError } = await req.supabase
+    const { data: card, error: cardError } = await req.supabase
       .from("cards")
-      .update({
-        stability: newParams.stability,
-        difficulty: newParams.difficulty,
-        elapsed_days: newParams.elapsedDays,
-        scheduled_days: newParams.scheduledDays,
-        reps: newParams.reps,
-        lapses: newParams.lapses,
-        last_review: newParams.lastReview.toISOString(),
-        state: newParams.state,
-        due_date: newParams.dueDate.toISOString(),
-        total_study_time: card.total_study_time + (responseTime || 0),
-      })
+      .select(
+        `
+        *,
+        words!inner(*)
+      `
+      )
       .eq("id", cardId)
       .eq("user_id", userId)
-      .select()
       .single();
 
-    if (updateError) {
-      console.error("Error updating card:", updateError);
+    if (cardError || !card) {
+      return res.status(404).json({ error: "Card not found" });
+    }
+
+    const grade = gradeAnswer(value.answer, card.words.word, { forms: card.words.forms || [] });
+
+    // Typing takes longer than flipping, so speed is judged against the card's own average
+    const { fsrs, quizFsrs } = await getUserSchedulers(req.supabase, userId);
+    const averageResponseTime = card.reps > 0 && card.total_study_time > 0
+      ? card.total_study_time / card.reps
+      : undefined;
+    const responseQuality = quizFsrs.determineResponseQuality(value.responseTime, grade.isCorrect, averageResponseTime);
+    const rating = getAnswerRating(grade, responseQuality);
+
+    const result = await applyCardReview(req.supabase, userId, fsrs, card, rating, value.responseTime);
+    if (result.error) {
+      console.error("Error updating card:", result.error);
       return res.status(500).json({ error: "Failed to update card" });
     }
 
-    // Record review history
-    const { error: historyError } = await req.supabase
-      .from("review_history")
+    res.json({
+      ...result,
+      grade,
+      rating,
+      responseQuality,
+    });
+  } catch (error) {
+    console.error("Error in /answer endpoint:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/flashcards/:cardId/pronunciation
+ * Score a recording of the card's word or example sentence and rate the card from the score
+ */
+router.post("/:cardId/pronunciation", (req, res, next) => {
+  recordingUpload.single("audio")(req, res, (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({ error: uploadError.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const { cardId } = req.params;
+    const userId = req.user.id;
+
+    const { error: validationError, value } = pronunciationSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: "Validation error",
+        details: validationError.details.map((detail) => ({
+          message: detail.message,
+          path: detail.path,
+        })),
+      });
+    }
+
+    if (!req.file || !isWav(req.file.buffer)) {
+      return res.status(400).json({ error: "A WAV recording is required" });
+    }
+
+    const { data: card, error: cardError } = await req.supabase
+      .from("cards")
+      .select(
+        `
+        *,
+        words!inner(*),
+        sense:word_senses!sense_id(*)
+      `
+      )
+      .eq("id", cardId)
+      .eq("user_id", userId)
+      .single();
+
+    if (cardError || !card) {
+      return res.status(404).json({ error: "Card not found" });
+    }
+
+    const { sense, ...cardWithWord } = card;
+    const target = value.source === "example"
+      ? sense?.example_sentence || card.words.example_sentence
+      : card.words.word;
+
+    if (!target) {
+      return res.status(400).json({ error: "The word has no example sentence" });
+    }
+
+    let transcript;
+    try {
+      transcript = await asrService.transcribe(req.file.buffer);
+    } catch (error) {
+      console.error("Error transcribing recording:", error);
+      // 503 when no speech recognition engine is set up
+      return res.status(error.statusCode || 500).json({ error: error.message });
+    }
+
+    const pronunciation = await scorePronunciation(transcript, target);
+    const rating = getPronunciationRating(pronunciation.score);
+
+    let result = {};
+    if (value.review) {
+      const { fsrs } = await getUserSchedulers(req.supabase, userId);
+      result = await applyCardReview(req.supabase, userId, fsrs, cardWithWord, rating, value.responseTime);
+      if (result.error) {
+        console.error("Error updating card:", result.error);
+        return res.status(500).json({ error: "Failed to update card" });
+      }
+    }
+
+    const { error: attemptError } = await req.supabase
+      .from("pronunciation_attempts")
       .insert({
         user_id: userId,
-        card_id: cardId,
-        rating,
-        response_time: responseTime,
-        old_stability: oldValues.stability,
-        old_difficulty: oldValues.difficulty,
-        old_state: oldValues.state,
-        old_due_date: oldValues.due_date,
-        new_stability: newParams.stability,
-        new_difficulty: newParams.difficulty,
-        new_state: newParams.state,
-        new_due_date: newParams.dueDate.toISOString(),
+        card_id: card.id,
+        review_id: result.reviewId || null,
+        source: value.source,
+        target_text: target,
+        transcript: pronunciation.transcript,
+        score: pronunciation.score,
+        phoneme_diff: pronunciation.diff,
+        scoring_method: pronunciation.method,
+        asr_engine: asrService.engine.id,
+        response_time: value.responseTime,
       });
 
-    if (historyError) {
-      console.error("Error recording review history:", historyError);
+    if (attemptError) {
+      console.error("Error recording pronunciation attempt:", attemptError);
       // Don't fail the request, just log the error
     }
 
-    // Update user statistics
-    await updateUserStatistics(req.supabase, userId, rating, responseTime || 0);
+    res.json({
+      ...result,
+      pronunciation,
+      rating,
+    });
+  } catch (error) {
+    console.error("Error in /pronunciation endpoint:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/flashcards/optimize
+ * Fit FSRS weights to the user's review history and save them to the profile
+ */
+router.post("/optimize", async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    if (!fsrsOptimizer.canStartWorker()) {
+      return res
+        .status(429)
+        .json({ error: "Other optimizations are running, please try again in a minute" });
+    }
+
+    let reviews;
+    try {
+      reviews = await fetchAllReviewHistory(
+        req.supabase,
+        userId,
+        "card_id, rating, created_at"
+      );
+    } catch (historyError) {
+      console.error("Error fetching review history:", historyError);
+      return res.status(500).json({ error: "Failed to fetch review history" });
+    }
+
+    if (reviews.length < MIN_REVIEWS) {
+      return res.status(400).json({
+        error: `At least ${MIN_REVIEWS} reviews are required to optimize parameters`,
+        reviewCount: reviews.length,
+      });
+    }
+
+    const result = await fsrsOptimizer.optimizeInWorker(reviews);
+
+    const { data: profile, error: updateError } = await req.supabase
+      .from("profiles")
+      .update({
+        fsrs_parameters: { w: result.w },
+        fsrs_optimized_at: new Date().toISOString(),
+        fsrs_review_count: result.reviewCount,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", userId)
+      .select("fsrs_parameters, fsrs_optimized_at, fsrs_review_count")
+      .single();
+
+    if (updateError) {
+      console.error("Error saving FSRS parameters:", updateError);
+      return res.status(500).json({ error: "Failed to save FSRS parameters" });
+    }
 
     res.json({
-      card: {
-        ...updatedCard,
-        words: card.words,
-      },
-      nextIntervals: fsrs.getNextIntervals(updatedCard),
-      reviewResult: {
-        oldState: oldValues.state,
-        newState: newParams.state,
-        interval: newParams.scheduledDays,
-        dueDate: newParams.dueDate,
-      },
+      message: "FSRS parameters optimized successfully",
+      parameters: profile.fsrs_parameters,
+      optimizedAt: profile.fsrs_optimized_at,
+      reviewCount: result.reviewCount,
+      cardCount: result.cardCount,
+      initialLoss: result.initialLoss,
+      finalLoss: result.finalLoss,
     });
   } catch (error) {
-    console.error("Error in /review endpoint:", error);
+    console.error("Error in /optimize endpoint:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/flashcards/reviews/:reviewId/undo
+ * Undo a card review, restoring the card from its review history entry
+ */
+router.post("/reviews/:reviewId/undo", async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    const userId = req.user.id;
+
+    const { data: review, error: reviewError } = await req.supabase
+      .from("review_history")
+      .select("*")
+      .eq("id", reviewId)
+      .eq("user_id", userId)
+      .single();
+
+    if (reviewError || !review) {
+      return res.status(404).json({ error: "Review not found" });
+    }
+
+    // Older reviews were superseded by later ones, restoring them would lose progress
+    const { data: laterReviews, error: laterError } = await req.supabase
+      .from("review_history")
+      .select("id")
+      .eq("card_id", review.card_id)
+      .eq("user_id", userId)
+      .gt("created_at", review.created_at)
+      .limit(1);
+
+    if (laterError) {
+      console.error("Error checking later reviews:", laterError);
+      return res.status(500).json({ error: "Failed to undo review" });
+    }
+
+    if (laterReviews.length > 0) {
+      return res
+        .status(409)
+        .json({ error: "Only the most recent review of a card can be undone" });
+    }
+
+    const { data: card, error: cardError } = await req.supabase
+      .from("cards")
+      .select("*")
+      .eq("id", review.card_id)
+      .eq("user_id", userId)
+      .single();
+
+    if (cardError || !card) {
+      return res.status(404).json({ error: "Card not found" });
+    }
+
+    // Restore the card, delete the review and revert statistics in one transaction
+    // (sql/30_undo_review_function.sql)
+    const { error: undoError } = await req.supabase.rpc("undo_review", {
+      p_review_id: reviewId,
+      p_card: getCardStateBeforeReviews(card, [review]),
+    });
+
+    if (undoError) {
+      console.error("Error undoing review:", undoError);
+      return res.status(500).json({ error: "Failed to undo review" });
+    }
+
+    const { data: restoredCard, error: restoredError } = await req.supabase
+      .from("cards")
+      .select(
+        `
+        *,
+        words!inner(*)
+      `
+      )
+      .eq("id", card.id)
+      .eq("user_id", userId)
+      .single();
+
+    if (restoredError) {
+      console.error("Error fetching restored card:", restoredError);
+      return res.status(500).json({ error: "Failed to fetch restored card" });
+    }
+
+    const { fsrs } = await getUserSchedulers(req.supabase, userId);
+
+    res.json({
+      message: "Review undone successfully",
+      card: restoredCard,
+      nextIntervals: fsrs.getNextIntervals(restoredCard),
+    });
+  } catch (error) {
+    console.error("Error in /reviews/undo endpoint:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/flashcards/reset
+ * Revert every card reviewed in a date range to its state before the range
+ */
+router.post("/reset", async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const { error: validationError, value } = resetProgressSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: "Validation error",
+        details: validationError.details.map((detail) => ({
+          message: detail.message,
+          path: detail.path,
+        })),
+      });
+    }
+
+    const to = value.to || new Date();
+    const from = value.from || new Date(new Date().toISOString().split("T")[0]);
+    if (from >= to) {
+      return res.status(400).json({ error: "'from' must be before 'to'" });
+    }
+
+    const matchesGroups = (word) => {
+      if (!value.groups || value.groups.length === 0) return true;
+      if (!word.group_id) return value.groups.includes("ungrouped");
+      return value.groups.includes(word.group_id);
+    };
+
+    // Reviews in the range, with the card and word they belong to. The earliest review of
+    // each card decides its restored state, so the whole range is read
+    let rangeReviews;
+    try {
+      rangeReviews = await fetchAllPages(() =>
+        req.supabase
+          .from("review_history")
+          .select(
+            `
+            *,
+            cards!inner(
+              *,
+              words!inner(word, definition, group_id)
+            )
+          `
+          )
+          .eq("user_id", userId)
+          .gte("created_at", from.toISOString())
+          .lt("created_at", to.toISOString())
+          .order("created_at", { ascending: true })
+          .order("id", { ascending: true })
+      );
+    } catch (reviewsError) {
+      console.error("Error fetching review history for reset:", reviewsError);
+      return res.status(500).json({ error: "Failed to fetch review history" });
+    }
+
+    const reviewsByCard = {};
+    rangeReviews
+      .filter((review) => matchesGroups(review.cards.words))
+      .forEach((review) => {
+        if (!reviewsByCard[review.card_id]) {
+          reviewsByCard[review.card_id] = [];
+        }
+        reviewsByCard[review.card_id].push(review);
+      });
+
+    const cardIds = Object.keys(reviewsByCard);
+
+    // Cards reviewed again after the range would lose that progress, leave them alone.
+    // Looked up in chunks to keep the request URLs short
+    const chunkSize = 200;
+    const laterCardIds = new Set();
+    try {
+      for (let i = 0; i < cardIds.length; i += chunkSize) {
+        const laterReviews = await fetchAllPages(() =>
+          req.supabase
+            .from("review_history")
+            .select("id, card_id")
+            .eq("user_id", userId)
+            .in("card_id", cardIds.slice(i, i + chunkSize))
+            .gte("created_at", to.toISOString())
+            .order("id", { ascending: true })
+        );
+        laterReviews.forEach((review) => laterCardIds.add(review.card_id));
+      }
+    } catch (laterError) {
+      console.error("Error checking later reviews for reset:", laterError);
+      return res.status(500).json({ error: "Failed to fetch review history" });
+    }
+
+    const toRevert = [];
+    const skipped = [];
+    cardIds.forEach((cardId) => {
+      const reviews = reviewsByCard[cardId];
+      const { words, ...card } = reviews[0].cards;
+      const summary = {
+        cardId,
+        word: words.word,
+        definition: words.definition,
+        reviewCount: reviews.length,
+        currentState: card.state,
+      };
+
+      if (laterCardIds.has(cardId)) {
+        skipped.push({ ...summary, reason: "Reviewed again after the selected range" });
+      } else {
+        const restored = getCardStateBeforeReviews(card, reviews);
+        toRevert.push({ ...summary, card, reviews, restored });
+      }
+    });
+
+    const reviewIds = toRevert.flatMap((entry) => entry.reviews.map((review) => review.id));
+
+    // Quiz attempts in the range, filtered by group through their card's word
+    let rangeAttempts;
+    try {
+      rangeAttempts = await fetchAllPages(() =>
+        req.supabase
+          .from("quiz_attempts")
+          .select(
+            `
+            id,
+            cards!inner(
+              words!inner(group_id)
+            )
+          `
+          )
+          .eq("user_id", userId)
+          .gte("created_at", from.toISOString())
+          .lt("created_at", to.toISOString())
+          .order("id", { ascending: true })
+      );
+    } catch (attemptsError) {
+      console.error("Error fetching quiz attempts for reset:", attemptsError);
+      return res.status(500).json({ error: "Failed to fetch quiz attempts" });
+    }
+
+    const attemptIds = rangeAttempts
+      .filter((attempt) => matchesGroups(attempt.cards.words))
+      .map((attempt) => attempt.id);
+
+    const cards = toRevert.map(({ cardId, word, definition, reviewCount, currentState, restored }) => ({
+      cardId,
+      word,
+      definition,
+      reviewCount,
+      currentState,
+      restoredState: restored.state,
+      restoredDueDate: restored.due_date,
+    }));
+
+    if (value.dryRun) {
+      return res.json({
+        dryRun: true,
+        from,
+        to,
+        cards,
+        skipped,
+        reviewCount: reviewIds.length,
+        quizAttemptCount: attemptIds.length,
+      });
+    }
+
+    // Restore the cards and delete their history in one transaction (sql/29_reset_progress_function.sql)
+    const { error: resetError } = await req.supabase.rpc("reset_review_progress", {
+      p_cards: toRevert.map((entry) => ({ id: entry.cardId, ...entry.restored })),
+      p_review_ids: reviewIds,
+      p_attempt_ids: attemptIds,
+    });
+
+    if (resetError) {
+      console.error("Error resetting progress:", resetError);
+      return res.status(500).json({ error: "Failed to reset progress" });
+    }
+
+    try {
+      await recomputeUserStatistics(req.supabase, userId);
+    } catch (statsError) {
+      console.error("Error recomputing user statistics:", statsError);
+      return res.status(500).json({ error: "Failed to recompute statistics" });
+    }
+
+    res.json({
+      dryRun: false,
+      from,
+      to,
+      cards,
+      skipped,
+      reviewCount: reviewIds.length,
+      quizAttemptCount: attemptIds.length,
+    });
+  } catch (error) {
+    console.error("Error in /reset endpoint:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
@@ -427,10 +1021,9 @@ router.get("/:cardId/quiz", async (req, res) => {
         : ["fill_blank", "definition_choice"];
 
       try {
-        const newQuestions = await quizService.generateQuizQuestions(
-          word,
-          questionTypes,
-          1
+        const newQuestions = await usageService.run(
+          { supabase: req.supabase, userId, feature: "quiz-generation" },
+          () => quizService.generateQuizQuestions(word, questionTypes, 1)
         );
 
         if (newQuestions.length > 0) {
@@ -487,9 +1080,21 @@ router.get("/:cardId/quiz", async (req, res) => {
 router.post("/quiz/:questionId/answer", async (req, res) => {
   try {
     const { questionId } = req.params;
-    const { userAnswer, responseTime, cardId } = req.body;
     const userId = req.user.id;
 
+    const { error: validationError, value } = quizAnswerSchema.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: "Validation error",
+        details: validationError.details.map((detail) => ({
+          message: detail.message,
+          path: detail.path,
+        })),
+      });
+    }
+
+    const { userAnswer, responseTime, cardId } = value;
+
     // Get the question with current FSRS data
     const { data: question, error: questionError } = await req.supabase
       .from("quiz_questions")
@@ -501,12 +1106,10 @@ router.post("/quiz/:questionId/answer", async (req, res) => {
       return res.status(404).json({ error: "Question not found" });
     }
 
-    // Check if answer is correct
-    const isCorrect =
-      userAnswer.trim().toLowerCase() ===
-      question.correct_answer.trim().toLowerCase();
+    const grade = quizService.gradeQuizAnswer(question, userAnswer);
+    const isCorrect = grade.isCorrect;
 
-    // Find the card associated with this question's word
+    // Find the card associated with this question's word, its oldest card when it has one per sense
     let actualCardId = cardId;
     if (!cardId) {
       const { data: card, error: cardError } = await req.supabase
@@ -514,7 +1117,9 @@ router.post("/quiz/:questionId/answer", async (req, res) => {
         .select("id")
         .eq("user_id", userId)
         .eq("word_id", question.word_id)
-        .single();
+        .order("created_at", { ascending: true })
+        .limit(1)
+        .maybeSingle();
 
       if (!cardError && card) {
         actualCardId = card.id;
@@ -549,6 +1154,7 @@ router.post("/quiz/:questionId/answer", async (req, res) => {
     }
 
     // Calculate new FSRS parameters
+    const { quizFsrs } = await getUserSchedulers(req.supabase, userId);
     const reviewDate = new Date();
     const newParams = quizFsrs.schedule(question, isCorrect, responseTime || 5000, reviewDate);
 
@@ -559,7 +1165,8 @@ router.post("/quiz/:questionId/answer", async (req, res) => {
         user_id: userId,
         card_id: actualCardId,
         question_id: questionId,
-        user_answer: userAnswer,
+        // Matching answers are word -> definition objects
+        user_answer: typeof userAnswer === "string" ? userAnswer : JSON.stringify(userAnswer),
         is_correct: isCorrect,
         response_time: responseTime,
       });
@@ -614,6 +1221,7 @@ router.post("/quiz/:questionId/answer", async (req, res) => {
       correctAnswer: question.correct_answer,
       explanation: question.explanation,
       userAnswer,
+      grade,
       fsrs: {
         // Detailed FSRS information
         stability: newParams.stability,
@@ -732,6 +1340,140 @@ router.get("/progress", async (req, res) => {
   }
 });
 
+/**
+ * Helper function to build the user's flashcard and quiz schedulers
+ * from their optimized weights and scheduling preferences
+ */
+async function getUserSchedulers(supabase, userId) {
+  const { data: profile, error } = await supabase
+    .from("profiles")
+    .select("fsrs_parameters, desired_retention, maximum_interval, quiz_minimum_interval")
+    .eq("id", userId)
+    .single();
+
+  if (error && error.code !== "PGRST116") {
+    console.error("Error fetching scheduling settings:", error);
+  }
+
+  const fsrsParameters = {};
+  const quizParameters = {};
+
+  const weights = profile?.fsrs_parameters?.w;
+  if (Array.isArray(weights) && weights.length === 17) {
+    fsrsParameters.w = weights;
+  }
+  // Retention and maximum interval are flashcard settings, quizzes keep their own defaults
+  if (profile?.desired_retention) {
+    fsrsParameters.requestRetention = profile.desired_retention;
+  }
+  if (profile?.maximum_interval) {
+    fsrsParameters.maximumInterval = profile.maximum_interval;
+  }
+  if (profile?.quiz_minimum_interval) {
+    quizParameters.minimumInterval = profile.quiz_minimum_interval;
+  }
+
+  return {
+    fsrs: new FSRS(fsrsParameters),
+    quizFsrs: new QuizFSRS(quizParameters),
+  };
+}
+
+/**
+ * Helper function to apply a rating to a card: schedule it, record the review
+ * and update the user's statistics
+ * @returns {Object} The review response, or { error } when the card could not be updated
+ */
+async function applyCardReview(supabase, userId, fsrs, card, rating, responseTime) {
+  const reviewDate = new Date();
+  const newParams = fsrs.schedule(card, rating, reviewDate);
+
+  // Store old values for history (enough to restore the card on undo)
+  const oldValues = {
+    stability: card.stability,
+    difficulty: card.difficulty,
+    state: card.state,
+    due_date: card.due_date,
+    reps: card.reps,
+    lapses: card.lapses,
+    last_review: card.last_review,
+    elapsed_days: card.elapsed_days,
+    scheduled_days: card.scheduled_days,
+  };
+
+  // Update the card
+  const { data: updatedCard, error: updateError } = await supabase
+    .from("cards")
+    .update({
+      stability: newParams.stability,
+      difficulty: newParams.difficulty,
+      elapsed_days: newParams.elapsedDays,
+      scheduled_days: newParams.scheduledDays,
+      reps: newParams.reps,
+      lapses: newParams.lapses,
+      last_review: newParams.lastReview.toISOString(),
+      state: newParams.state,
+      due_date: newParams.dueDate.toISOString(),
+      total_study_time: card.total_study_time + (responseTime || 0),
+    })
+    .eq("id", card.id)
+    .eq("user_id", userId)
+    .select()
+    .single();
+
+  if (updateError) {
+    return { error: updateError };
+  }
+
+  // Record review history
+  const { data: review, error: historyError } = await supabase
+    .from("review_history")
+    .insert({
+      user_id: userId,
+      card_id: card.id,
+      rating,
+      response_time: responseTime,
+      old_stability: oldValues.stability,
+      old_difficulty: oldValues.difficulty,
+      old_state: oldValues.state,
+      old_due_date: oldValues.due_date,
+      old_reps: oldValues.reps,
+      old_lapses: oldValues.lapses,
+      old_last_review: oldValues.last_review,
+      old_elapsed_days: oldValues.elapsed_days,
+      old_scheduled_days: oldValues.scheduled_days,
+      new_stability: newParams.stability,
+      new_difficulty: newParams.difficulty,
+      new_state: newParams.state,
+      new_due_date: newParams.dueDate.toISOString(),
+    })
+    .select("id")
+    .single();
+
+  if (historyError) {
+    console.error("Error recording review history:", historyError);
+    // Don't fail the request, just log the error
+  }
+
+  // Update user statistics
+  await updateUserStatistics(supabase, userId, rating, responseTime || 0);
+
+  return {
+    reviewId: review?.id || null,
+    card: {
+      ...updatedCard,
+      words: card.words,
+    },
+    nextIntervals: fsrs.getNextIntervals(updatedCard),
+    reviewResult: {
+      oldState: oldValues.state,
+      newState: newParams.state,
+      interval: newParams.scheduledDays,
+      dueDate: newParams.dueDate,
+    },
+  };
+}
+
 /**
  * Helper function to update user statistics
  */
@@ -825,6 +1567,128 @@ async function updateUserStatistics(supabase, userId, rating, responseTime) {
   }
 }
 
+/**
+ * Helper function to compute a card's fields as they were before a run of reviews
+ * @param {Object} card - Current card row
+ * @param {Array} reviews - review_history rows of the card, oldest first
+ * Reviews recorded before the full snapshot columns existed are reversed
+ * from their ratings instead
+ */
+function getCardStateBeforeReviews(card, reviews) {
+  const [firstReview] = reviews;
+  const hasSnapshot = firstReview.old_reps !== null && firstReview.old_reps !== undefined;
+  const lapseCount = reviews.filter(
+    (review) => review.rating === 1 && review.old_state !== "new"
+  ).length;
+  const studyTime = reviews.reduce((sum, review) => sum + (review.response_time || 0), 0);
+
+  return {
+    stability: firstReview.old_stability,
+    difficulty: firstReview.old_difficulty,
+    state: firstReview.old_state,
+    due_date: firstReview.old_due_date,
+    reps: hasSnapshot ? firstReview.old_reps : Math.max(0, card.reps - reviews.length),
+    lapses: hasSnapshot ? firstReview.old_lapses : Math.max(0, card.lapses - lapseCount),
+    last_review: hasSnapshot ? firstReview.old_last_review : card.last_review,
+    elapsed_days: hasSnapshot ? firstReview.old_elapsed_days : card.elapsed_days,
+    scheduled_days: hasSnapshot ? firstReview.old_scheduled_days : card.scheduled_days,
+    total_study_time: Math.max(0, (card.total_study_time || 0) - studyTime),
+  };
+}
+
+/**
+ * Helper function to fetch every row of a select
+ * Supabase caps each select, so the rows are read page by page. buildQuery returns a
+ * fresh, ordered query for each page
+ */
+async function fetchAllPages(buildQuery) {
+  const pageSize = 1000;
+  const rows = [];
+
+  for (let from = 0; ; from += pageSize) {
+    const { data: page, error } = await buildQuery().range(from, from + pageSize - 1);
+
+    if (error) throw error;
+
+    rows.push(...page);
+    if (page.length < pageSize) break;
+  }
+
+  return rows;
+}
+
+/**
+ * Helper function to fetch every review_history row of a user
+ */
+async function fetchAllReviewHistory(supabase, userId, columns) {
+  return fetchAllPages(() =>
+    supabase
+      .from("review_history")
+      .select(columns)
+      .eq("user_id", userId)
+      .order("created_at", { ascending: true })
+  );
+}
+
+/**
+ * Helper function to rebuild user statistics from the remaining review history
+ */
+async function recomputeUserStatistics(supabase, userId) {
+  const reviews = await fetchAllReviewHistory(
+    supabase,
+    userId,
+    "rating, response_time, created_at"
+  );
+
+  const totalReviews = reviews.length;
+  const correctReviews = reviews.filter((review) => review.rating >= 3).length;
+  const totalResponseTime = reviews.reduce(
+    (sum, review) => sum + (review.response_time || 0),
+    0
+  );
+
+  // Streaks from the distinct study days, oldest first
+  const studyDates = [...new Set(reviews.map((review) => review.created_at.split("T")[0]))];
+  const dayIndex = (date) => Math.round(new Date(date).getTime() / (1000 * 60 * 60 * 24));
+
+  let longestStreak = 0;
+  let runLength = 0;
+  studyDates.forEach((date, i) => {
+    runLength = i > 0 && dayIndex(date) - dayIndex(studyDates[i - 1]) === 1 ? runLength + 1 : 1;
+    longestStreak = Math.max(longestStreak, runLength);
+  });
+
+  const lastStudyDate = studyDates[studyDates.length - 1] || null;
+  const today = new Date().toISOString().split("T")[0];
+  // A streak is still alive if the last study day was today or yesterday
+  const currentStreak =
+    lastStudyDate && dayIndex(today) - dayIndex(lastStudyDate) <= 1 ? runLength : 0;
+
+  // Count mastered words (cards with stability > 21 days)
+  const { data: masteredCards, error: masteredError } = await supabase
+    .from("cards")
+    .select("id")
+    .eq("user_id", userId)
+    .gte("stability", 21);
+
+  if (masteredError) throw masteredError;
+
+  const { error: upsertError } = await supabase.from("user_statistics").upsert({
+    user_id: userId,
+    total_cards_studied: totalReviews,
+    total_study_time: totalResponseTime,
+    total_reviews: totalReviews,
+    average_retention_rate: totalReviews > 0 ? correctReviews / totalReviews : 0,
+    average_response_time: totalReviews > 0 ? Math.round(totalResponseTime / totalReviews) : 0,
+    current_streak: currentStreak,
+    longest_streak: longestStreak,
+    words_mastered: masteredCards.length,
+    last_study_date: lastStudyDate,
+  });
+
+  if (upsertError) throw upsertError;
+}
+
 /**
  * DELETE /api/flashcards/quiz-questions/:questionId
  * Delete a quiz question
@@ -878,10 +1742,10 @@ router.delete("/quiz-questions/:questionId", async (req, res) => {
 router.get("/quiz-questions", async (req, res) => {
   try {
     const userId = req.user.id;
-    const { limit = 100, includeNew = true, groups } = req.query;
+    const { limit = 100, includeNew = true, groups, types } = req.query;
 
     console.log(
-      `Fetching quiz questions for user ${userId}, limit: ${limit}, includeNew: ${includeNew}, groups: ${groups}`
+      `Fetching quiz questions for user ${userId}, limit: ${limit}, includeNew: ${includeNew}, groups: ${groups}, types: ${types}`
     );
 
     const now = new Date();
@@ -900,7 +1764,7 @@ router.get("/quiz-questions", async (req, res) => {
           word_type,
           cefr_level,
           example_sentence,
-          vietnamese_translation,
+          translations,
           synonyms,
           group_id
         )
@@ -927,6 +1791,11 @@ router.get("/quiz-questions", async (req, res) => {
       }
     }
 
+    // Filter by question types if specified (e.g. "listening" for dictation)
+    if (types) {
+      query = query.in("question_type", types.split(",").map(type => type.trim()));
+    }
+
     // Filter by due date for questions that have been reviewed before
     // Include questions that are due now OR new questions (no due_date set)
     if (includeNew === "true" || includeNew === true) {
@@ -954,6 +1823,7 @@ router.get("/quiz-questions", async (req, res) => {
     }
 
     // Process questions with FSRS prioritization
+    const { quizFsrs } = await getUserSchedulers(req.supabase, userId);
     const processedQuestions = questions.map((question) => {
       const isDue = quizFsrs.isDue(question, now);
       const isNew = !question.due_date || !question.last_review;
@@ -1,5 +1,7 @@
 import express from 'express';
 import Joi from 'joi';
+import { cardService } from '../services/cardService.js';
+import { CARD_TEMPLATE_IDS, DEFAULT_CARD_TEMPLATES } from '../config/cardTemplates.js';
 
 const router = express.Router();
 
@@ -9,6 +11,7 @@ const createGroupSchema = Joi.object({
   description: Joi.string().max(500).allow('', null).default(''),
   color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).default('#6366f1'),
   icon: Joi.string().max(50).default('folder'),
+  card_templates: Joi.array().items(Joi.string().valid(...CARD_TEMPLATE_IDS)).min(1).unique().default(DEFAULT_CARD_TEMPLATES),
 });
 
 const updateGroupSchema = Joi.object({
@@ -16,6 +19,7 @@ const updateGroupSchema = Joi.object({
   description: Joi.string().max(500).allow('', null),
   color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/),
   icon: Joi.string().max(50),
+  card_templates: Joi.array().items(Joi.string().valid(...CARD_TEMPLATE_IDS)).min(1).unique(),
 }).min(1); // At least one field required
 
 const listGroupsSchema = Joi.object({
@@ -118,7 +122,7 @@ router.post('/', async (req, res, next) => {
       return next(error);
     }
 
-    const { name, description, color, icon } = value;
+    const { name, description, color, icon, card_templates } = value;
 
     // Check for duplicate name
     const { data: existing } = await req.supabase
@@ -141,6 +145,7 @@ router.post('/', async (req, res, next) => {
         description: description || '',
         color,
         icon,
+        card_templates,
       })
       .select()
       .single();
@@ -190,6 +195,11 @@ router.put('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Group not found' });
     }
 
+    // Words of the group get a card for each enabled template and lose the cards of disabled ones
+    if (value.card_templates) {
+      await cardService.syncGroupCards(req.supabase, req.user.id, group.id);
+    }
+
     // Get vocabulary count
     const { count } = await req.supabase
       .from('words')
@@ -211,13 +221,15 @@ router.put('/:id', async (req, res, next) => {
 // DELETE /api/groups/:id - Delete group (orphans words)
 router.delete('/:id', async (req, res, next) => {
   try {
-    // Count words in group before deletion
-    const { count: wordCount } = await req.supabase
+    // Words in group before deletion, they fall back to the default card templates
+    const { data: orphanedWords, error: wordsError } = await req.supabase
       .from('words')
-      .select('id', { count: 'exact', head: true })
+      .select('id')
       .eq('group_id', req.params.id)
       .eq('user_id', req.user.id);
 
+    if (wordsError) return next(wordsError);
+
     // Delete group (ON DELETE SET NULL will orphan words)
     const { error: deleteError } = await req.supabase
       .from('collections')
@@ -232,10 +244,12 @@ router.delete('/:id', async (req, res, next) => {
       return next(deleteError);
     }
 
+    await cardService.syncWordCards(req.supabase, req.user.id, orphanedWords.map(word => word.id));
+
     res.json({
       data: {
         deleted: true,
-        orphanedWords: wordCount || 0,
+        orphanedWords: orphanedWords.length,
       },
     });
   } catch (err) {
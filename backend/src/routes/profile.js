@@ -1,5 +1,6 @@
 import express from 'express';
 import Joi from 'joi';
+import { NATIVE_LANGUAGES, NATIVE_LANGUAGE_CODES } from '../config/languages.js';
 
 const router = express.Router();
 
@@ -13,6 +14,16 @@ const updateCefrLevelSchema = Joi.object({
   cefrLevel: Joi.string().valid('A1', 'A2', 'B1', 'B2', 'C1', 'C2').required(),
 });
 
+const updateNativeLanguageSchema = Joi.object({
+  nativeLanguage: Joi.string().valid(...NATIVE_LANGUAGE_CODES).required(),
+});
+
+const updateSchedulingSchema = Joi.object({
+  desiredRetention: Joi.number().min(0.7).max(0.97),
+  maximumInterval: Joi.number().integer().min(1).max(36500),
+  quizMinimumInterval: Joi.number().min(0.04).max(7), // Days (1 hour to 1 week)
+}).min(1);
+
 // Get user profile and stats
 router.get('/', async (req, res, next) => {
   try {
@@ -71,6 +82,8 @@ router.get('/', async (req, res, next) => {
         ...profile,
         stats,
       },
+      // The languages the native language can be set to, so the frontend has no copy of its own
+      nativeLanguages: Object.entries(NATIVE_LANGUAGES).map(([code, name]) => ({ code, name })),
     });
   } catch (error) {
     next(error);
@@ -279,6 +292,74 @@ router.put('/cefr-level', async (req, res, next) => {
   }
 });
 
+// Update the language translations are given in
+router.put('/native-language', async (req, res, next) => {
+  try {
+    const { error, value } = updateNativeLanguageSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const { data: profile, error: updateError } = await req.supabase
+      .from('profiles')
+      .update({
+        native_language: value.nativeLanguage,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', req.user.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      return next(updateError);
+    }
+
+    res.json({
+      message: 'Native language updated successfully',
+      profile,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update spaced repetition scheduling preferences
+router.put('/scheduling', async (req, res, next) => {
+  try {
+    const { error, value } = updateSchedulingSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const updates = {
+      updated_at: new Date().toISOString(),
+    };
+    if (value.desiredRetention !== undefined) updates.desired_retention = value.desiredRetention;
+    if (value.maximumInterval !== undefined) updates.maximum_interval = value.maximumInterval;
+    if (value.quizMinimumInterval !== undefined) updates.quiz_minimum_interval = value.quizMinimumInterval;
+
+    const { data: profile, error: updateError } = await req.supabase
+      .from('profiles')
+      .update(updates)
+      .eq('id', req.user.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      return next(updateError);
+    }
+
+    res.json({
+      message: 'Scheduling preferences updated successfully',
+      profile,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Use streak freeze
 router.post('/use-freeze', async (req, res, next) => {
   try {
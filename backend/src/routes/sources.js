@@ -0,0 +1,68 @@
+import express from 'express';
+import Joi from 'joi';
+import { sourceService } from '../services/sourceService.js';
+
+const router = express.Router();
+
+// Validation schemas
+const listSourcesSchema = Joi.object({
+  type: Joi.string().valid('website', 'youtube', 'file', 'text').optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+// GET /api/sources - List analyzed sources with the number of words saved from each
+router.get('/', async (req, res, next) => {
+  try {
+    const { error, value } = listSourcesSchema.validate(req.query);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const { sources, total } = await sourceService.listSources(req.supabase, value);
+
+    res.json({ data: sources, total });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/sources/:id - Fetch a source with its content and the words saved from it
+router.get('/:id', async (req, res, next) => {
+  try {
+    const source = await sourceService.getSource(req.supabase, req.params.id);
+
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    res.json({ data: source });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// DELETE /api/sources/:id - Delete a source, its words are kept without the link
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { data: deleted, error: deleteError } = await req.supabase
+      .from('sources')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (deleteError) return next(deleteError);
+
+    if (deleted.length === 0) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    res.json({ data: { deleted: true } });
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -1,10 +1,52 @@
 import express from 'express';
 import Joi from 'joi';
 import { quizService } from '../services/quizService.js';
+import { usageService } from '../services/usageService.js';
+import { meterAIUsage } from '../middleware/aiUsage.js';
+import { sourceService } from '../services/sourceService.js';
+import { wordFamilyService } from '../services/wordFamilyService.js';
+import { areInflections } from '../services/lemmatizer.js';
+import { senseService } from '../services/senseService.js';
+import { cardService } from '../services/cardService.js';
+import { NATIVE_LANGUAGE_CODES, getUserNativeLanguage } from '../config/languages.js';
 
 const router = express.Router();
 
 // Validation schemas
+// Translations by language code, e.g. { vi: '...', es: '...' }
+const translationsSchema = Joi.object().pattern(
+  Joi.string().valid(...NATIVE_LANGUAGE_CODES),
+  Joi.string().max(500).allow('')
+);
+
+// Where a word was found: the subtitle cue of a YouTube video or subtitle file, times in seconds
+const wordSourceSchema = Joi.object({
+  type: Joi.string().valid('youtube', 'subtitle').required(),
+  url: Joi.string().uri().optional(),
+  videoId: Joi.string().max(20).optional(),
+  filename: Joi.string().max(255).optional(),
+  title: Joi.string().max(500).allow('').optional(),
+  start: Joi.number().min(0).required(),
+  end: Joi.number().min(0).optional(),
+  text: Joi.string().max(1000).allow('').optional(),
+});
+
+// One meaning of the word; senses passed with their id keep their row and flashcard
+const senseSchema = Joi.object({
+  id: Joi.string().uuid().optional(),
+  partOfSpeech: Joi.string().max(50).allow('').default(''),
+  definition: Joi.string().min(1).max(1000).required(),
+  exampleSentence: Joi.string().max(500).allow('').default(''),
+  cefrLevel: Joi.string().valid('A1', 'A2', 'B1', 'B2', 'C1', 'C2', '').default(''),
+  translations: translationsSchema.default({}),
+  study: Joi.boolean().default(true), // Whether the sense gets a flashcard
+});
+
+// Senses of a word, at least one of them studied
+const sensesSchema = Joi.array().items(senseSchema).min(1).max(10)
+  .custom((senses, helpers) => (senses.some(sense => sense.study) ? senses : helpers.error('senses.study')))
+  .messages({ 'senses.study': 'Choose at least one sense to study' });
+
 const createWordSchema = Joi.object({
   word: Joi.string().min(1).max(100).required(),
   definition: Joi.string().max(1000).default(''),
@@ -16,8 +58,18 @@ const createWordSchema = Joi.object({
   tags: Joi.array().items(Joi.string().max(50)).default([]),
   collectionId: Joi.string().uuid().optional(),
   groupId: Joi.string().uuid().optional().allow(null), // NEW: Group assignment
-  vietnameseTranslation: Joi.string().max(500).default(''),
+  translations: translationsSchema.default({}),
   synonyms: Joi.string().max(1000).default(''),
+  source: wordSourceSchema.allow(null).optional(),
+  sourceId: Joi.string().uuid().allow(null).optional(), // Analyzed source the word was found in
+  sourceSentence: Joi.string().max(1000).allow('', null).optional(),
+  // What to do when the word is an inflection of a saved word: add it to that word's forms or save it anyway
+  inflection: Joi.string().valid('merge', 'separate').optional(),
+  senses: sensesSchema.optional(),
+});
+
+const updateSensesSchema = Joi.object({
+  senses: sensesSchema.required(),
 });
 
 const updateWordSchema = Joi.object({
@@ -30,7 +82,7 @@ const updateWordSchema = Joi.object({
   notes: Joi.string().max(1000),
   tags: Joi.array().items(Joi.string().max(50)),
   groupId: Joi.string().uuid().optional().allow(null), // NEW: Group reassignment
-  vietnameseTranslation: Joi.string().max(500),
+  translations: translationsSchema, // Replaces all translations of the word
   synonyms: Joi.string().max(1000),
 });
 
@@ -58,23 +110,27 @@ router.get('/', async (req, res, next) => {
 
     const { q, limit, offset, collection, groups, sortBy, sortOrder } = value;
 
+    // Translations are searched in the learner's language
+    const searchFilter = q && buildSearchFilter(q, await getUserNativeLanguage(req.supabase, req.user.id));
+
     let query = req.supabase
       .from('words')
       .select(`
         *,
         group:collections!group_id(id, name, color, icon),
+        found_in:sources!source_id(id, source_type, title, url, filename),
+        senses:word_senses(*),
         word_collections(
           collection_id,
           collections(name)
         )
       `)
-      .eq('user_id', req.user.id);
+      .eq('user_id', req.user.id)
+      .order('position', { referencedTable: 'senses', ascending: true });
 
     // Add search filter
     if (q) {
-      query = query.or(
-        `word.ilike.%${q}%,definition.ilike.%${q}%,example_sentence.ilike.%${q}%,vietnamese_translation.ilike.%${q}%,synonyms.ilike.%${q}%`
-      );
+      query = query.or(searchFilter);
     }
 
     // NEW: Group filtering (takes precedence over collection filter)
@@ -125,9 +181,7 @@ router.get('/', async (req, res, next) => {
       .eq('user_id', req.user.id);
 
     if (q) {
-      countQuery = countQuery.or(
-        `word.ilike.%${q}%,definition.ilike.%${q}%,example_sentence.ilike.%${q}%,vietnamese_translation.ilike.%${q}%,synonyms.ilike.%${q}%`
-      );
+      countQuery = countQuery.or(searchFilter);
     }
 
     // NEW: Apply group filter to count query
@@ -185,6 +239,8 @@ router.get('/:id', async (req, res, next) => {
       .from('words')
       .select(`
         *,
+        found_in:sources!source_id(id, source_type, title, url, filename),
+        senses:word_senses(*),
         word_collections(
           collection_id,
           collections(id, name)
@@ -192,6 +248,7 @@ router.get('/:id', async (req, res, next) => {
       `)
       .eq('id', req.params.id)
       .eq('user_id', req.user.id)
+      .order('position', { referencedTable: 'senses', ascending: true })
       .single();
 
     if (error) {
@@ -216,7 +273,7 @@ router.post('/', async (req, res, next) => {
       return next(error);
     }
 
-    const { collectionId, groupId, ...wordData } = value;
+    const { collectionId, groupId, sourceId, sourceSentence, inflection, senses, ...wordData } = value;
 
     // NEW: Validate groupId if provided
     if (groupId) {
@@ -232,23 +289,54 @@ router.post('/', async (req, res, next) => {
       }
     }
 
+    if (sourceId && !(await sourceService.assertOwnSources(req.supabase, req.user.id, [sourceId]))) {
+      return res.status(400).json({ error: 'Invalid source ID' });
+    }
+
+    // Inflections of a saved word are merged into it on request, derived words join its family
+    const vocabulary = await wordFamilyService.loadVocabulary(req.supabase, req.user.id);
+    const { inflectionOf, familyHead } = wordFamilyService.findRelated(vocabulary, wordData.word);
+
+    if (inflectionOf && !inflection) {
+      return res.status(409).json({
+        error: 'inflected_duplicate',
+        message: `"${wordData.word}" is a form of "${inflectionOf.word}", which is already in your vocabulary`,
+        existingWord: { id: inflectionOf.id, word: inflectionOf.word },
+      });
+    }
+
+    if (inflectionOf && inflection === 'merge') {
+      const mergedWord = await wordFamilyService.mergeForm(req.supabase, req.user.id, inflectionOf, wordData.word);
+      return res.json({
+        message: `"${wordData.word}" added as a form of "${inflectionOf.word}"`,
+        word: mergedWord,
+        merged: true,
+      });
+    }
+
+    const family = inflectionOf ? wordFamilyService.getFamilyHead(vocabulary, inflectionOf) : familyHead;
+
     // Insert word with group_id
     const { data: word, error: insertError} = await req.supabase
       .from('words')
       .insert({
         ...wordData,
+        ...wordFamilyService.describe(wordData.word),
+        family_head_id: family?.id || null,
         user_id: req.user.id,
         group_id: groupId || null, // NEW: Set group assignment
         cefr_level: wordData.cefrLevel,
         word_type: wordData.wordType,
         ipa_pronunciation: wordData.ipaPronunciation,
         example_sentence: wordData.exampleSentence,
-        vietnamese_translation: wordData.vietnameseTranslation,
         synonyms: wordData.synonyms,
+        source_id: sourceId || null,
+        source_sentence: sourceSentence || null,
       })
       .select(`
         *,
-        group:collections!group_id(id, name, color, icon)
+        group:collections!group_id(id, name, color, icon),
+        found_in:sources!source_id(id, source_type, title, url, filename)
       `)
       .single();
 
@@ -263,6 +351,13 @@ router.post('/', async (req, res, next) => {
       return next(insertError);
     }
 
+    // Each studied sense gets cards of its own, one per card template of the group
+    if (senses) {
+      word.senses = await senseService.replaceSenses(req.supabase, req.user.id, word.id, senses);
+    } else if (groupId) {
+      await cardService.syncWordCards(req.supabase, req.user.id, [word.id]);
+    }
+
     // Add to collection if specified
     if (collectionId) {
       const { error: collectionError } = await req.supabase
@@ -307,7 +402,7 @@ router.post('/', async (req, res, next) => {
     }
 
     // Generate quiz question for the new word (async, don't wait for completion)
-    quizService.generateAndSaveQuizQuestions([word], req.supabase)
+    generateQuizQuestionsInBackground(req, [word])
       .then(result => {
         console.log(`Quiz question generation result for word "${word.word}":`, result);
       })
@@ -355,7 +450,7 @@ router.put('/:id', async (req, res, next) => {
     };
 
     // Map camelCase to snake_case for provided fields only
-    if (otherFields.word !== undefined) updateData.word = otherFields.word;
+    if (otherFields.word !== undefined) Object.assign(updateData, { word: otherFields.word }, wordFamilyService.describe(otherFields.word));
     if (otherFields.definition !== undefined) updateData.definition = otherFields.definition;
     if (otherFields.cefrLevel !== undefined) updateData.cefr_level = otherFields.cefrLevel;
     if (otherFields.wordType !== undefined) updateData.word_type = otherFields.wordType;
@@ -363,7 +458,7 @@ router.put('/:id', async (req, res, next) => {
     if (otherFields.exampleSentence !== undefined) updateData.example_sentence = otherFields.exampleSentence;
     if (otherFields.notes !== undefined) updateData.notes = otherFields.notes;
     if (otherFields.tags !== undefined) updateData.tags = otherFields.tags;
-    if (otherFields.vietnameseTranslation !== undefined) updateData.vietnamese_translation = otherFields.vietnameseTranslation;
+    if (otherFields.translations !== undefined) updateData.translations = otherFields.translations;
     if (otherFields.synonyms !== undefined) updateData.synonyms = otherFields.synonyms;
 
     // NEW: Add group_id to update if provided (allow null to unassign)
@@ -389,6 +484,16 @@ router.put('/:id', async (req, res, next) => {
       return next(updateError);
     }
 
+    // A new group can study the word with other card templates
+    if (groupId !== undefined) {
+      await cardService.syncWordCards(req.supabase, req.user.id, [word.id]);
+    }
+
+    // Listening questions ask for the word and its example as they read now
+    if (otherFields.word !== undefined || otherFields.exampleSentence !== undefined) {
+      await quizService.replaceListeningQuestions(req.supabase, word);
+    }
+
     res.json({
       message: 'Word updated successfully',
       word,
@@ -398,6 +503,39 @@ router.put('/:id', async (req, res, next) => {
   }
 });
 
+// Replace the senses of a word and choose which of them to study, each studied sense gets its own flashcard
+router.put('/:id/senses', async (req, res, next) => {
+  try {
+    const { error, value } = updateSensesSchema.validate(req.body);
+    if (error) {
+      error.isJoi = true;
+      return next(error);
+    }
+
+    const { data: word, error: wordError } = await req.supabase
+      .from('words')
+      .select('id')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (wordError) return next(wordError);
+
+    if (!word) {
+      return res.status(404).json({ error: 'Word not found' });
+    }
+
+    const senses = await senseService.replaceSenses(req.supabase, req.user.id, word.id, value.senses);
+
+    res.json({
+      message: `${senses.filter(sense => sense.is_studied).length} of ${senses.length} senses studied`,
+      senses,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Delete word
 router.delete('/:id', async (req, res, next) => {
   try {
@@ -443,6 +581,9 @@ router.post('/bulk', async (req, res, next) => {
         then: Joi.required(),
       }),
       collectionId: Joi.string().uuid(),
+      // Imported words are saved separately unless a word or the request asks to merge inflections.
+      // The lemmatizer is rule based, so merging is left to words a learner has seen flagged
+      inflection: Joi.string().valid('merge', 'separate').default('separate'),
     });
 
     const { error, value } = bulkSchema.validate(req.body);
@@ -451,13 +592,51 @@ router.post('/bulk', async (req, res, next) => {
       return next(error);
     }
 
-    const { operation, words, ids, groupId, collectionId } = value;
+    const { operation, words, ids, groupId, collectionId, inflection } = value;
 
     switch (operation) {
       case 'import':
-        const wordsToInsert = words.map(word => {
+        if (!(await sourceService.assertOwnSources(req.supabase, req.user.id, words.map(word => word.sourceId)))) {
+          return res.status(400).json({ error: 'Invalid source ID' });
+        }
+
+        // Inflections of saved words, or of words earlier in the import, become forms of those words
+        // when merging, otherwise they are saved and reported as merge candidates
+        const vocabulary = await wordFamilyService.loadVocabulary(req.supabase, req.user.id);
+        const importedByLemma = new Map();
+        const mergedWords = [];
+        const wordsToImport = [];
+        const candidates = [];
+
+        for (const word of words) {
+          const merge = (word.inflection || inflection) === 'merge';
+          const { inflectionOf, familyHead } = wordFamilyService.findRelated(vocabulary, word.word);
+          const family = wordFamilyService.describe(word.word);
+          const lemmaMatch = importedByLemma.get(family.lemma_key);
+          const importedLemma = lemmaMatch && areInflections(lemmaMatch.word, word.word) ? lemmaMatch : null;
+
+          if (merge && inflectionOf) {
+            await wordFamilyService.mergeForm(req.supabase, req.user.id, inflectionOf, word.word);
+            mergedWords.push({ word: word.word, into: { id: inflectionOf.id, word: inflectionOf.word } });
+          } else if (merge && importedLemma) {
+            importedLemma.forms.push(word.word);
+            mergedWords.push({ word: word.word, into: { word: importedLemma.word } });
+          } else {
+            const head = inflectionOf ? wordFamilyService.getFamilyHead(vocabulary, inflectionOf) : familyHead;
+            const imported = { ...word, ...family, family_head_id: head?.id || null, forms: [] };
+            if (inflectionOf || importedLemma) {
+              candidates.push({ imported, of: inflectionOf || importedLemma });
+            }
+            if (!importedLemma) {
+              importedByLemma.set(family.lemma_key, imported);
+            }
+            wordsToImport.push(imported);
+          }
+        }
+
+        const wordsToInsert = wordsToImport.map(word => {
           // Destructure to exclude camelCase fields that need to be converted to snake_case
-          const { cefrLevel, wordType, ipaPronunciation, exampleSentence, vietnameseTranslation, groupId, ...restWord } = word;
+          const { cefrLevel, wordType, ipaPronunciation, exampleSentence, groupId, sourceId, sourceSentence, inflection, senses, ...restWord } = word;
 
           return {
             ...restWord,
@@ -467,22 +646,39 @@ router.post('/bulk', async (req, res, next) => {
             word_type: wordType,
             ipa_pronunciation: ipaPronunciation,
             example_sentence: exampleSentence,
-            vietnamese_translation: vietnameseTranslation,
+            source_id: sourceId || null,
+            source_sentence: sourceSentence || null,
           };
         });
 
-        const { data: insertedWords, error: insertError } = await req.supabase
-          .from('words')
-          .insert(wordsToInsert)
-          .select();
+        let insertedWords = [];
+        if (wordsToInsert.length > 0) {
+          const { data, error: insertError } = await req.supabase
+            .from('words')
+            .insert(wordsToInsert)
+            .select();
 
-        if (insertError) {
-          return next(insertError);
+          if (insertError) {
+            return next(insertError);
+          }
+
+          insertedWords = await wordFamilyService.linkNewWords(req.supabase, req.user.id, vocabulary, data);
+
+          // Inserted rows are in import order
+          for (const [index, word] of wordsToImport.entries()) {
+            if (word.senses) {
+              insertedWords[index].senses = await senseService.replaceSenses(req.supabase, req.user.id, insertedWords[index].id, word.senses);
+            }
+          }
+
+          // Grouped words also get the cards of their group's other templates
+          const groupedIds = insertedWords.filter(word => word.group_id && !word.senses).map(word => word.id);
+          await cardService.syncWordCards(req.supabase, req.user.id, groupedIds);
         }
 
         // Generate quiz questions for imported words (async, don't wait for completion)
         if (insertedWords.length > 0) {
-          quizService.generateAndSaveQuizQuestions(insertedWords, req.supabase)
+          generateQuizQuestionsInBackground(req, insertedWords)
             .then(result => {
               console.log(`Batch quiz question generation result for ${insertedWords.length} imported words:`, result);
             })
@@ -491,9 +687,19 @@ router.post('/bulk', async (req, res, next) => {
             });
         }
 
+        // Inserted rows are in import order, words of the import are identified through them
+        const getInsertedId = (word) => word.id || insertedWords[wordsToImport.indexOf(word)]?.id || null;
+        const mergeCandidates = candidates.map(({ imported, of }) => ({
+          word: { id: getInsertedId(imported), word: imported.word },
+          inflectionOf: { id: getInsertedId(of), word: of.word },
+        }));
+
         res.status(201).json({
-          message: `${insertedWords.length} words imported successfully`,
+          message: `${insertedWords.length} words imported successfully` +
+            (mergedWords.length > 0 ? `, ${mergedWords.length} merged into existing words` : ''),
           words: insertedWords,
+          merged: mergedWords,
+          mergeCandidates,
         });
         break;
 
@@ -507,8 +713,12 @@ router.post('/bulk', async (req, res, next) => {
           return next(exportError);
         }
 
+        // Exports carry the translation in the learner's language next to all stored translations
+        const nativeLanguage = await getUserNativeLanguage(req.supabase, req.user.id);
+
         res.json({
-          words: exportWords,
+          words: exportWords.map(word => ({ ...word, translation: word.translations?.[nativeLanguage] || '' })),
+          nativeLanguage,
           exportedAt: new Date().toISOString(),
         });
         break;
@@ -564,6 +774,8 @@ router.post('/bulk', async (req, res, next) => {
           return next(updateError);
         }
 
+        await cardService.syncWordCards(req.supabase, req.user.id, updatedWords.map(word => word.id));
+
         res.json({
           message: `${updatedWords.length} ${updatedWords.length === 1 ? 'word' : 'words'} assigned to group successfully`,
           words: updatedWords,
@@ -578,8 +790,22 @@ router.post('/bulk', async (req, res, next) => {
   }
 });
 
+// Recompute the word families of the vocabulary, e.g. for words saved before families existed
+router.post('/families/rebuild', async (req, res, next) => {
+  try {
+    const result = await wordFamilyService.rebuildFamilies(req.supabase, req.user.id);
+
+    res.json({
+      message: `${result.families} word ${result.families === 1 ? 'family' : 'families'} found in ${result.words} words`,
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Generate quiz questions for words that don't have any
-router.post('/generate-quiz-questions', async (req, res, next) => {
+router.post('/generate-quiz-questions', meterAIUsage('quiz-generation'), async (req, res, next) => {
   try {
     const schema = Joi.object({
       wordIds: Joi.array().items(Joi.string().uuid()).optional(),
@@ -627,7 +853,8 @@ router.post('/generate-quiz-questions', async (req, res, next) => {
       const { data: existingQuestions, error: existingError } = await req.supabase
         .from('quiz_questions')
         .select('word_id')
-        .in('word_id', words.map(w => w.id));
+        .in('word_id', words.map(w => w.id))
+        .neq('question_type', 'listening');
 
       if (existingError) {
         return next(existingError);
@@ -671,4 +898,20 @@ router.post('/generate-quiz-questions', async (req, res, next) => {
   }
 });
 
+// PostgREST filter matching the search text in the word, its details or its translation
+function buildSearchFilter(q, nativeLanguage) {
+  return `word.ilike.%${q}%,definition.ilike.%${q}%,example_sentence.ilike.%${q}%,translations->>${nativeLanguage}.ilike.%${q}%,synonyms.ilike.%${q}%`;
+}
+
+/**
+ * Generate quiz questions for new words without holding up the response,
+ * metered to the user as quiz generation
+ */
+function generateQuizQuestionsInBackground(req, words) {
+  return usageService.run(
+    { supabase: req.supabase, userId: req.user.id, feature: 'quiz-generation' },
+    () => quizService.generateAndSaveQuizQuestions(words, req.supabase)
+  );
+}
+
 export default router;
\ No newline at end of file
@@ -10,6 +10,8 @@ import aiRoutes from './routes/ai.js';
 import profileRoutes from './routes/profile.js';
 import flashcardRoutes from './routes/flashcards.js';
 import groupsRoutes from './routes/groups.js';
+import sourcesRoutes from './routes/sources.js';
+import audioRoutes from './routes/audio.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { authMiddleware } from './middleware/auth.js';
 
@@ -77,6 +79,8 @@ app.use('/api/ai', authMiddleware, aiRoutes);
 app.use('/api/profile', authMiddleware, profileRoutes);
 app.use('/api/flashcards', authMiddleware, flashcardRoutes);
 app.use('/api/groups', authMiddleware, groupsRoutes);
+app.use('/api/sources', authMiddleware, sourcesRoutes);
+app.use('/api/audio', authMiddleware, audioRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -0,0 +1,443 @@
+/**
+ * AI Provider Adapters
+ * Every adapter turns the service's provider-neutral chat request
+ * ({ model, messages: [{role, content}], temperature, max_tokens, responseFormat }) into the
+ * vendor's HTTP request, and the vendor's reply back into { content, usage }
+ *
+ * responseFormat: { type: 'json', root: 'object' | 'array' } asks for the
+ * provider's JSON mode where it has one
+ */
+
+/**
+ * Base adapter, documents the interface every provider implements
+ */
+class AIProviderAdapter {
+  static id = 'base';
+  static label = 'Base';
+  static defaultBaseUrl = '';
+  static defaultModel = '';
+  static requiresApiKey = true;
+
+  constructor({ apiKey = '', baseUrl = '', model = '' } = {}) {
+    this.apiKey = apiKey;
+    this.baseUrl = (baseUrl || this.constructor.defaultBaseUrl).replace(/\/+$/, '');
+    this.model = model || this.constructor.defaultModel;
+  }
+
+  get id() {
+    return this.constructor.id;
+  }
+
+  get label() {
+    return this.constructor.label;
+  }
+
+  /**
+   * What is missing before the adapter can make requests
+   * @returns {string|null} Error message, or null when configured
+   */
+  getConfigurationError() {
+    if (!this.baseUrl) return 'AI_BASE_URL is required for this provider';
+    if (!this.model) return 'AI_MODEL is required for this provider';
+    if (this.constructor.requiresApiKey && !this.apiKey) return 'API key is required';
+    return null;
+  }
+
+  isConfigured() {
+    return !this.getConfigurationError();
+  }
+
+  /**
+   * Authentication and content headers
+   * @returns {Object} HTTP headers
+   */
+  getHeaders() {
+    if (this.constructor.requiresApiKey && !this.apiKey) {
+      throw new Error('API key is required for this provider');
+    }
+    return { 'Content-Type': 'application/json' };
+  }
+
+  /**
+   * Build the HTTP request for a chat completion
+   * @param {Object} data - Provider-neutral request
+   * @param {Object} options - { stream }
+   * @returns {Object} { url, body, responsePrefix }, responsePrefix is text the
+   *   adapter pre-filled and the caller must put back in front of the reply
+   */
+  buildRequest(data, options = {}) {
+    throw new Error(`${this.label} adapter does not implement buildRequest`);
+  }
+
+  /**
+   * Normalize a complete (non-streamed) response
+   * @param {Object} json - Parsed response body
+   * @returns {Object} { content, usage: { promptTokens, completionTokens } }
+   */
+  parseResponse(json) {
+    throw new Error(`${this.label} adapter does not implement parseResponse`);
+  }
+
+  /**
+   * Parse one line of a streamed response
+   * @param {string} line - Raw line (SSE or NDJSON)
+   * @returns {Object|null} { content, done }, or null for lines without data
+   */
+  parseStreamLine(line) {
+    throw new Error(`${this.label} adapter does not implement parseStreamLine`);
+  }
+
+  /**
+   * Cheap authenticated GET used by the connection test
+   * @returns {string} URL
+   */
+  getHealthCheckUrl() {
+    return `${this.baseUrl}/models`;
+  }
+
+  /**
+   * Payload of a "data:" SSE line, or null for comments, event names and blank lines
+   */
+  parseSSEData(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) return null;
+    return trimmed.slice(5).trim();
+  }
+}
+
+/**
+ * Any endpoint speaking the OpenAI chat/completions API
+ * (OpenAI, Ollama Cloud, OpenRouter, Groq, vLLM, LM Studio, ...)
+ */
+class OpenAICompatibleAdapter extends AIProviderAdapter {
+  static id = 'openai-compatible';
+  static label = 'OpenAI-compatible';
+  static requiresApiKey = false;
+  // Not every compatible server accepts response_format, so only known vendors opt in
+  static supportsJsonMode = false;
+
+  getHeaders() {
+    const headers = super.getHeaders();
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  buildRequest(data, options = {}) {
+    const { responseFormat, ...rest } = data;
+
+    // json_object mode only produces objects, arrays rely on the prompt alone
+    const jsonMode = this.constructor.supportsJsonMode &&
+      responseFormat?.type === 'json' && responseFormat.root === 'object';
+
+    return {
+      url: `${this.baseUrl}/chat/completions`,
+      body: {
+        ...rest,
+        model: rest.model || this.model,
+        ...(jsonMode && { response_format: { type: 'json_object' } }),
+        ...(options.stream && { stream: true }),
+      },
+    };
+  }
+
+  parseResponse(json) {
+    return {
+      content: json.choices?.[0]?.message?.content || '',
+      usage: {
+        promptTokens: json.usage?.prompt_tokens || 0,
+        completionTokens: json.usage?.completion_tokens || 0,
+      },
+    };
+  }
+
+  parseStreamLine(line) {
+    const data = this.parseSSEData(line);
+    if (!data) return null;
+    if (data === '[DONE]') return { done: true };
+
+    const payload = JSON.parse(data);
+    if (payload.error) {
+      throw new Error(`AI service error: ${payload.error.message || payload.error}`);
+    }
+
+    return { content: payload.choices?.[0]?.delta?.content || '' };
+  }
+}
+
+class OpenAIAdapter extends OpenAICompatibleAdapter {
+  static id = 'openai';
+  static label = 'OpenAI';
+  static defaultBaseUrl = 'https://api.openai.com/v1';
+  static defaultModel = 'gpt-4o-mini';
+  static requiresApiKey = true;
+  static supportsJsonMode = true;
+}
+
+class OllamaCloudAdapter extends OpenAICompatibleAdapter {
+  static id = 'ollama-cloud';
+  static label = 'Ollama Cloud';
+  static defaultBaseUrl = 'https://api.ollama.cloud/v1';
+  static defaultModel = 'gpt-oss:20b-cloud';
+  static requiresApiKey = true;
+  static supportsJsonMode = true;
+}
+
+/**
+ * Local Ollama through its native /api/chat endpoint (streams NDJSON)
+ */
+class OllamaLocalAdapter extends AIProviderAdapter {
+  static id = 'ollama-local';
+  static label = 'Ollama (local)';
+  static defaultBaseUrl = 'http://localhost:11434';
+  static defaultModel = 'llama3.2:latest';
+  static requiresApiKey = false;
+
+  buildRequest(data, options = {}) {
+    const { model, messages, temperature, max_tokens: maxTokens, responseFormat } = data;
+
+    return {
+      url: `${this.baseUrl}/api/chat`,
+      body: {
+        model: model || this.model,
+        messages,
+        stream: !!options.stream,
+        ...(responseFormat?.type === 'json' && { format: 'json' }),
+        options: { temperature, num_predict: maxTokens },
+      },
+    };
+  }
+
+  parseResponse(json) {
+    return {
+      content: json.message?.content || '',
+      usage: {
+        promptTokens: json.prompt_eval_count || 0,
+        completionTokens: json.eval_count || 0,
+      },
+    };
+  }
+
+  parseStreamLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return null;
+
+    const payload = JSON.parse(trimmed);
+    if (payload.error) {
+      throw new Error(`AI service error: ${payload.error}`);
+    }
+
+    return { content: payload.message?.content || '', done: !!payload.done };
+  }
+
+  getHealthCheckUrl() {
+    return `${this.baseUrl}/api/tags`;
+  }
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicAdapter extends AIProviderAdapter {
+  static id = 'anthropic';
+  static label = 'Anthropic';
+  static defaultBaseUrl = 'https://api.anthropic.com/v1';
+  static defaultModel = 'claude-3-5-haiku-latest';
+  static apiVersion = '2023-06-01';
+
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'x-api-key': this.apiKey,
+      'anthropic-version': this.constructor.apiVersion,
+    };
+  }
+
+  buildRequest(data, options = {}) {
+    const { model, messages, temperature, max_tokens: maxTokens, responseFormat } = data;
+
+    // System prompts are a top-level field rather than a message
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    const conversation = messages.filter(message => message.role !== 'system');
+
+    // No JSON mode, so pre-fill the opening bracket to skip any preamble
+    const responsePrefix = responseFormat?.type === 'json' && !options.stream
+      ? (responseFormat.root === 'array' ? '[' : '{')
+      : '';
+    if (responsePrefix) {
+      conversation.push({ role: 'assistant', content: responsePrefix });
+    }
+
+    return {
+      url: `${this.baseUrl}/messages`,
+      body: {
+        model: model || this.model,
+        ...(system && { system }),
+        messages: conversation,
+        max_tokens: maxTokens || 1024, // Required by the Messages API
+        ...(temperature !== undefined && { temperature }),
+        ...(options.stream && { stream: true }),
+      },
+      responsePrefix,
+    };
+  }
+
+  parseResponse(json) {
+    return {
+      content: (json.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      usage: {
+        promptTokens: json.usage?.input_tokens || 0,
+        completionTokens: json.usage?.output_tokens || 0,
+      },
+    };
+  }
+
+  parseStreamLine(line) {
+    const data = this.parseSSEData(line);
+    if (!data) return null;
+
+    const payload = JSON.parse(data);
+    switch (payload.type) {
+      case 'content_block_delta':
+        return { content: payload.delta?.type === 'text_delta' ? payload.delta.text : '' };
+      case 'message_stop':
+        return { done: true };
+      case 'error':
+        throw new Error(`AI service error: ${payload.error?.message || 'stream error'}`);
+      default:
+        return null;
+    }
+  }
+}
+
+/**
+ * Google Gemini generateContent API
+ */
+class GeminiAdapter extends AIProviderAdapter {
+  static id = 'gemini';
+  static label = 'Google Gemini';
+  static defaultBaseUrl = 'https://generativelanguage.googleapis.com/v1beta';
+  static defaultModel = 'gemini-1.5-flash';
+
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'x-goog-api-key': this.apiKey,
+    };
+  }
+
+  buildRequest(data, options = {}) {
+    const { model, messages, temperature, max_tokens: maxTokens, responseFormat } = data;
+
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    const url = options.stream
+      ? `${this.baseUrl}/models/${model || this.model}:streamGenerateContent?alt=sse`
+      : `${this.baseUrl}/models/${model || this.model}:generateContent`;
+
+    return {
+      url,
+      body: {
+        ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+        contents: messages
+          .filter(message => message.role !== 'system')
+          .map(message => ({
+            role: message.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: message.content }],
+          })),
+        generationConfig: {
+          ...(temperature !== undefined && { temperature }),
+          ...(maxTokens && { maxOutputTokens: maxTokens }),
+          ...(responseFormat?.type === 'json' && { responseMimeType: 'application/json' }),
+        },
+      },
+    };
+  }
+
+  parseResponse(json) {
+    return {
+      content: (json.candidates?.[0]?.content?.parts || [])
+        .map(part => part.text || '')
+        .join(''),
+      usage: {
+        promptTokens: json.usageMetadata?.promptTokenCount || 0,
+        completionTokens: json.usageMetadata?.candidatesTokenCount || 0,
+      },
+    };
+  }
+
+  parseStreamLine(line) {
+    const data = this.parseSSEData(line);
+    if (!data) return null;
+
+    const payload = JSON.parse(data);
+    if (payload.error) {
+      throw new Error(`AI service error: ${payload.error.message || 'stream error'}`);
+    }
+
+    // Each event carries the next slice of the answer in the full response shape
+    return { content: this.parseResponse(payload).content };
+  }
+}
+
+// Registered adapters by AI_PROVIDER value
+const providerAdapters = new Map();
+
+/**
+ * Register an adapter class so it can be selected with AI_PROVIDER
+ * @param {Function} AdapterClass - Subclass of AIProviderAdapter with a static id
+ */
+function registerProviderAdapter(AdapterClass) {
+  providerAdapters.set(AdapterClass.id, AdapterClass);
+}
+
+[
+  OpenAIAdapter,
+  OllamaCloudAdapter,
+  OllamaLocalAdapter,
+  OpenAICompatibleAdapter,
+  AnthropicAdapter,
+  GeminiAdapter,
+].forEach(registerProviderAdapter);
+
+/**
+ * Create the adapter for a provider id
+ * @param {string} providerId - Registered id, e.g. 'anthropic'
+ * @param {Object} config - { apiKey, baseUrl, model }
+ * @returns {AIProviderAdapter}
+ */
+function createProviderAdapter(providerId, config = {}) {
+  const AdapterClass = providerAdapters.get(providerId);
+  if (!AdapterClass) {
+    throw new Error(`Unknown AI provider: ${providerId}. Available providers: ${[...providerAdapters.keys()].join(', ')}`);
+  }
+  return new AdapterClass(config);
+}
+
+function getProviderIds() {
+  return [...providerAdapters.keys()];
+}
+
+export {
+  AIProviderAdapter,
+  OpenAICompatibleAdapter,
+  OpenAIAdapter,
+  OllamaCloudAdapter,
+  OllamaLocalAdapter,
+  AnthropicAdapter,
+  GeminiAdapter,
+  registerProviderAdapter,
+  createProviderAdapter,
+  getProviderIds,
+};
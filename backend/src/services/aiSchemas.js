@@ -0,0 +1,162 @@
+/**
+ * Schemas for structured AI responses
+ * Every JSON payload a model returns is validated (and lightly normalized)
+ * against one of these before the rest of the app sees it
+ */
+
+import Joi from 'joi';
+
+// Comma-separated list, models sometimes return an array instead
+const commaList = Joi.alternatives()
+  .try(Joi.string().allow(''), Joi.array().items(Joi.string()))
+  .custom(value => (Array.isArray(value) ? value.join(', ') : value));
+
+// Tag list, models sometimes return a comma-separated string instead
+const tagList = Joi.alternatives()
+  .try(Joi.array().items(Joi.string()), Joi.string().allow(''))
+  .custom(value => (typeof value === 'string'
+    ? value.split(',').map(tag => tag.trim()).filter(Boolean)
+    : value));
+
+const optionalText = Joi.string().allow('').default('');
+const cefrLevel = Joi.string().trim().uppercase().valid('A1', 'A2', 'B1', 'B2', 'C1', 'C2');
+const score = Joi.number().min(0).max(100);
+const textList = Joi.array().items(Joi.string().allow('')).default([]);
+
+// One meaning of a word, e.g. the river and the money sense of "bank"
+const wordSenseSchema = Joi.object({
+  partOfSpeech: optionalText,
+  definition: Joi.string().trim().required(),
+  exampleSentence: optionalText,
+  cefrLevel: cefrLevel.allow('').default(''),
+  translation: optionalText,
+}).unknown(true);
+
+const wordAnalysisSchema = Joi.object({
+  word: Joi.string().trim().required(),
+  definition: Joi.string().trim().required(),
+  wordType: optionalText,
+  cefrLevel: cefrLevel.required(),
+  ipaPronunciation: optionalText,
+  exampleSentence: optionalText,
+  notes: optionalText,
+  tags: tagList.default([]),
+  translation: optionalText,
+  synonyms: commaList.default(''),
+  senses: Joi.array().items(wordSenseSchema).max(10).default([]),
+}).unknown(true);
+
+const contentVocabularySchema = Joi.array().items(Joi.object({
+  word: Joi.string().trim().required(),
+  definition: Joi.string().trim().required(),
+  wordType: Joi.string().allow('').default('unknown'),
+  cefrLevel: cefrLevel.default('B2'),
+  ipaPronunciation: optionalText,
+  exampleSentence: optionalText,
+  translation: optionalText,
+  synonyms: commaList.default(''),
+  notes: optionalText,
+  tags: tagList.default([]),
+}).unknown(true));
+
+const sentenceAnalysisSchema = Joi.object({
+  sentence: Joi.string().allow('').default(''),
+  overallScore: score.required(),
+  grammar: Joi.object({
+    score: score.required(),
+    issues: textList,
+    suggestions: textList,
+  }).unknown(true).required(),
+  vocabulary: Joi.object({
+    score: score.required(),
+    level: cefrLevel.allow(''),
+    complexWords: textList,
+    suggestions: textList,
+  }).unknown(true).required(),
+  style: Joi.object({
+    score: score.required(),
+    clarity: optionalText,
+    formality: optionalText,
+    suggestions: textList,
+  }).unknown(true).required(),
+  corrections: Joi.array().items(Joi.object({
+    original: Joi.string().required(),
+    corrected: Joi.string().required(),
+    reason: optionalText,
+  }).unknown(true)).default([]),
+  feedback: optionalText,
+}).unknown(true);
+
+const blankText = Joi.string().trim().pattern(/_{3,}/)
+  .messages({ 'string.pattern.base': '"question_text" must contain a blank (______)' });
+
+/**
+ * Multiple choice question with a given number of options, one of which is the answer
+ */
+const choiceQuestionSchema = (optionCount, { blank = false } = {}) => Joi.object({
+  question_text: (blank ? blankText : Joi.string().trim()).required(),
+  correct_answer: Joi.string().trim().required(),
+  options: Joi.array().items(Joi.string().trim()).length(optionCount).unique().required(),
+  explanation: optionalText,
+}).unknown(true).custom((value, helpers) => {
+  if (!value.options.includes(value.correct_answer)) {
+    return helpers.message('"correct_answer" must be exactly one of "options"');
+  }
+  return value;
+});
+
+const fillBlankQuestionSchema = Joi.object({
+  question_text: blankText.required(),
+  correct_answer: Joi.string().trim().required(),
+  explanation: optionalText,
+}).unknown(true);
+
+const wordFormationQuestionSchema = Joi.object({
+  question_text: blankText.required(),
+  base_word: Joi.string().trim().required(),
+  correct_answer: Joi.string().trim().required(),
+  explanation: optionalText,
+}).unknown(true).custom((value, helpers) => {
+  if (value.correct_answer.toLowerCase() === value.base_word.toLowerCase()) {
+    return helpers.message('"correct_answer" must be another form of "base_word"');
+  }
+  return value;
+});
+
+const matchingQuestionSchema = Joi.object({
+  question_text: Joi.string().trim().default('Match each word with its definition'),
+  pairs: Joi.array().items(Joi.object({
+    word: Joi.string().trim().required(),
+    definition: Joi.string().trim().required(),
+  }).unknown(true)).length(5).unique((a, b) => a.word.toLowerCase() === b.word.toLowerCase()).required(),
+  explanation: optionalText,
+}).unknown(true);
+
+const quizQuestionSchemas = {
+  fill_blank: fillBlankQuestionSchema,
+  definition_choice: choiceQuestionSchema(4),
+  synonym_choice: choiceQuestionSchema(4),
+  context_choice: choiceQuestionSchema(2),
+  collocation_choice: choiceQuestionSchema(4, { blank: true }),
+  word_formation: wordFormationQuestionSchema,
+  matching: matchingQuestionSchema,
+};
+
+// Question types are mapped leniently by the caller, so only the shape is enforced here
+const batchQuizQuestionsSchema = Joi.array().items(Joi.object({
+  word_id: Joi.string().allow(null, ''),
+  question_type: Joi.string().allow(''),
+  question_text: Joi.string().trim().required(),
+  correct_answer: Joi.string().trim().required(),
+  // Matching exercises list their { word, definition } pairs as options
+  options: Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.object().unknown(true))).default([]),
+  explanation: optionalText,
+}).unknown(true)).min(1);
+
+export {
+  wordAnalysisSchema,
+  contentVocabularySchema,
+  sentenceAnalysisSchema,
+  quizQuestionSchemas,
+  batchQuizQuestionsSchema,
+};
@@ -1,29 +1,263 @@
 import https from 'https';
 import http from 'http';
+import { createProviderAdapter } from './aiProviders.js';
+import { CircuitBreaker } from './circuitBreaker.js';
+import { analysisCache, hashText } from './analysisCache.js';
+import { usageService } from './usageService.js';
+import { DEFAULT_NATIVE_LANGUAGE, NATIVE_LANGUAGE_CODES, getLanguageName, formatTranslations } from '../config/languages.js';
+import {
+  wordAnalysisSchema,
+  contentVocabularySchema,
+  sentenceAnalysisSchema,
+  batchQuizQuestionsSchema,
+} from './aiSchemas.js';
+
+const CHAT_SYSTEM_PROMPT = `You are an AI assistant specialized in English language learning. Help users with vocabulary, grammar, pronunciation, and general English language questions. Be encouraging, informative, and provide practical examples.`;
+
+// Token budget for earlier conversation turns replayed to the tutor
+const CHAT_HISTORY_TOKEN_BUDGET = 3000;
+
+// Re-prompts allowed when a JSON response fails its schema
+const JSON_REPAIR_ATTEMPTS = 1;
+
+// Network errors worth retrying on the same provider
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Prompt for analyzing a single word
+ */
+function buildWordAnalysisPrompt(word, nativeLanguage = DEFAULT_NATIVE_LANGUAGE) {
+  return `Analyze the English word "${word}" and provide a comprehensive analysis in the following JSON format:
+
+{
+  "word": "${word}",
+  "definition": "Clear, concise definition",
+  "wordType": "noun/verb/adjective/adverb/etc",
+  "cefrLevel": "A1/A2/B1/B2/C1/C2",
+  "ipaPronunciation": "IPA pronunciation",
+  "exampleSentence": "Example sentence using the word",
+  "notes": "Additional notes about usage, etymology, or context",
+  "tags": ["tag1", "tag2"],
+  "translation": "${getLanguageName(nativeLanguage)} translation of the word",
+  "synonyms": "Comma-separated list of synonym words or phrases",
+  "senses": [
+    {
+      "partOfSpeech": "noun/verb/adjective/adverb/etc",
+      "definition": "Definition of this sense",
+      "exampleSentence": "Example sentence using the word in this sense",
+      "cefrLevel": "A1/A2/B1/B2/C1/C2",
+      "translation": "${getLanguageName(nativeLanguage)} translation of the word in this sense"
+    }
+  ]
+}
+
+List every common sense of the word in "senses", most common first and at most 6, e.g. the river bank and the money bank for "bank".
+The top-level definition, wordType, cefrLevel, exampleSentence and translation describe the first sense.
+
+Ensure the response is valid JSON only, without any additional text or explanations.`;
+}
+
+// Changes whenever the word analysis prompt does, so cached analyses from older prompts are ignored
+// The prompt names the translation language, so each language is cached separately
+const getWordAnalysisPromptVersion = (nativeLanguage) => hashText(buildWordAnalysisPrompt('{word}', nativeLanguage), 12);
+
+/**
+ * Senses of an analysis, the top-level meaning alone when the model listed none
+ */
+function withSenses(analysis) {
+  if (analysis.senses?.length > 0) return analysis;
+
+  return {
+    ...analysis,
+    senses: [{
+      partOfSpeech: analysis.wordType,
+      definition: analysis.definition,
+      exampleSentence: analysis.exampleSentence,
+      cefrLevel: analysis.cefrLevel,
+      translation: analysis.translation,
+    }],
+  };
+}
+
+/**
+ * Read a per-provider setting, e.g. AI_OLLAMA_CLOUD_API_KEY for ('ollama-cloud', 'API_KEY')
+ */
+function getProviderEnv(providerId, name) {
+  return process.env[`AI_${providerId.toUpperCase().replace(/-/g, '_')}_${name}`];
+}
 
 class AIService {
   constructor() {
-    this.providers = {
-      'ollama-cloud': {
-        baseUrl: 'https://api.ollama.cloud/v1',
-        defaultModel: 'gpt-oss:20b-cloud',
-      },
-      'openai': {
-        baseUrl: 'https://api.openai.com/v1',
-        defaultModel: 'gpt-4o-mini',
-      },
-      'ollama-local': {
-        baseUrl: 'http://localhost:11434',
-        defaultModel: 'llama3.2:latest',
-      },
-    };
-
     this.config = {
       provider: process.env.AI_PROVIDER || 'openai',
       apiKey: process.env.AI_API_KEY || '',
-      model: process.env.AI_MODEL || 'gpt-4o-mini',
+      model: process.env.AI_MODEL || '',
+      // Base URL override, required for the generic openai-compatible provider
+      baseUrl: process.env.AI_BASE_URL || '',
       localHost: process.env.OLLAMA_LOCAL_HOST || 'http://localhost:11434',
+      // Ordered failover chain, e.g. "openai,ollama-cloud,ollama-local"
+      providerChain: process.env.AI_PROVIDER_CHAIN || '',
+      maxRetries: parseInt(process.env.AI_MAX_RETRIES ?? '2', 10),
+      retryBaseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS ?? '500', 10),
+      circuitFailureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD ?? '3', 10),
+      circuitCooldownMs: parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS ?? '30000', 10),
     };
+
+    const providerIds = this.config.providerChain
+      ? this.config.providerChain.split(',').map(id => id.trim()).filter(Boolean)
+      : [this.config.provider];
+
+    this.chain = providerIds.map((id, index) => this.createChainEntry(id, index === 0));
+    this.config.provider = this.chain[0].id;
+    this.config.model = this.chain[0].adapter?.model || this.config.model;
+  }
+
+  /**
+   * Build one provider of the failover chain
+   * AI_API_KEY / AI_MODEL / AI_BASE_URL configure the first provider,
+   * AI_<PROVIDER>_API_KEY / _MODEL / _BASE_URL configure any of them
+   */
+  createChainEntry(id, isPrimary) {
+    const setting = (name, fallback) => getProviderEnv(id, name) || (isPrimary ? fallback : '') || '';
+
+    const entry = {
+      id,
+      adapter: null,
+      breaker: new CircuitBreaker({
+        failureThreshold: this.config.circuitFailureThreshold,
+        cooldownMs: this.config.circuitCooldownMs,
+      }),
+    };
+
+    // An unknown provider is reported per request and by testConnection instead of crashing on startup
+    try {
+      entry.adapter = createProviderAdapter(id, {
+        apiKey: setting('API_KEY', this.config.apiKey),
+        baseUrl: setting('BASE_URL', this.config.baseUrl) || (id === 'ollama-local' ? this.config.localHost : ''),
+        model: setting('MODEL', this.config.model),
+      });
+    } catch (error) {
+      console.error(error.message);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Run a provider call down the failover chain
+   * Each provider gets retries with backoff, providers with an open circuit are skipped
+   * @param {Function} operation - async (adapter, attempt) => result
+   * @param {Object} options - { canFailover: () => boolean, signal }
+   * @returns {Object} { result, provider }
+   */
+  async withFailover(operation, options = {}) {
+    usageService.assertWithinQuota();
+
+    const failures = [];
+
+    for (const entry of this.chain) {
+      if (!entry.adapter) {
+        failures.push(`${entry.id}: unknown provider`);
+        continue;
+      }
+
+      const configurationError = entry.adapter.getConfigurationError();
+      if (configurationError) {
+        failures.push(`${entry.id}: ${configurationError}`);
+        continue;
+      }
+
+      if (!entry.breaker.canRequest()) {
+        failures.push(`${entry.id}: circuit open`);
+        continue;
+      }
+
+      try {
+        const result = await this.withRetry(entry, operation, options);
+        entry.breaker.recordSuccess();
+        return { result, provider: entry.id };
+      } catch (error) {
+        if (options.signal?.aborted) {
+          throw error;
+        }
+
+        // An unavailable or misconfigured provider (expired key, wrong model or base URL)
+        // counts against its circuit and the next one is tried. A rejected request
+        // (400, 422) would be rejected by the next provider as well
+        if (this.isRejectedRequest(error)) {
+          throw error;
+        }
+        if (this.isRetryableError(error) || this.isConfigurationError(error)) {
+          entry.breaker.recordFailure();
+        }
+
+        failures.push(`${entry.id}: ${error.message}`);
+        console.error(`AI provider ${entry.id} failed:`, error.message);
+
+        // Part of a streamed answer was already delivered, another provider would start over
+        if (options.canFailover && !options.canFailover()) {
+          throw error;
+        }
+      }
+    }
+
+    const error = new Error(`All AI providers failed (${failures.join('; ')})`);
+    error.statusCode = 503;
+    throw error;
+  }
+
+  async withRetry(entry, operation, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation(entry.adapter, attempt);
+      } catch (error) {
+        const canRetry = attempt < this.config.maxRetries &&
+          this.isRetryableError(error) &&
+          !options.signal?.aborted &&
+          (!options.canFailover || options.canFailover());
+
+        if (!canRetry) {
+          throw error;
+        }
+
+        // Exponential backoff with jitter, or the provider's Retry-After when it sends one
+        const delay = error.retryAfterMs ??
+          this.config.retryBaseDelayMs * Math.pow(2, attempt) * (0.75 + Math.random() * 0.5);
+        console.warn(`AI provider ${entry.id} attempt ${attempt + 1} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  isRetryableError(error) {
+    if (error.status) {
+      return error.status === 429 || error.status >= 500;
+    }
+    return error.message === 'Request timeout' || RETRYABLE_NETWORK_ERRORS.includes(error.code);
+  }
+
+  isRejectedRequest(error) {
+    return error.status === 400 || error.status === 422;
+  }
+
+  isConfigurationError(error) {
+    return [401, 403, 404].includes(error.status);
+  }
+
+  /**
+   * Error for a non-2xx provider response, carrying the status for retry decisions
+   */
+  createResponseError(response, body) {
+    const error = new Error(`AI service error: ${response.status} ${body}`);
+    error.status = response.status;
+
+    const retryAfter = parseFloat(response.headers?.['retry-after']);
+    if (!Number.isNaN(retryAfter)) {
+      // Cap so a long Retry-After moves on to the next provider instead of stalling the request
+      error.retryAfterMs = Math.min(retryAfter * 1000, 10000);
+    }
+
+    return error;
   }
 
   async httpRequest(url, options = {}) {
@@ -35,18 +269,47 @@ class AIService {
         method: options.method || 'GET',
         headers: options.headers || {},
         timeout: options.timeout || 90000, // Increased to 90 seconds for AI requests
+        signal: options.signal,
       }, (res) => {
+        const ok = res.statusCode >= 200 && res.statusCode < 300;
+        // Successful streaming responses are handed to onLine as they arrive instead of buffered
+        const streaming = ok && typeof options.onLine === 'function';
         let data = '';
-        res.on('data', chunk => data += chunk);
+
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          data += chunk;
+          if (!streaming) return;
+
+          const lines = data.split('\n');
+          data = lines.pop();
+          try {
+            lines.forEach(line => options.onLine(line));
+          } catch (error) {
+            req.destroy();
+            reject(error);
+          }
+        });
         res.on('end', () => {
+          if (streaming && data) {
+            try {
+              options.onLine(data);
+            } catch (error) {
+              return reject(error);
+            }
+            data = '';
+          }
+
           resolve({
-            ok: res.statusCode >= 200 && res.statusCode < 300,
+            ok,
             status: res.statusCode,
             statusText: res.statusMessage,
+            headers: res.headers,
             text: () => Promise.resolve(data),
             json: () => Promise.resolve(JSON.parse(data)),
           });
         });
+        res.on('error', reject);
       });
 
       req.on('error', reject);
@@ -62,31 +325,24 @@ class AIService {
     });
   }
 
-  async analyzeWord(word) {
+  /**
+   * @param {Object} options - { nativeLanguage } language code of the translation
+   */
+  async analyzeWord(word, { nativeLanguage = DEFAULT_NATIVE_LANGUAGE } = {}) {
     if (!word || typeof word !== 'string') {
       throw new Error('Word must be a non-empty string');
     }
 
-    const prompt = `Analyze the English word "${word}" and provide a comprehensive analysis in the following JSON format:
-
-{
-  "word": "${word}",
-  "definition": "Clear, concise definition",
-  "wordType": "noun/verb/adjective/adverb/etc",
-  "cefrLevel": "A1/A2/B1/B2/C1/C2",
-  "ipaPronunciation": "IPA pronunciation",
-  "exampleSentence": "Example sentence using the word",
-  "notes": "Additional notes about usage, etymology, or context",
-  "tags": ["tag1", "tag2"],
-  "vietnameseTranslation": "Vietnamese translation of the word",
-  "synonyms": "Comma-separated list of synonym words or phrases"
-}
+    const promptVersion = getWordAnalysisPromptVersion(nativeLanguage);
+    const cached = await analysisCache.get(word, promptVersion, this.getCacheModels());
+    if (cached) {
+      return { ...withSenses(cached.analysis), translationLanguage: nativeLanguage, provider: cached.model.split(':')[0], cached: true };
+    }
 
-Ensure the response is valid JSON only, without any additional text or explanations.`;
+    const prompt = buildWordAnalysisPrompt(word, nativeLanguage);
 
     try {
-      const response = await this.makeRequest('chat/completions', {
-        model: this.config.model,
+      const { data: analysis, provider } = await this.completeJSON({
         messages: [
           {
             role: 'user',
@@ -94,40 +350,18 @@ Ensure the response is valid JSON only, without any additional text or explanati
           },
         ],
         temperature: 0.7,
-        max_tokens: 1000,
-      });
-
-      if (response.choices && response.choices[0]) {
-        let content = response.choices[0].message.content;
-
-        // Clean up the response - remove markdown code blocks if present
-        content = content.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
+        max_tokens: 1500,
+      }, wordAnalysisSchema);
 
-        try {
-          return JSON.parse(content);
-        } catch (parseError) {
-          console.error('Failed to parse AI response:', content);
-          throw new Error('Invalid AI response format');
-        }
+      const model = this.getCacheModels([provider])[0];
+      if (model) {
+        await analysisCache.set(word, promptVersion, model, analysis);
       }
 
-      throw new Error('No response from AI service');
+      return { ...withSenses(analysis), translationLanguage: nativeLanguage, provider, cached: false };
     } catch (error) {
       console.error('AI word analysis error:', error);
-
-      // Provide a basic fallback response when AI service is unavailable
-      return {
-        word: word,
-        definition: "Unable to provide definition - AI service unavailable",
-        wordType: "unknown",
-        cefrLevel: "Unknown",
-        ipaPronunciation: "",
-        exampleSentence: `Example sentence with "${word}".`,
-        notes: "AI analysis temporarily unavailable. Please check your AI service configuration.",
-        tags: ["fallback"],
-        vietnameseTranslation: "",
-        synonyms: ""
-      };
+      throw this.createUnavailableError(error);
     }
   }
 
@@ -135,7 +369,8 @@ Ensure the response is valid JSON only, without any additional text or explanati
    * Analyze a chunk of content and extract vocabulary
    * @private
    */
-  async analyzeContentChunk(contentChunk, userCefrLevel, itemsPerChunk) {
+  async analyzeContentChunk(contentChunk, userCefrLevel, itemsPerChunk, nativeLanguage = DEFAULT_NATIVE_LANGUAGE) {
+    const languageName = getLanguageName(nativeLanguage);
     const prompt = `You are an experienced English teacher.
 My English level: ${userCefrLevel} (CEFR).
 Analyze the content below and extract terms or expressions I probably don't know, to help me expand my English vocabulary.
@@ -145,7 +380,7 @@ Include: idioms, phrasal verbs, advanced/uncommon vocabulary, cultural reference
 Exclude: proper names (people, places, brands, organizations)
 
 ✅ Focus on quality over quantity — include only useful and memorable items.
-🪄 Make translations natural in Vietnamese, and sentences practical for memory.
+🪄 Make translations natural in ${languageName}, and sentences practical for memory.
 🔤 Use standard British IPA transcription (e.g., /ˈvɒk.jʊ.lə.ri/).
 
 Content to analyze:
@@ -161,7 +396,7 @@ Return a JSON array of vocabulary items (maximum ${itemsPerChunk} items), each w
   "cefrLevel": "estimated CEFR level (A1-C2)",
   "ipaPronunciation": "British IPA pronunciation",
   "exampleSentence": "natural example sentence for memorization",
-  "vietnameseTranslation": "natural Vietnamese translation",
+  "translation": "natural ${languageName} translation",
   "synonyms": "comma-separated list of synonyms",
   "notes": "usage notes or cultural context if relevant",
   "tags": ["tag1", "tag2"]
@@ -169,8 +404,7 @@ Return a JSON array of vocabulary items (maximum ${itemsPerChunk} items), each w
 
 Provide only valid JSON array without additional text. Focus on words that are challenging but learnable for a ${userCefrLevel} level student.`;
 
-    const response = await this.makeRequest('chat/completions', {
-      model: this.config.model,
+    const { data: vocabulary, provider } = await this.completeJSON({
       messages: [
         {
           role: 'user',
@@ -179,48 +413,15 @@ Provide only valid JSON array without additional text. Focus on words that are c
       ],
       temperature: 0.3,
       max_tokens: 4000,
-    }, {
+    }, contentVocabularySchema, {
       timeout: 120000, // 2 minutes timeout
     });
 
-    if (response.choices && response.choices[0]) {
-      let content = response.choices[0].message.content;
-
-      // Clean up the response - remove markdown code blocks if present
-      content = content.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
-
-      try {
-        const vocabulary = JSON.parse(content);
-
-        // Validate that it's an array
-        if (!Array.isArray(vocabulary)) {
-          throw new Error('Response is not an array');
-        }
-
-        // Validate each item
-        const validatedVocabulary = vocabulary
-          .map(item => ({
-            word: item.word || '',
-            definition: item.definition || '',
-            wordType: item.wordType || 'unknown',
-            cefrLevel: item.cefrLevel || 'B2',
-            ipaPronunciation: item.ipaPronunciation || '',
-            exampleSentence: item.exampleSentence || '',
-            vietnameseTranslation: item.vietnameseTranslation || '',
-            synonyms: item.synonyms || '',
-            notes: item.notes || '',
-            tags: Array.isArray(item.tags) ? item.tags : []
-          }))
-          .filter(item => item.word && item.definition);
-
-        return validatedVocabulary;
-      } catch (parseError) {
-        console.error('Failed to parse AI response:', content);
-        throw new Error('Invalid AI response format');
-      }
-    }
-
-    throw new Error('No response from AI service');
+    // Items say which language their translation is in, the learner may change it later
+    return {
+      vocabulary: vocabulary.map(item => ({ ...item, translationLanguage: nativeLanguage })),
+      provider,
+    };
   }
 
   /**
@@ -282,7 +483,7 @@ Provide only valid JSON array without additional text. Focus on words that are c
   }
 
   async analyzeWebsiteContent(content, userCefrLevel = 'B2', options = {}) {
-    const { limit = 20, onProgress = null, chunksToProcess = 3, offset = 0 } = options;
+    const { limit = 20, onProgress = null, chunksToProcess = 3, offset = 0, itemsPerChunk: itemsPerChunkOption, nativeLanguage } = options;
 
     if (!content || typeof content !== 'string') {
       throw new Error('Content must be a non-empty string');
@@ -297,9 +498,10 @@ Provide only valid JSON array without additional text. Focus on words that are c
       // For small content, use single request
       if (content.length <= CHUNK_SIZE) {
         console.log('📝 Content is small, using single-chunk analysis');
-        const vocabulary = await this.analyzeContentChunk(content, userCefrLevel, limit);
+        const { vocabulary, provider } = await this.analyzeContentChunk(content, userCefrLevel, limit, nativeLanguage);
         return {
           vocabulary: vocabulary.slice(0, limit),
+          provider,
           hasMore: false,
           nextOffset: 0,
           totalChunks: 1,
@@ -325,10 +527,11 @@ Provide only valid JSON array without additional text. Focus on words that are c
       }
 
       // Calculate items per chunk
-      const itemsPerChunk = Math.ceil(limit / chunksToProcess) + 5; // +5 to account for deduplication
+      const itemsPerChunk = itemsPerChunkOption || Math.ceil(limit / chunksToProcess) + 5; // +5 to account for deduplication
 
       // Analyze only the requested chunks
       const results = [];
+      const providers = new Set();
       let start = 0;
       let chunkIndex = 0;
       const startTime = Date.now();
@@ -342,6 +545,9 @@ Provide only valid JSON array without additional text. Focus on words that are c
 
       // Process only chunksToProcess chunks starting from offset
       let processedCount = 0;
+      let failedCount = 0;
+      let lastChunkError = null;
+      let quotaExceeded = false;
       while (start < content.length && processedCount < chunksToProcess) {
         chunkIndex = offset + processedCount + 1;
         const end = Math.min(start + CHUNK_SIZE, content.length);
@@ -382,16 +588,26 @@ Provide only valid JSON array without additional text. Focus on words that are c
         }
 
         try {
-          const chunkResult = await this.analyzeContentChunk(chunk.trim(), userCefrLevel, itemsPerChunk);
-          results.push(chunkResult);
+          const chunkResult = await this.analyzeContentChunk(chunk.trim(), userCefrLevel, itemsPerChunk, nativeLanguage);
+          results.push(chunkResult.vocabulary);
+          providers.add(chunkResult.provider);
 
           // Add small delay between chunks to avoid rate limiting
           if (processedCount < chunksToProcess - 1) {
             await new Promise(resolve => setTimeout(resolve, 500));
           }
         } catch (chunkError) {
+          // Out of quota: stop here, the chunks analyzed so far are still returned
+          if (chunkError.code === 'quota_exceeded') {
+            if (processedCount === 0) throw chunkError;
+            quotaExceeded = true;
+            break;
+          }
+
           console.error(`⚠️  Failed to analyze chunk ${chunkIndex}:`, chunkError.message);
           // Continue with other chunks even if one fails
+          failedCount++;
+          lastChunkError = chunkError;
         }
 
         // Move start position with overlap
@@ -435,13 +651,20 @@ Provide only valid JSON array without additional text. Focus on words that are c
 
       return {
         vocabulary: finalVocabulary,
+        // Chunks may have been answered by different providers of the chain
+        provider: [...providers].join(', ') || null,
         hasMore,
         nextOffset,
         totalChunks,
-        processedChunks: processedCount
+        processedChunks: processedCount,
+        // Failed chunks are skipped, callers decide whether a batch without any result is an error
+        failedChunks: failedCount,
+        lastChunkError,
+        quotaExceeded
       };
     } catch (error) {
       console.error('AI website content analysis error:', error);
+      if (error.code === 'quota_exceeded') throw error;
       throw new Error(`Website analysis failed: ${error.message}`);
     }
   }
@@ -488,8 +711,7 @@ Provide a comprehensive analysis in JSON format:
 Provide only valid JSON without additional text.`;
 
     try {
-      const response = await this.makeRequest('chat/completions', {
-        model: this.config.model,
+      const { data: analysis, provider } = await this.completeJSON({
         messages: [
           {
             role: 'user',
@@ -498,27 +720,94 @@ Provide only valid JSON without additional text.`;
         ],
         temperature: 0.7,
         max_tokens: 1500,
-      });
+      }, sentenceAnalysisSchema);
 
-      if (response.choices && response.choices[0]) {
-        let content = response.choices[0].message.content;
+      return { ...analysis, provider };
+    } catch (error) {
+      console.error('AI sentence analysis error:', error);
+      throw this.createUnavailableError(error);
+    }
+  }
 
-        // Clean up the response - remove markdown code blocks if present
-        content = content.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
+  /**
+   * Rough token count (about 4 characters per token for English text)
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
 
-        try {
-          return JSON.parse(content);
-        } catch (parseError) {
-          console.error('Failed to parse AI response:', content);
-          throw new Error('Invalid AI response format');
-        }
-      }
+  /**
+   * Rough token count of a whole message list
+   */
+  estimateMessagesTokens(messages = []) {
+    return messages.reduce((total, message) => total + this.estimateTokens(message.content), 0);
+  }
 
-      throw new Error('No response from AI service');
-    } catch (error) {
-      console.error('AI sentence analysis error:', error);
-      throw new Error('AI service unavailable');
+  /**
+   * System prompt for the tutor, grounded in the learner's own data when available
+   * @param {Object|null} learnerContext - { cefrLevel, groupName, groupWords, strugglingWords }
+   * @returns {string} System prompt
+   */
+  buildChatSystemPrompt(learnerContext = null) {
+    if (!learnerContext) {
+      return CHAT_SYSTEM_PROMPT;
+    }
+
+    const formatWords = (words) => words
+      .map(word => (word.definition ? `- ${word.word}: ${word.definition}` : `- ${word.word}`))
+      .join('\n');
+
+    const sections = [CHAT_SYSTEM_PROMPT];
+
+    if (learnerContext.cefrLevel) {
+      sections.push(`The learner's English level is CEFR ${learnerContext.cefrLevel}. Pitch explanations, examples and exercises at this level.`);
+    }
+
+    if (learnerContext.groupWords?.length > 0) {
+      const groupLabel = learnerContext.groupName ? ` from their "${learnerContext.groupName}" group` : '';
+      sections.push(`The learner is currently studying these words${groupLabel}:\n${formatWords(learnerContext.groupWords)}`);
     }
+
+    if (learnerContext.strugglingWords?.length > 0) {
+      sections.push(`The learner keeps forgetting these words in flashcard reviews:\n${formatWords(learnerContext.strugglingWords)}`);
+    }
+
+    if (sections.length > 1) {
+      sections.push('When you write example sentences, dialogues or exercises, reuse the words above where they fit naturally, and give extra practice with the ones the learner keeps forgetting.');
+    }
+
+    return sections.join('\n\n');
+  }
+
+  /**
+   * Build the chat prompt from the newest earlier turns that fit the token budget
+   * @param {string} message - New user message
+   * @param {Array} history - Earlier turns [{role, content}], oldest first
+   * @param {Object|null} learnerContext - Learner data for the system prompt
+   * @param {number} tokenBudget - Maximum estimated tokens of history to include
+   * @returns {Array} Messages for the chat completion request
+   */
+  buildChatMessages(message, history = [], learnerContext = null, tokenBudget = CHAT_HISTORY_TOKEN_BUDGET) {
+    const window = [];
+    let usedTokens = 0;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      const tokens = this.estimateTokens(history[i].content);
+      if (usedTokens + tokens > tokenBudget) break;
+      usedTokens += tokens;
+      window.unshift({ role: history[i].role, content: history[i].content });
+    }
+
+    // Start the window on a user turn so no answer appears without its question
+    while (window.length > 0 && window[0].role !== 'user') {
+      window.shift();
+    }
+
+    return [
+      { role: 'system', content: this.buildChatSystemPrompt(learnerContext) },
+      ...window,
+      { role: 'user', content: message },
+    ];
   }
 
   async chat(message, options = {}) {
@@ -526,37 +815,26 @@ Provide only valid JSON without additional text.`;
       throw new Error('Message must be a non-empty string');
     }
 
-    const systemPrompt = `You are an AI assistant specialized in English language learning. Help users with vocabulary, grammar, pronunciation, and general English language questions. Be encouraging, informative, and provide practical examples.`;
-
     try {
-      const response = await this.makeRequest('chat/completions', {
-        model: this.config.model,
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt,
-          },
-          {
-            role: 'user',
-            content: message,
-          },
-        ],
+      const response = await this.chatCompletion({
+        messages: this.buildChatMessages(message, options.history, options.learnerContext),
         temperature: 0.8,
         max_tokens: 2000,
       });
 
-      if (response.choices && response.choices[0]) {
+      if (response.content) {
         return {
-          message: response.choices[0].message.content,
+          message: response.content,
           conversationId: options.conversationId || this.generateId(),
           timestamp: new Date().toISOString(),
+          provider: response.provider,
         };
       }
 
       throw new Error('No response from AI service');
     } catch (error) {
       console.error('AI chat error:', error);
-      throw new Error('AI service unavailable');
+      throw this.createUnavailableError(error);
     }
   }
 
@@ -565,8 +843,6 @@ Provide only valid JSON without additional text.`;
       throw new Error('Message must be a non-empty string');
     }
 
-    const systemPrompt = `You are an AI assistant specialized in English language learning. Help users with vocabulary, grammar, pronunciation, and general English language questions. Be encouraging, informative, and provide practical examples.`;
-
     const responseId = this.generateId();
     const conversationId = options.conversationId || this.generateId();
 
@@ -578,149 +854,332 @@ Provide only valid JSON without additional text.`;
       });
     }
 
+    let fullMessage = '';
+
     try {
-      // Note: This is a simplified streaming implementation
-      // In a real implementation, you'd use the streaming endpoints of your AI provider
-      const response = await this.makeRequest('chat/completions', {
-        model: this.config.model,
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt,
-          },
-          {
-            role: 'user',
-            content: message,
-          },
-        ],
+      const { provider } = await this.makeStreamRequest({
+        messages: this.buildChatMessages(message, options.history, options.learnerContext),
         temperature: 0.8,
         max_tokens: 2000,
-        stream: false, // For now, simulate streaming
-      });
-
-      if (response.choices && response.choices[0]) {
-        const content = response.choices[0].message.content;
-
-        // Simulate streaming by breaking content into chunks
-        const words = content.split(' ');
-        for (let i = 0; i < words.length; i += 5) {
-          const chunk = words.slice(i, i + 5).join(' ');
+      }, {
+        signal: options.signal,
+        onDelta: (content) => {
+          fullMessage += content;
           if (options.onChunk) {
             options.onChunk({
               type: 'chunk',
-              content: chunk + (i + 5 < words.length ? ' ' : ''),
+              content,
               responseId,
             });
           }
-          // Add small delay to simulate real streaming
-          await new Promise(resolve => setTimeout(resolve, 50));
-        }
-      }
+        },
+      });
 
       return {
         responseId,
         conversationId,
+        message: fullMessage,
+        provider,
       };
     } catch (error) {
+      // The client went away, nothing left to report
+      if (options.signal?.aborted) {
+        return {
+          responseId,
+          conversationId,
+          message: fullMessage,
+          aborted: true,
+        };
+      }
+
       console.error('AI chat stream error:', error);
-      throw new Error('AI service unavailable');
+      throw this.createUnavailableError(error);
     }
   }
 
-  async makeRequest(endpoint, data, options = {}) {
-    const provider = this.providers[this.config.provider];
-    if (!provider) {
-      throw new Error(`Unknown AI provider: ${this.config.provider}`);
-    }
+  /**
+   * Stream a chat completion, calling onDelta with each piece of generated text
+   * The provider adapter builds the request and parses its SSE or NDJSON lines.
+   * Fails over to the next provider only until the first piece has been delivered
+   * @returns {Object} { provider }
+   */
+  async makeStreamRequest(data, options = {}) {
+    let delivered = false;
+    let streamedText = '';
+    let streamingProvider = null;
+
+    // Streams report no usage, so tokens are estimated. Recorded even when the
+    // client disconnects, the provider has already spent them
+    const recordUsage = () => usageService.record({
+      provider: streamingProvider,
+      model: this.getProviderModel(streamingProvider),
+      promptTokens: this.estimateMessagesTokens(data.messages),
+      completionTokens: this.estimateTokens(streamedText),
+      estimated: true,
+    });
 
-    const url = `${provider.baseUrl}/${endpoint}`;
-    const headers = {
-      'Content-Type': 'application/json',
+    const operation = async (adapter) => {
+      const { url, body } = adapter.buildRequest(data, { stream: true });
+      let done = false;
+      streamingProvider = adapter.id;
+
+      const response = await this.httpRequest(url, {
+        method: 'POST',
+        headers: adapter.getHeaders(),
+        body: JSON.stringify(body),
+        timeout: options.timeout || 30000, // Idle time between chunks, not the total
+        signal: options.signal,
+        onLine: (line) => {
+          if (done) return;
+
+          const event = adapter.parseStreamLine(line);
+          if (!event) return;
+
+          if (event.content) {
+            delivered = true;
+            streamedText += event.content;
+            options.onDelta(event.content);
+          }
+          if (event.done) {
+            done = true;
+          }
+        },
+      });
+
+      if (!response.ok) {
+        throw this.createResponseError(response, await response.text());
+      }
     };
 
-    // Add authentication based on provider
-    if (this.config.provider === 'ollama-cloud' || this.config.provider === 'openai') {
-      if (!this.config.apiKey) {
-        throw new Error('API key is required for this provider');
+    let provider;
+    try {
+      ({ provider } = await this.withFailover(operation, {
+        signal: options.signal,
+        canFailover: () => !delivered,
+      }));
+    } catch (error) {
+      if (delivered) {
+        await recordUsage();
       }
-      headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+      throw error;
     }
 
+    await recordUsage();
+    return { provider };
+  }
+
+  /**
+   * Run a chat completion, failing over along the provider chain
+   * @param {Object} data - { messages, temperature, max_tokens }, model defaults to each provider's own
+   * @param {Object} options - { timeout }
+   * @returns {Object} { content, usage: { promptTokens, completionTokens }, provider }
+   */
+  async chatCompletion(data, options = {}) {
     // Use extended timeout for complex operations like website analysis
     const timeout = options.timeout || 30000;
 
-    const response = await this.httpRequest(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(data),
-      timeout,
+    const { result, provider } = await this.withFailover(async (adapter) => {
+      const { url, body, responsePrefix } = adapter.buildRequest(data);
+
+      const response = await this.httpRequest(url, {
+        method: 'POST',
+        headers: adapter.getHeaders(),
+        body: JSON.stringify(body),
+        timeout,
+      });
+
+      if (!response.ok) {
+        throw this.createResponseError(response, await response.text());
+      }
+
+      const parsed = adapter.parseResponse(await response.json());
+      return responsePrefix ? { ...parsed, content: responsePrefix + parsed.content } : parsed;
+    });
+
+    const { promptTokens, completionTokens } = result.usage || {};
+    await usageService.record({
+      provider,
+      model: this.getProviderModel(provider),
+      promptTokens: promptTokens ?? this.estimateMessagesTokens(data.messages),
+      completionTokens: completionTokens ?? this.estimateTokens(result.content || ''),
+      estimated: promptTokens == null || completionTokens == null,
     });
 
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(`AI service error: ${response.status} ${errorData}`);
+    return { ...result, provider };
+  }
+
+  /**
+   * Pull the JSON value out of a model reply
+   * Tolerates code fences, text around the JSON and trailing commas
+   */
+  parseJSONResponse(text) {
+    let content = (text || '').replace(/```(?:json)?\s*/gi, '').replace(/```/g, '').trim();
+
+    const start = content.search(/[[{]/);
+    if (start === -1) {
+      throw new Error('Response contains no JSON');
+    }
+    const end = Math.max(content.lastIndexOf('}'), content.lastIndexOf(']'));
+    content = content.slice(start, end + 1);
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      return JSON.parse(content.replace(/,\s*([}\]])/g, '$1'));
+    }
+  }
+
+  /**
+   * Run a chat completion that must return JSON matching a Joi schema
+   * Uses the provider's JSON mode where available. When the reply does not
+   * parse or validate, the model is shown its reply with the errors and asked to fix it
+   * @param {Object} data - Chat completion request
+   * @param {Object} schema - Joi schema for the payload
+   * @param {Object} options - { timeout, repairAttempts }
+   * @returns {Object} { data, provider, usage }
+   */
+  async completeJSON(data, schema, options = {}) {
+    const { repairAttempts = JSON_REPAIR_ATTEMPTS, ...completionOptions } = options;
+    const root = schema.type === 'array' ? 'array' : 'object';
+    let messages = data.messages;
+    let lastProblem = null;
+
+    for (let attempt = 0; attempt <= repairAttempts; attempt++) {
+      const response = await this.chatCompletion({
+        ...data,
+        messages,
+        responseFormat: { type: 'json', root },
+      }, completionOptions);
+
+      let problem;
+      try {
+        const { error, value } = schema.validate(this.parseJSONResponse(response.content), { abortEarly: false });
+        if (!error) {
+          return { data: value, provider: response.provider, usage: response.usage };
+        }
+        problem = error.details.slice(0, 10).map(detail => detail.message).join('; ');
+      } catch (parseError) {
+        problem = `invalid JSON (${parseError.message})`;
+      }
+
+      console.warn(`AI response failed validation (attempt ${attempt + 1}): ${problem}`);
+      lastProblem = problem;
+
+      messages = [
+        ...data.messages,
+        { role: 'assistant', content: response.content || '' },
+        {
+          role: 'user',
+          content: `Your response could not be used: ${problem}. Reply again with only the corrected JSON ${root}, following the requested format exactly.`,
+        },
+      ];
     }
 
-    return await response.json();
+    const error = new Error('Invalid AI response format');
+    error.details = lastProblem;
+    error.statusCode = 502;
+    error.expose = true;
+    throw error;
   }
 
+  /**
+   * Check every provider in the failover chain
+   * @returns {Object} Overall result plus per-provider health
+   */
   async testConnection() {
-    try {
-      const provider = this.providers[this.config.provider];
-      if (!provider) {
-        return {
-          success: false,
-          message: `Unknown provider: ${this.config.provider}`,
-        };
+    const providers = await Promise.all(this.chain.map(async (entry) => {
+      const health = {
+        provider: entry.id,
+        providerName: entry.adapter ? entry.adapter.label : 'Unknown',
+        model: entry.adapter ? entry.adapter.model : null,
+        circuit: entry.breaker.getState(),
+      };
+
+      if (!entry.adapter) {
+        return { ...health, success: false, message: `Unknown provider: ${entry.id}` };
       }
 
-      let testEndpoint;
-      const headers = {};
-
-      if (this.config.provider === 'ollama-local') {
-        testEndpoint = `${provider.baseUrl}/api/tags`;
-      } else {
-        testEndpoint = `${provider.baseUrl}/models`;
-        if (!this.config.apiKey) {
-          return {
-            success: false,
-            message: 'API key is required',
-          };
-        }
-        headers['Authorization'] = `Bearer ${this.config.apiKey}`;
+      const configurationError = entry.adapter.getConfigurationError();
+      if (configurationError) {
+        return { ...health, success: false, message: configurationError };
       }
 
-      const response = await this.httpRequest(testEndpoint, {
-        headers,
-        timeout: 10000,
-      });
+      const startedAt = Date.now();
+      try {
+        const response = await this.httpRequest(entry.adapter.getHealthCheckUrl(), {
+          headers: entry.adapter.getHeaders(),
+          timeout: 10000,
+        });
 
-      if (response.ok) {
         return {
-          success: true,
-          message: 'Connection successful',
-          provider: this.config.provider,
-          model: this.config.model,
-        };
-      } else {
-        return {
-          success: false,
-          message: `Connection failed: ${response.status}`,
+          ...health,
+          success: response.ok,
+          message: response.ok ? 'Connection successful' : `Connection failed: ${response.status}`,
+          latencyMs: Date.now() - startedAt,
         };
+      } catch (error) {
+        return { ...health, success: false, message: error.message };
       }
-    } catch (error) {
-      return {
-        success: false,
-        message: error.message,
-      };
-    }
+    }));
+
+    const healthy = providers.find(provider => provider.success);
+
+    return {
+      success: !!healthy,
+      message: healthy
+        ? `Connection successful (${providers.filter(provider => provider.success).length}/${providers.length} providers healthy)`
+        : 'No AI provider is reachable',
+      provider: healthy ? healthy.provider : null,
+      model: healthy ? healthy.model : null,
+      providers,
+    };
+  }
+
+  /**
+   * Remove shared word analyses, see AnalysisCache.purge
+   */
+  async purgeAnalysisCache(options = {}) {
+    return analysisCache.purge({ ...options, currentPromptVersions: this.getWordAnalysisPromptVersions() });
+  }
+
+  getAnalysisCacheStats() {
+    return { ...analysisCache.getStats(), promptVersions: this.getWordAnalysisPromptVersions() };
+  }
+
+  // Word analyses are cached per translation language, each with its own prompt version
+  getWordAnalysisPromptVersions() {
+    return NATIVE_LANGUAGE_CODES.map(getWordAnalysisPromptVersion);
+  }
+
+  getProviderModel(providerId) {
+    return this.chain.find(entry => entry.id === providerId)?.adapter?.model || 'unknown';
+  }
+
+  /**
+   * Cache identities ("provider:model") of usable providers, in chain order
+   * @param {string[]} providerIds - Limit to these providers
+   */
+  getCacheModels(providerIds = null) {
+    return this.chain
+      .filter(entry => entry.adapter && (!providerIds || providerIds.includes(entry.id)))
+      .map(entry => `${entry.id}:${entry.adapter.model}`);
   }
 
   getConfig() {
+    const primary = this.chain[0];
+
     return {
-      provider: this.config.provider,
+      provider: primary.id,
+      providerName: primary.adapter ? primary.adapter.label : 'Unknown',
       model: this.config.model,
-      available: !!this.config.apiKey || this.config.provider === 'ollama-local',
+      available: this.chain.some(entry => entry.adapter && entry.adapter.isConfigured()),
+      chain: this.chain.map(entry => ({
+        provider: entry.id,
+        providerName: entry.adapter ? entry.adapter.label : 'Unknown',
+        model: entry.adapter ? entry.adapter.model : null,
+        available: !!entry.adapter && entry.adapter.isConfigured(),
+        circuit: entry.breaker.getState(),
+      })),
     };
   }
 
@@ -729,7 +1188,7 @@ Provide only valid JSON without additional text.`;
       throw new Error('Words array must be a non-empty array');
     }
 
-    const prompt = `Generate quiz questions for the following English words. For each word, create exactly ONE quiz question of a randomly chosen type from: fill_blank, definition_choice, synonym_choice, or context_choice.
+    const prompt = `Generate quiz questions for the following English words. For each word, create exactly ONE quiz question of a randomly chosen type from: fill_blank, definition_choice, synonym_choice, context_choice, collocation_choice, word_formation or matching.
 
 Words to generate questions for:
 ${words.map((word, index) => `${index + 1}. "${word.word}"
@@ -737,7 +1196,7 @@ ${words.map((word, index) => `${index + 1}. "${word.word}"
    - Type: ${word.word_type || 'unknown'}
    - Level: ${word.cefr_level || 'B2'}
    - Example: ${word.example_sentence || ''}
-   - Vietnamese: ${word.vietnamese_translation || ''}
+   - Translations: ${formatTranslations(word.translations)}
    - Synonyms: ${word.synonyms || ''}`).join('\n\n')}
 
 For each word, create one quiz question following these guidelines:
@@ -745,6 +1204,9 @@ For each word, create one quiz question following these guidelines:
 - definition_choice: Ask "What does [word] mean?" with 4 definition options
 - synonym_choice: Ask "Which word is closest in meaning to [word]?" with 4 word options
 - context_choice: Ask "In which sentence is [word] used correctly?" with 2 sentence options
+- collocation_choice: A phrase with a blank for the word that naturally goes with [word] (e.g. "______ a decision" with options make, do, take, have)
+- word_formation: A sentence with a blank for a form of [word] other than the one given, with the given form in capitals and parentheses at the end (e.g. "She made a quick ______. (DECIDE)" with answer "decision")
+- matching: "Match each word with its definition" with [word] and 4 other words at the same level, options are the 5 pairs { "word": ..., "definition": ... } and correct_answer is [word]
 - All multiple choice questions should have exactly 4 options (except context_choice which has 2)
 - Difficulty should match the word's CEFR level
 - Options should be plausible distractors
@@ -753,7 +1215,7 @@ Return a JSON array with one question per word:
 [
   {
     "word_id": "${words[0]?.id || 'word1'}",
-    "question_type": "fill_blank|definition_choice|synonym_choice|context_choice",
+    "question_type": "fill_blank|definition_choice|synonym_choice|context_choice|collocation_choice|word_formation|matching",
     "question_text": "Question text here",
     "correct_answer": "Correct answer",
     "options": ["option1", "option2", "option3", "option4"],
@@ -761,14 +1223,13 @@ Return a JSON array with one question per word:
   }
 ]
 
-For fill_blank questions, use empty array for options: "options": []
+For fill_blank and word_formation questions, use empty array for options: "options": []
 For context_choice questions, use exactly 2 sentence options: "options": ["correct sentence", "incorrect sentence"]
 
 Provide only valid JSON array without additional text.`;
 
     try {
-      const response = await this.makeRequest('chat/completions', {
-        model: this.config.model,
+      const { data: questions } = await this.completeJSON({
         messages: [
           {
             role: 'user',
@@ -776,79 +1237,77 @@ Provide only valid JSON array without additional text.`;
           },
         ],
         temperature: 0.7,
-        max_tokens: 3000,
-      }, {
+        max_tokens: 4000,
+      }, batchQuizQuestionsSchema, {
         timeout: 60000, // 60 seconds timeout for batch processing
       });
 
-      if (response.choices && response.choices[0]) {
-        let content = response.choices[0].message.content;
-
-        // Clean up the response - remove markdown code blocks if present
-        content = content.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
-
-        try {
-          const questions = JSON.parse(content);
-
-          // Validate that it's an array
-          if (!Array.isArray(questions)) {
-            throw new Error('Response is not an array');
-          }
-
-          // Create a map of word IDs for quick lookup
-          const wordMap = new Map(words.map(word => [word.id, word]));
-
-          // Validate and clean up each question
-          const validatedQuestions = questions.map((question, index) => {
-            // Use word_id from question if provided, otherwise fall back to index mapping
-            let word;
-            if (question.word_id && wordMap.has(question.word_id)) {
-              word = wordMap.get(question.word_id);
-            } else {
-              word = words[index];
-            }
-
-            if (!word) {
-              console.warn(`No word found for question at index ${index}, word_id: ${question.word_id}`);
-              return null;
-            }
+      // Create a map of word IDs for quick lookup
+      const wordMap = new Map(words.map(word => [word.id, word]));
+
+      // Validate and clean up each question
+      const validatedQuestions = questions.map((question, index) => {
+        // Use word_id from question if provided, otherwise fall back to index mapping
+        let word;
+        if (question.word_id && wordMap.has(question.word_id)) {
+          word = wordMap.get(question.word_id);
+        } else {
+          word = words[index];
+        }
 
-            // Map AI response question types to database types
-            let questionType = question.question_type || 'definition_choice';
-            if (questionType === 'multiple_choice') {
-              questionType = 'definition_choice'; // Default fallback
-            }
+        if (!word) {
+          console.warn(`No word found for question at index ${index}, word_id: ${question.word_id}`);
+          return null;
+        }
 
-            // Ensure question type is valid
-            const validTypes = ['fill_blank', 'definition_choice', 'synonym_choice', 'context_choice'];
-            if (!validTypes.includes(questionType)) {
-              questionType = 'definition_choice'; // Safe fallback
-            }
+        // Map AI response question types to database types
+        let questionType = question.question_type || 'definition_choice';
+        if (questionType === 'multiple_choice') {
+          questionType = 'definition_choice'; // Default fallback
+        }
 
-            return {
-              word_id: word.id,
-              question_type: questionType,
-              question_text: question.question_text || '',
-              correct_answer: question.correct_answer || '',
-              options: Array.isArray(question.options) ? question.options : [],
-              explanation: question.explanation || '',
-            };
-          }).filter(q => q && q.question_text && q.correct_answer);
-
-          return validatedQuestions;
-        } catch (parseError) {
-          console.error('Failed to parse AI batch quiz response:', content);
-          throw new Error('Invalid AI response format for batch quiz questions');
+        // Ensure question type is valid
+        const validTypes = [
+          'fill_blank', 'definition_choice', 'synonym_choice', 'context_choice',
+          'collocation_choice', 'word_formation', 'matching',
+        ];
+        if (!validTypes.includes(questionType)) {
+          questionType = 'definition_choice'; // Safe fallback
         }
-      }
 
-      throw new Error('No response from AI service');
+        return {
+          word_id: word.id,
+          question_type: questionType,
+          question_text: question.question_text || '',
+          correct_answer: question.correct_answer || '',
+          options: Array.isArray(question.options) ? question.options : [],
+          explanation: question.explanation || '',
+        };
+      }).filter(q => q && q.question_text && q.correct_answer);
+
+      return validatedQuestions;
     } catch (error) {
       console.error('AI batch quiz generation error:', error);
       throw new Error(`Batch quiz generation failed: ${error.message}`);
     }
   }
 
+  /**
+   * The error callers see when no provider could answer
+   * Keeps the message the frontend checks for, with a 503 status for the error handler
+   */
+  createUnavailableError(cause) {
+    // Errors meant for the client (invalid format after repair, quota used up) keep their message
+    if (cause?.expose) {
+      return cause;
+    }
+
+    const error = new Error('AI service unavailable');
+    error.statusCode = 503;
+    error.cause = cause;
+    return error;
+  }
+
   generateId() {
     return Math.random().toString(36).substring(2) + Date.now().toString(36);
   }
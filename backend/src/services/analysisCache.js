@@ -0,0 +1,265 @@
+/**
+ * AI Analysis Cache
+ * Shares AI word analyses across users. Entries are keyed by normalized lemma,
+ * prompt version and model, and kept in an in-process LRU backed by the
+ * ai_analysis_cache table (see sql/17_ai_analysis_cache.sql)
+ */
+
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lowercased, whitespace-collapsed form of a word used as the cache lemma
+ */
+function normalizeLemma(word) {
+  return word
+    .normalize('NFKC')
+    .trim()
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Short stable hash, used for cache keys and prompt versions
+ */
+function hashText(text, length = 64) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, length);
+}
+
+/**
+ * Minimal LRU map with per-entry expiry
+ */
+class LRUCache {
+  constructor(maxEntries = 1000) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, expiresAt) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt });
+
+    if (this.entries.size > this.maxEntries) {
+      // Map iteration order is insertion order, so the first key is the least recently used
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+class AnalysisCache {
+  constructor() {
+    this.config = {
+      enabled: process.env.AI_CACHE_ENABLED !== 'false',
+      ttlMs: parseInt(process.env.AI_CACHE_TTL_DAYS || '30', 10) * DAY_MS,
+      maxEntries: parseInt(process.env.AI_CACHE_MAX_ENTRIES || '1000', 10),
+    };
+
+    this.memory = new LRUCache(this.config.maxEntries);
+    this.supabase = undefined;
+    this.stats = { memoryHits: 0, databaseHits: 0, misses: 0 };
+  }
+
+  /**
+   * Service role client for the shared table, or null when no key is configured
+   * (the cache then only lives in memory)
+   */
+  getClient() {
+    if (this.supabase === undefined) {
+      const url = process.env.SUPABASE_URL;
+      const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+      this.supabase = url && serviceKey
+        ? createClient(url, serviceKey, { auth: { persistSession: false } })
+        : null;
+    }
+    return this.supabase;
+  }
+
+  getCacheKey(lemma, promptVersion, model) {
+    return hashText(`${lemma}\n${promptVersion}\n${model}`);
+  }
+
+  /**
+   * Look up an analysis
+   * @param {string} word - Word as entered by the user
+   * @param {string} promptVersion - Version of the prompt that would be used
+   * @param {string[]} models - Acceptable models, in order of preference
+   * @returns {Object|null} { analysis, model } or null on a miss
+   */
+  async get(word, promptVersion, models) {
+    if (!this.config.enabled || models.length === 0) return null;
+
+    const lemma = normalizeLemma(word);
+
+    for (const model of models) {
+      const analysis = this.memory.get(this.getCacheKey(lemma, promptVersion, model));
+      if (analysis) {
+        this.stats.memoryHits++;
+        return { analysis, model };
+      }
+    }
+
+    const supabase = this.getClient();
+    if (supabase) {
+      try {
+        const { data: rows, error } = await supabase
+          .from('ai_analysis_cache')
+          .select('cache_key, model, analysis, hit_count, expires_at')
+          .eq('lemma', lemma)
+          .eq('prompt_version', promptVersion)
+          .in('model', models)
+          .gt('expires_at', new Date().toISOString());
+
+        if (error) throw error;
+
+        const row = models
+          .map(model => rows.find(candidate => candidate.model === model))
+          .find(Boolean);
+
+        if (row) {
+          this.stats.databaseHits++;
+          this.memory.set(row.cache_key, row.analysis, new Date(row.expires_at).getTime());
+
+          // Hit counts are informational, don't hold up the response
+          supabase
+            .from('ai_analysis_cache')
+            .update({ hit_count: row.hit_count + 1 })
+            .eq('cache_key', row.cache_key)
+            .then(({ error: updateError }) => {
+              if (updateError) console.error('Failed to update cache hit count:', updateError);
+            });
+
+          return { analysis: row.analysis, model: row.model };
+        }
+      } catch (error) {
+        // A cache failure should never fail the analysis
+        console.error('Analysis cache lookup error:', error);
+      }
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Store an analysis in memory and in the shared table
+   */
+  async set(word, promptVersion, model, analysis) {
+    if (!this.config.enabled) return;
+
+    const lemma = normalizeLemma(word);
+    const cacheKey = this.getCacheKey(lemma, promptVersion, model);
+    const expiresAt = Date.now() + this.config.ttlMs;
+
+    this.memory.set(cacheKey, analysis, expiresAt);
+
+    const supabase = this.getClient();
+    if (!supabase) return;
+
+    const { error } = await supabase
+      .from('ai_analysis_cache')
+      .upsert({
+        cache_key: cacheKey,
+        lemma,
+        prompt_version: promptVersion,
+        model,
+        analysis,
+        hit_count: 0,
+        created_at: new Date().toISOString(),
+        expires_at: new Date(expiresAt).toISOString(),
+      }, { onConflict: 'cache_key' });
+
+    if (error) {
+      console.error('Analysis cache write error:', error);
+    }
+  }
+
+  /**
+   * Remove cache entries
+   * @param {Object} options - { word, currentPromptVersions, staleOnly }
+   *   word: only entries for this word
+   *   staleOnly: only expired entries and entries from prompt versions no longer in use
+   * @returns {Object} { memory, database } number of entries removed
+   */
+  async purge({ word, currentPromptVersions = [], staleOnly = false } = {}) {
+    const lemma = word ? normalizeLemma(word) : null;
+
+    // Memory entries are keyed by hash only, so the whole LRU is cleared and refills from the table
+    const memory = this.memory.size;
+    this.memory.clear();
+
+    const supabase = this.getClient();
+    if (!supabase) {
+      return { memory, database: 0 };
+    }
+
+    let query = supabase.from('ai_analysis_cache').delete({ count: 'exact' });
+
+    if (lemma) {
+      query = query.eq('lemma', lemma);
+    }
+
+    if (staleOnly) {
+      query = query.or(`expires_at.lt.${new Date().toISOString()},prompt_version.not.in.(${currentPromptVersions.join(',')})`);
+    } else if (!lemma) {
+      // PostgREST refuses unfiltered deletes
+      query = query.neq('cache_key', '');
+    }
+
+    const { count, error } = await query;
+    if (error) throw error;
+
+    return { memory, database: count || 0 };
+  }
+
+  getStats() {
+    return {
+      enabled: this.config.enabled,
+      persistent: Boolean(this.getClient()),
+      memoryEntries: this.memory.size,
+      maxEntries: this.config.maxEntries,
+      ttlDays: this.config.ttlMs / DAY_MS,
+      ...this.stats,
+    };
+  }
+}
+
+// Create a singleton instance
+const analysisCache = new AnalysisCache();
+
+export {
+  analysisCache,
+  AnalysisCache,
+  LRUCache,
+  normalizeLemma,
+  hashText
+};
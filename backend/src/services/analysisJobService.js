@@ -0,0 +1,386 @@
+/**
+ * Content Analysis Jobs
+ * Runs long content analysis in the background. Each job works through the
+ * content one chunk at a time, saving progress and the vocabulary found so far
+ * to ai_analysis_jobs (see sql/19_ai_analysis_jobs.sql) and notifying
+ * subscribers, so clients can poll, stream or resume after a reload
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { createClient } from '@supabase/supabase-js';
+import { aiService } from './aiService.js';
+import { usageService } from './usageService.js';
+import { attachCues } from './subtitleCues.js';
+import { sourceService } from './sourceService.js';
+import { wordFamilyService } from './wordFamilyService.js';
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// Everything but the content and vocabulary, for progress updates
+const JOB_SUMMARY_COLUMNS = 'id, status, source_id, source_type, source_info, user_cefr_level, native_language, total_chunks, processed_chunks, provider, error, error_code, worker_id, created_at, updated_at, completed_at';
+
+// Vocabulary items requested from the AI per chunk
+const ITEMS_PER_CHUNK = 12;
+
+// A running job of another process that has not saved progress for this long is considered lost
+const STALE_JOB_MS = 5 * 60 * 1000;
+
+class AnalysisJobService {
+  constructor() {
+    this.config = {
+      concurrency: parseInt(process.env.AI_JOB_CONCURRENCY || '1', 10),
+    };
+
+    // Identifies this process in worker_id, so jobs lost in a restart can be detected
+    this.workerId = crypto.randomUUID();
+    this.queue = [];
+    this.running = new Map();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    this.serviceClient = undefined;
+    this.warnedNoServiceKey = false;
+  }
+
+  /**
+   * Service role client for the worker, or null when no key is configured
+   * The requester's token expires while long jobs are still running, so the worker
+   * writes with this client and scopes every query to the job's user_id itself
+   */
+  getServiceClient() {
+    if (this.serviceClient === undefined) {
+      const url = process.env.SUPABASE_URL;
+      const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+      this.serviceClient = url && serviceKey
+        ? createClient(url, serviceKey, { auth: { persistSession: false } })
+        : null;
+    }
+    return this.serviceClient;
+  }
+
+  /**
+   * Queue the analysis of extracted content
+   * @param {Object} supabase - User's Supabase client, the worker uses the service role client
+   * @param {string} userId - Owner of the job
+   * @param {Object} source - { sourceId, content, sourceType, sourceInfo, cues, userCefrLevel, nativeLanguage }
+   * @returns {Object} The job row, without content
+   */
+  async createJob(supabase, userId, { sourceId, content, sourceType, sourceInfo, cues, userCefrLevel, nativeLanguage }) {
+    const { data: job, error } = await supabase
+      .from('ai_analysis_jobs')
+      .insert({
+        user_id: userId,
+        status: JOB_STATUS.QUEUED,
+        source_id: sourceId,
+        source_type: sourceType,
+        source_info: sourceInfo,
+        content,
+        cues: cues || null,
+        user_cefr_level: userCefrLevel,
+        native_language: nativeLanguage,
+        worker_id: this.workerId,
+      })
+      .select(`${JOB_SUMMARY_COLUMNS}, vocabulary`)
+      .single();
+
+    if (error) throw error;
+
+    // Without a service role key the worker falls back to the user's client,
+    // which works until the token expires
+    let workerClient = this.getServiceClient();
+    if (!workerClient && !this.warnedNoServiceKey) {
+      console.warn('SUPABASE_SERVICE_ROLE_KEY is not set, analysis jobs fail once the user\'s token expires');
+      this.warnedNoServiceKey = true;
+    }
+    workerClient = workerClient || supabase;
+
+    this.queue.push({ jobId: job.id, supabase: workerClient, serviceRole: workerClient !== supabase, userId });
+    this.processQueue();
+
+    return job;
+  }
+
+  /**
+   * Start queued jobs while there are free workers
+   */
+  processQueue() {
+    while (this.running.size < this.config.concurrency && this.queue.length > 0) {
+      const entry = this.queue.shift();
+      const state = { cancelled: false };
+      this.running.set(entry.jobId, state);
+
+      this.runJob(entry, state)
+        .catch(error => console.error(`Analysis job ${entry.jobId} crashed:`, error))
+        .finally(() => {
+          this.running.delete(entry.jobId);
+          this.processQueue();
+        });
+    }
+  }
+
+  async runJob({ jobId, supabase, serviceRole, userId }, state) {
+    const { data: job, error } = await supabase
+      .from('ai_analysis_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) throw error;
+
+    // Cancelled while waiting in the queue
+    if (job.status !== JOB_STATUS.QUEUED) return;
+
+    // Status changes are conditional on the current status, so a cancel saved by
+    // any process is never overwritten by this worker
+    const started = await this.updateJob(supabase, jobId, { status: JOB_STATUS.RUNNING }, {
+      userId,
+      fromStatuses: [JOB_STATUS.QUEUED],
+    });
+    if (!started) return;
+
+    let vocabulary = [];
+    const providers = new Set();
+    let processedChunks = 0;
+    let failedChunks = 0;
+    let lastChunkError = null;
+    let totalChunks = 0;
+    let hasMore = true;
+
+    try {
+      // Items that are forms or relatives of saved words are marked as such
+      const savedVocabulary = await wordFamilyService.loadVocabulary(supabase, userId);
+
+      // AI calls of the job are metered to its owner like the synchronous endpoint
+      await usageService.run({ supabase, serviceRole, userId, feature: 'analyze-content' }, async () => {
+        while (hasMore && !state.cancelled) {
+          // Cancelled by a request handled in another process
+          if (!(await this.isRunning(supabase, jobId, userId))) {
+            state.cancelled = true;
+            break;
+          }
+
+          const result = await aiService.analyzeWebsiteContent(job.content, job.user_cefr_level, {
+            offset: processedChunks,
+            chunksToProcess: 1,
+            itemsPerChunk: ITEMS_PER_CHUNK,
+            nativeLanguage: job.native_language,
+          });
+
+          // Cancelled while the chunk was being analyzed, the job row is already final
+          if (state.cancelled) break;
+
+          // Keep earlier items in place so clients can simply append new ones
+          const found = wordFamilyService.annotateVocabulary(
+            savedVocabulary,
+            sourceService.attachSentences(attachCues(result.vocabulary, job.cues), job.content)
+          );
+          const merged = aiService.deduplicateVocabulary([...vocabulary, ...found]);
+          const newVocabulary = merged.slice(vocabulary.length);
+          vocabulary = merged;
+
+          if (result.provider) {
+            result.provider.split(', ').forEach(provider => providers.add(provider));
+          }
+          processedChunks += result.processedChunks;
+          failedChunks += result.failedChunks || 0;
+          lastChunkError = result.lastChunkError || lastChunkError;
+          totalChunks = result.totalChunks;
+          hasMore = result.hasMore;
+
+          const updated = await this.updateJob(supabase, jobId, {
+            processed_chunks: processedChunks,
+            total_chunks: totalChunks,
+            vocabulary,
+            provider: [...providers].join(', ') || null,
+          }, { userId, fromStatuses: [JOB_STATUS.RUNNING] });
+
+          if (!updated) {
+            state.cancelled = true;
+            break;
+          }
+
+          this.emit(jobId, { type: 'progress', job: updated, vocabulary: newVocabulary });
+        }
+      });
+
+      if (state.cancelled) return;
+
+      // Chunk errors are skipped by the analysis, a job where every chunk failed found nothing
+      if (processedChunks > 0 && failedChunks === processedChunks) {
+        throw new Error(`Every chunk of the content failed to analyze: ${lastChunkError?.message || 'unknown error'}`);
+      }
+
+      const finished = await this.updateJob(supabase, jobId, {
+        status: JOB_STATUS.COMPLETED,
+        completed_at: new Date().toISOString(),
+      }, { userId, fromStatuses: [JOB_STATUS.RUNNING] });
+      if (finished) {
+        this.emit(jobId, { type: 'done', job: finished });
+      }
+    } catch (error) {
+      if (state.cancelled) return;
+
+      console.error(`Analysis job ${jobId} failed:`, error);
+      const failed = await this.updateJob(supabase, jobId, {
+        status: JOB_STATUS.FAILED,
+        error: error.message,
+        error_code: error.code === 'quota_exceeded' ? 'quota_exceeded' : 'analysis_failed',
+        completed_at: new Date().toISOString(),
+      }, { userId, fromStatuses: [JOB_STATUS.RUNNING] });
+      if (failed) {
+        this.emit(jobId, { type: 'done', job: failed });
+      }
+    }
+  }
+
+  /**
+   * Whether the job is still running in the database
+   */
+  async isRunning(supabase, jobId, userId) {
+    const { data: job, error } = await supabase
+      .from('ai_analysis_jobs')
+      .select('status')
+      .eq('id', jobId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) throw error;
+    return job.status === JOB_STATUS.RUNNING;
+  }
+
+  /**
+   * Update a job
+   * @param {Object} options - { userId, fromStatuses }, userId scopes service role
+   * writes, fromStatuses only updates a job that is in one of them
+   * @returns {Object|null} The updated job, null when its status no longer matched
+   */
+  async updateJob(supabase, jobId, changes, options = {}) {
+    let query = supabase
+      .from('ai_analysis_jobs')
+      .update(changes)
+      .eq('id', jobId);
+
+    if (options.userId) {
+      query = query.eq('user_id', options.userId);
+    }
+    if (options.fromStatuses) {
+      query = query.in('status', options.fromStatuses);
+    }
+
+    const { data: job, error } = await query
+      .select(JOB_SUMMARY_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    return job;
+  }
+
+  /**
+   * Get a job of the current user
+   * @param {Object} options - { includeContent }
+   * @returns {Object|null} Job row with vocabulary, null when not found
+   */
+  async getJob(supabase, jobId, options = {}) {
+    const columns = `${JOB_SUMMARY_COLUMNS}, vocabulary${options.includeContent ? ', content' : ''}`;
+
+    const { data: job, error } = await supabase
+      .from('ai_analysis_jobs')
+      .select(columns)
+      .eq('id', jobId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!job) return null;
+
+    if (!FINISHED_STATUSES.includes(job.status) && this.isLost(job)) {
+      const interrupted = await this.updateJob(supabase, jobId, {
+        status: JOB_STATUS.FAILED,
+        error: 'The analysis was interrupted by a server restart',
+        error_code: 'interrupted',
+        completed_at: new Date().toISOString(),
+      }, { fromStatuses: [job.status] });
+
+      // Finished meanwhile, read it again
+      if (!interrupted) return this.getJob(supabase, jobId, options);
+      return { ...job, ...interrupted };
+    }
+
+    return job;
+  }
+
+  /**
+   * Whether an unfinished job no longer has a worker
+   */
+  isLost(job) {
+    if (job.worker_id === this.workerId) {
+      return !this.running.has(job.id) && !this.queue.some(entry => entry.jobId === job.id);
+    }
+    return Date.now() - new Date(job.updated_at).getTime() > STALE_JOB_MS;
+  }
+
+  /**
+   * Cancel a queued or running job, keeping the vocabulary found so far
+   * @returns {Object|null} The job, null when not found
+   */
+  async cancelJob(supabase, jobId) {
+    const job = await this.getJob(supabase, jobId);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+      return job;
+    }
+
+    // A running job stops after its current chunk, a worker in another process
+    // sees the status before its next chunk
+    const state = this.running.get(jobId);
+    if (state) {
+      state.cancelled = true;
+    }
+    this.queue = this.queue.filter(entry => entry.jobId !== jobId);
+
+    const cancelled = await this.updateJob(supabase, jobId, {
+      status: JOB_STATUS.CANCELLED,
+      completed_at: new Date().toISOString(),
+    }, { fromStatuses: [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING] });
+
+    // Finished before the cancel was saved
+    if (!cancelled) return this.getJob(supabase, jobId);
+
+    this.emit(jobId, { type: 'done', job: cancelled });
+
+    return { ...job, ...cancelled };
+  }
+
+  /**
+   * Listen to progress and done events of a job
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(jobId, listener) {
+    this.events.on(jobId, listener);
+    return () => this.events.off(jobId, listener);
+  }
+
+  emit(jobId, event) {
+    this.events.emit(jobId, event);
+  }
+
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+}
+
+// Create a singleton instance
+const analysisJobService = new AnalysisJobService();
+
+export {
+  analysisJobService,
+  AnalysisJobService,
+  JOB_STATUS
+};
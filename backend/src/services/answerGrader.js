@@ -0,0 +1,277 @@
+/**
+ * Answer Grader
+ * Grades typed answers against the expected word or phrase. Case, accents,
+ * punctuation and extra whitespace are ignored, British and American spellings
+ * are both right ("colour"/"color"), a saved form or a regular inflection of the
+ * word counts ("analyzed" for "analyze", not "sing" for "sang") and small typos
+ * are forgiven in longer words. The grade carries
+ * a character-level diff and maps to an FSRS rating
+ */
+
+import { normalizeText } from './wordMatching.js';
+import { isInflectionOf } from './lemmatizer.js';
+import { RATING } from './fsrs.js';
+
+const VERDICTS = {
+  EXACT: 'exact',
+  SPELLING: 'spelling', // British or American spelling of the answer
+  INFLECTION: 'inflection', // Another form of the word
+  TYPO: 'typo',
+  WRONG: 'wrong',
+};
+
+// Highest rating a verdict can earn, however fast the answer was
+const MAX_RATINGS = {
+  [VERDICTS.EXACT]: RATING.EASY,
+  [VERDICTS.SPELLING]: RATING.EASY,
+  [VERDICTS.INFLECTION]: RATING.GOOD,
+  [VERDICTS.TYPO]: RATING.HARD,
+  [VERDICTS.WRONG]: RATING.AGAIN,
+};
+
+// QuizFSRS response qualities as flashcard ratings
+const QUALITY_RATINGS = {
+  again: RATING.AGAIN,
+  hard: RATING.HARD,
+  good: RATING.GOOD,
+  easy: RATING.EASY,
+};
+
+// British and American spellings of the same words: stems with their British and American
+// endings. Only words listed here are rewritten, so a misspelling such as "sciense" or
+// "exercize" is never taken for a spelling variant
+const SPELLING_FAMILIES = [
+  {
+    // colour, behaviour
+    stems: ['arbo', 'ardo', 'armo', 'behavio', 'cando', 'clamo', 'colo', 'endeavo', 'favo', 'fervo', 'flavo',
+      'glamo', 'harbo', 'hono', 'humo', 'labo', 'neighbo', 'odo', 'parlo', 'rigo', 'rumo', 'savo', 'splendo',
+      'tumo', 'valo', 'vapo', 'vigo'],
+    endings: [['ur', 'r'], ['urs', 'rs'], ['ured', 'red'], ['uring', 'ring'], ['urful', 'rful'], ['urite', 'rite'],
+      ['urites', 'rites'], ['urable', 'rable'], ['urably', 'rably'], ['urhood', 'rhood'], ['urless', 'rless']],
+  },
+  {
+    // organise, realisation
+    stems: ['apolog', 'author', 'capital', 'categor', 'central', 'character', 'civil', 'critic', 'emphas',
+      'familiar', 'fertil', 'final', 'global', 'harmon', 'hospital', 'ideal', 'immun', 'industrial', 'legal',
+      'maxim', 'memor', 'minim', 'mobil', 'modern', 'monopol', 'neutral', 'normal', 'optim', 'organ', 'patron',
+      'personal', 'priorit', 'public', 'real', 'recogn', 'revolution', 'special', 'stabil', 'standard', 'steril',
+      'subsid', 'summar', 'symbol', 'sympath', 'util', 'visual'],
+    endings: [['ise', 'ize'], ['ises', 'izes'], ['ised', 'ized'], ['ising', 'izing'], ['iser', 'izer'],
+      ['isers', 'izers'], ['isation', 'ization'], ['isations', 'izations']],
+  },
+  {
+    // analyse
+    stems: ['analy', 'cataly', 'paraly'],
+    endings: [['se', 'ze'], ['ses', 'zes'], ['sed', 'zed'], ['sing', 'zing']],
+  },
+  {
+    // centre, theatre
+    stems: ['calib', 'cent', 'centimet', 'fib', 'kilomet', 'lit', 'lust', 'meag', 'met', 'millimet', 'sab',
+      'somb', 'spect', 'theat'],
+    endings: [['re', 'er'], ['res', 'ers'], ['red', 'ered'], ['ring', 'ering']],
+  },
+  {
+    // travelled, cancelling
+    stems: ['cancel', 'channel', 'counsel', 'dial', 'duel', 'fuel', 'label', 'level', 'marvel', 'model',
+      'quarrel', 'signal', 'total', 'travel', 'tunnel'],
+    endings: [['led', 'ed'], ['ling', 'ing'], ['ler', 'er'], ['lers', 'ers']],
+  },
+  {
+    // catalogue
+    stems: ['analog', 'catalog', 'dialog', 'epilog', 'monolog', 'prolog'],
+    endings: [['ue', ''], ['ues', 's'], ['ued', 'ed'], ['uing', 'ing']],
+  },
+  {
+    // defence, licence
+    stems: ['def', 'lic', 'off', 'pret'],
+    endings: [['ence', 'ense'], ['ences', 'enses']],
+  },
+  {
+    // practise (the verb)
+    stems: ['practi'],
+    endings: [['se', 'ce'], ['ses', 'ces'], ['sed', 'ced'], ['sing', 'cing']],
+  },
+];
+
+// Words whose spellings differ in other ways. Pairs where the American spelling is also
+// another word (cheque/check, tyre/tire) are left out
+const SPELLING_PAIRS = [
+  ['acknowledgement', 'acknowledgment'],
+  ['ageing', 'aging'],
+  ['aluminium', 'aluminum'],
+  ['anaemia', 'anemia'],
+  ['cosy', 'cozy'],
+  ['encyclopaedia', 'encyclopedia'],
+  ['enrol', 'enroll'],
+  ['enrolment', 'enrollment'],
+  ['fulfil', 'fulfill'],
+  ['fulfilment', 'fulfillment'],
+  ['grey', 'gray'],
+  ['jewellery', 'jewelry'],
+  ['judgement', 'judgment'],
+  ['manoeuvre', 'maneuver'],
+  ['mould', 'mold'],
+  ['moustache', 'mustache'],
+  ['paediatric', 'pediatric'],
+  ['plough', 'plow'],
+  ['programme', 'program'],
+  ['programmes', 'programs'],
+  ['pyjamas', 'pajamas'],
+  ['sceptical', 'skeptical'],
+  ['skilful', 'skillful'],
+];
+
+const AMERICAN_SPELLINGS = new Map([
+  ...SPELLING_FAMILIES.flatMap(({ stems, endings }) => stems.flatMap(stem =>
+    endings.map(([british, american]) => [stem + british, stem + american])
+  )),
+  ...SPELLING_PAIRS,
+]);
+
+/**
+ * Answer as compared: lowercase, without accents, punctuation, hyphens or extra whitespace
+ */
+const normalizeAnswer = (answer) => normalizeText(
+  String(answer || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+)
+  .replace(/-/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const toAmericanSpelling = (answer) => answer
+  .split(' ')
+  .map(word => AMERICAN_SPELLINGS.get(word) || word)
+  .join(' ');
+
+// Typos forgiven: none in short words, where one letter often makes another word
+const getAllowedTypos = (length) => {
+  if (length <= 4) return 0;
+  if (length <= 8) return 1;
+  return 2;
+};
+
+/**
+ * Edit distance counting an adjacent transposition as one edit ("recieve")
+ * Works on strings and on arrays, e.g. of phonemes
+ */
+const getEditDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+/**
+ * Character-level diff turning the answer into the expected text, or element-level for arrays
+ * @returns {Array} [{ type: 'equal' | 'missing' | 'extra', text }], 'missing' text is only
+ * in the expected text and 'extra' text only in the answer
+ */
+const getAnswerDiff = (answer, expected) => {
+  const rows = Array.from({ length: answer.length + 1 }, () => new Array(expected.length + 1).fill(0));
+  for (let i = 0; i <= answer.length; i++) rows[i][0] = i;
+  for (let j = 0; j <= expected.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= answer.length; i++) {
+    for (let j = 1; j <= expected.length; j++) {
+      rows[i][j] = answer[i - 1] === expected[j - 1]
+        ? rows[i - 1][j - 1]
+        : Math.min(rows[i - 1][j], rows[i][j - 1], rows[i - 1][j - 1]) + 1;
+    }
+  }
+
+  // Walk back from the end, a substitution is the answer's letter followed by the expected one
+  const operations = [];
+  let i = answer.length;
+  let j = expected.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && answer[i - 1] === expected[j - 1] && rows[i][j] === rows[i - 1][j - 1]) {
+      operations.push({ type: 'equal', text: answer[--i] });
+      j--;
+    } else if (i > 0 && j > 0 && rows[i][j] === rows[i - 1][j - 1] + 1) {
+      operations.push({ type: 'missing', text: expected[--j] }, { type: 'extra', text: answer[--i] });
+    } else if (j > 0 && (i === 0 || rows[i][j] === rows[i][j - 1] + 1)) {
+      operations.push({ type: 'missing', text: expected[--j] });
+    } else {
+      operations.push({ type: 'extra', text: answer[--i] });
+    }
+  }
+
+  return operations.reverse().reduce((diff, operation) => {
+    const last = diff[diff.length - 1];
+    if (last?.type === operation.type) {
+      last.text += operation.text;
+    } else {
+      diff.push({ ...operation });
+    }
+    return diff;
+  }, []);
+};
+
+/**
+ * Grade a typed answer
+ * @param {string} answer - What the learner typed
+ * @param {string} expected - The word or phrase asked for
+ * @param {Object} options - { forms } other saved forms of the word, accepted as inflections
+ * @returns {Object} { verdict, isCorrect, distance, answer, expected, diff }
+ */
+const gradeAnswer = (answer, expected, { forms = [] } = {}) => {
+  const normalizedAnswer = normalizeAnswer(answer);
+  const normalizedExpected = normalizeAnswer(expected);
+  const distance = getEditDistance(normalizedAnswer, normalizedExpected);
+
+  let verdict = VERDICTS.WRONG;
+  if (!normalizedAnswer) {
+    verdict = VERDICTS.WRONG;
+  } else if (normalizedAnswer === normalizedExpected) {
+    verdict = VERDICTS.EXACT;
+  } else if (toAmericanSpelling(normalizedAnswer) === toAmericanSpelling(normalizedExpected)) {
+    verdict = VERDICTS.SPELLING;
+  } else if (
+    forms.some(form => normalizeAnswer(form) === normalizedAnswer) ||
+    isInflectionOf(normalizedAnswer, normalizedExpected)
+  ) {
+    verdict = VERDICTS.INFLECTION;
+  } else if (distance <= getAllowedTypos(normalizedExpected.length)) {
+    verdict = VERDICTS.TYPO;
+  }
+
+  return {
+    verdict,
+    isCorrect: verdict !== VERDICTS.WRONG,
+    distance,
+    answer: normalizedAnswer,
+    expected: normalizedExpected,
+    diff: getAnswerDiff(normalizedAnswer, normalizedExpected),
+  };
+};
+
+/**
+ * FSRS rating of a graded answer from its response quality
+ * (QuizFSRS.determineResponseQuality), capped by how close the answer was
+ */
+const getAnswerRating = (grade, responseQuality) => Math.min(
+  QUALITY_RATINGS[responseQuality] || RATING.AGAIN,
+  MAX_RATINGS[grade.verdict]
+);
+
+export {
+  VERDICTS,
+  normalizeAnswer,
+  getEditDistance,
+  getAnswerDiff,
+  gradeAnswer,
+  getAnswerRating
+};
@@ -0,0 +1,139 @@
+/**
+ * Speech Recognition Engines
+ * Every engine transcribes an English recording: transcribe(filePath) resolves to
+ * the text heard in a 16 kHz mono WAV file. whisper.cpp runs locally with no account
+ * or network, the OpenAI engine also works with self-hosted servers implementing
+ * /audio/transcriptions (e.g. faster-whisper-server)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { spawn } from 'child_process';
+import { Engine, createEngineRegistry } from './engineRegistry.js';
+
+// A word or a sentence takes seconds to transcribe, anything longer is stuck
+const TRANSCRIBE_TIMEOUT_MS = 60000;
+
+/**
+ * Base engine, documents the interface every engine implements
+ */
+class ASREngine extends Engine {
+  /**
+   * Transcribe a recording
+   * @param {string} filePath - 16 kHz mono WAV file
+   * @returns {Promise<string>} The text heard, empty when nothing was said
+   */
+  async transcribe(filePath) {
+    throw new Error(`${this.label} engine does not implement transcribe`);
+  }
+}
+
+/**
+ * whisper.cpp's command line tool with a ggml model (https://github.com/ggerganov/whisper.cpp)
+ */
+class WhisperCppEngine extends ASREngine {
+  static id = 'whisper-cpp';
+  static label = 'whisper.cpp';
+
+  constructor(config = {}) {
+    super({ command: 'whisper-cli', ...config });
+  }
+
+  getConfigurationError() {
+    return this.model ? null : 'ASR_MODEL must be the path of a whisper.cpp model, e.g. ggml-base.en.bin';
+  }
+
+  transcribe(filePath) {
+    return new Promise((resolve, reject) => {
+      // -nt: no timestamps, -np: print the transcript only
+      const child = spawn(this.command, ['-m', this.model, '-f', filePath, '-l', 'en', '-nt', '-np'], {
+        stdio: ['ignore', 'pipe', 'pipe'],
+        timeout: TRANSCRIBE_TIMEOUT_MS,
+      });
+
+      let stdout = '';
+      let stderr = '';
+
+      child.stdout.on('data', chunk => { stdout += chunk; });
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', error => {
+        reject(error.code === 'ENOENT'
+          ? new Error(`${this.command} is not installed on the server`)
+          : error);
+      });
+      child.on('close', (code, signal) => {
+        if (code !== 0) {
+          reject(new Error(signal
+            ? `${this.command} was stopped by ${signal}`
+            : `${this.command} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+          return;
+        }
+        resolve(stdout.replace(/\s+/g, ' ').trim());
+      });
+    });
+  }
+}
+
+/**
+ * OpenAI's transcription endpoint, or any server implementing /audio/transcriptions
+ */
+class OpenAIASREngine extends ASREngine {
+  static id = 'openai';
+  static label = 'OpenAI';
+
+  constructor(config = {}) {
+    super({ model: 'whisper-1', baseUrl: 'https://api.openai.com/v1', ...config });
+  }
+
+  getConfigurationError() {
+    return this.apiKey ? null : 'ASR_API_KEY is required for the openai engine';
+  }
+
+  async transcribe(filePath) {
+    const form = new FormData();
+    form.append('file', new Blob([await fs.readFile(filePath)], { type: 'audio/wav' }), path.basename(filePath));
+    form.append('model', this.model);
+    form.append('language', 'en');
+    form.append('response_format', 'json');
+
+    const response = await fetch(`${this.baseUrl}/audio/transcriptions`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.apiKey}` },
+      body: form,
+      signal: AbortSignal.timeout(TRANSCRIBE_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Speech recognition service error: ${response.status} ${await response.text()}`);
+    }
+
+    const { text } = await response.json();
+    return String(text || '').trim();
+  }
+}
+
+const asrEngines = createEngineRegistry('ASR');
+
+/**
+ * Make an engine available under its static id
+ * @param {typeof ASREngine} EngineClass
+ */
+const registerASREngine = asrEngines.register;
+
+[WhisperCppEngine, OpenAIASREngine].forEach(registerASREngine);
+
+/**
+ * Create the engine for an engine id
+ * @param {string} engineId - Registered id, e.g. 'whisper-cpp'
+ * @param {Object} config - { model, apiKey, baseUrl, command }, unset values use the engine's defaults
+ * @returns {ASREngine}
+ */
+const createASREngine = asrEngines.create;
+
+export {
+  ASREngine,
+  WhisperCppEngine,
+  OpenAIASREngine,
+  registerASREngine,
+  createASREngine,
+};
@@ -0,0 +1,56 @@
+/**
+ * Speech Recognition Service
+ * Transcribes learners' recordings with the configured engine (see asrEngines.js)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createASREngine } from './asrEngines.js';
+
+class ASRService {
+  constructor() {
+    this.config = {
+      engine: process.env.ASR_ENGINE || 'whisper-cpp',
+      model: process.env.ASR_MODEL || '',
+      apiKey: process.env.ASR_API_KEY || '',
+      baseUrl: process.env.ASR_BASE_URL || '',
+      command: process.env.WHISPER_PATH || '',
+    };
+
+    this.engine = createASREngine(this.config.engine, this.config);
+  }
+
+  /**
+   * Transcribe a recording
+   * @param {Buffer} audio - 16 kHz mono WAV
+   * @returns {Promise<string>} The text heard
+   */
+  async transcribe(audio) {
+    const configurationError = this.engine.getConfigurationError();
+    if (configurationError) {
+      throw this.unavailable(configurationError);
+    }
+
+    // Engines read files, the recording only lives as long as the request
+    const filePath = path.join(os.tmpdir(), `magic-english-asr-${crypto.randomUUID()}.wav`);
+    await fs.writeFile(filePath, audio);
+
+    try {
+      return await this.engine.transcribe(filePath);
+    } catch (error) {
+      throw this.unavailable(error.message);
+    } finally {
+      await fs.rm(filePath, { force: true });
+    }
+  }
+
+  unavailable(reason) {
+    const error = new Error(`Speech recognition is not available (${this.engine.label}: ${reason})`);
+    error.statusCode = 503;
+    return error;
+  }
+}
+
+export const asrService = new ASRService();
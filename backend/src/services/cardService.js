@@ -0,0 +1,160 @@
+/**
+ * Cards
+ * Keeps the flashcards of words in line with what they are studied as: one card
+ * per card template enabled on the word's group (see sql/25_card_templates.sql),
+ * for the word itself or, once it has senses, for each studied sense
+ */
+
+import { DEFAULT_CARD_TEMPLATES } from '../config/cardTemplates.js';
+
+// Words synced per query, keeps the request URLs short
+const SYNC_CHUNK_SIZE = 200;
+
+const getCardKey = (senseId, template) => `${senseId || 'word'}:${template}`;
+
+class CardService {
+  /**
+   * Create the missing cards of words and remove the cards they are no longer studied with.
+   * The word card of a template is taken over by the first studied sense, keeping its reviews
+   * @param {Array} wordIds - Words of the user
+   * @returns {Object} { created, removed }
+   */
+  async syncWordCards(supabase, userId, wordIds) {
+    const totals = { created: 0, removed: 0 };
+
+    for (let i = 0; i < wordIds.length; i += SYNC_CHUNK_SIZE) {
+      const { created, removed } = await this.syncChunk(supabase, userId, wordIds.slice(i, i + SYNC_CHUNK_SIZE));
+      totals.created += created;
+      totals.removed += removed;
+    }
+
+    return totals;
+  }
+
+  async syncChunk(supabase, userId, wordIds) {
+    const [wordsResult, sensesResult, cardsResult] = await Promise.all([
+      supabase
+        .from('words')
+        .select('id, group:collections!group_id(card_templates)')
+        .eq('user_id', userId)
+        .in('id', wordIds),
+      supabase
+        .from('word_senses')
+        .select('id, word_id, is_studied')
+        .eq('user_id', userId)
+        .in('word_id', wordIds)
+        .order('position', { ascending: true }),
+      supabase
+        .from('cards')
+        .select('id, word_id, sense_id, template')
+        .eq('user_id', userId)
+        .in('word_id', wordIds),
+    ]);
+
+    for (const { error } of [wordsResult, sensesResult, cardsResult]) {
+      if (error) throw error;
+    }
+
+    const inserts = [];
+    const claims = [];
+    const removedIds = [];
+
+    for (const word of wordsResult.data) {
+      const templates = word.group?.card_templates?.length ? word.group.card_templates : DEFAULT_CARD_TEMPLATES;
+      const senses = sensesResult.data.filter(sense => sense.word_id === word.id);
+      const units = senses.length > 0 ? senses.filter(sense => sense.is_studied).map(sense => sense.id) : [null];
+
+      const existing = new Map(cardsResult.data
+        .filter(card => card.word_id === word.id)
+        .map(card => [getCardKey(card.sense_id, card.template), card]));
+
+      for (const template of templates) {
+        for (const senseId of units) {
+          const key = getCardKey(senseId, template);
+          if (existing.has(key)) {
+            existing.delete(key);
+            continue;
+          }
+
+          const wordCard = senseId && existing.get(getCardKey(null, template));
+          if (wordCard) {
+            claims.push({ id: wordCard.id, sense_id: senseId });
+            existing.delete(getCardKey(null, template));
+          } else {
+            inserts.push({ user_id: userId, word_id: word.id, sense_id: senseId, template });
+          }
+        }
+      }
+
+      removedIds.push(...[...existing.values()].map(card => card.id));
+    }
+
+    for (const claim of claims) {
+      const { error } = await supabase
+        .from('cards')
+        .update({ sense_id: claim.sense_id })
+        .eq('id', claim.id)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+    }
+
+    if (inserts.length > 0) {
+      const { error } = await supabase.from('cards').insert(inserts);
+      if (error) throw error;
+    }
+
+    if (removedIds.length > 0) {
+      const { error } = await supabase
+        .from('cards')
+        .delete()
+        .eq('user_id', userId)
+        .in('id', removedIds);
+
+      if (error) throw error;
+    }
+
+    return { created: inserts.length, removed: removedIds.length };
+  }
+
+  /**
+   * Sync the cards of every word in a group, e.g. after its templates changed
+   */
+  async syncGroupCards(supabase, userId, groupId) {
+    const { data: words, error } = await supabase
+      .from('words')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('group_id', groupId);
+
+    if (error) throw error;
+    return this.syncWordCards(supabase, userId, words.map(word => word.id));
+  }
+
+  /**
+   * Bury siblings among due cards: show one card per word, and none of a word
+   * another card of which was already reviewed today
+   * @param {Array} cards - Due cards, most urgent first
+   * @param {Array} reviewedToday - [{ id, word_id }] cards reviewed since the start of the day
+   * @returns {Object} { cards, buried }
+   */
+  burySiblings(cards, reviewedToday) {
+    const reviewedCardsByWord = new Map();
+    reviewedToday.forEach(card => {
+      reviewedCardsByWord.set(card.word_id, [...(reviewedCardsByWord.get(card.word_id) || []), card.id]);
+    });
+
+    const shownWords = new Set();
+    const kept = cards.filter(card => {
+      const siblingReviewed = (reviewedCardsByWord.get(card.word_id) || []).some(id => id !== card.id);
+      if (siblingReviewed || shownWords.has(card.word_id)) return false;
+
+      shownWords.add(card.word_id);
+      return true;
+    });
+
+    return { cards: kept, buried: cards.length - kept.length };
+  }
+}
+
+export const cardService = new CardService();
@@ -0,0 +1,70 @@
+/**
+ * Circuit Breaker
+ * Stops sending requests to a dependency after repeated failures, then lets a
+ * trial request through once the cooldown has passed
+ *
+ * closed    - requests flow normally
+ * open      - requests are rejected until the cooldown ends
+ * half-open - trial requests allowed, one failure opens the circuit again
+ */
+
+const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.options = {
+      failureThreshold: 3,   // Consecutive failures before opening
+      cooldownMs: 30000,     // How long to stay open
+      ...options
+    };
+
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Whether a request may be attempted now
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATE.OPEN) {
+      if (Date.now() - this.openedAt < this.options.cooldownMs) {
+        return false;
+      }
+      this.state = CIRCUIT_STATE.HALF_OPEN;
+    }
+    return true;
+  }
+
+  recordSuccess() {
+    this.state = CIRCUIT_STATE.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+
+    if (this.state === CIRCUIT_STATE.HALF_OPEN || this.failures >= this.options.failureThreshold) {
+      this.state = CIRCUIT_STATE.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  getState() {
+    // Report an expired cooldown as half-open without waiting for the next request
+    if (this.state === CIRCUIT_STATE.OPEN && Date.now() - this.openedAt >= this.options.cooldownMs) {
+      return CIRCUIT_STATE.HALF_OPEN;
+    }
+    return this.state;
+  }
+}
+
+export {
+  CircuitBreaker,
+  CIRCUIT_STATE
+};
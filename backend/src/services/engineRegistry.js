@@ -0,0 +1,76 @@
+/**
+ * Engine Registry
+ * Shared scaffold of the speech engines (asrEngines.js, ttsEngines.js): a base
+ * class named by static id and label, and a registry creating engines by id
+ */
+
+/**
+ * Base engine with the settings every kind of engine takes
+ */
+class Engine {
+  static id = 'base';
+  static label = 'Base';
+
+  constructor({ model = '', apiKey = '', baseUrl = '', command = '' } = {}) {
+    this.model = model;
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.command = command;
+  }
+
+  get id() {
+    return this.constructor.id;
+  }
+
+  get label() {
+    return this.constructor.label;
+  }
+
+  /**
+   * What is missing before the engine can be used
+   * @returns {string|null} Error message, or null when configured
+   */
+  getConfigurationError() {
+    return null;
+  }
+}
+
+/**
+ * Registry of the engines of one kind
+ * @param {string} kind - Name used in errors, e.g. 'ASR'
+ * @returns {Object} { register, create }
+ */
+function createEngineRegistry(kind) {
+  const engines = new Map();
+
+  return {
+    /**
+     * Make an engine available under its static id
+     * @param {typeof Engine} EngineClass
+     */
+    register(EngineClass) {
+      engines.set(EngineClass.id, EngineClass);
+    },
+
+    /**
+     * Create the engine for an engine id
+     * @param {string} engineId - Registered id
+     * @param {Object} config - Engine settings, unset values use the engine's defaults
+     * @returns {Engine}
+     */
+    create(engineId, config = {}) {
+      const EngineClass = engines.get(engineId);
+      if (!EngineClass) {
+        throw new Error(`Unknown ${kind} engine: ${engineId}. Available engines: ${[...engines.keys()].join(', ')}`);
+      }
+
+      const definedConfig = Object.fromEntries(Object.entries(config).filter(([, value]) => value));
+      return new EngineClass(definedConfig);
+    },
+  };
+}
+
+export {
+  Engine,
+  createEngineRegistry,
+};
@@ -1,13 +1,24 @@
 import mammoth from 'mammoth';
+import JSZip from 'jszip';
+import { JSDOM } from 'jsdom';
+import { Readability } from '@mozilla/readability';
 import { createRequire } from 'module';
 import os from 'os';
 import path from 'path';
+import { parseSrtCues, parseVttCues, cuesToText } from './subtitleCues.js';
 
 const require = createRequire(import.meta.url);
 const pdfParse = require('pdf-parse');
 
 class FileProcessingService {
-  async processFile(file) {
+  /**
+   * Extract the text of an uploaded file
+   * @param {Object} file - Multer file
+   * @param {Object} options - { chapters } indexes of the EPUB chapters to include, all when omitted
+   * @returns {Object} { content, title, excerpt, wordCount, fileType } plus chapters for EPUB files
+   *   and timed cues for subtitle files
+   */
+  async processFile(file, options = {}) {
     if (!file) {
       throw new Error('No file provided');
     }
@@ -29,6 +40,16 @@ class FileProcessingService {
         return await this.processDocxFile(file);
       case 'srt':
         return await this.processSrtFile(file);
+      case 'vtt':
+        return await this.processVttFile(file);
+      case 'md':
+      case 'markdown':
+        return await this.processMarkdownFile(file);
+      case 'html':
+      case 'htm':
+        return await this.processHtmlFile(file);
+      case 'epub':
+        return await this.processEpubFile(file, options);
       default:
         throw new Error(`Unsupported file type: ${fileExtension}`);
     }
@@ -171,8 +192,9 @@ class FileProcessingService {
         throw new Error('SRT file content is too short to analyze (minimum 50 characters)');
       }
 
-      // Parse SRT content to extract subtitle text
-      const subtitleText = this.parseSrtContent(content);
+      // Keep the cue timings so vocabulary can link back to when it was said
+      const cues = parseSrtCues(content);
+      const subtitleText = cuesToText(cues);
 
       if (!subtitleText || subtitleText.trim().length < 100) {
         throw new Error('SRT file contains insufficient text content (minimum 100 characters)');
@@ -183,61 +205,306 @@ class FileProcessingService {
         title: this.generateTitleFromFilename(file.originalname),
         excerpt: this.generateExcerpt(subtitleText),
         wordCount: this.countWords(subtitleText),
-        fileType: 'srt'
+        fileType: 'srt',
+        cues
       };
     } catch (error) {
       throw new Error(`Failed to process SRT file: ${error.message}`);
     }
   }
 
-  parseSrtContent(srtContent) {
-    if (!srtContent) return '';
+  async processVttFile(file) {
+    try {
+      const content = file.buffer.toString('utf-8');
 
-    // Split by double newlines to get subtitle blocks
-    const blocks = srtContent.split(/\n\s*\n/);
-    const subtitleTexts = [];
+      if (!content || !content.trimStart().startsWith('WEBVTT')) {
+        throw new Error('Not a WebVTT file (missing WEBVTT header)');
+      }
 
-    for (const block of blocks) {
-      const lines = block.trim().split('\n');
+      const cues = parseVttCues(content);
+      const subtitleText = cuesToText(cues);
 
-      // Skip if block doesn't have at least 3 lines (index, timestamp, text)
-      if (lines.length < 3) continue;
+      if (!subtitleText || subtitleText.trim().length < 100) {
+        throw new Error('VTT file contains insufficient text content (minimum 100 characters)');
+      }
 
-      // Skip first line (index) and second line (timestamp)
-      // Collect all remaining lines as subtitle text
-      const textLines = lines.slice(2);
-      const subtitleText = textLines.join(' ').trim();
+      return {
+        content: subtitleText,
+        title: this.generateTitleFromFilename(file.originalname),
+        excerpt: this.generateExcerpt(subtitleText),
+        wordCount: this.countWords(subtitleText),
+        fileType: 'vtt',
+        cues
+      };
+    } catch (error) {
+      throw new Error(`Failed to process VTT file: ${error.message}`);
+    }
+  }
+
+  async processMarkdownFile(file) {
+    try {
+      const markdown = file.buffer.toString('utf-8').replace(/\r\n?/g, '\n');
+      const content = this.cleanExtractedText(this.markdownToText(markdown));
 
-      if (subtitleText) {
-        // Remove HTML tags that might be in subtitles
-        const cleanText = subtitleText.replace(/<[^>]*>/g, '').trim();
-        if (cleanText) {
-          subtitleTexts.push(cleanText);
+      if (!content || content.length < 100) {
+        throw new Error('Markdown content is too short to analyze (minimum 100 characters)');
+      }
+
+      // The first top-level heading is the document title
+      const heading = markdown.match(/^#\s+(.+)$/m);
+
+      return {
+        content,
+        title: heading ? this.markdownToText(heading[1]).trim() : this.generateTitleFromFilename(file.originalname),
+        excerpt: this.generateExcerpt(content),
+        wordCount: this.countWords(content),
+        fileType: 'md'
+      };
+    } catch (error) {
+      throw new Error(`Failed to process Markdown file: ${error.message}`);
+    }
+  }
+
+  markdownToText(markdown) {
+    return markdown
+      // Front matter
+      .replace(/^---\n[\s\S]*?\n---\n/, '')
+      // Code blocks and inline code
+      .replace(/```[\s\S]*?```/g, ' ')
+      .replace(/`([^`]*)`/g, '$1')
+      // Images and links keep their text
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      // Inline HTML
+      .replace(/<[^>]+>/g, '')
+      // Headings, block quotes, list markers, rules and table borders
+      .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+      .replace(/^\s{0,3}>\s?/gm, '')
+      .replace(/^\s*([-*+]|\d+\.)\s+/gm, '')
+      .replace(/^\s*([-*_]\s*){3,}$/gm, '')
+      .replace(/^\s*\|?(\s*:?-+:?\s*\|)+\s*:?-*:?\s*$/gm, '')
+      .replace(/\|/g, ' ')
+      // Bold and italics, leaving underscores inside words alone
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|\W)[*_]([^*_\n]+)[*_](?=\W|$)/g, '$1$2');
+  }
+
+  async processHtmlFile(file) {
+    try {
+      const dom = new JSDOM(file.buffer.toString('utf-8'));
+      const document = dom.window.document;
+      this.separateBlocks(document);
+
+      // Saved articles carry menus and footers, Readability keeps the article itself
+      const article = new Readability(document.cloneNode(true)).parse();
+      const text = article?.textContent?.trim() ? article.textContent : this.getDocumentText(document);
+      const title = article?.title || document.title;
+      dom.window.close();
+
+      const content = this.cleanExtractedText(text);
+
+      if (!content || content.length < 100) {
+        throw new Error('HTML content is too short to analyze (minimum 100 characters)');
+      }
+
+      return {
+        content,
+        title: title?.trim() || this.generateTitleFromFilename(file.originalname),
+        excerpt: this.generateExcerpt(content),
+        wordCount: this.countWords(content),
+        fileType: 'html'
+      };
+    } catch (error) {
+      throw new Error(`Failed to process HTML file: ${error.message}`);
+    }
+  }
+
+  async processEpubFile(file, options = {}) {
+    try {
+      const book = await this.readEpub(file.buffer);
+
+      if (book.chapters.length === 0) {
+        throw new Error('No readable chapters found');
+      }
+
+      let selected = book.chapters;
+      if (options.chapters && options.chapters.length > 0) {
+        selected = book.chapters.filter(chapter => options.chapters.includes(chapter.index));
+        if (selected.length === 0) {
+          throw new Error('None of the selected chapters exist in this book');
         }
       }
+
+      const content = selected.map(chapter => chapter.content).join('\n\n');
+
+      if (content.length < 100) {
+        throw new Error('EPUB content is too short to analyze (minimum 100 characters)');
+      }
+
+      return {
+        content,
+        title: book.title || this.generateTitleFromFilename(file.originalname),
+        excerpt: this.generateExcerpt(content),
+        wordCount: this.countWords(content),
+        fileType: 'epub',
+        chapters: book.chapters.map(({ index, title, wordCount }) => ({ index, title, wordCount })),
+        ...(selected !== book.chapters && {
+          selectedChapters: selected.map(({ index, title }) => ({ index, title }))
+        })
+      };
+    } catch (error) {
+      throw new Error(`Failed to process EPUB file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the chapters of an EPUB in spine (reading) order
+   * Chapter titles come from the table of contents, falling back to the first heading
+   * @returns {Object} { title, chapters: [{ index, title, content, wordCount }] }
+   */
+  async readEpub(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const readEntry = async (entryPath) => {
+      const entry = zip.file(entryPath);
+      if (!entry) {
+        throw new Error(`${entryPath} is missing from the book`);
+      }
+      return entry.async('string');
+    };
+
+    // META-INF/container.xml points to the package document with the manifest and spine
+    const container = this.parseXml(await readEntry('META-INF/container.xml'));
+    const packagePath = container.querySelector('rootfile')?.getAttribute('full-path');
+    if (!packagePath) {
+      throw new Error('Package document not found');
+    }
+
+    const packageDoc = this.parseXml(await readEntry(packagePath));
+    const resolveHref = (baseFile, href) => path.posix.normalize(
+      path.posix.join(path.posix.dirname(baseFile), decodeURIComponent(href.split('#')[0]))
+    );
+
+    const manifest = new Map();
+    packageDoc.querySelectorAll('manifest > item').forEach(item => {
+      manifest.set(item.getAttribute('id'), {
+        path: resolveHref(packagePath, item.getAttribute('href') || ''),
+        mediaType: item.getAttribute('media-type'),
+        properties: item.getAttribute('properties') || ''
+      });
+    });
+
+    const tocTitles = await this.readEpubToc(packageDoc, manifest, readEntry, resolveHref);
+
+    const chapters = [];
+    for (const itemref of packageDoc.querySelectorAll('spine > itemref')) {
+      // Non-linear items are auxiliary content such as footnotes
+      if (itemref.getAttribute('linear') === 'no') continue;
+
+      const item = manifest.get(itemref.getAttribute('idref'));
+      if (!item || !['application/xhtml+xml', 'text/html'].includes(item.mediaType)) continue;
+
+      const dom = new JSDOM(await readEntry(item.path));
+      const document = dom.window.document;
+      this.separateBlocks(document);
+      const content = this.cleanExtractedText(this.getDocumentText(document));
+      const heading = document.querySelector('h1, h2, h3')?.textContent;
+      dom.window.close();
+
+      // Skip cover and blank pages
+      if (this.countWords(content) === 0) continue;
+
+      chapters.push({
+        index: chapters.length,
+        title: (tocTitles.get(item.path) || heading || '').replace(/\s+/g, ' ').trim() || `Chapter ${chapters.length + 1}`,
+        content,
+        wordCount: this.countWords(content)
+      });
+    }
+
+    const title = packageDoc.getElementsByTagNameNS('http://purl.org/dc/elements/1.1/', 'title')[0]?.textContent?.trim();
+
+    return { title, chapters };
+  }
+
+  /**
+   * Map chapter file paths to their table of contents labels, from the EPUB 3
+   * navigation document or the EPUB 2 NCX
+   */
+  async readEpubToc(packageDoc, manifest, readEntry, resolveHref) {
+    const titles = new Map();
+    const addTitle = (baseFile, href, label) => {
+      const chapterPath = href && resolveHref(baseFile, href);
+      if (chapterPath && label?.trim() && !titles.has(chapterPath)) {
+        titles.set(chapterPath, label.trim());
+      }
+    };
+
+    try {
+      const nav = [...manifest.values()].find(item => item.properties.split(/\s+/).includes('nav'));
+      if (nav) {
+        const dom = new JSDOM(await readEntry(nav.path));
+        const navs = [...dom.window.document.querySelectorAll('nav')];
+        const toc = navs.find(element => element.getAttribute('epub:type') === 'toc') || navs[0];
+        toc?.querySelectorAll('a[href]').forEach(link => addTitle(nav.path, link.getAttribute('href'), link.textContent));
+        dom.window.close();
+        return titles;
+      }
+
+      const ncx = manifest.get(packageDoc.querySelector('spine')?.getAttribute('toc'));
+      if (ncx) {
+        const ncxDoc = this.parseXml(await readEntry(ncx.path));
+        ncxDoc.querySelectorAll('navPoint').forEach(point => {
+          addTitle(ncx.path, point.querySelector('content')?.getAttribute('src'), point.querySelector('navLabel text')?.textContent);
+        });
+      }
+    } catch (error) {
+      // Headings still give the chapters a title
+      console.warn('EPUB table of contents could not be read:', error.message);
     }
 
-    // Join all subtitle texts with spaces
-    return subtitleTexts.join(' ').trim();
+    return titles;
+  }
+
+  parseXml(xml) {
+    return new JSDOM(xml, { contentType: 'application/xml' }).window.document;
+  }
+
+  getDocumentText(document) {
+    document.querySelectorAll('script, style, noscript').forEach(element => element.remove());
+    return document.body?.textContent || document.documentElement?.textContent || '';
+  }
+
+  // textContent runs adjacent blocks together ("TitleFirst sentence"), so end each block with a line break
+  separateBlocks(document) {
+    document.querySelectorAll('p, div, li, br, tr, td, th, blockquote, pre, section, article, h1, h2, h3, h4, h5, h6')
+      .forEach(element => element.append('\n'));
   }
 
   // Validate file type based on mimetype and extension
   isValidFileType(file) {
-    const allowedExtensions = ['txt', 'pdf', 'docx', 'srt'];
+    const allowedExtensions = ['txt', 'pdf', 'docx', 'srt', 'vtt', 'md', 'markdown', 'html', 'htm', 'epub'];
     const allowedMimeTypes = [
       'text/plain',
       'application/pdf',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
       'text/srt', // SRT files sometimes use this MIME type
-      'application/x-subrip' // Alternative MIME type for SRT files
+      'application/x-subrip', // Alternative MIME type for SRT files
+      'text/vtt',
+      'text/markdown',
+      'text/x-markdown',
+      'text/html',
+      'application/xhtml+xml',
+      'application/epub+zip'
     ];
 
-    const extension = this.getFileExtension(file.originalname);
-    const isValidExtension = allowedExtensions.includes(extension.toLowerCase());
+    // Browsers report subtitle, Markdown and EPUB files with all kinds of MIME types
+    // (text/plain, application/octet-stream or none), so only their extension is checked
+    const lenientExtensions = ['srt', 'vtt', 'md', 'markdown', 'epub'];
+
+    const extension = this.getFileExtension(file.originalname).toLowerCase();
+    const isValidExtension = allowedExtensions.includes(extension);
 
-    // For SRT files, we're more lenient with MIME type validation since SRT files
-    // are often served with different MIME types (text/plain, text/srt, etc.)
-    if (extension.toLowerCase() === 'srt') {
+    if (lenientExtensions.includes(extension)) {
       return true;
     }
 
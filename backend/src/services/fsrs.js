@@ -4,19 +4,24 @@
  * https://github.com/open-spaced-repetition/fsrs4anki/wiki/The-Algorithm
  */
 
+/**
+ * Default FSRS parameters (can be customized per user)
+ */
+const DEFAULT_PARAMETERS = {
+  // Learning parameters
+  requestRetention: 0.9,      // Target retention rate
+  maximumInterval: 36500,     // Maximum interval in days (100 years)
+
+  // FSRS coefficients (optimized for general use)
+  w: [
+    0.4, 0.6, 2.4, 5.8, 4.93, 0.94, 0.86, 0.01, 1.49, 0.14, 0.94, 2.18, 0.05, 0.34, 1.26, 0.29, 2.61
+  ]
+};
+
 class FSRS {
   constructor(parameters = null) {
-    // Default FSRS parameters (can be customized per user)
-    this.parameters = parameters || {
-      // Learning parameters
-      requestRetention: 0.9,      // Target retention rate
-      maximumInterval: 36500,     // Maximum interval in days (100 years)
-
-      // FSRS coefficients (optimized for general use)
-      w: [
-        0.4, 0.6, 2.4, 5.8, 4.93, 0.94, 0.86, 0.01, 1.49, 0.14, 0.94, 2.18, 0.05, 0.34, 1.26, 0.29, 2.61
-      ]
-    };
+    // Missing fields fall back to the defaults, so callers can override only `w`
+    this.parameters = { ...DEFAULT_PARAMETERS, ...(parameters || {}) };
   }
 
   /**
@@ -195,6 +200,18 @@ class FSRS {
     return intervals;
   }
 
+  /**
+   * Estimate the average number of reviews per day for a set of cards
+   * Each reviewed card comes back once per interval, so its daily load is 1 / interval
+   * @param {Array} cards - Cards with stability and state
+   * @returns {number} Estimated reviews per day
+   */
+  estimateDailyReviews(cards) {
+    return cards
+      .filter(card => card.state !== 'new' && card.stability > 0)
+      .reduce((sum, card) => sum + 1 / this.calculateInterval(card.stability), 0);
+  }
+
   /**
    * Calculate optimal retention rate based on user data
    * This can be used to adjust parameters for individual users
@@ -242,6 +259,7 @@ const CARD_STATE = {
 
 export {
   FSRS,
+  DEFAULT_PARAMETERS,
   RATING,
   CARD_STATE
 };
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * FSRS Parameter Optimizer
+ * Fits the 17 FSRS weights to a single user's review history by replaying
+ * every card's reviews and minimizing the log loss of predicted recall.
+ * A fit takes seconds of CPU, so requests run it in a worker thread (optimizeInWorker)
+ */
+
+import { Worker } from 'worker_threads';
+import { FSRS, DEFAULT_PARAMETERS } from './fsrs.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Minimum number of reviews before an optimization is meaningful
+const MIN_REVIEWS = 100;
+
+// Worker threads fitting at once, each keeps a CPU core busy
+const MAX_CONCURRENT_WORKERS = 2;
+
+// Allowed range for each weight, keeps the fitted model numerically sane
+const WEIGHT_BOUNDS = [
+  [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100], // Initial stability per rating
+  [1, 10],     // Initial difficulty
+  [0.1, 5],    // Initial difficulty rating factor
+  [0.1, 5],    // Difficulty change per rating
+  [0, 0.8],    // Mean reversion (unused by this scheduler)
+  [0, 6],      // Recall stability scale
+  [0, 0.8],    // Recall stability decay
+  [0.01, 5],   // Recall retrievability factor
+  [0.1, 5],    // Forget stability scale
+  [0.01, 0.5], // Forget difficulty exponent
+  [0.01, 0.9], // Forget stability exponent
+  [0.01, 4],   // Forget retrievability factor
+  [0, 1],      // Hard penalty
+  [1, 6],      // Easy bonus
+];
+
+class FSRSOptimizer {
+  constructor(options = {}) {
+    this.options = {
+      epochs: 150,          // Gradient descent iterations
+      learningRate: 0.01,   // Adam step size in normalized weight space
+      epsilon: 1e-4,        // Finite difference step
+      ...options
+    };
+    this.runningWorkers = 0;
+  }
+
+  /**
+   * Whether another optimizeInWorker call can start now
+   */
+  canStartWorker() {
+    return this.runningWorkers < MAX_CONCURRENT_WORKERS;
+  }
+
+  /**
+   * Run optimize in a worker thread, keeping the event loop free for other requests
+   * @returns {Promise<Object>} The result of optimize
+   */
+  optimizeInWorker(reviewHistory, initialWeights = DEFAULT_PARAMETERS.w) {
+    this.runningWorkers++;
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./fsrsOptimizerWorker.js', import.meta.url), {
+        workerData: { reviewHistory, initialWeights, options: this.options },
+      });
+
+      worker.once('message', resolve);
+      worker.once('error', reject);
+      worker.once('exit', (code) => {
+        if (code !== 0) {
+          reject(new Error(`FSRS optimizer worker stopped with exit code ${code}`));
+        }
+      });
+    }).finally(() => {
+      this.runningWorkers--;
+    });
+  }
+
+  /**
+   * Group review history rows into chronological review sequences per card
+   * @param {Array} reviewHistory - Rows from review_history (card_id, rating, created_at)
+   * @returns {Array} Array of [{rating, elapsedDays}] sequences
+   */
+  buildSequences(reviewHistory) {
+    const reviewsByCard = {};
+
+    reviewHistory.forEach((review) => {
+      if (!reviewsByCard[review.card_id]) {
+        reviewsByCard[review.card_id] = [];
+      }
+      reviewsByCard[review.card_id].push(review);
+    });
+
+    return Object.values(reviewsByCard).map((reviews) => {
+      reviews.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+      return reviews.map((review, index) => ({
+        rating: review.rating,
+        // Whole days, matching how FSRS.schedule measures elapsed time
+        elapsedDays: index === 0
+          ? 0
+          : Math.max(0, Math.floor((new Date(review.created_at) - new Date(reviews[index - 1].created_at)) / MS_PER_DAY))
+      }));
+    });
+  }
+
+  /**
+   * Average log loss of recall predictions for a weight vector
+   * Same-day reviews update the memory state but are not scored,
+   * since the forgetting curve predicts certain recall for them
+   */
+  computeLoss(w, sequences) {
+    const fsrs = new FSRS({ ...DEFAULT_PARAMETERS, w });
+    let totalLoss = 0;
+    let count = 0;
+
+    for (const sequence of sequences) {
+      let stability = fsrs.initStability(sequence[0].rating);
+      let difficulty = fsrs.initDifficulty(sequence[0].rating);
+
+      for (let i = 1; i < sequence.length; i++) {
+        const { rating, elapsedDays } = sequence[i];
+        const retrievability = fsrs.calculateRetrievability(elapsedDays, stability);
+
+        if (elapsedDays >= 1) {
+          const recalled = rating > 1 ? 1 : 0;
+          const p = Math.min(1 - 1e-4, Math.max(1e-4, retrievability));
+          totalLoss -= recalled * Math.log(p) + (1 - recalled) * Math.log(1 - p);
+          count++;
+        }
+
+        stability = rating === 1
+          ? fsrs.nextForgetStability(difficulty, stability, retrievability)
+          : fsrs.nextRecallStability(difficulty, stability, retrievability, rating);
+        stability = Math.max(0.1, stability);
+        difficulty = fsrs.nextDifficulty(difficulty, rating);
+      }
+    }
+
+    return count > 0 ? totalLoss / count : 0;
+  }
+
+  /**
+   * Fit FSRS weights to a user's review history
+   * @param {Array} reviewHistory - Rows from review_history (card_id, rating, created_at)
+   * @param {Array} initialWeights - Starting point, defaults to the generic weights
+   * @returns {Object} Fitted weights and before/after loss
+   */
+  optimize(reviewHistory, initialWeights = DEFAULT_PARAMETERS.w) {
+    if (reviewHistory.length < MIN_REVIEWS) {
+      throw new Error(`At least ${MIN_REVIEWS} reviews are required to optimize parameters`);
+    }
+
+    const sequences = this.buildSequences(reviewHistory).filter(sequence => sequence.length > 1);
+
+    // Optimize in [0, 1] space so every weight moves at a comparable rate
+    const toNormalized = (w) => w.map((value, i) => {
+      const [min, max] = WEIGHT_BOUNDS[i];
+      return (Math.min(max, Math.max(min, value)) - min) / (max - min);
+    });
+    const toWeights = (x) => x.map((value, i) => {
+      const [min, max] = WEIGHT_BOUNDS[i];
+      return min + Math.min(1, Math.max(0, value)) * (max - min);
+    });
+
+    const { epochs, learningRate, epsilon } = this.options;
+    let x = toNormalized(initialWeights);
+    const m = new Array(x.length).fill(0);
+    const v = new Array(x.length).fill(0);
+    const beta1 = 0.9;
+    const beta2 = 0.999;
+
+    const initialLoss = this.computeLoss(toWeights(x), sequences);
+    let bestLoss = initialLoss;
+    let bestX = [...x];
+
+    for (let epoch = 1; epoch <= epochs; epoch++) {
+      // Central finite differences: the replay is not analytically differentiable
+      const gradient = x.map((_, i) => {
+        const up = [...x];
+        const down = [...x];
+        up[i] = Math.min(1, x[i] + epsilon);
+        down[i] = Math.max(0, x[i] - epsilon);
+        const step = up[i] - down[i];
+        if (step === 0) return 0;
+        return (this.computeLoss(toWeights(up), sequences) - this.computeLoss(toWeights(down), sequences)) / step;
+      });
+
+      x = x.map((value, i) => {
+        m[i] = beta1 * m[i] + (1 - beta1) * gradient[i];
+        v[i] = beta2 * v[i] + (1 - beta2) * gradient[i] * gradient[i];
+        const mHat = m[i] / (1 - Math.pow(beta1, epoch));
+        const vHat = v[i] / (1 - Math.pow(beta2, epoch));
+        return Math.min(1, Math.max(0, value - learningRate * mHat / (Math.sqrt(vHat) + 1e-8)));
+      });
+
+      const loss = this.computeLoss(toWeights(x), sequences);
+      if (loss < bestLoss) {
+        bestLoss = loss;
+        bestX = [...x];
+      }
+    }
+
+    return {
+      w: toWeights(bestX).map(value => Number(value.toFixed(4))),
+      reviewCount: reviewHistory.length,
+      cardCount: sequences.length,
+      initialLoss: Number(initialLoss.toFixed(4)),
+      finalLoss: Number(bestLoss.toFixed(4))
+    };
+  }
+}
+
+export {
+  FSRSOptimizer,
+  MIN_REVIEWS
+};
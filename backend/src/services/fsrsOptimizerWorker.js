@@ -0,0 +1,14 @@
+/**
+ * FSRS Optimizer Worker
+ * Fits FSRS weights off the main thread, started by FSRSOptimizer.optimizeInWorker
+ * with { reviewHistory, initialWeights, options } as its worker data
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { FSRSOptimizer } from './fsrsOptimizer.js';
+
+// Imported outside a worker thread (e.g. by tooling) there is nothing to do
+if (parentPort) {
+  const { reviewHistory, initialWeights, options } = workerData;
+  parentPort.postMessage(new FSRSOptimizer(options).optimize(reviewHistory, initialWeights));
+}
@@ -0,0 +1,271 @@
+/**
+ * Lemmatizer
+ * Rule-based English lemmatization for vocabulary items: inflected forms map to
+ * their lemma ("analyzed" -> "analyze"), and derived words share a family key
+ * ("analysis", "analyze", "analytical" -> "anal"). Phrases are reduced by their
+ * first word, which is the one that inflects ("gave up" -> "give up").
+ * Lemma keys are deliberately loose, so whether two words really are forms of one
+ * lemma is checked against the inflections the lemma can have (areInflections)
+ */
+
+import { normalizeText } from './wordMatching.js';
+
+const IRREGULAR_FORMS = {
+  am: 'be', is: 'be', are: 'be', was: 'be', were: 'be', been: 'be', being: 'be',
+  has: 'have', had: 'have', having: 'have',
+  does: 'do', did: 'do', done: 'do',
+  goes: 'go', went: 'go', gone: 'go',
+  ate: 'eat', eaten: 'eat', began: 'begin', begun: 'begin', bent: 'bend', bit: 'bite', bitten: 'bite',
+  blew: 'blow', blown: 'blow', broke: 'break', broken: 'break', brought: 'bring', built: 'build',
+  bought: 'buy', caught: 'catch', chose: 'choose', chosen: 'choose', came: 'come', dealt: 'deal',
+  dug: 'dig', drew: 'draw', drawn: 'draw', drank: 'drink', drunk: 'drink', drove: 'drive', driven: 'drive',
+  fell: 'fall', fallen: 'fall', fed: 'feed', felt: 'feel', fought: 'fight', found: 'find', fled: 'flee',
+  flew: 'fly', flown: 'fly', forbade: 'forbid', forbidden: 'forbid', forgot: 'forget', forgotten: 'forget',
+  forgave: 'forgive', forgiven: 'forgive', froze: 'freeze', frozen: 'freeze', got: 'get', gotten: 'get',
+  gave: 'give', given: 'give', grew: 'grow', grown: 'grow', hung: 'hang', heard: 'hear', hid: 'hide',
+  hidden: 'hide', held: 'hold', kept: 'keep', knew: 'know', known: 'know', laid: 'lay', led: 'lead',
+  left: 'leave', lent: 'lend', lay: 'lie', lain: 'lie', lit: 'light', lost: 'lose', made: 'make',
+  meant: 'mean', met: 'meet', paid: 'pay', ran: 'run', rang: 'ring', rung: 'ring', rode: 'ride',
+  ridden: 'ride', rose: 'rise', risen: 'rise', said: 'say', saw: 'see', seen: 'see', sought: 'seek',
+  sold: 'sell', sent: 'send', shook: 'shake', shaken: 'shake', shone: 'shine', shot: 'shoot',
+  showed: 'show', shown: 'show', shrank: 'shrink', shrunk: 'shrink', sang: 'sing', sung: 'sing',
+  sank: 'sink', sunk: 'sink', sat: 'sit', slept: 'sleep', slid: 'slide', spoke: 'speak', spoken: 'speak',
+  spent: 'spend', spun: 'spin', stood: 'stand', stole: 'steal', stolen: 'steal', stuck: 'stick',
+  stung: 'sting', struck: 'strike', strove: 'strive', striven: 'strive', swore: 'swear', sworn: 'swear',
+  swept: 'sweep', swam: 'swim', swum: 'swim', swung: 'swing', took: 'take', taken: 'take',
+  taught: 'teach', tore: 'tear', torn: 'tear', told: 'tell', thought: 'think', threw: 'throw',
+  thrown: 'throw', understood: 'understand', undertook: 'undertake', undertaken: 'undertake',
+  woke: 'wake', woken: 'wake', wore: 'wear', worn: 'wear', wove: 'weave', woven: 'weave', wept: 'weep',
+  won: 'win', wound: 'wind', withdrew: 'withdraw', withdrawn: 'withdraw', wrote: 'write', written: 'write',
+  children: 'child', men: 'man', women: 'woman', people: 'person', mice: 'mouse', geese: 'goose',
+  feet: 'foot', teeth: 'tooth', lives: 'life', wives: 'wife', knives: 'knife', leaves: 'leaf',
+  wolves: 'wolf', halves: 'half', shelves: 'shelf', thieves: 'thief', selves: 'self',
+  analyses: 'analysis', crises: 'crisis', theses: 'thesis', hypotheses: 'hypothesis', bases: 'basis',
+  phenomena: 'phenomenon', criteria: 'criterion', curricula: 'curriculum',
+  better: 'good', best: 'good', worse: 'bad', worst: 'bad', further: 'far', furthest: 'far',
+};
+
+// Words that look inflected but are not
+const INVARIANT_WORDS = new Set([
+  'news', 'series', 'species', 'means', 'physics', 'mathematics', 'economics', 'politics', 'ethics',
+  'always', 'perhaps', 'whereas', 'nevertheless', 'thus', 'bus', 'gas', 'yes', 'this', 'his', 'its',
+  'during', 'nothing', 'something', 'anything', 'everything', 'morning', 'evening', 'ceiling',
+  'thing', 'king', 'ring', 'sing', 'bring', 'spring', 'string', 'swing', 'wing', 'sting', 'cling',
+  'need', 'feed', 'seed', 'speed', 'bleed', 'breed', 'greed', 'indeed', 'bed', 'red', 'shed', 'wed',
+  // Words of their own that also spell an inflection of a shorter word
+  'bedding', 'wedding', 'pudding', 'earring', 'herring', 'darling', 'sibling', 'stuffing',
+  'clothes', 'glasses', 'scissors', 'trousers', 'jeans', 'savings', 'surroundings', 'belongings',
+]);
+
+// Words that look derived but are not related to their apparent root ("sweater" is not "sweat" + er)
+const UNDERIVED_WORDS = new Set([
+  'sweater', 'shoulder', 'feather', 'leather', 'weather', 'together', 'whether', 'either', 'neither',
+  'corner', 'hammer', 'butter', 'ladder', 'mother', 'father', 'brother', 'sister', 'daughter', 'winter',
+  'summer', 'number', 'member', 'finger', 'monster', 'master', 'chapter', 'matter', 'letter',
+]);
+
+const VOWELS = 'aeiou';
+
+const isVowel = (char) => VOWELS.includes(char);
+
+// "stopp" -> "stop", but "fall" and "pass" keep their double letters
+const undoubleConsonant = (stem) => {
+  const last = stem[stem.length - 1];
+  if (stem.length > 3 && last === stem[stem.length - 2] && !isVowel(last) && !'lsz'.includes(last)) {
+    return stem.slice(0, -1);
+  }
+  return null;
+};
+
+// Whether a stem lost a silent e, e.g. "mak(ing)", "analyz(ed)", "creat(ed)", "handl(ing)"
+const needsSilentE = (stem) => {
+  if (/(v|z|c|u|g)$/.test(stem) && !/(ng|gg)$/.test(stem)) return true;
+  if (/[^aeiou][bcdfgkptz]l$/.test(stem)) return true;
+  if (/[^aeiou]at$/.test(stem) && stem.length > 4) return true;
+  // Short consonant-vowel-consonant stems: hop(ing) -> hope, writ(ing) -> write
+  return stem.length <= 4 && /^[^aeiou]*[aeiou][^aeiouwxy]$/.test(stem) && !/(en|er|it|on|et)$/.test(stem);
+};
+
+const restoreStem = (stem) => {
+  const undoubled = undoubleConsonant(stem);
+  if (undoubled) return undoubled;
+  return needsSilentE(stem) ? `${stem}e` : stem;
+};
+
+/**
+ * Lemma of a single lowercase word
+ */
+const lemmatizeWord = (word) => {
+  if (IRREGULAR_FORMS[word]) return IRREGULAR_FORMS[word];
+  if (word.length <= 3 || INVARIANT_WORDS.has(word) || !/^[a-z'-]+$/.test(word)) return word;
+
+  if (word.endsWith("'s")) return word.slice(0, -2);
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('ied') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('ing') && word.length > 5) return restoreStem(word.slice(0, -3));
+  if (word.endsWith('ed') && word.length > 4 && !word.endsWith('eed')) return restoreStem(word.slice(0, -2));
+  if (/(ss|x|zz|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('oes') && word.length > 4) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is|ous)$/.test(word)) return word.slice(0, -1);
+
+  return word;
+};
+
+// One syllable ending in a single vowel and consonant: "stop", "plan", not "visit" or "need"
+const isShortSyllable = (word) => /^[^aeiou]*[aeiou][^aeiouwxy]$/.test(word);
+
+// Longer verbs stressed on the last syllable, which double the consonant like one syllable verbs
+const FINAL_STRESS_WORDS = new Set([
+  'admit', 'commit', 'emit', 'omit', 'permit', 'submit', 'transmit', 'regret', 'forget', 'begin',
+  'prefer', 'refer', 'confer', 'infer', 'defer', 'deter', 'occur', 'incur', 'recur', 'concur',
+  'control', 'patrol', 'compel', 'expel', 'propel', 'repel', 'rebel', 'excel', 'equip', 'upset',
+  'forbid', 'abet', 'outwit', 'acquit',
+]);
+
+// Longer words ending in a vowel and l double it in British spelling only ("travelled", "traveled")
+const isBritishDoubling = (word) => /[aeiou][^aeiou]*[aeiou]l$/.test(word) && !/[aeiou]{2}l$/.test(word);
+
+/**
+ * Inflections a lemma can have, regular ones generated by the spelling rules
+ * ("hope" -> "hoped", "hoping"; "hop" -> "hopped", "hopping") and irregular ones listed
+ */
+const inflectWord = (lemma) => {
+  const forms = new Set(Object.keys(IRREGULAR_FORMS).filter(form => IRREGULAR_FORMS[form] === lemma));
+  if (!/^[a-z'-]+$/.test(lemma)) return forms;
+
+  forms.add(`${lemma}'s`);
+
+  // Plural and third person
+  if (/(s|x|z|ch|sh|o)$/.test(lemma)) forms.add(`${lemma}es`);
+  if (/[^aeiou]y$/.test(lemma)) forms.add(`${lemma.slice(0, -1)}ies`);
+  else forms.add(`${lemma}s`);
+
+  // Past and -ing
+  if (lemma.endsWith('ee')) {
+    forms.add(`${lemma}d`).add(`${lemma}ing`);
+  } else if (lemma.endsWith('ie')) {
+    forms.add(`${lemma}d`).add(`${lemma.slice(0, -2)}ying`);
+  } else if (lemma.endsWith('e')) {
+    forms.add(`${lemma}d`).add(`${lemma.slice(0, -1)}ing`);
+  } else if (/[^aeiou]y$/.test(lemma)) {
+    forms.add(`${lemma.slice(0, -1)}ied`).add(`${lemma}ing`);
+  } else {
+    // Stressed final syllables double the consonant instead ("stopped", "admitted", not
+    // "stoped"), unstressed ones don't ("visited"), a final l may in British spelling
+    const doubled = `${lemma}${lemma[lemma.length - 1]}`;
+    const doubles = isShortSyllable(lemma) || FINAL_STRESS_WORDS.has(lemma);
+    if (doubles || isBritishDoubling(lemma)) {
+      forms.add(`${doubled}ed`).add(`${doubled}ing`);
+    }
+    if (!doubles) {
+      forms.add(`${lemma}ed`).add(`${lemma}ing`);
+    }
+  }
+
+  return forms;
+};
+
+// British and American -ise/-yse spellings compare as one
+const normalizeSpelling = (word) => word.replace(/ys(e|es|ed|ing)$/, 'yz$1').replace(/is(e|es|ed|ing)$/, 'iz$1');
+
+const isFormOf = (word, lemma) => word === lemma ||
+  (!INVARIANT_WORDS.has(word) && [...inflectWord(lemma)].some(form => normalizeSpelling(form) === normalizeSpelling(word)));
+
+/**
+ * Whether two vocabulary items are forms of the same lemma, e.g. "hoping" and "hope",
+ * "gave up" and "give up", but not "hopping" and "hope" or "use" and "us"
+ */
+const areInflections = (a, b) => {
+  const [firstA, ...restA] = normalizeText(a || '').split(' ').filter(Boolean);
+  const [firstB, ...restB] = normalizeText(b || '').split(' ').filter(Boolean);
+  if (!firstA || !firstB || restA.join(' ') !== restB.join(' ')) return false;
+
+  const lemmas = new Set([firstA, firstB, lemmatizeWord(firstA), lemmatizeWord(firstB)]);
+  return [...lemmas].some(lemma => isFormOf(firstA, lemma) && isFormOf(firstB, lemma));
+};
+
+/**
+ * Whether an item is an inflection of a lemma the spelling rules or the irregular forms
+ * produce, e.g. "analyzed" of "analyze" and "gave up" of "give up", but not "sing" of "sang"
+ */
+const isInflectionOf = (form, lemma) => {
+  const [firstForm, ...restForm] = normalizeText(form || '').split(' ').filter(Boolean);
+  const [firstLemma, ...restLemma] = normalizeText(lemma || '').split(' ').filter(Boolean);
+  if (!firstForm || !firstLemma || restForm.join(' ') !== restLemma.join(' ')) return false;
+
+  return firstForm !== firstLemma && isFormOf(firstForm, firstLemma);
+};
+
+/**
+ * Lemma of a vocabulary item, e.g. "Analyzed" -> "analyze", "gave up" -> "give up"
+ */
+const lemmatize = (item) => {
+  const [first, ...rest] = normalizeText(item || '').split(' ').filter(Boolean);
+  if (!first) return '';
+  return [lemmatizeWord(first), ...rest].join(' ');
+};
+
+/**
+ * Key two inflections of the same lemma share even when the lemma guess differs
+ * in a silent e or a doubled letter ("hope"/"hoping", "analyse"/"analyze")
+ */
+const getLemmaKey = (item) => lemmatize(item)
+  .split(' ')
+  .map((word, index) => (index === 0 ? word.replace(/ys(e|ing|ed)?$/, 'yz$1').replace(/e$/, '') : word))
+  .join(' ');
+
+// Derivational suffixes, longest first, with the shortest root they may leave and the
+// ending the root takes back where the suffix changed it ("decision" -> "decid(e)").
+// Roots are kept long enough that words like "port" and "portion" stay apart
+const DERIVATIONAL_SUFFIXES = [
+  ['ification', 4], ['isation', 4], ['ization', 4], ['ational', 4], ['ytical', 3], ['ically', 4],
+  ['ission', 3, 'it'], ['ension', 3, 'end'], ['usion', 3, 'ud'], ['ision', 3, 'id'],
+  ['ation', 4], ['ition', 4], ['ysis', 3], ['ytic', 3], ['ical', 4], ['ment', 4], ['ness', 4],
+  ['ship', 4], ['hood', 4], ['ible', 4], ['able', 4], ['ably', 4], ['ibly', 4], ['less', 4],
+  ['ance', 4], ['ence', 4], ['ancy', 4], ['ency', 4], ['ious', 4], ['ous', 4], ['ive', 4],
+  ['ity', 4], ['ify', 4], ['ize', 4], ['ise', 4], ['yze', 3], ['yse', 3], ['yst', 3], ['ist', 4],
+  ['ism', 4], ['ful', 4], ['ant', 5], ['ent', 5], ['ion', 5], ['ally', 4], ['ly', 4], ['al', 5],
+  ['ic', 5], ['er', 5], ['or', 5], ['ee', 5], ['y', 5],
+];
+
+// Shortest family key, shorter roots are too likely to be words of their own ("car" of "care")
+const MIN_FAMILY_KEY_LENGTH = 4;
+
+const stripDerivation = (word) => {
+  for (const [suffix, minRoot, ending = ''] of DERIVATIONAL_SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= minRoot) {
+      return word.slice(0, -suffix.length) + ending;
+    }
+  }
+  return null;
+};
+
+/**
+ * Key shared by the members of a word family, e.g. "analysis", "analyze",
+ * "analyzing" and "analytical". Phrases only group with their own inflections
+ */
+const getFamilyKey = (item) => {
+  const lemma = lemmatize(item);
+  if (!lemma || lemma.includes(' ')) return getLemmaKey(item);
+  if (UNDERIVED_WORDS.has(lemma)) return lemma;
+
+  let root = lemma;
+  for (let i = 0; i < 2; i++) {
+    const stripped = stripDerivation(root);
+    if (!stripped) break;
+    // "happi(ness)" -> "happy"
+    root = stripped.replace(/i$/, 'y');
+  }
+
+  // A silent e or final y only goes when enough is left: "hope" -> "hop", not "care" -> "car"
+  const key = root.replace(/[ey]$/, '');
+  return key.length >= MIN_FAMILY_KEY_LENGTH ? key : root;
+};
+
+export {
+  lemmatize,
+  getLemmaKey,
+  getFamilyKey,
+  areInflections,
+  isInflectionOf
+};
@@ -0,0 +1,71 @@
+/**
+ * Phonemizer
+ * English text to IPA phonemes with espeak-ng, the synthesizer the espeak-ng
+ * text-to-speech engine uses (ESPEAK_PATH). Used to compare what a learner said
+ * with what they were asked to say
+ */
+
+import { spawn } from 'child_process';
+
+const PHONEMIZE_TIMEOUT_MS = 10000;
+
+// Stress marks and syllable breaks don't change which sound was made
+const IGNORED_MARKS = /[ˈˌ.]/g;
+
+const runEspeak = (text) => new Promise((resolve, reject) => {
+  const command = process.env.ESPEAK_PATH || 'espeak-ng';
+  const voice = process.env.TTS_ENGINE === 'espeak-ng' && process.env.TTS_VOICE ? process.env.TTS_VOICE : 'en-us';
+
+  // -q: no audio, --sep: phonemes joined with _ so multi-letter ones (tʃ, oʊ) stay whole
+  const child = spawn(command, ['-q', '--ipa', '--sep=_', '-v', voice, '--stdin'], {
+    stdio: ['pipe', 'pipe', 'pipe'],
+    timeout: PHONEMIZE_TIMEOUT_MS,
+  });
+
+  let stdout = '';
+  let stderr = '';
+
+  child.stdout.on('data', chunk => { stdout += chunk; });
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  child.on('error', reject);
+  child.on('close', code => {
+    if (code !== 0) {
+      reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+      return;
+    }
+    resolve(stdout);
+  });
+
+  // A failed spawn also fails the write, the error event above reports it
+  child.stdin.on('error', () => {});
+  child.stdin.end(text);
+});
+
+/**
+ * Phonemes of a text, words separated by ' ' entries
+ * @param {string} text - English text
+ * @returns {Promise<Array|null>} e.g. ['h', 'ə', 'l', 'oʊ', ' ', 'w', 'ɜː', 'l', 'd'],
+ * null when espeak-ng is not available
+ */
+const phonemize = async (text) => {
+  if (!text || !text.trim()) return [];
+
+  let ipa;
+  try {
+    ipa = await runEspeak(text);
+  } catch (error) {
+    console.warn('Phonemizer unavailable:', error.message);
+    return null;
+  }
+
+  return ipa
+    .replace(IGNORED_MARKS, '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .flatMap((word, index) => [
+      ...(index > 0 ? [' '] : []),
+      ...word.split('_').filter(Boolean),
+    ]);
+};
+
+export { phonemize };
@@ -0,0 +1,69 @@
+/**
+ * Pronunciation Scorer
+ * Scores what speech recognition heard against the word or sentence the learner
+ * was asked to say. Both are turned into IPA phonemes and aligned, so a near miss
+ * ("sink" for "think") loses one sound rather than the whole word. Without
+ * espeak-ng the letters are compared instead. The score maps to an FSRS rating
+ */
+
+import { normalizeAnswer, getEditDistance, getAnswerDiff } from './answerGrader.js';
+import { phonemize } from './phonemizer.js';
+import { RATING } from './fsrs.js';
+
+const SCORING_METHODS = {
+  PHONEMES: 'phonemes',
+  LETTERS: 'letters',
+};
+
+// Lowest score earning each rating
+const RATING_THRESHOLDS = [
+  [95, RATING.EASY],
+  [80, RATING.GOOD],
+  [60, RATING.HARD],
+];
+
+const countSounds = (sequence) => [...sequence].filter(unit => unit !== ' ').length;
+
+/**
+ * Score a transcribed attempt
+ * @param {string} transcript - What speech recognition heard
+ * @param {string} target - The word or sentence asked for
+ * @returns {Promise<Object>} { score, method, transcript, target, diff }, score from 0 to 100
+ * and diff in the format of answerGrader's getAnswerDiff, over phonemes or letters
+ */
+const scorePronunciation = async (transcript, target) => {
+  const heardText = normalizeAnswer(transcript);
+  const targetText = normalizeAnswer(target);
+
+  const [heardPhonemes, targetPhonemes] = await Promise.all([phonemize(heardText), phonemize(targetText)]);
+  const usePhonemes = heardPhonemes !== null && targetPhonemes !== null && targetPhonemes.length > 0;
+
+  const heard = usePhonemes ? heardPhonemes : heardText;
+  const expected = usePhonemes ? targetPhonemes : targetText;
+
+  // Recognized as the very words asked for, the sounds were right whatever espeak-ng makes of them
+  const distance = heardText === targetText ? 0 : getEditDistance(heard, expected);
+  const total = Math.max(countSounds(expected), 1);
+
+  return {
+    score: heardText ? Math.round(100 * Math.max(0, 1 - distance / total)) : 0,
+    method: usePhonemes ? SCORING_METHODS.PHONEMES : SCORING_METHODS.LETTERS,
+    transcript: heardText,
+    target: targetText,
+    diff: getAnswerDiff(heard, expected),
+  };
+};
+
+/**
+ * FSRS rating of a pronunciation score
+ */
+const getPronunciationRating = (score) => {
+  const threshold = RATING_THRESHOLDS.find(([minimum]) => score >= minimum);
+  return threshold ? threshold[1] : RATING.AGAIN;
+};
+
+export {
+  SCORING_METHODS,
+  scorePronunciation,
+  getPronunciationRating
+};
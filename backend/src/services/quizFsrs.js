@@ -4,27 +4,32 @@
  * Based on FSRS but simplified for frequent practice scenarios
  */
 
+/**
+ * Default Quiz FSRS parameters (retention, maximum and minimum interval can be customized per user)
+ */
+const DEFAULT_QUIZ_PARAMETERS = {
+  // More aggressive scheduling than regular FSRS (for more frequent practice)
+  requestRetention: 0.85,      // Lower target retention (85% vs 90%)
+  maximumInterval: 180,        // Max 6 months (vs 100 years for flashcards)
+  minimumInterval: 0.25,       // 6 hours minimum (vs 1 day for flashcards)
+
+  // Simplified coefficients (subset of full FSRS)
+  // These control how intervals grow based on performance
+  easyMultiplier: 2.5,         // Easy answer multiplier
+  goodMultiplier: 1.3,         // Good answer multiplier
+  hardMultiplier: 0.8,         // Hard answer multiplier
+  againMultiplier: 0.5,        // Again answer multiplier
+
+  // Decay factors
+  stabilityDecay: 0.85,        // How much stability decays for wrong answers
+  difficultyIncrement: 0.15,   // How much difficulty increases for wrong answers
+  difficultyDecrement: 0.05,   // How much difficulty decreases for correct answers
+};
+
 class QuizFSRS {
   constructor(parameters = null) {
-    // Simplified parameters for quiz questions
-    this.parameters = parameters || {
-      // More aggressive scheduling than regular FSRS (for more frequent practice)
-      requestRetention: 0.85,      // Lower target retention (85% vs 90%)
-      maximumInterval: 180,        // Max 6 months (vs 100 years for flashcards)
-      minimumInterval: 0.25,       // 6 hours minimum (vs 1 day for flashcards)
-
-      // Simplified coefficients (subset of full FSRS)
-      // These control how intervals grow based on performance
-      easyMultiplier: 2.5,         // Easy answer multiplier
-      goodMultiplier: 1.3,         // Good answer multiplier
-      hardMultiplier: 0.8,         // Hard answer multiplier
-      againMultiplier: 0.5,        // Again answer multiplier
-
-      // Decay factors
-      stabilityDecay: 0.85,        // How much stability decays for wrong answers
-      difficultyIncrement: 0.15,   // How much difficulty increases for wrong answers
-      difficultyDecrement: 0.05,   // How much difficulty decreases for correct answers
-    };
+    // Simplified parameters for quiz questions, missing fields fall back to the defaults
+    this.parameters = { ...DEFAULT_QUIZ_PARAMETERS, ...(parameters || {}) };
   }
 
   /**
@@ -218,5 +223,6 @@ const QUIZ_RESPONSE = {
 
 export {
   QuizFSRS,
+  DEFAULT_QUIZ_PARAMETERS,
   QUIZ_RESPONSE
 };
\ No newline at end of file
@@ -1,9 +1,16 @@
 /**
  * Quiz Question Generation Service
- * Uses AI to generate various types of quiz questions for vocabulary learning
+ * Uses AI to generate various types of quiz questions for vocabulary learning,
+ * listening questions need no AI: their audio comes from GET /api/audio/:wordId
  */
 
 import { aiService } from './aiService.js';
+import { quizQuestionSchemas } from './aiSchemas.js';
+import { formatTranslations } from '../config/languages.js';
+import { gradeAnswer, normalizeAnswer, VERDICTS } from './answerGrader.js';
+
+// Pairs in a matching exercise, the word it is made for and 4 others
+const MATCHING_PAIR_COUNT = 5;
 
 class QuizService {
   constructor() {
@@ -11,7 +18,11 @@ class QuizService {
       FILL_BLANK: 'fill_blank',
       DEFINITION_CHOICE: 'definition_choice',
       SYNONYM_CHOICE: 'synonym_choice',
-      CONTEXT_CHOICE: 'context_choice'
+      CONTEXT_CHOICE: 'context_choice',
+      LISTENING: 'listening',
+      COLLOCATION_CHOICE: 'collocation_choice',
+      WORD_FORMATION: 'word_formation',
+      MATCHING: 'matching'
     };
   }
 
@@ -71,11 +82,73 @@ class QuizService {
         return await this.generateSynonymChoiceQuestion(word);
       case this.questionTypes.CONTEXT_CHOICE:
         return await this.generateContextChoiceQuestion(word);
+      case this.questionTypes.LISTENING:
+        return this.generateListeningQuestions(word)[0];
+      case this.questionTypes.COLLOCATION_CHOICE:
+        return await this.generateCollocationChoiceQuestion(word);
+      case this.questionTypes.WORD_FORMATION:
+        return await this.generateWordFormationQuestion(word);
+      case this.questionTypes.MATCHING:
+        return await this.generateMatchingQuestion(word);
       default:
         throw new Error(`Unknown question type: ${questionType}`);
     }
   }
 
+  /**
+   * Generate listening questions: type the word, and its example sentence when it has one
+   * @param {Object} word - Word object
+   * @returns {Array} Listening questions, the word's first
+   */
+  generateListeningQuestions(word) {
+    const questions = [{
+      word_id: word.id,
+      question_type: this.questionTypes.LISTENING,
+      question_text: 'Type the word you hear',
+      correct_answer: word.word,
+      audio_source: 'word',
+      difficulty_level: 1,
+    }];
+
+    if (word.example_sentence) {
+      questions.push({
+        word_id: word.id,
+        question_type: this.questionTypes.LISTENING,
+        question_text: 'Type the sentence you hear',
+        correct_answer: word.example_sentence,
+        audio_source: 'example',
+        difficulty_level: 3,
+      });
+    }
+
+    return questions;
+  }
+
+  /**
+   * Replace the listening questions of an edited word, the old ones may ask for its previous text
+   * @param {Object} supabase - Supabase client
+   * @param {Object} word - Word object as saved
+   */
+  async replaceListeningQuestions(supabase, word) {
+    const { error: deleteError } = await supabase
+      .from('quiz_questions')
+      .delete()
+      .eq('word_id', word.id)
+      .eq('question_type', this.questionTypes.LISTENING);
+
+    if (deleteError) {
+      throw deleteError;
+    }
+
+    const { error: insertError } = await supabase
+      .from('quiz_questions')
+      .insert(this.generateListeningQuestions(word));
+
+    if (insertError) {
+      throw insertError;
+    }
+  }
+
   /**
    * Generate fill-in-the-blank questions
    */
@@ -87,7 +160,7 @@ Word details:
 - Type: ${word.word_type}
 - Level: ${word.cefr_level}
 - Example: ${word.example_sentence}
-- Vietnamese: ${word.vietnamese_translation}
+- Translations: ${formatTranslations(word.translations)}
 - Synonyms: ${word.synonyms}
 
 Create a sentence where "${word.word}" or one of its synonyms is replaced with a blank (______).
@@ -106,18 +179,13 @@ Return JSON format:
 Provide only valid JSON without additional text.`;
 
     try {
-      const response = await aiService.makeRequest('chat/completions', {
-        model: aiService.config.model,
+      const { data } = await aiService.completeJSON({
         messages: [{ role: 'user', content: prompt }],
         temperature: 0.7,
         max_tokens: 500,
-      });
+      }, quizQuestionSchemas.fill_blank);
 
-      if (response.choices && response.choices[0]) {
-        let content = response.choices[0].message.content.trim();
-        content = content.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
-        return JSON.parse(content);
-      }
+      return data;
     } catch (error) {
       console.error('Error generating fill blank question:', error);
     }
@@ -135,7 +203,7 @@ Word details:
 - Definition: ${word.definition}
 - Type: ${word.word_type}
 - Level: ${word.cefr_level}
-- Vietnamese: ${word.vietnamese_translation}
+- Translations: ${formatTranslations(word.translations)}
 
 Create 4 options:
 - 1 correct definition (the actual definition, possibly paraphrased)
@@ -159,25 +227,16 @@ Return JSON format:
 Ensure options are shuffled and all seem plausible. Provide only valid JSON.`;
 
     try {
-      const response = await aiService.makeRequest('chat/completions', {
-        model: aiService.config.model,
+      const { data: result } = await aiService.completeJSON({
         messages: [{ role: 'user', content: prompt }],
         temperature: 0.8,
         max_tokens: 600,
-      });
-
-      if (response.choices && response.choices[0]) {
-        let content = response.choices[0].message.content.trim();
-        content = content.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
-        const result = JSON.parse(content);
+      }, quizQuestionSchemas.definition_choice);
 
-        // Shuffle the options
-        if (result.options && Array.isArray(result.options)) {
-          result.options = this.shuffleArray(result.options);
-        }
+      // Shuffle the options
+      result.options = this.shuffleArray(result.options);
 
-        return result;
-      }
+      return result;
     } catch (error) {
       console.error('Error generating definition choice question:', error);
     }
@@ -219,25 +278,16 @@ Return JSON format:
 Make sure distractors are the same part of speech. Provide only valid JSON.`;
 
     try {
-      const response = await aiService.makeRequest('chat/completions', {
-        model: aiService.config.model,
+      const { data: result } = await aiService.completeJSON({
         messages: [{ role: 'user', content: prompt }],
         temperature: 0.8,
         max_tokens: 600,
-      });
+      }, quizQuestionSchemas.synonym_choice);
 
-      if (response.choices && response.choices[0]) {
-        let content = response.choices[0].message.content.trim();
-        content = content.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
-        const result = JSON.parse(content);
+      // Shuffle the options
+      result.options = this.shuffleArray(result.options);
 
-        // Shuffle the options
-        if (result.options && Array.isArray(result.options)) {
-          result.options = this.shuffleArray(result.options);
-        }
-
-        return result;
-      }
+      return result;
     } catch (error) {
       console.error('Error generating synonym choice question:', error);
     }
@@ -279,32 +329,232 @@ Return JSON format:
 Provide only valid JSON without additional text.`;
 
     try {
-      const response = await aiService.makeRequest('chat/completions', {
-        model: aiService.config.model,
+      const { data: result } = await aiService.completeJSON({
         messages: [{ role: 'user', content: prompt }],
         temperature: 0.7,
         max_tokens: 600,
-      });
+      }, quizQuestionSchemas.context_choice);
 
-      if (response.choices && response.choices[0]) {
-        let content = response.choices[0].message.content.trim();
-        content = content.replace(/```json\s*/g, '').replace(/```\s*$/g, '').trim();
-        const result = JSON.parse(content);
+      // Shuffle the options for context questions too
+      result.options = this.shuffleArray(result.options);
 
-        // Shuffle the options for context questions too
-        if (result.options && Array.isArray(result.options)) {
-          result.options = this.shuffleArray(result.options);
-        }
+      return result;
+    } catch (error) {
+      console.error('Error generating context choice question:', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate collocation choice questions: the word that goes with another
+   */
+  async generateCollocationChoiceQuestion(word) {
+    const prompt = `Create a collocation question for the word "${word.word}".
 
-        return result;
+Word details:
+- Definition: ${word.definition}
+- Type: ${word.word_type}
+- Level: ${word.cefr_level}
+- Example: ${word.example_sentence}
+
+Write a short phrase or sentence using "${word.word}" in a common collocation, with the word
+that collocates with it replaced by a blank (______). For example, for "decision": "______ a decision".
+The blank must not be "${word.word}" itself.
+
+Create 4 options:
+- 1 word that forms the natural collocation
+- 3 words a learner might wrongly use there (e.g. "do", "take", "have" for "make a decision")
+
+Return JSON format:
+{
+  "question_text": "______ a decision",
+  "correct_answer": "make",
+  "options": ["make", "do", "take", "have"],
+  "explanation": "Why this collocation is the natural one"
+}
+
+Provide only valid JSON without additional text.`;
+
+    try {
+      const { data: result } = await aiService.completeJSON({
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.7,
+        max_tokens: 500,
+      }, quizQuestionSchemas.collocation_choice);
+
+      result.options = this.shuffleArray(result.options);
+
+      return result;
+    } catch (error) {
+      console.error('Error generating collocation choice question:', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate word formation questions: the form of the word that fits a sentence
+   */
+  async generateWordFormationQuestion(word) {
+    const prompt = `Create a word formation question for the word "${word.word}".
+
+Word details:
+- Definition: ${word.definition}
+- Type: ${word.word_type}
+- Level: ${word.cefr_level}
+- Example: ${word.example_sentence}
+
+Write a sentence with a blank (______) where a form of "${word.word}" belongs. The form asked for
+must differ from the one given: another part of speech ("decide" -> "decision", "decisive") or a
+derived word ("possible" -> "impossible"). Give the form the learner starts from as base_word,
+usually "${word.word}" itself, and the exact form that fits the sentence as correct_answer.
+
+Return JSON format:
+{
+  "question_text": "She made a quick ______ about the offer.",
+  "base_word": "decide",
+  "correct_answer": "decision",
+  "explanation": "Why this form fits the sentence"
+}
+
+Provide only valid JSON without additional text.`;
+
+    try {
+      const { data: result } = await aiService.completeJSON({
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.7,
+        max_tokens: 500,
+      }, quizQuestionSchemas.word_formation);
+
+      const { base_word: baseWord, ...question } = result;
+      return {
+        ...question,
+        question_text: `${question.question_text} (${baseWord.toUpperCase()})`,
+      };
+    } catch (error) {
+      console.error('Error generating word formation question:', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate matching exercises: the word and 4 others to pair with their definitions
+   */
+  async generateMatchingQuestion(word) {
+    const prompt = `Create a matching exercise for the word "${word.word}".
+
+Word details:
+- Definition: ${word.definition}
+- Type: ${word.word_type}
+- Level: ${word.cefr_level}
+
+Choose 4 other English words at ${word.cefr_level} level, from the same topic as "${word.word}"
+where possible, and give all ${MATCHING_PAIR_COUNT} words (including "${word.word}") a short definition.
+Each definition must fit only its own word.
+
+Return JSON format:
+{
+  "question_text": "Match each word with its definition",
+  "pairs": [
+    { "word": "${word.word}", "definition": "Short definition" },
+    { "word": "other word", "definition": "Short definition" }
+  ],
+  "explanation": "Optional note on words that are easy to confuse"
+}
+
+Provide exactly ${MATCHING_PAIR_COUNT} pairs and only valid JSON without additional text.`;
+
+    try {
+      const { data: result } = await aiService.completeJSON({
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.7,
+        max_tokens: 800,
+      }, quizQuestionSchemas.matching);
+
+      const { pairs, ...question } = result;
+      const targetPair = pairs.find(pair => normalizeAnswer(pair.word) === normalizeAnswer(word.word));
+      if (!targetPair) {
+        throw new Error(`Matching pairs do not include "${word.word}"`);
       }
+
+      return {
+        ...question,
+        correct_answer: targetPair.word,
+        options: pairs.map(({ word: pairWord, definition }) => ({ word: pairWord, definition })),
+      };
     } catch (error) {
-      console.error('Error generating context choice question:', error);
+      console.error('Error generating matching question:', error);
     }
 
     return null;
   }
 
+  /**
+   * Grade an answer to a quiz question, each type its own way
+   * @param {Object} question - Quiz question
+   * @param {string|Object} userAnswer - The answer, for matching an object of word -> definition
+   * @returns {Object} { isCorrect, verdict, ... } typed answers carry the answerGrader grade,
+   * matching exercises { correct, total, pairs }
+   */
+  gradeQuizAnswer(question, userAnswer) {
+    switch (question.question_type) {
+      case this.questionTypes.MATCHING:
+        return this.gradeMatchingAnswer(question, userAnswer);
+
+      // Typed answers are graded loosely
+      case this.questionTypes.FILL_BLANK:
+      case this.questionTypes.LISTENING:
+        return gradeAnswer(userAnswer, question.correct_answer);
+
+      // Forming the word is the exercise, other forms and typos don't count
+      case this.questionTypes.WORD_FORMATION: {
+        const grade = gradeAnswer(userAnswer, question.correct_answer);
+        const isCorrect = grade.verdict === VERDICTS.EXACT || grade.verdict === VERDICTS.SPELLING;
+        return { ...grade, isCorrect, verdict: isCorrect ? grade.verdict : VERDICTS.WRONG };
+      }
+
+      // Chosen options must match
+      default: {
+        const grade = gradeAnswer(userAnswer, question.correct_answer);
+        return { ...grade, isCorrect: grade.verdict === VERDICTS.EXACT };
+      }
+    }
+  }
+
+  gradeMatchingAnswer(question, userAnswer) {
+    let chosen = userAnswer;
+    if (typeof chosen === 'string') {
+      try {
+        chosen = JSON.parse(chosen);
+      } catch {
+        chosen = {};
+      }
+    }
+
+    const pairs = (question.options || []).map(({ word, definition }) => {
+      const chosenDefinition = chosen?.[word] || '';
+      return {
+        word,
+        definition,
+        chosen: chosenDefinition,
+        isCorrect: normalizeAnswer(chosenDefinition) === normalizeAnswer(definition),
+      };
+    });
+
+    const correct = pairs.filter(pair => pair.isCorrect).length;
+    const isCorrect = pairs.length > 0 && correct === pairs.length;
+
+    return {
+      isCorrect,
+      verdict: isCorrect ? VERDICTS.EXACT : VERDICTS.WRONG,
+      correct,
+      total: pairs.length,
+      pairs,
+    };
+  }
+
   /**
    * Generate questions for multiple words at once using efficient batching
    * @param {Array} words - Array of word objects
@@ -332,7 +582,9 @@ Provide only valid JSON without additional text.`;
       try {
         console.log(`Generating quiz questions for batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(words.length/batchSize)} (${batch.length} words)`);
 
-        const batchQuestions = await aiService.generateBatchQuizQuestions(batch);
+        // Questions the AI got the shape of wrong can't be answered, e.g. a matching exercise short of pairs
+        const batchQuestions = (await aiService.generateBatchQuizQuestions(batch))
+          .filter(question => this.validateQuestion(question));
         allQuestions.push(...batchQuestions);
 
         console.log(`Successfully generated ${batchQuestions.length} questions for batch`);
@@ -414,24 +666,36 @@ Provide only valid JSON without additional text.`;
       // Filter words that don't have quiz questions yet
       const { data: existingQuestions, error: queryError } = await supabase
         .from('quiz_questions')
-        .select('word_id')
+        .select('word_id, question_type')
         .in('word_id', words.map(w => w.id));
 
       if (queryError) {
         throw queryError;
       }
 
-      const existingWordIds = new Set(existingQuestions?.map(q => q.word_id) || []);
+      // Listening questions are counted apart, a word having them still needs AI questions
+      const existingWordIds = new Set();
+      const listeningWordIds = new Set();
+      existingQuestions?.forEach(q => {
+        (q.question_type === this.questionTypes.LISTENING ? listeningWordIds : existingWordIds).add(q.word_id);
+      });
+
       const wordsNeedingQuestions = words.filter(word => !existingWordIds.has(word.id));
+      const listeningQuestions = words
+        .filter(word => !listeningWordIds.has(word.id))
+        .flatMap(word => this.generateListeningQuestions(word));
 
-      if (wordsNeedingQuestions.length === 0) {
+      if (wordsNeedingQuestions.length === 0 && listeningQuestions.length === 0) {
         return { generated: 0, saved: 0, errors: 0, message: 'All words already have quiz questions' };
       }
 
       console.log(`Generating quiz questions for ${wordsNeedingQuestions.length} words without questions`);
 
       // Generate questions in batches
-      const questions = await this.generateBatchQuestions(wordsNeedingQuestions);
+      const questions = [
+        ...await this.generateBatchQuestions(wordsNeedingQuestions),
+        ...listeningQuestions,
+      ];
 
       if (questions.length === 0) {
         return { generated: 0, saved: 0, errors: wordsNeedingQuestions.length };
@@ -510,13 +774,36 @@ Provide only valid JSON without additional text.`;
       }
     }
 
-    // Check if multiple choice questions have options
+    if (question.question_type === this.questionTypes.LISTENING && !['word', 'example'].includes(question.audio_source)) {
+      return false;
+    }
+
+    const blankTypes = [
+      this.questionTypes.COLLOCATION_CHOICE,
+      this.questionTypes.WORD_FORMATION
+    ];
+
+    if (blankTypes.includes(question.question_type) && !/_{3,}/.test(question.question_text)) {
+      return false;
+    }
+
+    if (question.question_type === this.questionTypes.MATCHING) {
+      const pairs = question.options;
+      return Array.isArray(pairs) &&
+        pairs.length === MATCHING_PAIR_COUNT &&
+        pairs.every(pair => pair && typeof pair.word === 'string' && typeof pair.definition === 'string') &&
+        new Set(pairs.map(pair => normalizeAnswer(pair.word))).size === MATCHING_PAIR_COUNT &&
+        pairs.some(pair => pair.word === question.correct_answer);
+    }
+
     const multipleChoiceTypes = [
       this.questionTypes.DEFINITION_CHOICE,
       this.questionTypes.SYNONYM_CHOICE,
-      this.questionTypes.CONTEXT_CHOICE
+      this.questionTypes.CONTEXT_CHOICE,
+      this.questionTypes.COLLOCATION_CHOICE
     ];
 
+    // Check if multiple choice questions have options
     if (multipleChoiceTypes.includes(question.question_type)) {
       if (!question.options || !Array.isArray(question.options) || question.options.length < 2) {
         return false;
@@ -0,0 +1,106 @@
+/**
+ * Word Senses
+ * The meanings of a word (see sql/24_word_senses.sql). The learner chooses which
+ * senses to study and each studied sense gets FSRS cards of its own; the cards a
+ * word starts with are taken over by its first studied sense, keeping their reviews
+ */
+
+import { cardService } from './cardService.js';
+
+// Columns of the first sense that are mirrored on the word, for lists and quizzes
+const PRIMARY_SENSE_COLUMNS = ['definition', 'example_sentence', 'cefr_level'];
+
+class SenseService {
+  /**
+   * Sense rows from request senses
+   * @param {Array} senses - [{ id, partOfSpeech, definition, exampleSentence, cefrLevel, translations, study }]
+   */
+  toRows(userId, wordId, senses) {
+    return senses.map((sense, position) => ({
+      ...(sense.id && { id: sense.id }),
+      user_id: userId,
+      word_id: wordId,
+      position,
+      part_of_speech: sense.partOfSpeech || '',
+      definition: sense.definition,
+      example_sentence: sense.exampleSentence || '',
+      cefr_level: sense.cefrLevel || '',
+      translations: sense.translations || {},
+      is_studied: sense.study !== false,
+    }));
+  }
+
+  /**
+   * Request senses from the senses of a word analysis, studying only the first
+   */
+  fromAnalysis(analysis, nativeLanguage) {
+    return (analysis.senses || []).map((sense, index) => ({
+      partOfSpeech: sense.partOfSpeech,
+      definition: sense.definition,
+      exampleSentence: sense.exampleSentence,
+      cefrLevel: sense.cefrLevel,
+      translations: sense.translation ? { [nativeLanguage]: sense.translation } : {},
+      study: index === 0,
+    }));
+  }
+
+  /**
+   * Replace the senses of a word, keeping the rows (and cards) of senses passed with their id,
+   * then bring its cards in line with the studied senses
+   * @returns {Array} The senses of the word, in order
+   */
+  async replaceSenses(supabase, userId, wordId, senses) {
+    const { data: existing, error: existingError } = await supabase
+      .from('word_senses')
+      .select('id')
+      .eq('word_id', wordId)
+      .eq('user_id', userId);
+
+    if (existingError) throw existingError;
+
+    // Ids of other words' senses are ignored, those senses are added as new ones
+    const existingIds = new Set(existing.map(sense => sense.id));
+    const rows = this.toRows(userId, wordId, senses.map(({ id, ...sense }) => (existingIds.has(id) ? { id, ...sense } : sense)));
+    const keptIds = rows.filter(row => row.id).map(row => row.id);
+
+    let removeQuery = supabase
+      .from('word_senses')
+      .delete()
+      .eq('word_id', wordId)
+      .eq('user_id', userId);
+
+    if (keptIds.length > 0) {
+      removeQuery = removeQuery.not('id', 'in', `(${keptIds.join(',')})`);
+    }
+
+    const { error: removeError } = await removeQuery;
+    if (removeError) throw removeError;
+
+    const { data: saved, error } = await supabase
+      .from('word_senses')
+      .upsert(rows, { defaultToNull: false }) // New senses get their id from the column default
+      .select()
+      .order('position', { ascending: true });
+
+    if (error) throw error;
+
+    // The word shows its first sense
+    const [primary] = saved;
+    const { error: wordError } = await supabase
+      .from('words')
+      .update({
+        ...Object.fromEntries(PRIMARY_SENSE_COLUMNS.map(column => [column, primary[column]])),
+        word_type: primary.part_of_speech,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', wordId)
+      .eq('user_id', userId);
+
+    if (wordError) throw wordError;
+
+    await cardService.syncWordCards(supabase, userId, [wordId]);
+    return saved;
+  }
+}
+
+export const senseService = new SenseService();
@@ -0,0 +1,174 @@
+/**
+ * Sources
+ * Websites, videos, files and texts a user has analyzed for vocabulary (see
+ * sql/21_sources.sql). Saved words link to their source and keep the sentence
+ * they were found in, so an article can be re-read with its words highlighted
+ */
+
+import { hashText } from './analysisCache.js';
+import { containsWord, normalizeText, stem } from './wordMatching.js';
+
+// Sentences longer than this (e.g. unpunctuated auto captions) are cut around the word
+const MAX_SENTENCE_LENGTH = 300;
+
+// Columns for source lists, the content is only loaded for a single source
+const SOURCE_SUMMARY_COLUMNS = 'id, source_type, title, url, filename, file_type, excerpt, info, created_at, updated_at';
+
+class SourceService {
+  /**
+   * Identifies a source so analyzing it again reuses the same row
+   * URLs identify websites and videos, files and pasted text are identified by their content
+   */
+  getSourceKey(sourceType, sourceInfo, content) {
+    // The subtitles of each language are a source of their own
+    if (sourceInfo.videoId) {
+      return `youtube:${sourceInfo.videoId}${sourceInfo.language ? `:${sourceInfo.language}` : ''}`;
+    }
+    if (sourceInfo.url) {
+      return `url:${sourceInfo.url}`;
+    }
+    return `${sourceType}:${hashText(content, 32)}`;
+  }
+
+  /**
+   * Create or refresh the source of analyzed content
+   * @param {Object} source - { sourceType, sourceInfo, content } as returned by loadAnalysisSource
+   * @returns {Object} The source row, without content
+   */
+  async saveSource(supabase, userId, { sourceType, sourceInfo = {}, content }) {
+    const { filename, fileType, title, url, excerpt, ...info } = sourceInfo;
+
+    const { data: source, error } = await supabase
+      .from('sources')
+      .upsert({
+        user_id: userId,
+        source_key: this.getSourceKey(sourceType, sourceInfo, content),
+        source_type: sourceType,
+        title: title || null,
+        url: url || null,
+        filename: filename || null,
+        file_type: fileType || null,
+        excerpt: excerpt || null,
+        info,
+        content,
+      }, { onConflict: 'user_id,source_key' })
+      .select(SOURCE_SUMMARY_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return source;
+  }
+
+  splitSentences(content) {
+    return content
+      .replace(/\s+/g, ' ')
+      .split(/(?<=[.!?…])\s+(?=["“'‘(\[]?[\p{Lu}\p{N}])/u)
+      .map(sentence => sentence.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Cut a long sentence down to the words around the vocabulary item
+   */
+  trimSentence(sentence, word) {
+    if (sentence.length <= MAX_SENTENCE_LENGTH) return sentence;
+
+    const firstWord = normalizeText(word).split(' ')[0] || '';
+    const position = Math.max(0, sentence.toLowerCase().indexOf(stem(firstWord)));
+    const half = Math.floor(MAX_SENTENCE_LENGTH / 2);
+
+    let start = Math.max(0, position - half);
+    let end = Math.min(sentence.length, start + MAX_SENTENCE_LENGTH);
+    start = Math.max(0, end - MAX_SENTENCE_LENGTH);
+
+    // Keep whole words
+    if (start > 0) start = sentence.indexOf(' ', start) + 1;
+    if (end < sentence.length) end = sentence.lastIndexOf(' ', end);
+
+    return `${start > 0 ? '…' : ''}${sentence.slice(start, end).trim()}${end < sentence.length ? '…' : ''}`;
+  }
+
+  /**
+   * Add the sentence of the content each vocabulary item was found in
+   */
+  attachSentences(vocabulary, content) {
+    if (!content || vocabulary.length === 0) return vocabulary;
+
+    const sentences = this.splitSentences(content);
+
+    return vocabulary.map(item => {
+      const sentence = sentences.find(text => containsWord(text, item.word));
+      return sentence ? { ...item, sentence: this.trimSentence(sentence, item.word) } : item;
+    });
+  }
+
+  /**
+   * List the user's sources, most recently analyzed first, with the number of words saved from each
+   * @returns {Object} { sources, total }
+   */
+  async listSources(supabase, { type, limit = 50, offset = 0 } = {}) {
+    let query = supabase
+      .from('sources')
+      .select(`${SOURCE_SUMMARY_COLUMNS}, words(count)`, { count: 'exact' })
+      .order('updated_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (type) {
+      query = query.eq('source_type', type);
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    const sources = data.map(({ words, ...source }) => ({
+      ...source,
+      wordCount: words?.[0]?.count || 0,
+    }));
+
+    return { sources, total: count || 0 };
+  }
+
+  /**
+   * Get a source with its content and the words saved from it
+   * @returns {Object|null} Null when not found
+   */
+  async getSource(supabase, sourceId) {
+    const { data: source, error } = await supabase
+      .from('sources')
+      .select(`
+        ${SOURCE_SUMMARY_COLUMNS},
+        content,
+        words(id, word, definition, cefr_level, source_sentence, created_at)
+      `)
+      .eq('id', sourceId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return source;
+  }
+
+  /**
+   * Check that the sources belong to the user before words are linked to them
+   */
+  async assertOwnSources(supabase, userId, sourceIds) {
+    const ids = [...new Set(sourceIds.filter(Boolean))];
+    if (ids.length === 0) return true;
+
+    const { data, error } = await supabase
+      .from('sources')
+      .select('id')
+      .eq('user_id', userId)
+      .in('id', ids);
+
+    if (error) throw error;
+    return data.length === ids.length;
+  }
+}
+
+// Create a singleton instance
+const sourceService = new SourceService();
+
+export {
+  sourceService,
+  SourceService
+};
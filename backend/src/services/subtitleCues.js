@@ -0,0 +1,130 @@
+/**
+ * Subtitle Cues
+ * Parses SRT and WebVTT subtitles into timed cues ({ start, end, text }, times in
+ * seconds) and finds the cue a vocabulary item was spoken in, so saved words can
+ * link back to that moment of the video
+ */
+
+import { containsWord, containsPhrase } from './wordMatching.js';
+
+/**
+ * Parse an SRT or VTT timestamp (01:02:03,500 / 02:03.500) into seconds
+ */
+const parseCueTimestamp = (timestamp) => {
+  const parts = timestamp.trim().split(/\s+/)[0].replace(',', '.').split(':');
+  const seconds = parseFloat(parts.pop()) || 0;
+  const minutes = parseInt(parts.pop() || '0', 10);
+  const hours = parseInt(parts.pop() || '0', 10);
+
+  return Math.round((hours * 3600 + minutes * 60 + seconds) * 1000) / 1000;
+};
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lrm;|&rlm;/g, '')
+  .replace(/&amp;/g, '&');
+
+// Remove formatting, voice, class and karaoke timestamp tags
+const cleanCueText = (lines) => decodeEntities(lines.join(' ').replace(/<[^>]*>/g, ''))
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Split subtitle blocks into cues, the block's timing line is the one with "-->"
+ * Blocks without one (the VTT header, NOTE, STYLE and REGION blocks) are skipped
+ */
+const parseCueBlocks = (content) => {
+  const cues = [];
+
+  for (const block of content.replace(/\r\n?/g, '\n').split(/\n\s*\n/)) {
+    const lines = block.trim().split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const [start, end] = lines[timingIndex].split('-->');
+    const text = cleanCueText(lines.slice(timingIndex + 1));
+
+    if (text) {
+      cues.push({ start: parseCueTimestamp(start), end: parseCueTimestamp(end), text });
+    }
+  }
+
+  return cues;
+};
+
+const parseSrtCues = (content) => (content ? parseCueBlocks(content) : []);
+
+/**
+ * Parse WebVTT cues
+ * Auto-generated captions (e.g. YouTube) roll: each cue repeats the previous line
+ * before adding a new one, so repeated text is dropped from the later cue
+ */
+const parseVttCues = (content) => {
+  if (!content) return [];
+
+  const cues = [];
+  for (const cue of parseCueBlocks(content)) {
+    const previous = cues[cues.length - 1];
+    if (previous && cue.text === previous.text) continue;
+
+    if (previous && cue.text.startsWith(previous.text)) {
+      const text = cue.text.slice(previous.text.length).trim();
+      if (text) cues.push({ ...cue, text });
+    } else {
+      cues.push(cue);
+    }
+  }
+
+  return cues;
+};
+
+const cuesToText = (cues) => cues.map(cue => cue.text).join(' ').trim();
+
+/**
+ * Find the first cue a vocabulary item was spoken in
+ * Phrases can run over into the next cue, so pairs of cues are tried as well
+ * @returns {Object|null} { start, end, text }
+ */
+const findCueForWord = (cues, word) => {
+  if (!cues || cues.length === 0 || !word) return null;
+
+  const exact = cues.find(cue => containsPhrase(cue.text, word));
+  if (exact) return exact;
+
+  const single = cues.find(cue => containsWord(cue.text, word));
+  if (single) return single;
+
+  if (word.trim().includes(' ')) {
+    for (let i = 0; i < cues.length - 1; i++) {
+      const text = `${cues[i].text} ${cues[i + 1].text}`;
+      if (containsWord(text, word)) {
+        return { start: cues[i].start, end: cues[i + 1].end, text };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Add the cue each vocabulary item came from, items not found in the subtitles are left as they are
+ */
+const attachCues = (vocabulary, cues) => {
+  if (!cues || cues.length === 0) return vocabulary;
+
+  return vocabulary.map(item => {
+    const cue = findCueForWord(cues, item.word);
+    return cue ? { ...item, cue: { start: cue.start, end: cue.end, text: cue.text } } : item;
+  });
+};
+
+export {
+  parseCueTimestamp,
+  parseSrtCues,
+  parseVttCues,
+  cuesToText,
+  findCueForWord,
+  attachCues
+};
@@ -0,0 +1,169 @@
+/**
+ * Text-to-Speech Engines
+ * Every engine turns English text into an audio clip: synthesize(text, { rate })
+ * resolves to the clip's bytes, in the engine's contentType. espeak-ng runs locally
+ * with no account or network, the OpenAI engine sounds more natural
+ */
+
+import { spawn } from 'child_process';
+import { Engine, createEngineRegistry } from './engineRegistry.js';
+
+// Clips longer than this are not a word or an example sentence
+const MAX_TEXT_LENGTH = 500;
+
+// A clip of MAX_TEXT_LENGTH takes a second or two to synthesize, anything longer is stuck
+const SYNTHESIZE_TIMEOUT_MS = 30000;
+
+/**
+ * Base engine, documents the interface every engine implements
+ */
+class TTSEngine extends Engine {
+  static contentType = 'audio/wav';
+  static extension = 'wav';
+
+  constructor({ voice = '', ...config } = {}) {
+    super(config);
+    this.voice = voice;
+  }
+
+  get contentType() {
+    return this.constructor.contentType;
+  }
+
+  get extension() {
+    return this.constructor.extension;
+  }
+
+  /**
+   * Settings that change the audio, part of the cache key of a clip
+   */
+  getCacheKey() {
+    return `${this.id}:${this.voice}:${this.model}`;
+  }
+
+  /**
+   * Synthesize text
+   * @param {string} text - English text, at most MAX_TEXT_LENGTH characters
+   * @param {Object} options - { rate } 'normal' or 'slow'
+   * @returns {Promise<Buffer>} The clip
+   */
+  async synthesize(text, options = {}) {
+    throw new Error(`${this.label} engine does not implement synthesize`);
+  }
+}
+
+/**
+ * espeak-ng, a local speech synthesizer (apt install espeak-ng)
+ */
+class EspeakEngine extends TTSEngine {
+  static id = 'espeak-ng';
+  static label = 'eSpeak NG';
+
+  constructor(config = {}) {
+    super({ voice: 'en-us', command: 'espeak-ng', ...config });
+  }
+
+  synthesize(text, { rate = 'normal' } = {}) {
+    const wordsPerMinute = rate === 'slow' ? 120 : 160;
+
+    return new Promise((resolve, reject) => {
+      // Text goes through stdin so it is never parsed as options
+      const child = spawn(this.command, ['-v', this.voice, '-s', String(wordsPerMinute), '--stdout', '--stdin'], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+        timeout: SYNTHESIZE_TIMEOUT_MS,
+      });
+
+      const chunks = [];
+      let stderr = '';
+
+      child.stdout.on('data', chunk => chunks.push(chunk));
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', error => {
+        reject(error.code === 'ENOENT'
+          ? new Error(`${this.command} is not installed on the server`)
+          : error);
+      });
+      child.on('close', (code, signal) => {
+        if (code !== 0) {
+          reject(new Error(signal
+            ? `${this.command} was stopped by ${signal}`
+            : `${this.command} exited with code ${code}: ${stderr.trim()}`));
+          return;
+        }
+        resolve(Buffer.concat(chunks));
+      });
+
+      // A failed spawn also fails the write, the error event above reports it
+      child.stdin.on('error', () => {});
+      child.stdin.end(text);
+    });
+  }
+}
+
+/**
+ * OpenAI's speech endpoint, or any server implementing /audio/speech
+ */
+class OpenAITTSEngine extends TTSEngine {
+  static id = 'openai';
+  static label = 'OpenAI';
+  static contentType = 'audio/mpeg';
+  static extension = 'mp3';
+
+  constructor(config = {}) {
+    super({ voice: 'alloy', model: 'tts-1', baseUrl: 'https://api.openai.com/v1', ...config });
+  }
+
+  getConfigurationError() {
+    return this.apiKey ? null : 'TTS_API_KEY is required for the openai engine';
+  }
+
+  async synthesize(text, { rate = 'normal' } = {}) {
+    const response = await fetch(`${this.baseUrl}/audio/speech`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: this.model,
+        voice: this.voice,
+        input: text,
+        response_format: 'mp3',
+        speed: rate === 'slow' ? 0.75 : 1,
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Speech service error: ${response.status} ${await response.text()}`);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  }
+}
+
+const ttsEngines = createEngineRegistry('TTS');
+
+/**
+ * Make an engine available under its static id
+ * @param {typeof TTSEngine} EngineClass
+ */
+const registerTTSEngine = ttsEngines.register;
+
+[EspeakEngine, OpenAITTSEngine].forEach(registerTTSEngine);
+
+/**
+ * Create the engine for an engine id
+ * @param {string} engineId - Registered id, e.g. 'espeak-ng'
+ * @param {Object} config - { voice, apiKey, baseUrl, model, command }, unset values use the engine's defaults
+ * @returns {TTSEngine}
+ */
+const createTTSEngine = ttsEngines.create;
+
+export {
+  MAX_TEXT_LENGTH,
+  TTSEngine,
+  EspeakEngine,
+  OpenAITTSEngine,
+  registerTTSEngine,
+  createTTSEngine,
+};
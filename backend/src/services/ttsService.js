@@ -0,0 +1,103 @@
+/**
+ * Text-to-Speech Service
+ * Synthesizes the audio of words and example sentences with the configured engine
+ * (see ttsEngines.js) and caches every clip on disk, so each text is synthesized once
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createTTSEngine, MAX_TEXT_LENGTH } from './ttsEngines.js';
+
+const DEFAULT_CACHE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../cache/audio');
+
+const SPEECH_RATES = ['normal', 'slow'];
+
+class TTSService {
+  constructor() {
+    this.config = {
+      engine: process.env.TTS_ENGINE || 'espeak-ng',
+      voice: process.env.TTS_VOICE || '',
+      apiKey: process.env.TTS_API_KEY || '',
+      baseUrl: process.env.TTS_BASE_URL || '',
+      model: process.env.TTS_MODEL || '',
+      command: process.env.ESPEAK_PATH || '',
+      cacheDir: process.env.TTS_CACHE_DIR || DEFAULT_CACHE_DIR,
+    };
+
+    this.engine = createTTSEngine(this.config.engine, this.config);
+
+    // Clips being synthesized, so concurrent requests for one text share the work
+    this.pending = new Map();
+  }
+
+  getCachePath(text, rate) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(`${this.engine.getCacheKey()}:${rate}:${text}`)
+      .digest('hex');
+
+    return path.join(this.config.cacheDir, `${hash}.${this.engine.extension}`);
+  }
+
+  /**
+   * Audio clip of a text, synthesized on first request
+   * @param {string} text - Word or sentence
+   * @param {Object} options - { rate } 'normal' or 'slow'
+   * @returns {Promise<Object>} { filePath, contentType }
+   */
+  async getAudio(text, { rate = 'normal' } = {}) {
+    const clipText = String(text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+    if (!clipText) {
+      throw new Error('Text to speak is required');
+    }
+
+    const speechRate = SPEECH_RATES.includes(rate) ? rate : 'normal';
+    const filePath = this.getCachePath(clipText, speechRate);
+    const clip = { filePath, contentType: this.engine.contentType };
+
+    try {
+      await fs.access(filePath);
+      return clip;
+    } catch {
+      // Not cached yet
+    }
+
+    if (!this.pending.has(filePath)) {
+      this.pending.set(filePath, this.synthesizeToFile(clipText, speechRate, filePath)
+        .finally(() => this.pending.delete(filePath)));
+    }
+
+    await this.pending.get(filePath);
+    return clip;
+  }
+
+  async synthesizeToFile(text, rate, filePath) {
+    const configurationError = this.engine.getConfigurationError();
+    if (configurationError) {
+      throw this.unavailable(configurationError);
+    }
+
+    let audio;
+    try {
+      audio = await this.engine.synthesize(text, { rate });
+    } catch (error) {
+      throw this.unavailable(error.message);
+    }
+
+    // Written aside and renamed, so a reader never gets half a clip
+    await fs.mkdir(this.config.cacheDir, { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, audio);
+    await fs.rename(tempPath, filePath);
+  }
+
+  unavailable(reason) {
+    const error = new Error(`Text-to-speech is not available (${this.engine.label}: ${reason})`);
+    error.statusCode = 503;
+    return error;
+  }
+}
+
+export const ttsService = new TTSService();
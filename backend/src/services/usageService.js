@@ -0,0 +1,268 @@
+/**
+ * AI Usage Metering
+ * Records the tokens of every AI provider call against the user and feature
+ * that triggered it, and enforces the daily per-user quotas
+ *
+ * The user and feature travel with the request in an AsyncLocalStorage
+ * context (see middleware/aiUsage.js), so AIService can record usage without
+ * every caller passing them down
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FEATURES = ['analyze-word', 'analyze-sentence', 'analyze-content', 'quiz-generation', 'chat'];
+
+/**
+ * Parse AI_TOKEN_PRICES, a JSON map of "provider:model" to USD per million tokens,
+ * e.g. {"openai:gpt-4o-mini": {"prompt": 0.15, "completion": 0.6}}
+ */
+function parsePrices(value) {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Ignoring invalid AI_TOKEN_PRICES:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Start of the current UTC day, quotas reset at midnight UTC
+ */
+function startOfUtcDay(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function startOfNextUtcDay() {
+  return new Date(startOfUtcDay().getTime() + DAY_MS);
+}
+
+class UsageService {
+  constructor() {
+    this.config = {
+      // 0 means unlimited
+      dailyTokenQuota: parseInt(process.env.AI_DAILY_TOKEN_QUOTA || '0', 10),
+      dailyRequestQuota: parseInt(process.env.AI_DAILY_REQUEST_QUOTA || '0', 10),
+      prices: parsePrices(process.env.AI_TOKEN_PRICES),
+    };
+
+    this.storage = new AsyncLocalStorage();
+  }
+
+  getQuota() {
+    return {
+      dailyTokens: this.config.dailyTokenQuota || null,
+      dailyRequests: this.config.dailyRequestQuota || null,
+    };
+  }
+
+  /**
+   * Run fn with AI calls metered to a user and feature
+   * @param {Object} context - { supabase, userId, feature, serviceRole }, serviceRole
+   * when supabase is a service role client rather than the user's
+   */
+  async run(context, fn) {
+    let used = { requests: 0, tokens: 0 };
+    try {
+      used = context.serviceRole
+        ? await this.getTodayUsageOf(context.supabase, context.userId)
+        : await this.getTodayUsage(context.supabase);
+    } catch (error) {
+      // Metering is best effort, an unavailable usage table must not block the AI features
+      console.error('Failed to load AI usage:', error);
+    }
+
+    return this.storage.run({ ...context, used }, fn);
+  }
+
+  /**
+   * Requests and tokens the current user has used since midnight UTC
+   */
+  async getTodayUsage(supabase) {
+    const { data: rows, error } = await supabase.rpc('get_ai_usage_summary', {
+      p_since: startOfUtcDay().toISOString(),
+    });
+
+    if (error) throw error;
+
+    return rows.reduce((used, row) => ({
+      requests: used.requests + Number(row.requests),
+      tokens: used.tokens + Number(row.prompt_tokens) + Number(row.completion_tokens),
+    }), { requests: 0, tokens: 0 });
+  }
+
+  /**
+   * getTodayUsage for a service role client, which has no auth.uid() for the
+   * summary function, so the events of the user are summed here
+   */
+  async getTodayUsageOf(supabase, userId) {
+    const PAGE_SIZE = 1000;
+    const used = { requests: 0, tokens: 0 };
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data: rows, error } = await supabase
+        .from('ai_usage_events')
+        .select('prompt_tokens, completion_tokens')
+        .eq('user_id', userId)
+        .gte('created_at', startOfUtcDay().toISOString())
+        .order('id')
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      rows.forEach((row) => {
+        used.requests += 1;
+        used.tokens += Number(row.prompt_tokens) + Number(row.completion_tokens);
+      });
+
+      if (rows.length < PAGE_SIZE) return used;
+    }
+  }
+
+  /**
+   * The 429 error returned when a quota is used up
+   */
+  createQuotaError(used) {
+    const error = new Error('Daily AI usage limit reached. It resets at midnight UTC.');
+    error.code = 'quota_exceeded';
+    error.statusCode = 429;
+    error.expose = true;
+    error.quota = this.getQuota();
+    error.used = used;
+    error.resetsAt = startOfNextUtcDay().toISOString();
+    return error;
+  }
+
+  /**
+   * Throw quota_exceeded when the metered user has no quota left
+   * Outside a metered context (scripts, background jobs without a user) nothing is enforced
+   */
+  assertWithinQuota() {
+    const context = this.storage.getStore();
+    if (!context) return;
+
+    const { dailyTokenQuota, dailyRequestQuota } = this.config;
+    const { used } = context;
+
+    if ((dailyTokenQuota && used.tokens >= dailyTokenQuota) ||
+        (dailyRequestQuota && used.requests >= dailyRequestQuota)) {
+      throw this.createQuotaError(used);
+    }
+  }
+
+  /**
+   * Record one provider call against the metered user
+   * @param {Object} call - { provider, model, promptTokens, completionTokens, estimated }
+   */
+  async record({ provider, model, promptTokens = 0, completionTokens = 0, estimated = false }) {
+    const context = this.storage.getStore();
+    if (!context) return;
+
+    context.used.requests += 1;
+    context.used.tokens += promptTokens + completionTokens;
+
+    const { error } = await context.supabase
+      .from('ai_usage_events')
+      .insert({
+        user_id: context.userId,
+        feature: context.feature,
+        provider,
+        model,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        estimated,
+      });
+
+    // Losing a usage row should not fail the AI call it describes
+    if (error) {
+      console.error('Failed to record AI usage:', error);
+    }
+  }
+
+  /**
+   * Estimated cost in USD, or null when no price is configured for the model
+   */
+  estimateCost(provider, model, promptTokens, completionTokens) {
+    const price = this.config.prices[`${provider}:${model}`];
+    if (!price) return null;
+
+    return ((promptTokens * (price.prompt || 0)) + (completionTokens * (price.completion || 0))) / 1e6;
+  }
+
+  /**
+   * Usage of the current user over the last days, grouped for the usage page
+   * @param {Object} supabase - User's Supabase client
+   * @param {number} days - Number of days including today
+   */
+  async getSummary(supabase, days = 30) {
+    const since = startOfUtcDay(new Date(Date.now() - (days - 1) * DAY_MS));
+
+    const { data: rows, error } = await supabase.rpc('get_ai_usage_summary', {
+      p_since: since.toISOString(),
+    });
+
+    if (error) throw error;
+
+    const totals = { requests: 0, promptTokens: 0, completionTokens: 0, tokens: 0, cost: null };
+    const byFeature = new Map();
+    const byModel = new Map();
+    const daily = new Map();
+
+    // Add one grouped row into a bucket of the summary
+    const addTo = (bucket, row, cost) => {
+      bucket.requests += row.requests;
+      bucket.promptTokens += row.promptTokens;
+      bucket.completionTokens += row.completionTokens;
+      bucket.tokens += row.promptTokens + row.completionTokens;
+      if (cost !== null) {
+        bucket.cost = (bucket.cost || 0) + cost;
+      }
+    };
+    const emptyBucket = () => ({ requests: 0, promptTokens: 0, completionTokens: 0, tokens: 0, cost: null });
+
+    rows.forEach((raw) => {
+      const row = {
+        requests: Number(raw.requests),
+        promptTokens: Number(raw.prompt_tokens),
+        completionTokens: Number(raw.completion_tokens),
+      };
+      const cost = this.estimateCost(raw.provider, raw.model, row.promptTokens, row.completionTokens);
+      const modelKey = `${raw.provider}:${raw.model}`;
+
+      if (!byFeature.has(raw.feature)) byFeature.set(raw.feature, { feature: raw.feature, ...emptyBucket() });
+      if (!byModel.has(modelKey)) byModel.set(modelKey, { provider: raw.provider, model: raw.model, ...emptyBucket() });
+      if (!daily.has(raw.day)) daily.set(raw.day, { date: raw.day, ...emptyBucket() });
+
+      addTo(totals, row, cost);
+      addTo(byFeature.get(raw.feature), row, cost);
+      addTo(byModel.get(modelKey), row, cost);
+      addTo(daily.get(raw.day), row, cost);
+    });
+
+    const today = daily.get(startOfUtcDay().toISOString().slice(0, 10)) || emptyBucket();
+
+    return {
+      days,
+      quota: this.getQuota(),
+      today: { requests: today.requests, tokens: today.tokens },
+      resetsAt: startOfNextUtcDay().toISOString(),
+      totals,
+      byFeature: [...byFeature.values()].sort((a, b) => b.tokens - a.tokens),
+      byModel: [...byModel.values()].sort((a, b) => b.tokens - a.tokens),
+      daily: [...daily.values()].sort((a, b) => a.date.localeCompare(b.date)),
+      pricingConfigured: Object.keys(this.config.prices).length > 0,
+    };
+  }
+}
+
+// Create a singleton instance
+const usageService = new UsageService();
+
+export {
+  usageService,
+  UsageService,
+  FEATURES
+};
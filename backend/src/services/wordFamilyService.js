@@ -0,0 +1,194 @@
+/**
+ * Word Families
+ * Groups a user's vocabulary by lemma and word family (see sql/23_word_families.sql).
+ * Inflected forms of a saved word ("analyzed" for "analyze") are offered to be
+ * merged into it as one of its forms, derived words ("analysis") are saved as
+ * words of their own linked to the head of their family
+ */
+
+import { areInflections, getFamilyKey, getLemmaKey } from './lemmatizer.js';
+import { normalizeText } from './wordMatching.js';
+
+class WordFamilyService {
+  /**
+   * Lemma and family columns of a word
+   */
+  describe(word) {
+    return {
+      lemma_key: getLemmaKey(word),
+      family_key: getFamilyKey(word),
+    };
+  }
+
+  /**
+   * Load the words of a user with their lemma and family keys
+   * Keys are computed from the word, so words saved before families existed are included
+   */
+  async loadVocabulary(supabase, userId) {
+    const { data: words, error } = await supabase
+      .from('words')
+      .select('id, word, forms, family_head_id, created_at')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+
+    return words.map(word => ({
+      ...word,
+      forms: word.forms || [],
+      lemmaKey: getLemmaKey(word.word),
+      familyKey: getFamilyKey(word.word),
+    }));
+  }
+
+  /**
+   * Head of the family a word belongs to, the word itself for heads
+   */
+  getFamilyHead(vocabulary, word) {
+    return (word.family_head_id && vocabulary.find(item => item.id === word.family_head_id)) || word;
+  }
+
+  /**
+   * Find the saved words a new word relates to
+   * @param {Array} vocabulary - Words from loadVocabulary
+   * @returns {Object} { inflectionOf, familyHead } the saved word the new word is an
+   *   inflection of and the head of the family it derives from, null when none
+   */
+  findRelated(vocabulary, word) {
+    const normalized = normalizeText(word);
+    const lemmaKey = getLemmaKey(word);
+    const familyKey = getFamilyKey(word);
+
+    // Exact duplicates are left to the unique index
+    const candidates = vocabulary.filter(item => normalizeText(item.word) !== normalized);
+
+    // A shared lemma key only suggests an inflection, the spelling rules confirm it
+    const inflectionOf = candidates.find(item =>
+      (item.lemmaKey === lemmaKey && areInflections(item.word, word)) ||
+      item.forms.some(form => normalizeText(form) === normalized)
+    ) || null;
+
+    const relative = candidates.find(item => item.familyKey === familyKey);
+
+    return {
+      inflectionOf,
+      familyHead: relative ? this.getFamilyHead(vocabulary, relative) : null,
+    };
+  }
+
+  /**
+   * Add an inflected form to a saved word instead of saving it separately
+   * @returns {Object} The updated word
+   */
+  async mergeForm(supabase, userId, existingWord, form) {
+    const forms = existingWord.forms.some(item => normalizeText(item) === normalizeText(form))
+      ? existingWord.forms
+      : [...existingWord.forms, form.trim()];
+
+    const { data: word, error } = await supabase
+      .from('words')
+      .update({ forms, updated_at: new Date().toISOString() })
+      .eq('id', existingWord.id)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    existingWord.forms = forms;
+    return word;
+  }
+
+  /**
+   * Link newly inserted words to their families, including families formed
+   * only by words of the same import
+   * @param {Array} vocabulary - Words from loadVocabulary before the insert
+   * @param {Array} insertedWords - Inserted rows, in import order
+   */
+  async linkNewWords(supabase, userId, vocabulary, insertedWords) {
+    const heads = new Map();
+    vocabulary.forEach(word => {
+      if (!heads.has(word.familyKey)) {
+        heads.set(word.familyKey, this.getFamilyHead(vocabulary, word).id);
+      }
+    });
+
+    const links = new Map();
+    for (const word of insertedWords) {
+      const familyKey = word.family_key || getFamilyKey(word.word);
+      const headId = heads.get(familyKey);
+
+      if (!headId) {
+        heads.set(familyKey, word.id);
+      } else if (word.family_head_id !== headId) {
+        links.set(headId, [...(links.get(headId) || []), word.id]);
+        word.family_head_id = headId;
+      }
+    }
+
+    for (const [headId, ids] of links) {
+      const { error } = await supabase
+        .from('words')
+        .update({ family_head_id: headId })
+        .eq('user_id', userId)
+        .in('id', ids);
+
+      if (error) throw error;
+    }
+
+    return insertedWords;
+  }
+
+  /**
+   * Mark analyzed vocabulary items that are inflections or relatives of saved words
+   * @returns {Array} Items with inflectionOf / familyOf set to { id, word } where found
+   */
+  annotateVocabulary(vocabulary, items) {
+    return items.map(item => {
+      const { inflectionOf, familyHead } = this.findRelated(vocabulary, item.word || '');
+      return {
+        ...item,
+        ...(inflectionOf && { inflectionOf: { id: inflectionOf.id, word: inflectionOf.word } }),
+        ...(!inflectionOf && familyHead && { familyOf: { id: familyHead.id, word: familyHead.word } }),
+      };
+    });
+  }
+
+  /**
+   * Recompute the lemma, family key and family head of all words of a user,
+   * e.g. for words saved before families existed. The shortest word of a family
+   * heads it, the earliest saved one on a tie
+   * @returns {Object} { words, families } words updated and families with more than one word
+   */
+  async rebuildFamilies(supabase, userId) {
+    const vocabulary = await this.loadVocabulary(supabase, userId);
+    const ordered = [...vocabulary].sort((a, b) =>
+      (a.word.length - b.word.length) || a.created_at.localeCompare(b.created_at)
+    );
+
+    const heads = new Map();
+    const sizes = new Map();
+    let updated = 0;
+
+    for (const word of ordered) {
+      const headId = heads.get(word.familyKey) || null;
+      if (!headId) heads.set(word.familyKey, word.id);
+      sizes.set(word.familyKey, (sizes.get(word.familyKey) || 0) + 1);
+
+      const { error } = await supabase
+        .from('words')
+        .update({ lemma_key: word.lemmaKey, family_key: word.familyKey, family_head_id: headId })
+        .eq('id', word.id)
+        .eq('user_id', userId);
+
+      if (error) throw error;
+      updated++;
+    }
+
+    return {
+      words: updated,
+      families: [...sizes.values()].filter(size => size > 1).length,
+    };
+  }
+}
+
+export const wordFamilyService = new WordFamilyService();
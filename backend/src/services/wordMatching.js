@@ -0,0 +1,53 @@
+/**
+ * Word Matching
+ * Loose matching of vocabulary items (words or phrases) against text, used to
+ * find the subtitle cue and the sentence a word was found in
+ */
+
+const normalizeText = (text) => text
+  .toLowerCase()
+  .replace(/[’']/g, "'")
+  .replace(/[^\p{L}\p{N}'\s-]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Loose stem so "contemplated" matches the item "contemplate"
+const stem = (word) => (word.length > 4 ? word.replace(/(ing|ed|es|s|e|y)$/, '') : word);
+
+const getItemWords = (item) => normalizeText(item || '').split(' ').filter(Boolean);
+
+/**
+ * Whether every word of the item appears in the text, in order
+ * Regular inflections match too, e.g. "giving up" for "give up"
+ */
+const containsWord = (text, item) => {
+  const words = getItemWords(item);
+  if (words.length === 0 || !text) return false;
+
+  const tokens = normalizeText(text).split(' ');
+  let position = 0;
+
+  for (const word of words) {
+    const wordStem = stem(word);
+    const found = tokens.findIndex((token, index) => index >= position && (token === word || token.startsWith(wordStem)));
+    if (found === -1) return false;
+    position = found + 1;
+  }
+
+  return true;
+};
+
+/**
+ * Whether the text contains the item as an exact phrase
+ */
+const containsPhrase = (text, item) => {
+  const phrase = getItemWords(item).join(' ');
+  return Boolean(phrase) && ` ${normalizeText(text)} `.includes(` ${phrase} `);
+};
+
+export {
+  normalizeText,
+  stem,
+  containsWord,
+  containsPhrase
+};
@@ -1,22 +1,41 @@
-import { spawn } from 'child_process';
-import fs from 'fs';
+/**
+ * YouTube Transcripts
+ * Reads the caption tracks of a video from its player response and downloads the
+ * chosen track as WebVTT, without yt-dlp. Every request works in a temporary
+ * directory of its own, so concurrent requests never touch each other's files
+ */
+
+import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { parseVttCues, cuesToText } from './subtitleCues.js';
 
-class YouTubeTranscriptService {
-  constructor() {
-    this.outputDir = path.join(os.tmpdir(), 'magic-english-transcripts');
-    this.ensureOutputDir();
-  }
+const DEFAULT_LANGUAGE = 'en';
 
-  ensureOutputDir() {
-    if (!fs.existsSync(this.outputDir)) {
-      fs.mkdirSync(this.outputDir, { recursive: true });
-    }
+const WATCH_URL = 'https://www.youtube.com/watch';
+const PLAYER_API_URL = 'https://www.youtube.com/youtubei/v1/player';
+
+// Caption URLs of the web page can require a proof of origin token, the Android client's do not
+const INNERTUBE_CLIENT = { clientName: 'ANDROID', clientVersion: '20.10.38', androidSdkVersion: 30 };
+
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+  'Accept-Language': 'en-US,en;q=0.9',
+};
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+class YouTubeTranscriptService {
+  /**
+   * @param {Object} options - { fetch, tempDir }, fetch can be replaced with recorded responses
+   */
+  constructor(options = {}) {
+    this.fetch = options.fetch || ((...args) => globalThis.fetch(...args));
+    this.tempDir = options.tempDir || os.tmpdir();
   }
 
   extractVideoId(url) {
-    const regex = /(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/;
+    const regex = /(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?|shorts|live)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/;
     const match = url.match(regex);
     return match ? match[1] : null;
   }
@@ -33,284 +52,248 @@ class YouTubeTranscriptService {
     }
   }
 
-  async checkYouTubeDL() {
-    return new Promise((resolve) => {
-      const check = spawn('python3', ['-m', 'yt_dlp', '--version']);
-
-      check.on('close', (code) => {
-        resolve(code === 0);
-      });
-
-      check.on('error', () => {
-        resolve(false);
-      });
+  async request(url, options = {}) {
+    const response = await this.fetch(url, {
+      ...options,
+      headers: { ...REQUEST_HEADERS, ...options.headers },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
     });
-  }
-
-  async installYouTubeDL() {
-    return new Promise((resolve, reject) => {
-      console.log('Installing yt-dlp via pip...');
-      const install = spawn('pip3', ['install', 'yt-dlp']);
-
-      install.stdout.on('data', (data) => {
-        console.log(data.toString());
-      });
-
-      install.stderr.on('data', (data) => {
-        console.error(data.toString());
-      });
-
-      install.on('close', (code) => {
-        if (code === 0) {
-          console.log('yt-dlp installed successfully!');
-          resolve();
-        } else {
-          reject(new Error('Failed to install yt-dlp'));
-        }
-      });
 
-      install.on('error', (error) => {
-        reject(new Error(`Failed to install yt-dlp: ${error.message}`));
-      });
-    });
+    if (!response.ok) {
+      throw new Error(`YouTube responded with status ${response.status}`);
+    }
+    return response;
   }
 
-  async getTranscript(videoUrl) {
-    try {
-      const hasYtDlp = await this.checkYouTubeDL();
-      if (!hasYtDlp) {
-        await this.installYouTubeDL();
-      }
-
-      const videoId = this.extractVideoId(videoUrl);
-      if (!videoId) {
-        throw new Error('Invalid YouTube URL');
+  /**
+   * Read the JSON object assigned to a variable in the watch page, e.g. ytInitialPlayerResponse
+   */
+  extractJsonObject(html, variable) {
+    const assignment = html.search(new RegExp(`${variable}\\s*=\\s*\\{`));
+    if (assignment === -1) return null;
+
+    const start = html.indexOf('{', assignment);
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < html.length; i++) {
+      const char = html[i];
+
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        try {
+          return JSON.parse(html.slice(start, i + 1));
+        } catch {
+          return null;
+        }
       }
+    }
 
-      console.log(`Extracting transcript for video ID: ${videoId}`);
+    return null;
+  }
 
-      return new Promise((resolve, reject) => {
-        // Clean up any existing subtitle files for this video
-        this.cleanupSubtitleFiles(videoId);
-
-        const ytDlp = spawn('python3', [
-          '-m', 'yt_dlp',
-          '--write-auto-sub',
-          '--write-sub',
-          '--sub-lang', 'en',
-          '--sub-format', 'vtt',
-          '--skip-download',
-          '--output', path.join(this.outputDir, '%(title)s.%(ext)s'),
-          videoUrl
-        ]);
-
-        let stdout = '';
-        let stderr = '';
-
-        ytDlp.stdout.on('data', (data) => {
-          stdout += data.toString();
-          console.log(data.toString());
+  /**
+   * Get the player response of a video: its details from the watch page and its
+   * caption tracks from the player API, falling back to the page's tracks
+   */
+  async getPlayerResponse(videoId) {
+    const pageResponse = await this.request(`${WATCH_URL}?v=${videoId}&hl=en`);
+    const html = await pageResponse.text();
+
+    const page = this.extractJsonObject(html, 'ytInitialPlayerResponse');
+    const apiKey = html.match(/"INNERTUBE_API_KEY":\s*"([^"]+)"/)?.[1];
+
+    let player = null;
+    if (apiKey) {
+      try {
+        const playerResponse = await this.request(`${PLAYER_API_URL}?key=${apiKey}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ context: { client: INNERTUBE_CLIENT }, videoId }),
         });
+        player = await playerResponse.json();
+      } catch (error) {
+        console.warn(`Player API request failed for ${videoId}, using the watch page captions:`, error.message);
+      }
+    }
 
-        ytDlp.stderr.on('data', (data) => {
-          stderr += data.toString();
-        });
+    if (!page && !player) {
+      throw new Error('Could not read the video page');
+    }
 
-        ytDlp.on('close', (code) => {
-          if (code === 0) {
-            console.log('Subtitle extraction completed!');
-            this.findAndProcessSubtitles(videoId)
-              .then(resolve)
-              .catch(reject);
-          } else {
-            reject(new Error(`yt-dlp failed with code ${code}: ${stderr}`));
-          }
-        });
-      });
-    } catch (error) {
-      throw new Error(`Failed to get YouTube transcript: ${error.message}`);
+    const playability = page?.playabilityStatus || player?.playabilityStatus;
+    if (playability && playability.status !== 'OK') {
+      throw new Error(playability.reason || `The video is not available (${playability.status})`);
     }
+
+    return {
+      videoDetails: page?.videoDetails || player?.videoDetails || {},
+      microformat: page?.microformat?.playerMicroformatRenderer || {},
+      captions: this.getCaptionTracks(player).length > 0 ? player.captions : page?.captions,
+    };
   }
 
-  cleanupSubtitleFiles(videoId) {
-    try {
-      const files = fs.readdirSync(this.outputDir);
-      const subtitleFiles = files.filter(file =>
-        file.includes('.vtt') && (file.includes(videoId) || file.includes('.en.vtt'))
-      );
-
-      subtitleFiles.forEach(file => {
-        const filePath = path.join(this.outputDir, file);
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-        }
-      });
-    } catch (error) {
-      console.warn('Failed to cleanup subtitle files:', error.message);
-    }
+  /**
+   * Caption tracks of a player response
+   * @returns {Array} [{ baseUrl, languageCode, name, isGenerated, isTranslatable }]
+   */
+  getCaptionTracks(player) {
+    const tracks = player?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+
+    return tracks.map(track => ({
+      baseUrl: track.baseUrl,
+      languageCode: track.languageCode,
+      name: track.name?.simpleText || track.name?.runs?.map(run => run.text).join('') || track.languageCode,
+      isGenerated: track.kind === 'asr',
+      isTranslatable: Boolean(track.isTranslatable),
+    }));
   }
 
-  async findAndProcessSubtitles(videoId) {
-    const files = fs.readdirSync(this.outputDir);
-    const subtitleFiles = files.filter(file =>
-      file.includes('.en.vtt') ||
-      file.includes('.en-US.vtt') ||
-      (file.includes('.vtt') && !file.includes('.live_chat.'))
-    );
+  getTranslationLanguages(player) {
+    return (player?.captions?.playerCaptionsTracklistRenderer?.translationLanguages || [])
+      .map(language => language.languageCode);
+  }
 
-    if (subtitleFiles.length === 0) {
-      throw new Error('No subtitle files found. The video may not have English subtitles available.');
+  /**
+   * Pick the caption track for a language: uploaded captions before auto-generated
+   * ones, then the exact language code before its regional variants (en-GB for en).
+   * Without a track in the language, a translatable track is machine translated by YouTube
+   * @returns {Object|null} { track, language, translated }
+   */
+  selectCaptionTrack(tracks, translationLanguages, language) {
+    const baseLanguage = language.split('-')[0];
+    const matches = (code) => code === language || code.split('-')[0] === baseLanguage;
+    const ranked = [...tracks].sort((a, b) => (a.isGenerated - b.isGenerated) ||
+      ((a.languageCode !== language) - (b.languageCode !== language)));
+
+    const track = ranked.find(item => matches(item.languageCode));
+    if (track) {
+      return { track, language: track.languageCode, translated: false };
     }
 
-    console.log(`Found subtitle files: ${subtitleFiles.join(', ')}`);
-
-    const subtitleFile = subtitleFiles[0];
-    const subtitlePath = path.join(this.outputDir, subtitleFile);
-
-    const transcript = this.parseVTT(subtitlePath);
-
-    // Clean up the subtitle file after processing
-    try {
-      fs.unlinkSync(subtitlePath);
-    } catch (error) {
-      console.warn('Failed to cleanup subtitle file:', error.message);
+    const translatable = ranked.find(item => item.isTranslatable);
+    const translation = translationLanguages.find(matches);
+    if (translatable && translation) {
+      return { track: translatable, language: translation, translated: true };
     }
 
-    return transcript;
+    return null;
   }
 
-  parseVTT(filePath) {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.split('\n');
+  /**
+   * Download a caption track as WebVTT into the request's directory and parse its cues
+   */
+  async downloadCaptionTrack(selection, directory) {
+    const url = new URL(selection.track.baseUrl, WATCH_URL);
+    url.searchParams.set('fmt', 'vtt');
+    if (selection.translated) {
+      url.searchParams.set('tlang', selection.language);
+    }
 
-    const transcript = [];
-    let currentEntry = null;
+    const response = await this.request(url.toString());
+    const filePath = path.join(directory, `${selection.language}.vtt`);
+    await fs.writeFile(filePath, await response.text(), 'utf8');
 
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
+    return this.parseVTT(filePath);
+  }
 
-      // Skip empty lines and VTT headers
-      if (!line || line === 'WEBVTT' || line.startsWith('Kind:') || line.startsWith('Language:')) {
-        continue;
-      }
+  /**
+   * Run a callback with a temporary directory that is removed afterwards
+   */
+  async withTempDirectory(callback) {
+    const directory = await fs.mkdtemp(path.join(this.tempDir, 'magic-english-transcript-'));
+    try {
+      return await callback(directory);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true })
+        .catch(error => console.warn('Failed to cleanup transcript directory:', error.message));
+    }
+  }
 
-      // Check if line contains timestamp
-      if (line.includes('-->')) {
-        const [start, end] = line.split(' --> ');
-        currentEntry = {
-          start: this.parseTimestamp(start),
-          end: this.parseTimestamp(end),
-          text: ''
-        };
-      } else if (currentEntry && line) {
-        // Remove HTML tags and clean up text
-        const cleanText = line.replace(/<[^>]*>/g, '').trim();
-        if (cleanText) {
-          currentEntry.text += (currentEntry.text ? ' ' : '') + cleanText;
-        }
+  /**
+   * Get the timed cues of a video in a language
+   * @param {Object} player - Player response from getPlayerResponse
+   * @returns {Object} { cues, language, trackName, isGenerated, translated, availableLanguages }
+   */
+  async getTranscript(player, language = DEFAULT_LANGUAGE) {
+    const tracks = this.getCaptionTracks(player);
+    if (tracks.length === 0) {
+      throw new Error('The video has no subtitles');
+    }
 
-        // If next line is timestamp or empty, save current entry
-        if (i + 1 >= lines.length || lines[i + 1].includes('-->') || !lines[i + 1].trim()) {
-          if (currentEntry.text) {
-            transcript.push(currentEntry);
-          }
-          currentEntry = null;
-        }
-      }
+    const availableLanguages = [...new Set(tracks.map(track => track.languageCode))];
+    const selection = this.selectCaptionTrack(tracks, this.getTranslationLanguages(player), language);
+    if (!selection) {
+      throw new Error(`No subtitles in "${language}". Available languages: ${availableLanguages.join(', ')}`);
     }
 
-    return transcript;
-  }
+    const cues = await this.withTempDirectory(directory => this.downloadCaptionTrack(selection, directory));
 
-  parseTimestamp(timestamp) {
-    const parts = timestamp.split(':');
-    const seconds = parts.pop().split(',')[0];
-    const minutes = parts.pop() || '0';
-    const hours = parts.pop() || '0';
+    return {
+      cues,
+      language: selection.language,
+      trackName: selection.track.name,
+      isGenerated: selection.track.isGenerated,
+      translated: selection.translated,
+      availableLanguages,
+    };
+  }
 
-    return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds);
+  // Timed cues of the subtitle file, { start, end, text } with times in seconds
+  async parseVTT(filePath) {
+    return parseVttCues(await fs.readFile(filePath, 'utf8'));
   }
 
   formatTranscript(transcript) {
-    let formatted = '';
-
-    for (const entry of transcript) {
-      formatted += `${entry.text} `;
-    }
-
-    return formatted.trim();
+    return cuesToText(transcript);
   }
 
-  async extractVideoInfo(videoUrl) {
-    try {
-      const videoId = this.extractVideoId(videoUrl);
-      if (!videoId) {
-        throw new Error('Invalid YouTube URL');
-      }
-
-      return new Promise((resolve, reject) => {
-        const ytDlp = spawn('python3', [
-          '-m', 'yt_dlp',
-          '--dump-json',
-          '--no-download',
-          videoUrl
-        ]);
-
-        let stdout = '';
-        let stderr = '';
-
-        ytDlp.stdout.on('data', (data) => {
-          stdout += data.toString();
-        });
-
-        ytDlp.stderr.on('data', (data) => {
-          stderr += data.toString();
-        });
-
-        ytDlp.on('close', (code) => {
-          if (code === 0) {
-            try {
-              const videoInfo = JSON.parse(stdout);
-              resolve({
-                title: videoInfo.title,
-                description: videoInfo.description,
-                duration: videoInfo.duration,
-                uploader: videoInfo.uploader,
-                upload_date: videoInfo.upload_date,
-                view_count: videoInfo.view_count,
-                like_count: videoInfo.like_count,
-                channel: videoInfo.channel,
-                tags: videoInfo.tags
-              });
-            } catch (parseError) {
-              reject(new Error('Failed to parse video information'));
-            }
-          } else {
-            reject(new Error(`Failed to extract video info: ${stderr}`));
-          }
-        });
-      });
-    } catch (error) {
-      throw new Error(`Failed to get video info: ${error.message}`);
-    }
+  extractVideoInfo(player) {
+    const { videoDetails, microformat } = player;
+
+    return {
+      title: videoDetails.title || microformat.title?.simpleText,
+      description: videoDetails.shortDescription || microformat.description?.simpleText || '',
+      duration: parseInt(videoDetails.lengthSeconds || microformat.lengthSeconds || '0', 10),
+      uploader: videoDetails.author || microformat.ownerChannelName,
+      upload_date: microformat.uploadDate?.slice(0, 10).replace(/-/g, ''),
+      view_count: parseInt(videoDetails.viewCount || '0', 10),
+      channel: videoDetails.author || microformat.ownerChannelName,
+      tags: videoDetails.keywords || []
+    };
   }
 
-  async processYouTubeUrl(url) {
+  /**
+   * Get the transcript and details of a YouTube video
+   * @param {Object} options - { language } subtitle language code, defaults to en
+   */
+  async processYouTubeUrl(url, options = {}) {
     if (!this.isYouTubeUrl(url)) {
       throw new Error('URL is not a valid YouTube URL');
     }
 
     try {
-      // Get video info and transcript in parallel
-      const [videoInfo, transcript] = await Promise.all([
-        this.extractVideoInfo(url),
-        this.getTranscript(url)
-      ]);
+      const videoId = this.extractVideoId(url);
+      if (!videoId) {
+        throw new Error('Invalid YouTube URL');
+      }
 
-      const content = this.formatTranscript(transcript);
+      console.log(`Extracting transcript for video ID: ${videoId}`);
+
+      const player = await this.getPlayerResponse(videoId);
+      const videoInfo = this.extractVideoInfo(player);
+      const transcript = await this.getTranscript(player, options.language || DEFAULT_LANGUAGE);
+
+      const content = this.formatTranscript(transcript.cues);
 
       if (!content || content.length < 100) {
-        throw new Error('Transcript is too short or unavailable. The video may not have English subtitles.');
+        throw new Error(`Transcript is too short or unavailable. The video may not have "${transcript.language}" subtitles.`);
       }
 
       return {
@@ -319,10 +302,18 @@ class YouTubeTranscriptService {
         title: videoInfo.title,
         excerpt: content.substring(0, 200) + '...',
         url,
+        videoId,
+        language: transcript.language,
+        cues: transcript.cues,
         videoInfo: {
           ...videoInfo,
+          transcript_language: transcript.language,
+          transcript_track: transcript.trackName,
+          transcript_generated: transcript.isGenerated,
+          transcript_translated: transcript.translated,
+          available_languages: transcript.availableLanguages,
           transcript_length: content.length,
-          transcript_entries: transcript.length
+          transcript_entries: transcript.cues.length
         }
       };
     } catch (error) {
@@ -334,4 +325,6 @@ class YouTubeTranscriptService {
   }
 }
 
-export const youtubeTranscriptService = new YouTubeTranscriptService();
\ No newline at end of file
+export const youtubeTranscriptService = new YouTubeTranscriptService();
+
+export { YouTubeTranscriptService };
@@ -0,0 +1,70 @@
+/**
+ * Test script for the typed answer grader
+ * Checks which answers count as spelling variants, inflections and typos
+ */
+
+import assert from 'assert/strict';
+import { gradeAnswer, getAnswerRating, VERDICTS } from './src/services/answerGrader.js';
+import { RATING } from './src/services/fsrs.js';
+
+const tests = [];
+const test = (name, run) => tests.push({ name, run });
+
+const assertVerdict = (answer, expected, verdict) => {
+  assert.equal(gradeAnswer(answer, expected).verdict, verdict, `"${answer}" for "${expected}"`);
+};
+
+test('Accepts British and American spellings of listed words', () => {
+  assertVerdict('color', 'colour', VERDICTS.SPELLING);
+  assertVerdict('colours', 'colors', VERDICTS.SPELLING);
+  assertVerdict('organised', 'organized', VERDICTS.SPELLING);
+  assertVerdict('realization', 'realisation', VERDICTS.SPELLING);
+  assertVerdict('centre', 'center', VERDICTS.SPELLING);
+  assertVerdict('travelled', 'traveled', VERDICTS.SPELLING);
+  assertVerdict('analyse', 'analyze', VERDICTS.SPELLING);
+  assertVerdict('defence', 'defense', VERDICTS.SPELLING);
+  assertVerdict('catalogue', 'catalog', VERDICTS.SPELLING);
+  assertVerdict('grey', 'gray', VERDICTS.SPELLING);
+});
+
+test('Grades misspellings that look like spelling variants as typos', () => {
+  assertVerdict('sciense', 'science', VERDICTS.TYPO);
+  assertVerdict('evidense', 'evidence', VERDICTS.TYPO);
+  assertVerdict('exercize', 'exercise', VERDICTS.TYPO);
+  assertVerdict('advize', 'advise', VERDICTS.TYPO);
+  assertVerdict('detor', 'detour', VERDICTS.TYPO);
+});
+
+test('Accepts regular inflections but not misspelled ones', () => {
+  assertVerdict('stopped', 'stop', VERDICTS.INFLECTION);
+  assertVerdict('analyzed', 'analyze', VERDICTS.INFLECTION);
+  assertVerdict('visitted', 'visited', VERDICTS.TYPO);
+  assertVerdict('stoped', 'stopped', VERDICTS.TYPO);
+});
+
+test('Does not take another word for a spelling variant', () => {
+  assertVerdict('cheque', 'check', VERDICTS.WRONG);
+});
+
+test('Caps the rating of a typo at Hard', () => {
+  const grade = gradeAnswer('exercize', 'exercise');
+  assert.equal(getAnswerRating(grade, 'easy'), RATING.HARD);
+  assert.equal(getAnswerRating(gradeAnswer('color', 'colour'), 'easy'), RATING.EASY);
+});
+
+console.log('🧪 Testing Answer Grader\n');
+
+let failures = 0;
+for (const { name, run } of tests) {
+  try {
+    await run();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message.split('\n').join('\n   ')}`);
+  }
+}
+
+console.log(`\n${tests.length - failures}/${tests.length} passed`);
+process.exitCode = failures > 0 ? 1 : 0;
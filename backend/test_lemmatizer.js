@@ -0,0 +1,84 @@
+/**
+ * Test script for the lemmatizer
+ * Checks which words count as inflections of each other and which share a word family
+ */
+
+import assert from 'assert/strict';
+import { areInflections, isInflectionOf, getFamilyKey } from './src/services/lemmatizer.js';
+
+const tests = [];
+const test = (name, run) => tests.push({ name, run });
+
+const assertFamily = (a, b, related) => {
+  assert.equal(getFamilyKey(a) === getFamilyKey(b), related,
+    `"${a}" (${getFamilyKey(a)}) and "${b}" (${getFamilyKey(b)})`);
+};
+
+test('Doubles the final consonant of stressed syllables only', () => {
+  assert.equal(isInflectionOf('stopped', 'stop'), true);
+  assert.equal(isInflectionOf('hopping', 'hop'), true);
+  assert.equal(isInflectionOf('admitted', 'admit'), true);
+  assert.equal(isInflectionOf('visited', 'visit'), true);
+  assert.equal(isInflectionOf('opened', 'open'), true);
+});
+
+test('Accepts both British and American forms of a final l', () => {
+  assert.equal(isInflectionOf('travelled', 'travel'), true);
+  assert.equal(isInflectionOf('traveled', 'travel'), true);
+});
+
+test('Rejects misspelled inflections', () => {
+  assert.equal(isInflectionOf('stoped', 'stop'), false);
+  assert.equal(isInflectionOf('planed', 'plan'), false);
+  assert.equal(isInflectionOf('visitted', 'visit'), false);
+  assert.equal(isInflectionOf('admited', 'admit'), false);
+});
+
+test('Tells inflections of similar lemmas apart', () => {
+  assert.equal(areInflections('hoping', 'hope'), true);
+  assert.equal(areInflections('hoped', 'hope'), true);
+  assert.equal(areInflections('hoping', 'hop'), false);
+  assert.equal(areInflections('hoped', 'hop'), false);
+  assert.equal(areInflections('hopping', 'hope'), false);
+  assert.equal(areInflections('use', 'us'), false);
+  assert.equal(areInflections('gave up', 'give up'), true);
+});
+
+test('Groups derived words with their root', () => {
+  assertFamily('analyze', 'analysis', true);
+  assertFamily('analytical', 'analyzing', true);
+  assertFamily('decide', 'decision', true);
+  assertFamily('permit', 'permission', true);
+  assertFamily('conclude', 'conclusion', true);
+  assertFamily('happy', 'happiness', true);
+  assertFamily('create', 'creative', true);
+  assertFamily('organize', 'organization', true);
+  assertFamily('care', 'careful', true);
+});
+
+test('Keeps words apart that only look derived', () => {
+  assertFamily('bus', 'business', false);
+  assertFamily('car', 'care', false);
+  assertFamily('port', 'portion', false);
+  assertFamily('arm', 'army', false);
+  assertFamily('use', 'us', false);
+  assertFamily('state', 'station', false);
+  assertFamily('sweat', 'sweater', false);
+});
+
+console.log('🧪 Testing Lemmatizer\n');
+
+let failures = 0;
+for (const { name, run } of tests) {
+  try {
+    await run();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message.split('\n').join('\n   ')}`);
+  }
+}
+
+console.log(`\n${tests.length - failures}/${tests.length} passed`);
+process.exitCode = failures > 0 ? 1 : 0;
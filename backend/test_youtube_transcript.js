@@ -0,0 +1,184 @@
+/**
+ * Test script for the YouTube transcript service
+ * Replays recorded watch page, player API and timedtext responses from
+ * test_fixtures/youtube instead of calling YouTube, so it runs offline
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { YouTubeTranscriptService } from './src/services/youtubeTranscriptService.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'test_fixtures', 'youtube');
+
+const readFixture = (name) => fs.readFile(path.join(FIXTURES_DIR, name), 'utf8');
+
+/**
+ * A fetch answering from fixtures, keyed by video ID for the watch page and the
+ * player API and by language for caption tracks. Every request is recorded
+ */
+const createRecordedFetch = (fixtures) => {
+  const requests = [];
+
+  const recordedFetch = async (url, options = {}) => {
+    const parsed = new URL(url);
+    requests.push({ url: parsed, options });
+
+    let fixture = null;
+    if (parsed.pathname === '/watch') {
+      fixture = fixtures.watch[parsed.searchParams.get('v')];
+    } else if (parsed.pathname === '/youtubei/v1/player') {
+      fixture = fixtures.player[JSON.parse(options.body).videoId];
+    } else if (parsed.pathname === '/api/timedtext') {
+      fixture = fixtures.timedtext[parsed.searchParams.get('tlang') || parsed.searchParams.get('lang')];
+    }
+
+    if (!fixture) {
+      return new Response('Not found', { status: 404 });
+    }
+    return new Response(await readFixture(fixture), { status: 200 });
+  };
+
+  return { fetch: recordedFetch, requests };
+};
+
+const fixtures = {
+  watch: {
+    fixtureVid1: 'watch_page.html',
+    noCaptions1: 'watch_page_no_captions.html',
+  },
+  player: {
+    fixtureVid1: 'player_api.json',
+    noCaptions1: 'player_api_no_captions.json',
+  },
+  timedtext: {
+    es: 'timedtext_es.vtt',
+    fr: 'timedtext_fr.vtt',
+  },
+};
+
+const tests = [];
+const test = (name, run) => tests.push({ name, run });
+
+test('Selects the uploaded track of a non-English language', async () => {
+  const { fetch, requests } = createRecordedFetch(fixtures);
+  const service = new YouTubeTranscriptService({ fetch });
+
+  const result = await service.processYouTubeUrl('https://www.youtube.com/watch?v=fixtureVid1', { language: 'es' });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.language, 'es');
+  assert.equal(result.videoInfo.transcript_track, 'Spanish');
+  assert.equal(result.videoInfo.transcript_generated, false);
+  assert.equal(result.videoInfo.transcript_translated, false);
+  assert.deepEqual(result.videoInfo.available_languages, ['en', 'es-419', 'es']);
+  assert.equal(result.title, 'Learning English Phrasal Verbs');
+
+  // Tracks come from the player API, downloaded as WebVTT without a translation
+  const playerRequest = requests.find(request => request.url.pathname === '/youtubei/v1/player');
+  assert.equal(playerRequest.url.searchParams.get('key'), 'AIzaSyFixtureKey');
+  assert.equal(JSON.parse(playerRequest.options.body).context.client.clientName, 'ANDROID');
+
+  const captionRequest = requests.find(request => request.url.pathname === '/api/timedtext');
+  assert.equal(captionRequest.url.searchParams.get('lang'), 'es');
+  assert.equal(captionRequest.url.searchParams.get('kind'), null);
+  assert.equal(captionRequest.url.searchParams.get('fmt'), 'vtt');
+  assert.equal(captionRequest.url.searchParams.has('tlang'), false);
+});
+
+test('Prefers a regional variant over auto-generated captions', () => {
+  const service = new YouTubeTranscriptService();
+  const tracks = [
+    { languageCode: 'es', isGenerated: true, isTranslatable: true },
+    { languageCode: 'es-419', isGenerated: false, isTranslatable: true },
+  ];
+
+  const selection = service.selectCaptionTrack(tracks, [], 'es');
+  assert.equal(selection.language, 'es-419');
+  assert.equal(selection.translated, false);
+});
+
+test('Translates a track when no track is in the language', async () => {
+  const { fetch, requests } = createRecordedFetch(fixtures);
+  const service = new YouTubeTranscriptService({ fetch });
+
+  const result = await service.processYouTubeUrl('https://youtu.be/fixtureVid1', { language: 'fr' });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(result.language, 'fr');
+  assert.equal(result.videoInfo.transcript_translated, true);
+
+  // Uploaded tracks are translated before auto-generated ones
+  const captionRequest = requests.find(request => request.url.pathname === '/api/timedtext');
+  assert.equal(captionRequest.url.searchParams.get('tlang'), 'fr');
+  assert.equal(captionRequest.url.searchParams.get('lang'), 'es-419');
+});
+
+test('Reports the available languages when none matches', async () => {
+  const { fetch } = createRecordedFetch(fixtures);
+  const service = new YouTubeTranscriptService({ fetch });
+
+  const result = await service.processYouTubeUrl('https://www.youtube.com/watch?v=fixtureVid1', { language: 'ja' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'No subtitles in "ja". Available languages: en, es-419, es');
+});
+
+test('Fails for a video without captions', async () => {
+  const { fetch, requests } = createRecordedFetch(fixtures);
+  const service = new YouTubeTranscriptService({ fetch });
+
+  const result = await service.processYouTubeUrl('https://www.youtube.com/watch?v=noCaptions1');
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'The video has no subtitles');
+  assert.equal(requests.some(request => request.url.pathname === '/api/timedtext'), false);
+});
+
+test('Parses the cues of a WebVTT track', async () => {
+  const { fetch } = createRecordedFetch(fixtures);
+  const service = new YouTubeTranscriptService({ fetch });
+
+  const result = await service.processYouTubeUrl('https://www.youtube.com/watch?v=fixtureVid1', { language: 'es' });
+
+  // Header and NOTE blocks are skipped, tags and entities removed, lines of a cue joined
+  assert.deepEqual(result.cues, [
+    { start: 0.32, end: 3.15, text: 'Hoy vamos a aprender verbos compuestos en inglés.' },
+    { start: 3.15, end: 6.9, text: 'El primero es "give up", que significa rendirse.' },
+    { start: 6.9, end: 10.48, text: 'Tom & Anna nunca se rinden <jamás>.' },
+    { start: 10.48, end: 62.005, text: 'El segundo es "look after", cuidar de alguien.' },
+  ]);
+  assert.ok(result.content.startsWith('Hoy vamos a aprender verbos compuestos en inglés.'));
+  assert.equal(result.videoInfo.transcript_entries, 4);
+});
+
+test('Reads the player response embedded in the watch page', async () => {
+  const service = new YouTubeTranscriptService();
+  const html = await readFixture('watch_page.html');
+
+  const player = service.extractJsonObject(html, 'ytInitialPlayerResponse');
+  assert.equal(player.videoDetails.videoId, 'fixtureVid1');
+  assert.equal(service.getCaptionTracks(player)[0].name, 'English (auto-generated)');
+
+  // Braces inside strings don't end the object
+  const noCaptions = service.extractJsonObject(await readFixture('watch_page_no_captions.html'), 'ytInitialPlayerResponse');
+  assert.equal(noCaptions.videoDetails.shortDescription, 'One hour of piano. {no captions}');
+});
+
+console.log('🧪 Testing YouTube Transcript Service\n');
+
+let failures = 0;
+for (const { name, run } of tests) {
+  try {
+    await run();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}`);
+    console.log(`   ${error.message.split('\n').join('\n   ')}`);
+  }
+}
+
+console.log(`\n${tests.length - failures}/${tests.length} passed`);
+process.exitCode = failures > 0 ? 1 : 0;
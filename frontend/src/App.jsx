@@ -10,9 +10,11 @@ import LoadingSpinner from './components/UI/LoadingSpinner'
 const Dashboard = React.lazy(() => import('./pages/Dashboard'))
 const Vocabulary = React.lazy(() => import('./pages/Vocabulary'))
 const Groups = React.lazy(() => import('./pages/Groups'))
+const Sources = React.lazy(() => import('./pages/Sources'))
 const QuizQuestions = React.lazy(() => import('./pages/QuizQuestions'))
 const Study = React.lazy(() => import('./pages/Study'))
 const Scoring = React.lazy(() => import('./pages/Scoring'))
+const Tutor = React.lazy(() => import('./pages/Tutor'))
 const Profile = React.lazy(() => import('./pages/Profile'))
 const Settings = React.lazy(() => import('./pages/Settings'))
 const Auth = React.lazy(() => import('./pages/Auth'))
@@ -60,9 +62,12 @@ function App() {
               <Route path="/dashboard" element={<Dashboard />} />
               <Route path="/vocabulary" element={<Vocabulary />} />
               <Route path="/groups" element={<Groups />} />
+              <Route path="/sources" element={<Sources />} />
+              <Route path="/sources/:id" element={<Sources />} />
               <Route path="/quiz-questions" element={<QuizQuestions />} />
               <Route path="/study" element={<Study />} />
               <Route path="/scoring" element={<Scoring />} />
+              <Route path="/tutor" element={<Tutor />} />
               <Route path="/profile" element={<Profile />} />
               <Route path="/settings" element={<Settings />} />
               <Route path="/auth/*" element={<Navigate to="/dashboard" replace />} />
@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react'
+import { Gauge } from 'lucide-react'
+import { aiAPI } from '@/lib/api'
+import { cn, formatNumber, calculateProgress } from '@/lib/utils'
+import LoadingSpinner from './UI/LoadingSpinner'
+
+const PERIODS = [7, 30, 90]
+
+const FEATURE_LABELS = {
+  'analyze-word': 'Word analysis',
+  'analyze-sentence': 'Sentence analysis',
+  'analyze-content': 'Content analysis',
+  'quiz-generation': 'Quiz generation',
+  'chat': 'AI Tutor',
+}
+
+const formatCost = (cost) => {
+  if (cost === null || cost === undefined) return '—'
+  return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`
+}
+
+const QuotaBar = ({ label, used, limit }) => {
+  const percentage = calculateProgress(used, limit)
+
+  return (
+    <div>
+      <div className="flex justify-between text-sm mb-1">
+        <span className="text-gray-600 dark:text-gray-400">{label}</span>
+        <span className="text-gray-900 dark:text-white">
+          {formatNumber(used)} / {formatNumber(limit)}
+        </span>
+      </div>
+      <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+        <div
+          className={cn(
+            'h-2 rounded-full',
+            percentage >= 100 ? 'bg-red-500' : percentage >= 80 ? 'bg-yellow-500' : 'bg-primary-600'
+          )}
+          style={{ width: `${percentage}%` }}
+        />
+      </div>
+    </div>
+  )
+}
+
+const AIUsageCard = () => {
+  const [days, setDays] = useState(30)
+  const [usage, setUsage] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadUsage()
+  }, [days])
+
+  const loadUsage = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const response = await aiAPI.getUsage(days)
+      setUsage(response.data.usage)
+    } catch (error) {
+      setError(error.message)
+      console.error('Load AI usage error:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const maxDailyTokens = usage ? Math.max(1, ...usage.daily.map(day => day.tokens)) : 1
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-start justify-between">
+        <div>
+          <div className="flex items-center">
+            <Gauge className="h-5 w-5 text-gray-500 dark:text-gray-400 mr-3" />
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+              AI Usage
+            </h3>
+          </div>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            Tokens used by word analysis, content analysis, quiz generation and the AI Tutor
+          </p>
+        </div>
+        <select
+          value={days}
+          onChange={(e) => setDays(parseInt(e.target.value))}
+          className="form-select py-1 text-sm w-auto"
+        >
+          {PERIODS.map((period) => (
+            <option key={period} value={period}>
+              Last {period} days
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="card-body space-y-6">
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <LoadingSpinner />
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-600 dark:text-red-400">
+            Failed to load AI usage: {error}
+          </p>
+        ) : (
+          <>
+            {/* Today against the daily quota */}
+            {(usage.quota.dailyTokens || usage.quota.dailyRequests) && (
+              <div className="space-y-3">
+                <h4 className="text-sm font-medium text-gray-900 dark:text-white">
+                  Today&apos;s limit
+                </h4>
+                {usage.quota.dailyTokens && (
+                  <QuotaBar label="Tokens" used={usage.today.tokens} limit={usage.quota.dailyTokens} />
+                )}
+                {usage.quota.dailyRequests && (
+                  <QuotaBar label="Requests" used={usage.today.requests} limit={usage.quota.dailyRequests} />
+                )}
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Resets at {new Date(usage.resetsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </p>
+              </div>
+            )}
+
+            {/* Totals */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="bg-gray-50 dark:bg-gray-800 p-4 rounded-lg">
+                <div className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                  Requests
+                </div>
+                <div className="text-2xl font-bold text-gray-900 dark:text-white">
+                  {formatNumber(usage.totals.requests)}
+                </div>
+              </div>
+              <div className="bg-gray-50 dark:bg-gray-800 p-4 rounded-lg">
+                <div className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                  Tokens
+                </div>
+                <div className="text-2xl font-bold text-gray-900 dark:text-white">
+                  {formatNumber(usage.totals.tokens)}
+                </div>
+              </div>
+              <div className="bg-gray-50 dark:bg-gray-800 p-4 rounded-lg">
+                <div className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                  Estimated cost
+                </div>
+                <div className="text-2xl font-bold text-gray-900 dark:text-white">
+                  {usage.pricingConfigured ? formatCost(usage.totals.cost) : '—'}
+                </div>
+              </div>
+            </div>
+
+            {usage.totals.requests === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                No AI usage in this period
+              </p>
+            ) : (
+              <>
+                {/* Tokens per day */}
+                <div>
+                  <h4 className="text-sm font-medium text-gray-900 dark:text-white mb-2">
+                    Tokens per day
+                  </h4>
+                  <div className="flex items-end h-24 space-x-1">
+                    {usage.daily.map((day) => (
+                      <div
+                        key={day.date}
+                        className="flex-1 bg-primary-500 rounded-t"
+                        style={{ height: `${Math.max(2, (day.tokens / maxDailyTokens) * 100)}%` }}
+                        title={`${day.date}: ${day.tokens.toLocaleString()} tokens, ${day.requests} requests`}
+                      />
+                    ))}
+                  </div>
+                </div>
+
+                {/* Breakdown by feature and model */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-900 dark:text-white mb-2">
+                      By feature
+                    </h4>
+                    <table className="w-full text-sm">
+                      <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                        {usage.byFeature.map((row) => (
+                          <tr key={row.feature}>
+                            <td className="py-2 text-gray-600 dark:text-gray-400">
+                              {FEATURE_LABELS[row.feature] || row.feature}
+                            </td>
+                            <td className="py-2 text-right text-gray-900 dark:text-white">
+                              {formatNumber(row.tokens)}
+                            </td>
+                            <td className="py-2 text-right text-gray-500 dark:text-gray-400 w-20">
+                              {formatCost(row.cost)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-900 dark:text-white mb-2">
+                      By model
+                    </h4>
+                    <table className="w-full text-sm">
+                      <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                        {usage.byModel.map((row) => (
+                          <tr key={`${row.provider}:${row.model}`}>
+                            <td className="py-2 text-gray-600 dark:text-gray-400 truncate">
+                              {row.model}
+                              <span className="ml-1 text-xs text-gray-400">({row.provider})</span>
+                            </td>
+                            <td className="py-2 text-right text-gray-900 dark:text-white">
+                              {formatNumber(row.tokens)}
+                            </td>
+                            <td className="py-2 text-right text-gray-500 dark:text-gray-400 w-20">
+                              {formatCost(row.cost)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AIUsageCard
@@ -0,0 +1,25 @@
+import React from 'react';
+
+const SEGMENT_STYLES = {
+  equal: 'text-gray-900 dark:text-gray-100',
+  missing: 'text-green-700 bg-green-100 dark:text-green-300 dark:bg-green-900/40 underline',
+  extra: 'text-red-700 bg-red-100 dark:text-red-300 dark:bg-red-900/40 line-through',
+};
+
+// Character diff of a graded answer (see backend/src/services/answerGrader.js):
+// struck-through letters were typed but don't belong, underlined ones were missing
+const AnswerDiff = ({ diff = [], className = '' }) => {
+  if (diff.length === 0) return null;
+
+  return (
+    <span className={`font-mono tracking-wide ${className}`}>
+      {diff.map((segment, index) => (
+        <span key={index} className={`rounded-sm ${SEGMENT_STYLES[segment.type]}`}>
+          {segment.text.replace(/ /g, ' ')}
+        </span>
+      ))}
+    </span>
+  );
+};
+
+export default AnswerDiff;
@@ -1,18 +1,48 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Volume2,
   Heart,
   Clock,
   BookOpen,
+  CheckCircle,
+  XCircle,
 } from 'lucide-react';
+import WordSourceLink from '../WordSourceLink';
+import WordFoundIn from '../WordFoundIn';
+import { useNativeLanguage } from '../../contexts/LanguageContext';
+import { applyWordSense, getWordTranslation, compareQuizAnswers } from '../../lib/utils';
+
+const pronunciationAudio = (word) => {
+  if ('speechSynthesis' in window) {
+    const utterance = new SpeechSynthesisUtterance(word);
+    utterance.lang = 'en-US';
+    utterance.rate = 0.8;
+    speechSynthesis.speak(utterance);
+  }
+};
 
 const FlashCard = ({ card, isFlipped, onFlip, onRate, showRating, isRatingInProgress = false }) => {
+  const { nativeLanguage, languageName } = useNativeLanguage();
+  const [typedAnswer, setTypedAnswer] = useState('');
+
+  // Production cards start empty and audio cards play the word as they come up
+  useEffect(() => {
+    setTypedAnswer('');
+    if (card?.template === 'audio' && card.words) {
+      pronunciationAudio(card.words.word);
+    }
+  }, [card?.id]);
+
   if (!card || !card.words) {
     return null;
   }
 
-  const word = card.words;
+  // Sense cards study one meaning of the word
+  const word = applyWordSense(card.words, card.sense);
+  const translation = getWordTranslation(word, nativeLanguage);
   const nextIntervals = card.nextIntervals || {};
+  const template = card.template || 'recognition';
+  const typedCorrectly = compareQuizAnswers(typedAnswer, word.word);
 
   const getDifficultyColor = (difficulty) => {
     if (difficulty <= 3) return 'text-green-600';
@@ -38,15 +68,6 @@ const FlashCard = ({ card, isFlipped, onFlip, onRate, showRating, isRatingInProg
     return `${Math.round(days / 365)}y`;
   };
 
-  const pronunciationAudio = (word) => {
-    if ('speechSynthesis' in window) {
-      const utterance = new SpeechSynthesisUtterance(word);
-      utterance.lang = 'en-US';
-      utterance.rate = 0.8;
-      speechSynthesis.speak(utterance);
-    }
-  };
-
   return (
     <div className="max-w-2xl mx-auto">
       {/* Card */}
@@ -66,34 +87,107 @@ const FlashCard = ({ card, isFlipped, onFlip, onRate, showRating, isRatingInProg
               {card.state.toUpperCase()}
             </div>
 
-            {/* Word */}
-            <h2 className="text-4xl font-bold text-gray-900 dark:text-gray-100 mb-4">
-              {word.word}
-            </h2>
+            {template === 'recognition' && (
+              <>
+                {/* Word */}
+                <h2 className="text-4xl font-bold text-gray-900 dark:text-gray-100 mb-4">
+                  {word.word}
+                </h2>
 
-            {/* Pronunciation */}
-            {word.ipa_pronunciation && (
-              <div className="flex items-center space-x-2 mb-4">
-                <span className="text-lg text-gray-600 dark:text-gray-400">
-                  /{word.ipa_pronunciation}/
-                </span>
-                <button
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    pronunciationAudio(word.word);
+                {/* Pronunciation */}
+                {word.ipa_pronunciation && (
+                  <div className="flex items-center space-x-2 mb-4">
+                    <span className="text-lg text-gray-600 dark:text-gray-400">
+                      /{word.ipa_pronunciation}/
+                    </span>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        pronunciationAudio(word.word);
+                      }}
+                      className="p-1 text-gray-500 hover:text-blue-600 dark:text-gray-400 dark:hover:text-blue-400"
+                    >
+                      <Volume2 className="h-5 w-5" />
+                    </button>
+                  </div>
+                )}
+
+                {/* Word Type */}
+                {word.word_type && (
+                  <span className="text-sm text-blue-600 dark:text-blue-400 bg-blue-50 dark:bg-blue-900/20 px-3 py-1 rounded-full mb-4">
+                    {word.word_type}
+                  </span>
+                )}
+
+                {/* The sense's example tells apart the cards of one word's meanings */}
+                {card.sense && (
+                  <p className="text-sm text-gray-500 dark:text-gray-400 italic text-center mb-4">
+                    {card.sense.example_sentence ? `"${card.sense.example_sentence}"` : `Meaning ${card.sense.position + 1}`}
+                  </p>
+                )}
+              </>
+            )}
+
+            {/* Production: the meaning, the learner types the word */}
+            {template === 'production' && (
+              <>
+                {word.word_type && (
+                  <span className="text-sm text-blue-600 dark:text-blue-400 bg-blue-50 dark:bg-blue-900/20 px-3 py-1 rounded-full mb-4">
+                    {word.word_type}
+                  </span>
+                )}
+                <p className="text-lg text-gray-900 dark:text-gray-100 mb-6">
+                  {word.definition}
+                </p>
+                <input
+                  type="text"
+                  value={typedAnswer}
+                  onChange={(e) => setTypedAnswer(e.target.value)}
+                  onClick={(e) => e.stopPropagation()}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.preventDefault();
+                      onFlip();
+                    }
                   }}
-                  className="p-1 text-gray-500 hover:text-blue-600 dark:text-gray-400 dark:hover:text-blue-400"
-                >
-                  <Volume2 className="h-5 w-5" />
-                </button>
-              </div>
+                  placeholder="Type the word"
+                  className="form-input max-w-xs text-center mb-4"
+                  autoComplete="off"
+                  spellCheck={false}
+                  disabled={isFlipped}
+                />
+              </>
             )}
 
-            {/* Word Type */}
-            {word.word_type && (
-              <span className="text-sm text-blue-600 dark:text-blue-400 bg-blue-50 dark:bg-blue-900/20 px-3 py-1 rounded-full mb-4">
-                {word.word_type}
-              </span>
+            {/* Translation: the word in the learner's language, the definition when there is none */}
+            {template === 'translation' && (
+              <>
+                <span className="text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">
+                  {translation ? languageName : 'Definition'}
+                </span>
+                <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-4">
+                  {translation || word.definition}
+                </h2>
+                {word.word_type && (
+                  <span className="text-sm text-blue-600 dark:text-blue-400 bg-blue-50 dark:bg-blue-900/20 px-3 py-1 rounded-full mb-4">
+                    {word.word_type}
+                  </span>
+                )}
+              </>
+            )}
+
+            {/* Audio: only the spoken word */}
+            {template === 'audio' && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  pronunciationAudio(word.word);
+                }}
+                className="p-6 mb-4 rounded-full bg-blue-50 dark:bg-blue-900/20 text-blue-600 dark:text-blue-400 hover:bg-blue-100 dark:hover:bg-blue-900/40"
+                title="Play again"
+              >
+                <Volume2 className="h-12 w-12" />
+              </button>
             )}
 
             {/* Progress Info */}
@@ -105,7 +199,7 @@ const FlashCard = ({ card, isFlipped, onFlip, onRate, showRating, isRatingInProg
             </div>
 
             <p className="text-gray-500 dark:text-gray-400 mt-6 text-sm">
-              Press Space to flip
+              {template === 'production' ? 'Press Enter to check' : 'Press Space to flip'}
             </p>
           </div>
         </div>
@@ -143,6 +237,14 @@ const FlashCard = ({ card, isFlipped, onFlip, onRate, showRating, isRatingInProg
 
             {/* Content area */}
             <div className="flex-1 space-y-3 min-h-0">
+              {/* Typed answer of a production card */}
+              {template === 'production' && (
+                <div className={`flex items-center justify-center space-x-2 text-sm ${typedCorrectly ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                  {typedCorrectly ? <CheckCircle className="h-4 w-4" /> : <XCircle className="h-4 w-4" />}
+                  <span>{typedAnswer.trim() ? `You typed "${typedAnswer.trim()}"` : 'No answer typed'}</span>
+                </div>
+              )}
+
               {/* Definition */}
               <div>
                 <h3 className="text-base font-semibold text-gray-900 dark:text-gray-100 mb-1">
@@ -165,14 +267,43 @@ const FlashCard = ({ card, isFlipped, onFlip, onRate, showRating, isRatingInProg
                 </div>
               )}
 
-              {/* Vietnamese Translation */}
-              {word.vietnamese_translation && (
+              {/* Where the word was heard */}
+              {word.source && (
+                <div>
+                  <h3 className="text-base font-semibold text-gray-900 dark:text-gray-100 mb-1">
+                    Heard in
+                  </h3>
+                  {word.source.text && (
+                    <p className="text-sm text-gray-700 dark:text-gray-300 italic mb-1">
+                      "{word.source.text}"
+                    </p>
+                  )}
+                  <WordSourceLink source={word.source} />
+                </div>
+              )}
+
+              {word.found_in && (
+                <div>
+                  <h3 className="text-base font-semibold text-gray-900 dark:text-gray-100 mb-1">
+                    Found in
+                  </h3>
+                  {word.source_sentence && (
+                    <p className="text-sm text-gray-700 dark:text-gray-300 italic mb-1">
+                      "{word.source_sentence}"
+                    </p>
+                  )}
+                  <WordFoundIn source={word.found_in} showSentence={false} />
+                </div>
+              )}
+
+              {/* Translation in the learner's language */}
+              {translation && (
                 <div>
                   <h3 className="text-base font-semibold text-gray-900 dark:text-gray-100 mb-1">
-                    Vietnamese
+                    {languageName}
                   </h3>
                   <p className="text-sm text-gray-700 dark:text-gray-300">
-                    {word.vietnamese_translation}
+                    {translation}
                   </p>
                 </div>
               )}
@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { CheckCircle, XCircle } from 'lucide-react';
+
+const DEFINITION_LETTERS = ['A', 'B', 'C', 'D', 'E'];
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Pair each word with its definition: pick a word, then the definition that goes with it.
+// pairs are the question's { word, definition } options, grade the server's grading once answered
+const MatchingExercise = ({ pairs, onSubmit, showAnswer, grade = null }) => {
+  const [selectedWord, setSelectedWord] = useState(pairs[0]?.word || null);
+  const [answers, setAnswers] = useState({});
+
+  const definitions = useMemo(() => shuffle(pairs.map((pair) => pair.definition)), [pairs]);
+
+  useEffect(() => {
+    setSelectedWord(pairs[0]?.word || null);
+    setAnswers({});
+  }, [pairs]);
+
+  const handleDefinitionClick = (definition) => {
+    if (showAnswer || !selectedWord) return;
+
+    // A definition belongs to one word at a time
+    setAnswers((previous) => {
+      const next = Object.fromEntries(Object.entries(previous).filter(([, chosen]) => chosen !== definition));
+      next[selectedWord] = definition;
+      return next;
+    });
+
+    const nextWord = pairs.find((pair) => pair.word !== selectedWord && !answers[pair.word]);
+    setSelectedWord(nextWord ? nextWord.word : null);
+  };
+
+  const getLetter = (definition) => DEFINITION_LETTERS[definitions.indexOf(definition)];
+  const isComplete = pairs.every((pair) => answers[pair.word]);
+
+  if (showAnswer && grade?.pairs) {
+    return (
+      <div className="space-y-2">
+        {grade.pairs.map((pair) => (
+          <div
+            key={pair.word}
+            className={`p-3 rounded-lg border-2 ${
+              pair.isCorrect
+                ? 'bg-green-50 border-green-500 dark:bg-green-900/20 dark:border-green-400'
+                : 'bg-red-50 border-red-500 dark:bg-red-900/20 dark:border-red-400'
+            }`}
+          >
+            <div className="flex items-center space-x-2 font-semibold text-gray-900 dark:text-gray-100">
+              {pair.isCorrect ? (
+                <CheckCircle className="h-5 w-5 text-green-600" />
+              ) : (
+                <XCircle className="h-5 w-5 text-red-600" />
+              )}
+              <span>{pair.word}</span>
+            </div>
+            <p className="text-sm text-gray-700 dark:text-gray-300 mt-1">{pair.definition}</p>
+            {!pair.isCorrect && (
+              <p className="text-sm text-red-700 dark:text-red-400 mt-1">
+                You chose: {pair.chosen || '(nothing)'}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 sm:grid-cols-5 gap-4">
+        {/* Words */}
+        <div className="sm:col-span-2 space-y-2">
+          {pairs.map((pair) => (
+            <button
+              key={pair.word}
+              onClick={() => setSelectedWord(pair.word)}
+              disabled={showAnswer}
+              className={`w-full p-3 border-2 rounded-lg text-left transition-colors flex items-center justify-between ${
+                selectedWord === pair.word
+                  ? 'bg-blue-100 border-blue-500 text-blue-900 dark:bg-blue-900/20 dark:border-blue-400 dark:text-blue-100'
+                  : 'bg-white border-gray-300 text-gray-900 hover:bg-gray-50 dark:bg-gray-800 dark:border-gray-600 dark:text-gray-100 dark:hover:bg-gray-700'
+              }`}
+            >
+              <span className="font-medium">{pair.word}</span>
+              {answers[pair.word] && (
+                <span className="w-6 h-6 rounded-full bg-blue-600 text-white flex items-center justify-center text-sm font-bold">
+                  {getLetter(answers[pair.word])}
+                </span>
+              )}
+            </button>
+          ))}
+        </div>
+
+        {/* Definitions */}
+        <div className="sm:col-span-3 space-y-2">
+          {definitions.map((definition, index) => {
+            const isUsed = Object.values(answers).includes(definition);
+            return (
+              <button
+                key={definition}
+                onClick={() => handleDefinitionClick(definition)}
+                disabled={showAnswer || !selectedWord}
+                className={`w-full p-3 border-2 rounded-lg text-left text-sm transition-colors flex items-start space-x-3 ${
+                  isUsed
+                    ? 'bg-gray-50 border-gray-300 text-gray-500 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-400'
+                    : 'bg-white border-gray-300 text-gray-900 hover:bg-gray-50 dark:bg-gray-800 dark:border-gray-600 dark:text-gray-100 dark:hover:bg-gray-700'
+                } disabled:cursor-not-allowed`}
+              >
+                <span className="w-6 h-6 flex-shrink-0 rounded-full border-2 border-current flex items-center justify-center font-bold">
+                  {DEFINITION_LETTERS[index]}
+                </span>
+                <span>{definition}</span>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {!showAnswer && (
+        <button
+          onClick={() => onSubmit(answers)}
+          disabled={!isComplete}
+          className="mt-4 w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+        >
+          {isComplete ? 'Check Answers' : 'Pick a word, then its definition'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MatchingExercise;
@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Mic,
+  Square,
+  Volume2,
+  Snail,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import AnswerDiff from './AnswerDiff';
+import { applyWordSense } from '../../lib/utils';
+import { playWordAudio } from '../../lib/audio';
+import { isRecordingSupported, startRecording } from '../../lib/recorder';
+
+const RATING_LABELS = { 1: 'Again', 2: 'Hard', 3: 'Good', 4: 'Easy' };
+
+// Long enough for an example sentence, the upload stays small
+const MAX_RECORDING_SECONDS = 20;
+
+const formatInterval = (days) => {
+  if (days < 1) return 'today';
+  if (days === 1) return 'tomorrow';
+  if (days < 30) return `in ${days}d`;
+  if (days < 365) return `in ${Math.round(days / 30)}mo`;
+  return `in ${Math.round(days / 365)}y`;
+};
+
+const getScoreStyle = (score) => {
+  if (score >= 80) return 'text-green-600 dark:text-green-400';
+  if (score >= 60) return 'text-yellow-600 dark:text-yellow-400';
+  return 'text-red-600 dark:text-red-400';
+};
+
+// Practise saying the word or its example sentence. The server transcribes the recording,
+// scores it sound by sound and rates the card from the first attempt; retries are practice
+const PronunciationCard = ({ card, result, onSubmit, onNext, isSubmitting = false }) => {
+  const [source, setSource] = useState('word');
+  const [isRecording, setIsRecording] = useState(false);
+  const [seconds, setSeconds] = useState(0);
+  const recorderRef = useRef(null);
+
+  useEffect(() => {
+    setSource('word');
+    setIsRecording(false);
+    return () => {
+      recorderRef.current?.cancel();
+      recorderRef.current = null;
+    };
+  }, [card?.id]);
+
+  const handleStart = async () => {
+    try {
+      recorderRef.current = await startRecording();
+      setIsRecording(true);
+    } catch (error) {
+      console.error('Failed to start recording:', error);
+      toast.error('Could not use the microphone');
+    }
+  };
+
+  const handleStop = async () => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+
+    recorderRef.current = null;
+    setIsRecording(false);
+
+    try {
+      const recording = await recorder.stop();
+      onSubmit(recording, { source, review: !result });
+    } catch (error) {
+      console.error('Failed to process recording:', error);
+      toast.error('Could not process the recording');
+    }
+  };
+
+  // Stop by itself at the limit
+  useEffect(() => {
+    if (!isRecording) return undefined;
+
+    setSeconds(0);
+    const timer = setInterval(() => setSeconds((value) => value + 1), 1000);
+    return () => clearInterval(timer);
+  }, [isRecording]);
+
+  useEffect(() => {
+    if (isRecording && seconds >= MAX_RECORDING_SECONDS) {
+      handleStop();
+    }
+  }, [seconds, isRecording]);
+
+  if (!card || !card.words) {
+    return null;
+  }
+
+  const word = applyWordSense(card.words, card.sense);
+  const target = source === 'example' ? word.example_sentence : word.word;
+  const pronunciation = result?.pronunciation;
+
+  const playTarget = (rate = 'normal') => playWordAudio(card.word_id, {
+    source,
+    rate,
+    fallbackText: target,
+  });
+
+  return (
+    <div className="max-w-2xl mx-auto bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 p-8">
+      {/* Target */}
+      <div className="text-center mb-6">
+        {word.example_sentence && (
+          <div className="inline-flex items-center bg-gray-100 dark:bg-gray-700 rounded-lg p-1 mb-4">
+            {['word', 'example'].map((option) => (
+              <button
+                key={option}
+                onClick={() => setSource(option)}
+                disabled={isRecording || isSubmitting}
+                className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                  source === option
+                    ? 'bg-white dark:bg-gray-600 text-gray-900 dark:text-gray-100 shadow-sm'
+                    : 'text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100'
+                }`}
+              >
+                {option === 'word' ? 'Word' : 'Sentence'}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="flex items-center justify-center space-x-2">
+          <h2 className={`font-bold text-gray-900 dark:text-gray-100 ${source === 'word' ? 'text-3xl' : 'text-xl'}`}>
+            {target}
+          </h2>
+          <button
+            onClick={() => playTarget()}
+            className="p-1 text-gray-500 hover:text-blue-600 dark:text-gray-400 dark:hover:text-blue-400"
+            title="Listen"
+          >
+            <Volume2 className="h-5 w-5" />
+          </button>
+        </div>
+        {source === 'word' && word.ipa_pronunciation && (
+          <p className="text-gray-600 dark:text-gray-400 mt-1">/{word.ipa_pronunciation}/</p>
+        )}
+      </div>
+
+      {/* Recorder */}
+      {isRecordingSupported() ? (
+        <div className="flex flex-col items-center">
+          <button
+            onClick={isRecording ? handleStop : handleStart}
+            disabled={isSubmitting}
+            className={`p-5 rounded-full text-white transition-colors disabled:bg-gray-400 ${
+              isRecording ? 'bg-red-600 hover:bg-red-700 animate-pulse' : 'bg-blue-600 hover:bg-blue-700'
+            }`}
+            title={isRecording ? 'Stop' : 'Record'}
+          >
+            {isRecording ? <Square className="h-6 w-6" /> : <Mic className="h-6 w-6" />}
+          </button>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">
+            {isSubmitting
+              ? 'Scoring...'
+              : isRecording
+                ? `Recording ${seconds}s, click to stop`
+                : result ? 'Record again to practise' : 'Click and say it'}
+          </p>
+        </div>
+      ) : (
+        <p className="text-center text-sm text-red-600 dark:text-red-400">
+          Recording is not supported in this browser.
+        </p>
+      )}
+
+      {/* Result */}
+      {pronunciation && (
+        <div className="mt-6 space-y-4">
+          <div className="text-center">
+            <p className={`text-5xl font-bold ${getScoreStyle(pronunciation.score)}`}>
+              {pronunciation.score}%
+            </p>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {pronunciation.method === 'phonemes' ? 'of the sounds were right' : 'of the letters were right'}
+            </p>
+          </div>
+
+          <div className="p-4 rounded-lg bg-gray-50 dark:bg-gray-700/50 space-y-2 text-sm">
+            <div>
+              <span className="font-medium text-gray-700 dark:text-gray-300">We heard:</span>{' '}
+              <span className="text-gray-900 dark:text-gray-100">{pronunciation.transcript || '(nothing)'}</span>
+            </div>
+            {pronunciation.score < 100 && (
+              <div className="text-lg">
+                <AnswerDiff diff={pronunciation.diff} />
+              </div>
+            )}
+          </div>
+
+          {result.reviewResult && (
+            <p className="text-sm text-center text-gray-600 dark:text-gray-300">
+              Rated <span className="font-semibold">{RATING_LABELS[result.rating]}</span>, next review {formatInterval(result.reviewResult.interval)}
+            </p>
+          )}
+
+          <div className="flex gap-3">
+            <button onClick={() => playTarget('slow')} className="btn-secondary flex-1 flex items-center justify-center gap-2">
+              <Snail className="h-4 w-4" />
+              Listen slowly
+            </button>
+            <button onClick={onNext} disabled={isRecording || isSubmitting} className="btn-primary flex-1">
+              Next (Enter)
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PronunciationCard;
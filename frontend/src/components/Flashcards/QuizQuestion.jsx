@@ -3,10 +3,23 @@ import {
   CheckCircle,
   XCircle,
   Info,
+  Volume2,
+  Snail,
 } from 'lucide-react';
-import { compareQuizAnswers } from '../../lib/utils';
+import AnswerDiff from './AnswerDiff';
+import MatchingExercise from './MatchingExercise';
+import { compareQuizAnswers, getAnswerVerdictLabel, TYPED_QUIZ_TYPES } from '../../lib/utils';
+import { playWordAudio } from '../../lib/audio';
 
-const QuizQuestion = ({ question, onAnswer, showAnswer, onNext }) => {
+const playQuestionAudio = (question, rate = 'normal') => playWordAudio(question.word_id, {
+  source: question.audio_source,
+  rate,
+  fallbackText: question.correct_answer,
+});
+
+// grade is the server's grading of a typed (fill in the blank, listening, word formation) answer
+// or of a matching exercise
+const QuizQuestion = ({ question, onAnswer, showAnswer, onNext, grade = null }) => {
   const [selectedAnswer, setSelectedAnswer] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
 
@@ -24,6 +37,13 @@ const QuizQuestion = ({ question, onAnswer, showAnswer, onNext }) => {
     }
   }, [showAnswer]);
 
+  // Listening questions play as soon as they show
+  useEffect(() => {
+    if (question?.question_type === 'listening') {
+      playQuestionAudio(question);
+    }
+  }, [question]);
+
   if (!question) {
     return (
       <div className="max-w-2xl mx-auto bg-white dark:bg-gray-800 rounded-xl shadow-lg p-8">
@@ -41,8 +61,10 @@ const QuizQuestion = ({ question, onAnswer, showAnswer, onNext }) => {
     onAnswer(answer);
   };
 
-  const isCorrect = showAnswer && compareQuizAnswers(selectedAnswer, question.correct_answer);
-  const isIncorrect = showAnswer && !compareQuizAnswers(selectedAnswer, question.correct_answer);
+  const isMatching = question.question_type === 'matching';
+  const answeredCorrectly = grade ? grade.isCorrect : !isMatching && compareQuizAnswers(selectedAnswer, question.correct_answer);
+  const isCorrect = showAnswer && answeredCorrectly;
+  const isIncorrect = showAnswer && !answeredCorrectly;
 
   const getQuestionTypeLabel = (type) => {
     switch (type) {
@@ -50,6 +72,10 @@ const QuizQuestion = ({ question, onAnswer, showAnswer, onNext }) => {
       case 'definition_choice': return 'Choose Definition';
       case 'synonym_choice': return 'Choose Synonym';
       case 'context_choice': return 'Choose Context';
+      case 'listening': return 'Listening';
+      case 'collocation_choice': return 'Collocation';
+      case 'word_formation': return 'Word Formation';
+      case 'matching': return 'Matching';
       default: return 'Quiz Question';
     }
   };
@@ -105,18 +131,45 @@ const QuizQuestion = ({ question, onAnswer, showAnswer, onNext }) => {
         <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-4">
           {question.question_text}
         </h2>
+        {question.question_type === 'listening' && (
+          <div className="flex items-center justify-center gap-3">
+            <button
+              onClick={() => playQuestionAudio(question)}
+              className="p-4 rounded-full bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+              title="Play"
+            >
+              <Volume2 className="h-6 w-6" />
+            </button>
+            <button
+              onClick={() => playQuestionAudio(question, 'slow')}
+              className="p-3 rounded-full bg-blue-100 text-blue-700 hover:bg-blue-200 dark:bg-blue-900/20 dark:text-blue-400 dark:hover:bg-blue-900/40 transition-colors"
+              title="Play slowly"
+            >
+              <Snail className="h-5 w-5" />
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Answer Options */}
       <div className="space-y-3 mb-6">
-        {question.question_type === 'fill_blank' ? (
-          // Fill in the blank - text input
+        {isMatching ? (
+          <MatchingExercise
+            pairs={question.options || []}
+            onSubmit={handleAnswerSelect}
+            showAnswer={showAnswer}
+            grade={grade}
+          />
+        ) : TYPED_QUIZ_TYPES.includes(question.question_type) ? (
+          // Fill in the blank, listening and word formation - text input
           <div>
             <input
               type="text"
               value={selectedAnswer}
               onChange={(e) => setSelectedAnswer(e.target.value)}
               disabled={showAnswer}
+              autoComplete="off"
+              spellCheck={false}
               className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
               placeholder="Type your answer here..."
               onKeyPress={(e) => {
@@ -172,11 +225,20 @@ const QuizQuestion = ({ question, onAnswer, showAnswer, onNext }) => {
                 <XCircle className="h-5 w-5" />
               )}
               <span className="font-semibold">
-                {isCorrect ? 'Correct!' : 'Incorrect'}
+                {isMatching && grade
+                  ? `${grade.correct} of ${grade.total} pairs right`
+                  : grade ? getAnswerVerdictLabel(grade.verdict) : (isCorrect ? 'Correct!' : 'Incorrect')}
               </span>
             </div>
 
-            {!isCorrect && (
+            {/* Where a typed answer differs from the correct one */}
+            {grade?.diff && grade.verdict !== 'exact' && (
+              <div className="mb-2 text-lg">
+                <AnswerDiff diff={grade.diff} />
+              </div>
+            )}
+
+            {!isMatching && !isCorrect && (
               <div className="space-y-1 text-sm">
                 <div>
                   <span className="font-medium">Your answer:</span> <span className="bg-red-100 dark:bg-red-900/30 px-2 py-1 rounded">{selectedAnswer}</span>
@@ -187,7 +249,7 @@ const QuizQuestion = ({ question, onAnswer, showAnswer, onNext }) => {
               </div>
             )}
 
-            {isCorrect && (
+            {!isMatching && isCorrect && (
               <div className="text-sm">
                 <span className="font-medium">Your answer:</span> <span className="bg-green-100 dark:bg-green-900/30 px-2 py-1 rounded font-semibold">{selectedAnswer}</span>
               </div>
@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  CheckCircle,
+  XCircle,
+  AlertCircle,
+  Volume2,
+} from 'lucide-react';
+import AnswerDiff from './AnswerDiff';
+import { applyWordSense, getAnswerVerdictLabel } from '../../lib/utils';
+
+const RATING_LABELS = { 1: 'Again', 2: 'Hard', 3: 'Good', 4: 'Easy' };
+
+const formatInterval = (days) => {
+  if (days < 1) return 'today';
+  if (days === 1) return 'tomorrow';
+  if (days < 30) return `in ${days}d`;
+  if (days < 365) return `in ${Math.round(days / 30)}mo`;
+  return `in ${Math.round(days / 365)}y`;
+};
+
+const speak = (text) => {
+  if ('speechSynthesis' in window) {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = 'en-US';
+    utterance.rate = 0.8;
+    speechSynthesis.speak(utterance);
+  }
+};
+
+// Study by typing the word for its meaning. The server grades the answer and rates the card,
+// so there is nothing to self-rate: the result shows what was off and when the card comes back
+const TypedAnswerCard = ({ card, result, onSubmit, onNext, isSubmitting = false }) => {
+  const [answer, setAnswer] = useState('');
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    setAnswer('');
+    inputRef.current?.focus();
+  }, [card?.id]);
+
+  if (!card || !card.words) {
+    return null;
+  }
+
+  const word = applyWordSense(card.words, card.sense);
+  const grade = result?.grade;
+
+  const getResultStyle = () => {
+    if (!grade.isCorrect) return 'bg-red-50 text-red-800 dark:bg-red-900/20 dark:text-red-400';
+    if (grade.verdict === 'typo') return 'bg-yellow-50 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400';
+    return 'bg-green-50 text-green-800 dark:bg-green-900/20 dark:text-green-400';
+  };
+
+  const getResultIcon = () => {
+    if (!grade.isCorrect) return <XCircle className="h-5 w-5" />;
+    if (grade.verdict === 'typo') return <AlertCircle className="h-5 w-5" />;
+    return <CheckCircle className="h-5 w-5" />;
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 p-8">
+      {/* Prompt */}
+      <div className="text-center mb-6">
+        {word.word_type && (
+          <span className="text-sm text-blue-600 dark:text-blue-400 bg-blue-50 dark:bg-blue-900/20 px-3 py-1 rounded-full">
+            {word.word_type}
+          </span>
+        )}
+        <p className="text-xl text-gray-900 dark:text-gray-100 mt-4">
+          {word.definition}
+        </p>
+      </div>
+
+      {/* Answer */}
+      <input
+        ref={inputRef}
+        type="text"
+        value={answer}
+        onChange={(e) => setAnswer(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && answer.trim() && !result && !isSubmitting) {
+            e.preventDefault();
+            onSubmit(answer);
+          }
+        }}
+        disabled={Boolean(result) || isSubmitting}
+        placeholder="Type the word"
+        className="form-input text-center text-lg"
+        autoComplete="off"
+        autoCapitalize="off"
+        spellCheck={false}
+      />
+
+      {!result && (
+        <div className="mt-4 flex gap-3">
+          <button
+            onClick={() => onSubmit('')}
+            disabled={isSubmitting}
+            className="btn-secondary flex-1"
+          >
+            I don't know
+          </button>
+          <button
+            onClick={() => onSubmit(answer)}
+            disabled={!answer.trim() || isSubmitting}
+            className="btn-primary flex-1"
+          >
+            {isSubmitting ? 'Checking...' : 'Check'}
+          </button>
+        </div>
+      )}
+
+      {/* Result */}
+      {grade && (
+        <div className="mt-6 space-y-4">
+          <div className={`p-4 rounded-lg ${getResultStyle()}`}>
+            <div className="flex items-center space-x-2 mb-2">
+              {getResultIcon()}
+              <span className="font-semibold">{getAnswerVerdictLabel(grade.verdict)}</span>
+            </div>
+            {grade.answer && grade.verdict !== 'exact' && (
+              <div className="text-lg">
+                <AnswerDiff diff={grade.diff} />
+              </div>
+            )}
+          </div>
+
+          <div className="text-center">
+            <div className="flex items-center justify-center space-x-2">
+              <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100">{word.word}</h2>
+              <button
+                onClick={() => speak(word.word)}
+                className="p-1 text-gray-500 hover:text-blue-600 dark:text-gray-400 dark:hover:text-blue-400"
+              >
+                <Volume2 className="h-5 w-5" />
+              </button>
+            </div>
+            {word.ipa_pronunciation && (
+              <p className="text-gray-600 dark:text-gray-400">/{word.ipa_pronunciation}/</p>
+            )}
+            {word.example_sentence && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 italic mt-2">"{word.example_sentence}"</p>
+            )}
+          </div>
+
+          <p className="text-sm text-center text-gray-600 dark:text-gray-300">
+            Rated <span className="font-semibold">{RATING_LABELS[result.rating]}</span>
+            {result.reviewResult && <>, next review {formatInterval(result.reviewResult.interval)}</>}
+          </p>
+
+          <button onClick={onNext} className="btn-primary w-full">
+            Next (Enter)
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TypedAnswerCard;
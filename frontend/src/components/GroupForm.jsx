@@ -2,13 +2,15 @@ import React, { useState, useEffect } from 'react'
 import { X } from 'lucide-react'
 import LoadingSpinner from './UI/LoadingSpinner'
 import { PRESET_COLORS, ICON_OPTIONS } from '../constants/groupConstants'
+import { CARD_TEMPLATES, DEFAULT_CARD_TEMPLATES } from '../lib/utils'
 
 const GroupForm = ({ isOpen, onClose, mode = 'create', initialData = {}, onSubmit }) => {
   const [formData, setFormData] = useState({
     name: '',
     description: '',
     color: PRESET_COLORS[0],
-    icon: 'Folder'
+    icon: 'Folder',
+    card_templates: DEFAULT_CARD_TEMPLATES
   })
   const [errors, setErrors] = useState({})
   const [loading, setLoading] = useState(false)
@@ -19,14 +21,16 @@ const GroupForm = ({ isOpen, onClose, mode = 'create', initialData = {}, onSubmi
         name: initialData.name || '',
         description: initialData.description || '',
         color: initialData.color || PRESET_COLORS[0],
-        icon: initialData.icon || 'Folder'
+        icon: initialData.icon || 'Folder',
+        card_templates: initialData.card_templates?.length ? initialData.card_templates : DEFAULT_CARD_TEMPLATES
       })
     } else if (isOpen && mode === 'create') {
       setFormData({
         name: '',
         description: '',
         color: PRESET_COLORS[0],
-        icon: 'Folder'
+        icon: 'Folder',
+        card_templates: DEFAULT_CARD_TEMPLATES
       })
     }
     setErrors({})
@@ -39,6 +43,10 @@ const GroupForm = ({ isOpen, onClose, mode = 'create', initialData = {}, onSubmi
       newErrors.name = 'Group name is required'
     }
 
+    if (formData.card_templates.length === 0) {
+      newErrors.card_templates = 'Choose at least one card type'
+    }
+
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
@@ -69,6 +77,16 @@ const GroupForm = ({ isOpen, onClose, mode = 'create', initialData = {}, onSubmi
     setFormData(prev => ({ ...prev, icon: iconName }))
   }
 
+  const handleTemplateToggle = (templateId) => {
+    setFormData(prev => ({
+      ...prev,
+      card_templates: prev.card_templates.includes(templateId)
+        ? prev.card_templates.filter(id => id !== templateId)
+        : [...prev.card_templates, templateId]
+    }))
+    setErrors(prev => ({ ...prev, card_templates: null }))
+  }
+
   if (!isOpen) return null
 
   return (
@@ -168,6 +186,41 @@ const GroupForm = ({ isOpen, onClose, mode = 'create', initialData = {}, onSubmi
             </div>
           </div>
 
+          {/* Card templates */}
+          <div>
+            <label className="form-label">Card Types</label>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+              Each card type is reviewed on its own schedule. Cards of the same word are not shown on the same day.
+            </p>
+            <div className="space-y-2">
+              {CARD_TEMPLATES.map((template) => (
+                <label
+                  key={template.id}
+                  className={`flex items-start gap-3 p-3 rounded-lg border cursor-pointer ${
+                    formData.card_templates.includes(template.id)
+                      ? 'border-blue-300 bg-blue-50 dark:border-blue-700 dark:bg-blue-900/20'
+                      : 'border-gray-200 dark:border-gray-700'
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={formData.card_templates.includes(template.id)}
+                    onChange={() => handleTemplateToggle(template.id)}
+                    className="mt-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    disabled={loading}
+                  />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900 dark:text-white">{template.name}</p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{template.description}</p>
+                  </div>
+                </label>
+              ))}
+            </div>
+            {errors.card_templates && (
+              <p className="text-red-500 text-xs mt-1">{errors.card_templates}</p>
+            )}
+          </div>
+
           {/* Form actions */}
           <div className="flex justify-end space-x-3 pt-4 border-t border-gray-200 dark:border-gray-700">
             <button
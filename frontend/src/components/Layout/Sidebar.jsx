@@ -4,8 +4,10 @@ import {
   LayoutDashboard,
   BookOpen,
   FolderOpen,
+  Library,
   BrainCircuit,
   PenTool,
+  MessageSquare,
   User,
   Settings,
   Sparkles,
@@ -28,6 +30,11 @@ const navigation = [
     href: '/groups',
     icon: FolderOpen,
   },
+  {
+    name: 'Sources',
+    href: '/sources',
+    icon: Library,
+  },
   {
     name: 'Quiz Questions',
     href: '/quiz-questions',
@@ -43,6 +50,11 @@ const navigation = [
     href: '/scoring',
     icon: PenTool,
   },
+  {
+    name: 'AI Tutor',
+    href: '/tutor',
+    icon: MessageSquare,
+  },
   {
     name: 'Profile & Stats',
     href: '/profile',
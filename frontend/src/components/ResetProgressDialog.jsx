@@ -0,0 +1,115 @@
+import React from 'react'
+import { AlertTriangle, X } from 'lucide-react'
+import LoadingSpinner from './UI/LoadingSpinner'
+
+const ResetProgressDialog = ({
+  isOpen,
+  onClose,
+  preview,
+  onConfirm,
+  loading = false
+}) => {
+  if (!isOpen || !preview) return null
+
+  const cardCount = preview.cards.length
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-lg w-full">
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center space-x-3">
+            <div className="flex-shrink-0 w-10 h-10 rounded-full bg-red-100 dark:bg-red-900/20 flex items-center justify-center">
+              <AlertTriangle className="w-5 h-5 text-red-600 dark:text-red-400" />
+            </div>
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+              Reset Progress?
+            </h3>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors"
+            disabled={loading}
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6">
+          {cardCount > 0 ? (
+            <>
+              <p className="text-gray-700 dark:text-gray-300 mb-4">
+                <span className="font-semibold text-gray-900 dark:text-white">{cardCount}</span>{' '}
+                {cardCount === 1 ? 'card' : 'cards'} will go back to their state before{' '}
+                {new Date(preview.from).toLocaleDateString()}.{' '}
+                {preview.reviewCount} {preview.reviewCount === 1 ? 'review' : 'reviews'} and{' '}
+                {preview.quizAttemptCount} quiz {preview.quizAttemptCount === 1 ? 'attempt' : 'attempts'} will be deleted.
+              </p>
+
+              <ul className="max-h-60 overflow-y-auto scrollbar-thin divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+                {preview.cards.map((card) => (
+                  <li key={card.cardId} className="flex items-center justify-between px-4 py-2 text-sm">
+                    <span className="font-medium text-gray-900 dark:text-white">{card.word}</span>
+                    <span className="text-gray-500 dark:text-gray-400">
+                      {card.currentState} → {card.restoredState}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              No cards were reviewed in the selected range.
+            </p>
+          )}
+
+          {preview.skipped.length > 0 && (
+            <div className="mt-4 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-4">
+              <p className="text-sm text-yellow-800 dark:text-yellow-200">
+                <span className="font-semibold">Note:</span>{' '}
+                {preview.skipped.length} {preview.skipped.length === 1 ? 'card was' : 'cards were'} reviewed
+                again after this range and will be left unchanged.
+              </p>
+            </div>
+          )}
+
+          {cardCount > 0 && (
+            <p className="mt-4 text-sm text-red-600 dark:text-red-400">
+              This action cannot be undone.
+            </p>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end space-x-3 px-6 py-4 bg-gray-50 dark:bg-gray-750 border-t border-gray-200 dark:border-gray-700">
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn-secondary"
+            disabled={loading}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={onConfirm}
+            className="btn bg-red-600 text-white hover:bg-red-700 focus:ring-red-500"
+            disabled={loading || cardCount === 0}
+          >
+            {loading ? (
+              <>
+                <LoadingSpinner size="sm" className="mr-2" />
+                Resetting...
+              </>
+            ) : (
+              'Reset Progress'
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ResetProgressDialog
@@ -0,0 +1,29 @@
+import React from 'react'
+import { Link } from 'react-router-dom'
+import { Library } from 'lucide-react'
+import { cn, getSourceTitle } from '@/lib/utils'
+
+// The analyzed source a word was saved from and the sentence it appeared in
+const WordFoundIn = ({ source, sentence, showSentence = true, className }) => {
+  if (!source) return null
+
+  return (
+    <div className={cn('text-xs min-w-0', className)}>
+      <Link
+        to={`/sources/${source.id}`}
+        onClick={(e) => e.stopPropagation()}
+        className="inline-flex items-center max-w-full text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300"
+      >
+        <Library className="h-3 w-3 mr-1 flex-shrink-0" />
+        <span className="truncate">Found in {getSourceTitle(source)}</span>
+      </Link>
+      {showSentence && sentence && (
+        <p className="mt-0.5 text-gray-500 dark:text-gray-400 italic">
+          &ldquo;{sentence}&rdquo;
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default WordFoundIn
@@ -0,0 +1,124 @@
+import React, { useState } from 'react'
+import { wordsAPI } from '@/lib/api'
+import { cn, getCefrColor, getWordTranslation } from '@/lib/utils'
+import { useNativeLanguage } from '@/contexts/LanguageContext'
+import LoadingSpinner from '@/components/UI/LoadingSpinner'
+import toast from 'react-hot-toast'
+
+// Request sense from a saved sense row, its id keeps the row and its flashcard
+const toSenseInput = (sense) => ({
+  id: sense.id,
+  partOfSpeech: sense.part_of_speech || '',
+  definition: sense.definition,
+  exampleSentence: sense.example_sentence || '',
+  cefrLevel: sense.cefr_level || '',
+  translations: sense.translations || {},
+  study: sense.is_studied,
+})
+
+// The meanings of a word, each studied meaning gets a flashcard of its own
+const WordSenses = ({ word, onSaved }) => {
+  const { nativeLanguage } = useNativeLanguage()
+  const [studied, setStudied] = useState(() => new Set(
+    (word.senses || []).filter(sense => sense.is_studied).map(sense => sense.id)
+  ))
+  const [saving, setSaving] = useState(false)
+
+  const senses = word.senses || []
+  const changed = senses.some(sense => sense.is_studied !== studied.has(sense.id))
+
+  const toggleSense = (senseId) => {
+    setStudied(prev => {
+      const next = new Set(prev)
+      next.has(senseId) ? next.delete(senseId) : next.add(senseId)
+      return next
+    })
+  }
+
+  const saveSenses = async () => {
+    if (studied.size === 0) {
+      toast.error('Choose at least one meaning to study')
+      return
+    }
+
+    const dropped = senses.filter(sense => sense.is_studied && !studied.has(sense.id))
+    if (dropped.length > 0 && !confirm('Meanings you stop studying lose their flashcard and its review history. Continue?')) {
+      return
+    }
+
+    try {
+      setSaving(true)
+      const response = await wordsAPI.updateSenses(word.id, senses.map(sense => ({
+        ...toSenseInput(sense),
+        study: studied.has(sense.id),
+      })))
+      toast.success(response.data.message)
+      onSaved?.(response.data.senses)
+    } catch (error) {
+      toast.error(error.message || 'Failed to save meanings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        Choose the meanings of <span className="font-medium">{word.word}</span> to study. Each one gets its own flashcard.
+      </p>
+      <ul className="space-y-2">
+        {senses.map((sense, index) => (
+          <li key={sense.id}>
+            <label className={cn(
+              'flex items-start gap-3 p-3 rounded-lg border cursor-pointer',
+              studied.has(sense.id)
+                ? 'border-blue-300 bg-blue-50 dark:border-blue-700 dark:bg-blue-900/20'
+                : 'border-gray-200 dark:border-gray-700'
+            )}>
+              <input
+                type="checkbox"
+                checked={studied.has(sense.id)}
+                onChange={() => toggleSense(sense.id)}
+                className="mt-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <div className="min-w-0 flex-1">
+                <div className="flex flex-wrap items-center gap-2 text-xs">
+                  <span className="text-gray-500 dark:text-gray-400">{index + 1}.</span>
+                  {sense.part_of_speech && (
+                    <span className="text-blue-600 dark:text-blue-400">{sense.part_of_speech}</span>
+                  )}
+                  {sense.cefr_level && (
+                    <span className={cn('px-2 py-0.5 rounded-full font-medium', getCefrColor(sense.cefr_level))}>
+                      {sense.cefr_level}
+                    </span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-900 dark:text-white">{sense.definition}</p>
+                {getWordTranslation(sense, nativeLanguage) && (
+                  <p className="text-sm text-gray-600 dark:text-gray-300">{getWordTranslation(sense, nativeLanguage)}</p>
+                )}
+                {sense.example_sentence && (
+                  <p className="text-sm text-gray-500 dark:text-gray-400 italic">&ldquo;{sense.example_sentence}&rdquo;</p>
+                )}
+              </div>
+            </label>
+          </li>
+        ))}
+      </ul>
+      <div className="flex justify-end">
+        <button onClick={saveSenses} disabled={!changed || saving} className="btn-primary">
+          {saving ? (
+            <span className="flex items-center">
+              <LoadingSpinner size="sm" className="mr-2" />
+              Saving...
+            </span>
+          ) : (
+            'Save Meanings'
+          )}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default WordSenses
@@ -0,0 +1,43 @@
+import React from 'react'
+import { Play } from 'lucide-react'
+import { cn, formatTimestamp, getWordSourceUrl } from '@/lib/utils'
+
+// Timestamp and title of the video or subtitle file a word was found in
+const WordSourceLink = ({ source, className }) => {
+  if (!source) return null
+
+  const url = getWordSourceUrl(source)
+  const label = `${formatTimestamp(source.start)} · ${source.title || source.filename || 'Source'}`
+  const content = (
+    <>
+      <Play className="h-3 w-3 mr-1 flex-shrink-0" />
+      <span className="truncate">{label}</span>
+    </>
+  )
+
+  if (!url) {
+    return (
+      <span
+        title={source.text}
+        className={cn('inline-flex items-center max-w-full text-xs text-gray-500 dark:text-gray-400', className)}
+      >
+        {content}
+      </span>
+    )
+  }
+
+  return (
+    <a
+      href={url}
+      target="_blank"
+      rel="noopener noreferrer"
+      title={source.text}
+      onClick={(e) => e.stopPropagation()}
+      className={cn('inline-flex items-center max-w-full text-xs text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300', className)}
+    >
+      {content}
+    </a>
+  )
+}
+
+export default WordSourceLink
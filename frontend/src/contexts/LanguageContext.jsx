@@ -0,0 +1,51 @@
+import React, { createContext, useContext, useState, useEffect } from 'react'
+import { profileAPI } from '@/lib/api'
+import { DEFAULT_NATIVE_LANGUAGE, getLanguageName } from '@/lib/utils'
+import { useAuth } from './AuthContext'
+
+const LanguageContext = createContext(null)
+
+// The learner's native language from their profile, translations are shown in it.
+// The languages to choose from come from the backend (backend/src/config/languages.js)
+export const LanguageProvider = ({ children }) => {
+  const { user } = useAuth()
+  const [nativeLanguage, setNativeLanguage] = useState(DEFAULT_NATIVE_LANGUAGE)
+  const [languages, setLanguages] = useState([])
+
+  useEffect(() => {
+    if (!user) return
+
+    profileAPI.getProfile()
+      .then(response => {
+        setNativeLanguage(response.data.profile.native_language || DEFAULT_NATIVE_LANGUAGE)
+        setLanguages(response.data.nativeLanguages || [])
+      })
+      .catch(err => console.error('Fetch native language error:', err))
+  }, [user?.id])
+
+  const updateNativeLanguage = async (language) => {
+    await profileAPI.updateNativeLanguage(language)
+    setNativeLanguage(language)
+  }
+
+  const value = {
+    nativeLanguage,
+    languages,
+    languageName: getLanguageName(languages, nativeLanguage),
+    updateNativeLanguage
+  }
+
+  return (
+    <LanguageContext.Provider value={value}>
+      {children}
+    </LanguageContext.Provider>
+  )
+}
+
+export const useNativeLanguage = () => {
+  const context = useContext(LanguageContext)
+  if (!context) {
+    throw new Error('useNativeLanguage must be used within a LanguageProvider')
+  }
+  return context
+}
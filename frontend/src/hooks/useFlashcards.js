@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { flashcardAPI } from '../lib/api';
 
 export const useFlashcards = () => {
@@ -16,6 +16,15 @@ export const useFlashcards = () => {
   const [nextCard, setNextCard] = useState(null);
   const [isPreloading, setIsPreloading] = useState(false);
 
+  // Reviews submitted this session, most recent last, kept so they can be undone one by one
+  const reviewStackRef = useRef([]);
+  const [undoableReviews, setUndoableReviews] = useState(0);
+
+  const pushReview = (review) => {
+    reviewStackRef.current.push(review);
+    setUndoableReviews(reviewStackRef.current.length);
+  };
+
   // Fetch more cards when needed (for pre-loading)
   const fetchMoreCards = async () => {
     if (isPreloading) return []; // Prevent concurrent fetches
@@ -100,6 +109,8 @@ export const useFlashcards = () => {
 
       const response = await flashcardAPI.startSession();
       setCurrentSession(response.data.session);
+      reviewStackRef.current = [];
+      setUndoableReviews(0);
 
       // Fetch due cards after starting session with current quiz mode
       // Pass groups directly to avoid race condition with state update
@@ -173,14 +184,16 @@ export const useFlashcards = () => {
       }
 
       // BACKGROUND: Submit rating to API (don't wait for response)
-      flashcardAPI.reviewCard(cardId, {
+      const request = flashcardAPI.reviewCard(cardId, {
         rating,
         responseTime
-      }).catch(err => {
+      }).then(response => response.data.reviewId).catch(err => {
         console.error('Failed to review card (background):', err);
         // Could show a notification here that the rating wasn't saved
         // but don't block the user experience
+        return null;
       });
+      pushReview({ cardId, card: currentCard, request });
 
       return true; // Return immediately for instant feedback
     } catch (err) {
@@ -190,7 +203,80 @@ export const useFlashcards = () => {
     }
   };
 
-  // Skip a card without rating it (with instant next card switching)
+  // Undo the last review and show its card again
+  const undoLastReview = async () => {
+    const lastReview = reviewStackRef.current.pop();
+    if (!lastReview) return null;
+
+    try {
+      setError(null);
+      setUndoableReviews(reviewStackRef.current.length);
+
+      // Wait for the background submission to get the review id.
+      // A rating that was never saved left the card as it was, so it is just shown again
+      const reviewId = await lastReview.request;
+      let restoredCard = lastReview.card;
+      if (reviewId) {
+        const response = await flashcardAPI.undoReview(reviewId);
+        restoredCard = {
+          ...response.data.card,
+          nextIntervals: response.data.nextIntervals,
+        };
+      }
+
+      // Put the restored card in front of the current one
+      setDueCards(prev => [
+        ...prev.slice(0, currentCardIndex),
+        restoredCard,
+        ...prev.slice(currentCardIndex),
+      ]);
+      setNextCard(currentCard);
+      setCurrentCard(restoredCard);
+
+      return restoredCard;
+    } catch (err) {
+      console.error('Failed to undo review:', err);
+      // Keep the review so undoing it can be tried again, unless the server refused it
+      if (!err.response || err.response.status >= 500) {
+        reviewStackRef.current.push(lastReview);
+        setUndoableReviews(reviewStackRef.current.length);
+      }
+      setError(err.message);
+      return null;
+    }
+  };
+
+  // Grade a typed answer and review the card with the rating it earns, staying on the card to show the result
+  const answerCard = async (cardId, answer, responseTime) => {
+    try {
+      setError(null);
+
+      const response = await flashcardAPI.answerCard(cardId, { answer, responseTime });
+      pushReview({ cardId, card: currentCard, request: Promise.resolve(response.data.reviewId) });
+
+      return response.data;
+    } catch (err) {
+      console.error('Failed to answer card:', err);
+      setError(err.message);
+      return null;
+    }
+  };
+
+  // Score a recording of the card's word or example sentence, staying on the card to show the result.
+  // The first attempt reviews the card with the rating its score earns, retries are practice.
+  // Errors are thrown so the reason (e.g. no speech recognition on the server) can be shown
+  const submitPronunciation = async (cardId, recording, { source = 'word', responseTime, review = true } = {}) => {
+    setError(null);
+
+    const response = await flashcardAPI.submitPronunciation(cardId, recording, { source, responseTime, review });
+    if (review) {
+      pushReview({ cardId, card: currentCard, request: Promise.resolve(response.data.reviewId) });
+    }
+
+    return response.data;
+  };
+
+  // Skip a card without rating it (with instant next card switching), also moves on after a typed answer or recording
   const skipCard = () => {
     try {
       setError(null);
@@ -320,6 +406,10 @@ export const useFlashcards = () => {
     startSession,
     endSession,
     reviewCard,
+    answerCard,
+    submitPronunciation,
+    undoLastReview,
+    canUndoReview: undoableReviews > 0,
     skipCard,
     getQuizQuestions,
     submitQuizAnswer,
@@ -1,29 +1,36 @@
 import axios from 'axios'
 
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001/api'
+
 // Create axios instance with default config
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || 'http://localhost:5001/api',
+  baseURL: API_URL,
   timeout: 120000, // Increased to 2 minutes for content analysis
   headers: {
     'Content-Type': 'application/json',
   },
 })
 
+// Get token from Supabase auth
+const getAccessToken = async () => {
+  if (typeof window === 'undefined') return null
+
+  const { createClient } = await import('@supabase/supabase-js')
+  const supabase = createClient(
+    import.meta.env.VITE_SUPABASE_URL,
+    import.meta.env.VITE_SUPABASE_ANON_KEY
+  )
+
+  const { data: { session } } = await supabase.auth.getSession()
+  return session?.access_token || null
+}
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
   async (config) => {
-    // Get token from Supabase auth
-    if (typeof window !== 'undefined') {
-      const { createClient } = await import('@supabase/supabase-js')
-      const supabase = createClient(
-        import.meta.env.VITE_SUPABASE_URL,
-        import.meta.env.VITE_SUPABASE_ANON_KEY
-      )
-
-      const { data: { session } } = await supabase.auth.getSession()
-      if (session?.access_token) {
-        config.headers.Authorization = `Bearer ${session.access_token}`
-      }
+    const token = await getAccessToken()
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`
     }
     return config
   },
@@ -36,7 +43,10 @@ api.interceptors.request.use(
 api.interceptors.response.use(
   (response) => response,
   (error) => {
-    const message = error.response?.data?.error || error.message || 'Something went wrong'
+    const data = error.response?.data
+    // Quota errors carry a code in `error` and the readable text in `message`
+    const message = (data?.error === 'quota_exceeded' && data.message) ||
+      data?.error || error.message || 'Something went wrong'
 
     // Handle 401 errors (unauthorized)
     if (error.response?.status === 401) {
@@ -106,10 +116,53 @@ export const wordsAPI = {
   bulkOperation: (data) =>
     api.post('/words/bulk', data),
 
+  rebuildFamilies: () =>
+    api.post('/words/families/rebuild'),
+
+  updateSenses: (id, senses) =>
+    api.put(`/words/${id}/senses`, { senses }),
+
   generateQuizQuestions: (data) =>
     api.post('/words/generate-quiz-questions', data),
 }
 
+// Error of a failed fetch request, matching the axios interceptor above
+const getStreamError = async (response) => {
+  const data = await response.json().catch(() => ({}))
+  if (response.status === 401) {
+    window.dispatchEvent(new CustomEvent('auth:unauthorized'))
+  }
+  return new Error((data.error === 'quota_exceeded' && data.message) || data.error || 'Something went wrong')
+}
+
+// Read a Server-Sent Events response, calling onEvent with each parsed event
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+    const events = buffer.split('\n\n')
+    buffer = events.pop()
+
+    events.forEach((event) => {
+      const data = event
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n')
+
+      if (data && onEvent) {
+        onEvent(JSON.parse(data))
+      }
+    })
+  }
+}
+
 export const aiAPI = {
   analyzeWord: (word, options = {}) =>
     api.post('/ai/analyze-word', { word, ...options }),
@@ -134,14 +187,99 @@ export const aiAPI = {
     }
   },
 
-  chat: (message, conversationId) =>
-    api.post('/ai/chat', { message, conversationId }),
+  // Reads an uploaded file without analyzing it, e.g. for the chapter list of an EPUB
+  inspectFile: (file) => {
+    const formData = new FormData()
+    formData.append('file', file)
+    return api.post('/ai/inspect-file', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      timeout: 180000,
+    })
+  },
+
+  // Background analysis of the whole content, data is { url }, { text } or a FormData with the file
+  createAnalysisJob: (data) => {
+    if (data instanceof FormData) {
+      return api.post('/ai/jobs', data, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        timeout: 180000, // 3 minutes for file uploads
+      })
+    }
+    return api.post('/ai/jobs', data)
+  },
+
+  getAnalysisJob: (id, includeContent = false) =>
+    api.get(`/ai/jobs/${id}`, { params: { includeContent } }),
+
+  cancelAnalysisJob: (id) =>
+    api.post(`/ai/jobs/${id}/cancel`),
+
+  // Streams snapshot / progress / done events of a job until it finishes
+  watchAnalysisJob: async (id, { onEvent, signal } = {}) => {
+    const token = await getAccessToken()
+    const response = await fetch(`${API_URL}/ai/jobs/${id}/events`, {
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      signal,
+    })
+
+    if (!response.ok) {
+      throw await getStreamError(response)
+    }
+
+    await readEventStream(response, onEvent)
+  },
+
+  chat: (message, conversationId, context) =>
+    api.post('/ai/chat', { message, conversationId, context }),
+
+  // Streams the reply over Server-Sent Events, calling onEvent for each
+  // start / chunk / complete / error event. axios cannot read a response
+  // body incrementally in the browser, so this uses fetch directly.
+  chatStream: async (message, conversationId, { context, onEvent, signal } = {}) => {
+    const token = await getAccessToken()
+    const response = await fetch(`${API_URL}/ai/chat-stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: JSON.stringify({ message, conversationId, context }),
+      signal,
+    })
+
+    if (!response.ok) {
+      throw await getStreamError(response)
+    }
+
+    await readEventStream(response, onEvent)
+  },
+
+  getConversations: () =>
+    api.get('/ai/conversations'),
+
+  getConversation: (id) =>
+    api.get(`/ai/conversations/${id}`),
+
+  renameConversation: (id, title) =>
+    api.put(`/ai/conversations/${id}`, { title }),
+
+  deleteConversation: (id) =>
+    api.delete(`/ai/conversations/${id}`),
 
   getConfig: () =>
     api.get('/ai/config'),
 
   testConnection: () =>
     api.post('/ai/test-connection'),
+
+  getUsage: (days = 30) =>
+    api.get('/ai/usage', { params: { days } }),
 }
 
 export const profileAPI = {
@@ -162,6 +300,12 @@ export const profileAPI = {
 
   updateCefrLevel: (cefrLevel) =>
     api.put('/profile/cefr-level', { cefrLevel }),
+
+  updateNativeLanguage: (nativeLanguage) =>
+    api.put('/profile/native-language', { nativeLanguage }),
+
+  updateScheduling: (data) =>
+    api.put('/profile/scheduling', data),
 }
 
 export const flashcardAPI = {
@@ -174,6 +318,9 @@ export const flashcardAPI = {
   getProgress: (days = 30) =>
     api.get('/flashcards/progress', { params: { days } }),
 
+  getWorkload: () =>
+    api.get('/flashcards/workload'),
+
   startSession: () =>
     api.post('/flashcards/session/start'),
 
@@ -183,6 +330,24 @@ export const flashcardAPI = {
   reviewCard: (cardId, data) =>
     api.post(`/flashcards/${cardId}/review`, data),
 
+  answerCard: (cardId, data) =>
+    api.post(`/flashcards/${cardId}/answer`, data),
+
+  // recording is a 16 kHz mono WAV blob, data is { source, responseTime, review }
+  submitPronunciation: (cardId, recording, data = {}) => {
+    const formData = new FormData()
+    formData.append('audio', recording, 'recording.wav')
+    Object.entries(data).forEach(([key, value]) => formData.append(key, value))
+    return api.post(`/flashcards/${cardId}/pronunciation`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    })
+  },
+
+  undoReview: (reviewId) =>
+    api.post(`/flashcards/reviews/${reviewId}/undo`),
+
   getQuizQuestions: (cardId, params = {}) =>
     api.get(`/flashcards/${cardId}/quiz`, { params }),
 
@@ -194,6 +359,12 @@ export const flashcardAPI = {
 
   deleteQuizQuestion: (questionId) =>
     api.delete(`/flashcards/quiz-questions/${questionId}`),
+
+  optimizeParameters: () =>
+    api.post('/flashcards/optimize'),
+
+  resetProgress: (data) =>
+    api.post('/flashcards/reset', data),
 }
 
 export const groupsAPI = {
@@ -223,4 +394,28 @@ export const groupsAPI = {
   },
 }
 
-export default api
\ No newline at end of file
+export default api
+export const sourcesAPI = {
+  getAll: async (params = {}) => {
+    const response = await api.get('/sources', { params })
+    return response.data
+  },
+
+  getById: async (id) => {
+    const response = await api.get(`/sources/${id}`)
+    return response.data
+  },
+
+  delete: async (id) => {
+    const response = await api.delete(`/sources/${id}`)
+    return response.data
+  },
+}
+
+export const audioAPI = {
+  // Spoken word or example sentence, synthesized and cached by the backend
+  getWordAudio: async (wordId, params = {}) => {
+    const response = await api.get(`/audio/${wordId}`, { params, responseType: 'blob' })
+    return response.data
+  },
+}
@@ -0,0 +1,38 @@
+import { audioAPI } from './api'
+
+// Object URLs of the clips fetched so far, a replay doesn't download the clip again
+const clipUrls = new Map()
+
+let currentAudio = null
+
+function speakInBrowser(text, rate) {
+  if (!text || !('speechSynthesis' in window)) return
+
+  speechSynthesis.cancel()
+  const utterance = new SpeechSynthesisUtterance(text)
+  utterance.lang = 'en-US'
+  utterance.rate = rate === 'slow' ? 0.6 : 0.9
+  speechSynthesis.speak(utterance)
+}
+
+/**
+ * Play the server's audio of a word or its example sentence
+ * Falls back to the browser's speech synthesis of fallbackText when the server has no TTS engine
+ */
+export async function playWordAudio(wordId, { source = 'word', rate = 'normal', fallbackText = '' } = {}) {
+  const key = `${wordId}:${source}:${rate}`
+
+  try {
+    if (!clipUrls.has(key)) {
+      const clip = await audioAPI.getWordAudio(wordId, { source, rate })
+      clipUrls.set(key, URL.createObjectURL(clip))
+    }
+
+    currentAudio?.pause()
+    currentAudio = new Audio(clipUrls.get(key))
+    await currentAudio.play()
+  } catch (error) {
+    console.warn('Server audio unavailable, using browser speech:', error.message)
+    speakInBrowser(fallbackText, rate)
+  }
+}
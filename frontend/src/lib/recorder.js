@@ -0,0 +1,87 @@
+// Speech recognition on the server reads 16 kHz mono WAV
+const SAMPLE_RATE = 16000
+
+export function isRecordingSupported() {
+  return Boolean(navigator.mediaDevices?.getUserMedia && window.MediaRecorder && window.OfflineAudioContext)
+}
+
+function encodeWav(samples, sampleRate) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2)
+  const view = new DataView(buffer)
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i))
+  }
+
+  writeString(0, 'RIFF')
+  view.setUint32(4, 36 + samples.length * 2, true)
+  writeString(8, 'WAVE')
+  writeString(12, 'fmt ')
+  view.setUint32(16, 16, true) // PCM header size
+  view.setUint16(20, 1, true) // PCM
+  view.setUint16(22, 1, true) // Mono
+  view.setUint32(24, sampleRate, true)
+  view.setUint32(28, sampleRate * 2, true) // Bytes per second
+  view.setUint16(32, 2, true) // Bytes per sample
+  view.setUint16(34, 16, true) // Bits per sample
+  writeString(36, 'data')
+  view.setUint32(40, samples.length * 2, true)
+
+  samples.forEach((sample, index) => {
+    const clamped = Math.max(-1, Math.min(1, sample))
+    view.setInt16(44 + index * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true)
+  })
+
+  return new Blob([view], { type: 'audio/wav' })
+}
+
+// Browsers record compressed audio at their own rate, decode it and resample to 16 kHz mono
+async function toWav(recording) {
+  const audioContext = new AudioContext()
+  try {
+    const decoded = await audioContext.decodeAudioData(await recording.arrayBuffer())
+    const length = Math.max(1, Math.ceil(decoded.duration * SAMPLE_RATE))
+    const offlineContext = new OfflineAudioContext(1, length, SAMPLE_RATE)
+    const source = offlineContext.createBufferSource()
+    source.buffer = decoded
+    source.connect(offlineContext.destination)
+    source.start()
+
+    const rendered = await offlineContext.startRendering()
+    return encodeWav(rendered.getChannelData(0), SAMPLE_RATE)
+  } finally {
+    audioContext.close()
+  }
+}
+
+/**
+ * Start recording from the microphone
+ * @returns {Promise<Object>} { stop, cancel }, stop() resolves to the recording as a WAV blob
+ */
+export async function startRecording() {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+  const mediaRecorder = new MediaRecorder(stream)
+  const chunks = []
+
+  mediaRecorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data)
+  }
+
+  const stopped = new Promise((resolve) => {
+    mediaRecorder.onstop = () => {
+      stream.getTracks().forEach((track) => track.stop())
+      resolve(new Blob(chunks, { type: mediaRecorder.mimeType }))
+    }
+  })
+
+  mediaRecorder.start()
+
+  return {
+    stop: async () => {
+      if (mediaRecorder.state !== 'inactive') mediaRecorder.stop()
+      return toWav(await stopped)
+    },
+    cancel: () => {
+      if (mediaRecorder.state !== 'inactive') mediaRecorder.stop()
+    },
+  }
+}
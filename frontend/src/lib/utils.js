@@ -232,4 +232,118 @@ export function compareQuizAnswers(userAnswer, correctAnswer) {
   const normalizedUser = normalizeQuizAnswer(userAnswer)
   const normalizedCorrect = normalizeQuizAnswer(correctAnswer)
   return normalizedUser === normalizedCorrect
-}
\ No newline at end of file
+}
+export function formatTimestamp(seconds) {
+  const total = Math.floor(seconds || 0)
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const secs = String(total % 60).padStart(2, '0')
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`
+}
+
+// Source reference saved with a word found in a YouTube video or subtitle file
+export function buildWordSource(item, sourceInfo) {
+  if (!item.cue || !sourceInfo) return undefined
+
+  const cue = {
+    start: item.cue.start,
+    end: item.cue.end,
+    text: (item.cue.text || '').slice(0, 1000),
+    title: sourceInfo.title || '',
+  }
+
+  if (sourceInfo.videoId) {
+    return { type: 'youtube', url: sourceInfo.url, videoId: sourceInfo.videoId, ...cue }
+  }
+  if (sourceInfo.filename) {
+    return { type: 'subtitle', filename: sourceInfo.filename, ...cue }
+  }
+  return undefined
+}
+
+// Deep link to the moment a word was spoken, only YouTube sources can be opened
+export function getWordSourceUrl(source) {
+  if (source?.type !== 'youtube' || !source.videoId) return null
+  return `https://www.youtube.com/watch?v=${source.videoId}&t=${Math.floor(source.start)}s`
+}
+
+const SOURCE_TYPE_LABELS = {
+  website: 'Website',
+  youtube: 'YouTube video',
+  file: 'File',
+  text: 'Pasted text',
+}
+
+// Display name of an analyzed source (see sourcesAPI)
+export function getSourceTitle(source) {
+  if (!source) return ''
+  return source.title || source.filename || source.url || SOURCE_TYPE_LABELS[source.source_type] || 'Source'
+}
+
+export function getSourceTypeLabel(type) {
+  return SOURCE_TYPE_LABELS[type] || 'Source'
+}
+
+// Native language until the profile is loaded, the list of languages comes with the profile
+export const DEFAULT_NATIVE_LANGUAGE = 'vi'
+
+// Name of a language in a list of { code, name }, the code until the list is loaded
+export function getLanguageName(languages, code) {
+  return languages.find(language => language.code === code)?.name || code
+}
+
+// Translation of a saved word in the given language
+export function getWordTranslation(word, language) {
+  return word?.translations?.[language] || ''
+}
+
+// Word as studied by a sense card: the sense's meaning over the word's own
+export function applyWordSense(word, sense) {
+  if (!sense) return word
+
+  return {
+    ...word,
+    word_type: sense.part_of_speech || word.word_type,
+    definition: sense.definition,
+    example_sentence: sense.example_sentence,
+    cefr_level: sense.cefr_level || word.cefr_level,
+    translations: { ...word.translations, ...sense.translations },
+  }
+}
+
+// Directions a word can be studied in, matching backend/src/config/cardTemplates.js
+export const CARD_TEMPLATES = [
+  { id: 'recognition', name: 'Word to meaning', description: 'See the word, recall what it means' },
+  { id: 'production', name: 'Meaning to typed word', description: 'Read the definition, type the word' },
+  { id: 'translation', name: 'Translation to word', description: 'See the word in your language, recall the English' },
+  { id: 'audio', name: 'Audio to word', description: 'Hear the word, recall it and its meaning' },
+]
+
+export const DEFAULT_CARD_TEMPLATES = ['recognition']
+
+// Quiz question types answered by typing, graded by the server
+export const TYPED_QUIZ_TYPES = ['fill_blank', 'listening', 'word_formation']
+
+// Quiz question types graded by the server before the result shows
+export const SERVER_GRADED_QUIZ_TYPES = [...TYPED_QUIZ_TYPES, 'matching']
+
+// Questions answered by picking one of their options
+export function isChoiceQuestion(question) {
+  return Boolean(question) &&
+    !SERVER_GRADED_QUIZ_TYPES.includes(question.question_type) &&
+    Array.isArray(question.options) &&
+    question.options.length > 0
+}
+
+// Verdicts of a typed answer graded by the server (see backend/src/services/answerGrader.js)
+const ANSWER_VERDICT_LABELS = {
+  exact: 'Correct!',
+  spelling: 'Correct, in another spelling',
+  inflection: 'Correct, in another form of the word',
+  typo: 'Almost, mind the spelling',
+  wrong: 'Incorrect',
+}
+
+export function getAnswerVerdictLabel(verdict) {
+  return ANSWER_VERDICT_LABELS[verdict] || ANSWER_VERDICT_LABELS.wrong
+}
@@ -8,6 +8,7 @@ import App from './App.jsx'
 import { AuthProvider } from './contexts/AuthContext.jsx'
 import { ThemeProvider } from './contexts/ThemeContext.jsx'
 import { GroupsProvider } from './contexts/GroupsContext.jsx'
+import { LanguageProvider } from './contexts/LanguageContext.jsx'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
@@ -17,7 +18,9 @@ ReactDOM.createRoot(document.getElementById('root')).render(
         <ThemeProvider>
           <AuthProvider>
             <GroupsProvider>
-              <App />
+              <LanguageProvider>
+                <App />
+              </LanguageProvider>
               <Toaster
                 position="top-right"
                 toastOptions={{
@@ -126,6 +126,9 @@ const QuizQuestions = () => {
       case 'definition_choice': return 'Choose Definition';
       case 'synonym_choice': return 'Choose Synonym';
       case 'context_choice': return 'Choose Context';
+      case 'collocation_choice': return 'Collocation';
+      case 'word_formation': return 'Word Formation';
+      case 'matching': return 'Matching';
       default: return type;
     }
   };
@@ -136,6 +139,9 @@ const QuizQuestions = () => {
       case 'definition_choice': return 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400';
       case 'synonym_choice': return 'bg-purple-100 text-purple-800 dark:bg-purple-900/20 dark:text-purple-400';
       case 'context_choice': return 'bg-orange-100 text-orange-800 dark:bg-orange-900/20 dark:text-orange-400';
+      case 'collocation_choice': return 'bg-teal-100 text-teal-800 dark:bg-teal-900/20 dark:text-teal-400';
+      case 'word_formation': return 'bg-pink-100 text-pink-800 dark:bg-pink-900/20 dark:text-pink-400';
+      case 'matching': return 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900/20 dark:text-indigo-400';
       default: return 'bg-gray-100 text-gray-800 dark:bg-gray-900/20 dark:text-gray-400';
     }
   };
@@ -167,6 +173,9 @@ const QuizQuestions = () => {
     { value: 'definition_choice', label: 'Choose Definition' },
     { value: 'synonym_choice', label: 'Choose Synonym' },
     { value: 'context_choice', label: 'Choose Context' },
+    { value: 'collocation_choice', label: 'Collocation' },
+    { value: 'word_formation', label: 'Word Formation' },
+    { value: 'matching', label: 'Matching' },
   ];
 
   if (loading) {
@@ -389,8 +398,27 @@ const QuizQuestions = () => {
                       {/* Expanded Details */}
                       {isExpanded && (
                         <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700 space-y-3">
+                          {/* Pairs of a matching exercise */}
+                          {question.question_type === 'matching' && question.options?.length > 0 && (
+                            <div>
+                              <div className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                Pairs:
+                              </div>
+                              <div className="space-y-1">
+                                {question.options.map((pair, index) => (
+                                  <div
+                                    key={index}
+                                    className="text-sm p-2 rounded bg-gray-50 text-gray-700 dark:bg-gray-800 dark:text-gray-300"
+                                  >
+                                    <span className="font-medium">{pair.word}</span>: {pair.definition}
+                                  </div>
+                                ))}
+                              </div>
+                            </div>
+                          )}
+
                           {/* Options */}
-                          {question.options && question.options.length > 0 && (
+                          {question.question_type !== 'matching' && question.options && question.options.length > 0 && (
                             <div>
                               <div className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                                 Options:
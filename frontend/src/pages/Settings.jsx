@@ -1,8 +1,12 @@
 import React, { useState, useEffect } from 'react'
 import { Helmet } from 'react-helmet-async'
-import { Settings as SettingsIcon, Check, User, Target } from 'lucide-react'
-import { profileAPI } from '@/lib/api'
+import { Settings as SettingsIcon, Check, User, Target, BrainCircuit, CalendarClock, RotateCcw, Languages } from 'lucide-react'
+import { profileAPI, flashcardAPI } from '@/lib/api'
+import { useGroups } from '@/hooks/useGroups'
+import { useNativeLanguage } from '@/contexts/LanguageContext'
 import LoadingSpinner from '@/components/UI/LoadingSpinner'
+import ResetProgressDialog from '@/components/ResetProgressDialog'
+import AIUsageCard from '@/components/AIUsageCard'
 import toast from 'react-hot-toast'
 
 const CEFR_LEVELS = [
@@ -14,10 +18,53 @@ const CEFR_LEVELS = [
   { value: 'C2', label: 'C2 (~ IELTS 9.0)', description: 'Proficient' },
 ]
 
+const DEFAULT_SCHEDULING = {
+  desiredRetention: 0.9,
+  maximumInterval: 36500,
+  quizMinimumIntervalHours: 6,
+}
+
+// Linear interpolation between the workload estimates returned by the API
+const estimateDailyReviews = (estimates, retention) => {
+  if (!estimates || estimates.length === 0) return null
+  const sorted = [...estimates].sort((a, b) => a.retention - b.retention)
+  if (retention <= sorted[0].retention) return sorted[0].dailyReviews
+  for (let i = 1; i < sorted.length; i++) {
+    const lower = sorted[i - 1]
+    const upper = sorted[i]
+    if (retention <= upper.retention) {
+      const ratio = (retention - lower.retention) / (upper.retention - lower.retention)
+      return lower.dailyReviews + ratio * (upper.dailyReviews - lower.dailyReviews)
+    }
+  }
+  return sorted[sorted.length - 1].dailyReviews
+}
+
+// Local calendar date as YYYY-MM-DD, for date inputs
+const toDateInputValue = (date) => {
+  const offset = date.getTimezoneOffset() * 60000
+  return new Date(date.getTime() - offset).toISOString().split('T')[0]
+}
+
 const Settings = () => {
+  const { groups } = useGroups()
+  const { nativeLanguage, languages, updateNativeLanguage: changeNativeLanguage } = useNativeLanguage()
   const [profile, setProfile] = useState(null)
   const [loading, setLoading] = useState(true)
   const [updating, setUpdating] = useState(false)
+  const [optimizing, setOptimizing] = useState(false)
+  const [optimizeResult, setOptimizeResult] = useState(null)
+  const [scheduling, setScheduling] = useState(DEFAULT_SCHEDULING)
+  const [workload, setWorkload] = useState(null)
+  const [savingScheduling, setSavingScheduling] = useState(false)
+  const [resetForm, setResetForm] = useState(() => ({
+    fromDate: toDateInputValue(new Date()),
+    toDate: toDateInputValue(new Date()),
+    groupId: '',
+  }))
+  const [resetPreview, setResetPreview] = useState(null)
+  const [previewingReset, setPreviewingReset] = useState(false)
+  const [resetting, setResetting] = useState(false)
 
   useEffect(() => {
     loadProfile()
@@ -27,7 +74,16 @@ const Settings = () => {
     try {
       setLoading(true)
       const response = await profileAPI.getProfile()
-      setProfile(response.data.profile)
+      const loadedProfile = response.data.profile
+      setProfile(loadedProfile)
+      setScheduling({
+        desiredRetention: loadedProfile.desired_retention || DEFAULT_SCHEDULING.desiredRetention,
+        maximumInterval: loadedProfile.maximum_interval || DEFAULT_SCHEDULING.maximumInterval,
+        quizMinimumIntervalHours: loadedProfile.quiz_minimum_interval
+          ? Math.round(loadedProfile.quiz_minimum_interval * 24)
+          : DEFAULT_SCHEDULING.quizMinimumIntervalHours,
+      })
+      loadWorkload()
     } catch (error) {
       toast.error('Failed to load profile')
       console.error('Load profile error:', error)
@@ -36,6 +92,89 @@ const Settings = () => {
     }
   }
 
+  const loadWorkload = async () => {
+    try {
+      const response = await flashcardAPI.getWorkload()
+      setWorkload(response.data)
+    } catch (error) {
+      // The preview is optional, the settings still work without it
+      console.error('Load workload error:', error)
+    }
+  }
+
+  const saveScheduling = async () => {
+    try {
+      setSavingScheduling(true)
+      const response = await profileAPI.updateScheduling({
+        desiredRetention: scheduling.desiredRetention,
+        maximumInterval: scheduling.maximumInterval,
+        quizMinimumInterval: Number((scheduling.quizMinimumIntervalHours / 24).toFixed(4)),
+      })
+      setProfile(prev => ({ ...prev, ...response.data.profile }))
+      toast.success('Scheduling preferences saved!')
+      loadWorkload()
+    } catch (error) {
+      toast.error(error.message || 'Failed to save scheduling preferences')
+      console.error('Update scheduling error:', error)
+    } finally {
+      setSavingScheduling(false)
+    }
+  }
+
+  const buildResetRequest = (dryRun) => {
+    // Whole local days, from midnight of the first day to midnight after the last
+    const to = new Date(`${resetForm.toDate}T00:00:00`)
+    to.setDate(to.getDate() + 1)
+
+    return {
+      from: new Date(`${resetForm.fromDate}T00:00:00`).toISOString(),
+      to: to.toISOString(),
+      ...(resetForm.groupId && { groups: [resetForm.groupId] }),
+      dryRun,
+    }
+  }
+
+  const previewReset = async () => {
+    try {
+      setPreviewingReset(true)
+      const response = await flashcardAPI.resetProgress(buildResetRequest(true))
+      setResetPreview(response.data)
+    } catch (error) {
+      toast.error(error.message || 'Failed to preview reset')
+      console.error('Preview reset error:', error)
+    } finally {
+      setPreviewingReset(false)
+    }
+  }
+
+  const confirmReset = async () => {
+    try {
+      setResetting(true)
+      const response = await flashcardAPI.resetProgress(buildResetRequest(false))
+      toast.success(`Reset ${response.data.cards.length} cards`)
+      setResetPreview(null)
+      loadWorkload()
+    } catch (error) {
+      toast.error(error.message || 'Failed to reset progress')
+      console.error('Reset progress error:', error)
+    } finally {
+      setResetting(false)
+    }
+  }
+
+  const updateNativeLanguage = async (language) => {
+    try {
+      setUpdating(true)
+      await changeNativeLanguage(language)
+      toast.success('Native language updated successfully!')
+    } catch (error) {
+      toast.error('Failed to update native language')
+      console.error('Update native language error:', error)
+    } finally {
+      setUpdating(false)
+    }
+  }
+
   const updateCefrLevel = async (cefrLevel) => {
     try {
       setUpdating(true)
@@ -50,6 +189,29 @@ const Settings = () => {
     }
   }
 
+  const optimizeScheduler = async () => {
+    try {
+      setOptimizing(true)
+      const response = await flashcardAPI.optimizeParameters()
+      setOptimizeResult(response.data)
+      setProfile(prev => ({
+        ...prev,
+        fsrs_parameters: response.data.parameters,
+        fsrs_optimized_at: response.data.optimizedAt,
+        fsrs_review_count: response.data.reviewCount,
+      }))
+      toast.success('Review schedule personalized!')
+    } catch (error) {
+      toast.error(error.message || 'Failed to optimize review schedule')
+      console.error('Optimize FSRS error:', error)
+    } finally {
+      setOptimizing(false)
+    }
+  }
+
+  const previewReviews = estimateDailyReviews(workload?.estimates, scheduling.desiredRetention)
+  const currentReviews = estimateDailyReviews(workload?.estimates, workload?.currentRetention)
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -122,6 +284,35 @@ const Settings = () => {
           </div>
         </div>
 
+        {/* Native Language */}
+        <div className="card">
+          <div className="card-header">
+            <div className="flex items-center">
+              <Languages className="h-5 w-5 text-gray-500 dark:text-gray-400 mr-3" />
+              <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+                Native Language
+              </h3>
+            </div>
+            <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+              New words are translated into this language. Translations saved in other languages are kept
+            </p>
+          </div>
+          <div className="card-body">
+            <select
+              value={nativeLanguage}
+              onChange={(e) => updateNativeLanguage(e.target.value)}
+              disabled={updating}
+              className="form-select max-w-xs"
+            >
+              {(languages.length > 0 ? languages : [{ code: nativeLanguage, name: nativeLanguage }]).map((language) => (
+                <option key={language.code} value={language.code}>
+                  {language.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
         {/* Learning Goals */}
         <div className="card">
           <div className="card-header">
@@ -160,6 +351,226 @@ const Settings = () => {
           </div>
         </div>
 
+        {/* Review Scheduling */}
+        <div className="card">
+          <div className="card-header">
+            <div className="flex items-center">
+              <CalendarClock className="h-5 w-5 text-gray-500 dark:text-gray-400 mr-3" />
+              <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+                Review Scheduling
+              </h3>
+            </div>
+            <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+              Higher retention means you remember more, but review more often. Exam preparation suits 0.95, casual learning 0.80.
+              Retention and maximum interval apply to flashcards, quiz questions keep an 85% target and come back within 180 days
+            </p>
+          </div>
+          <div className="card-body space-y-6">
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <label htmlFor="desired-retention" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Desired retention
+                </label>
+                <span className="text-sm font-semibold text-gray-900 dark:text-white">
+                  {Math.round(scheduling.desiredRetention * 100)}%
+                </span>
+              </div>
+              <input
+                id="desired-retention"
+                type="range"
+                min="0.7"
+                max="0.97"
+                step="0.01"
+                value={scheduling.desiredRetention}
+                onChange={(e) => setScheduling(prev => ({ ...prev, desiredRetention: Number(e.target.value) }))}
+                className="w-full"
+              />
+              {previewReviews !== null && (
+                <p className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+                  About <span className="font-semibold text-gray-900 dark:text-white">{Math.round(previewReviews)}</span> reviews per day
+                  {currentReviews !== null && Math.round(currentReviews) !== Math.round(previewReviews) && (
+                    <> (currently {Math.round(currentReviews)})</>
+                  )}
+                  {' '}across your {workload.totalCards} cards
+                </p>
+              )}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="maximum-interval" className="form-label">
+                  Flashcard maximum interval (days)
+                </label>
+                <input
+                  id="maximum-interval"
+                  type="number"
+                  min="1"
+                  max="36500"
+                  value={scheduling.maximumInterval}
+                  onChange={(e) => setScheduling(prev => ({ ...prev, maximumInterval: parseInt(e.target.value) || 1 }))}
+                  className="form-input"
+                />
+              </div>
+              <div>
+                <label htmlFor="quiz-minimum-interval" className="form-label">
+                  Quiz minimum interval (hours)
+                </label>
+                <input
+                  id="quiz-minimum-interval"
+                  type="number"
+                  min="1"
+                  max="168"
+                  value={scheduling.quizMinimumIntervalHours}
+                  onChange={(e) => setScheduling(prev => ({ ...prev, quizMinimumIntervalHours: parseInt(e.target.value) || 1 }))}
+                  className="form-input"
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-end">
+              <button
+                onClick={saveScheduling}
+                disabled={savingScheduling}
+                className="btn-primary"
+              >
+                {savingScheduling && <LoadingSpinner size="sm" className="mr-2" />}
+                {savingScheduling ? 'Saving...' : 'Save Scheduling'}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Spaced Repetition Settings */}
+        <div className="card">
+          <div className="card-header">
+            <div className="flex items-center">
+              <BrainCircuit className="h-5 w-5 text-gray-500 dark:text-gray-400 mr-3" />
+              <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+                Personalized Scheduling
+              </h3>
+            </div>
+            <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+              Fit the review scheduler to your own review history so intervals match how well you actually remember
+            </p>
+          </div>
+          <div className="card-body">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+              <div className="text-sm text-gray-600 dark:text-gray-400">
+                {profile?.fsrs_optimized_at ? (
+                  <>
+                    Last optimized on{' '}
+                    <span className="font-medium text-gray-900 dark:text-white">
+                      {new Date(profile.fsrs_optimized_at).toLocaleDateString()}
+                    </span>{' '}
+                    using {profile.fsrs_review_count || 0} reviews
+                  </>
+                ) : (
+                  'Using the default scheduler. Optimize once you have at least 100 reviews.'
+                )}
+              </div>
+              <button
+                onClick={optimizeScheduler}
+                disabled={optimizing}
+                className="btn-primary"
+              >
+                {optimizing && <LoadingSpinner size="sm" className="mr-2" />}
+                {optimizing ? 'Optimizing...' : 'Optimize Now'}
+              </button>
+            </div>
+            {optimizeResult && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-4">
+                Prediction error reduced from {optimizeResult.initialLoss} to {optimizeResult.finalLoss} across {optimizeResult.cardCount} cards.
+              </p>
+            )}
+          </div>
+        </div>
+
+        {/* Reset Progress */}
+        <div className="card">
+          <div className="card-header">
+            <div className="flex items-center">
+              <RotateCcw className="h-5 w-5 text-gray-500 dark:text-gray-400 mr-3" />
+              <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+                Reset Progress
+              </h3>
+            </div>
+            <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+              Undo all flashcard reviews and quiz answers in a date range, for example to study today's cards again
+            </p>
+          </div>
+          <div className="card-body space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="reset-from" className="form-label">
+                  From
+                </label>
+                <input
+                  id="reset-from"
+                  type="date"
+                  value={resetForm.fromDate}
+                  max={resetForm.toDate}
+                  onChange={(e) => setResetForm(prev => ({ ...prev, fromDate: e.target.value }))}
+                  className="form-input"
+                />
+              </div>
+              <div>
+                <label htmlFor="reset-to" className="form-label">
+                  To
+                </label>
+                <input
+                  id="reset-to"
+                  type="date"
+                  value={resetForm.toDate}
+                  min={resetForm.fromDate}
+                  onChange={(e) => setResetForm(prev => ({ ...prev, toDate: e.target.value }))}
+                  className="form-input"
+                />
+              </div>
+              <div>
+                <label htmlFor="reset-group" className="form-label">
+                  Group
+                </label>
+                <select
+                  id="reset-group"
+                  value={resetForm.groupId}
+                  onChange={(e) => setResetForm(prev => ({ ...prev, groupId: e.target.value }))}
+                  className="form-select"
+                >
+                  <option value="">All groups</option>
+                  {groups.map((group) => (
+                    <option key={group.id} value={group.id}>
+                      {group.name}
+                    </option>
+                  ))}
+                  <option value="ungrouped">Ungrouped</option>
+                </select>
+              </div>
+            </div>
+
+            <div className="flex justify-end">
+              <button
+                onClick={previewReset}
+                disabled={previewingReset || !resetForm.fromDate || !resetForm.toDate}
+                className="btn bg-red-600 text-white hover:bg-red-700 focus:ring-red-500"
+              >
+                {previewingReset && <LoadingSpinner size="sm" className="mr-2" />}
+                {previewingReset ? 'Checking...' : 'Reset Progress...'}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <ResetProgressDialog
+          isOpen={!!resetPreview}
+          onClose={() => setResetPreview(null)}
+          preview={resetPreview}
+          onConfirm={confirmReset}
+          loading={resetting}
+        />
+
+        {/* AI Usage */}
+        <AIUsageCard />
+
         {/* Additional Settings Placeholder */}
         <div className="card">
           <div className="card-body text-center py-12">
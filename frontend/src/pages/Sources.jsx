@@ -0,0 +1,355 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { Helmet } from 'react-helmet-async'
+import { Link, useParams, useNavigate } from 'react-router-dom'
+import { Library, ArrowLeft, ExternalLink, Trash2, Globe, Youtube, FileText, Type } from 'lucide-react'
+import { sourcesAPI } from '@/lib/api'
+import { cn, formatDate, getCefrColor, getSourceTitle, getSourceTypeLabel } from '@/lib/utils'
+import LoadingSpinner from '@/components/UI/LoadingSpinner'
+import toast from 'react-hot-toast'
+
+const SOURCE_TYPES = ['website', 'youtube', 'file', 'text']
+
+const SOURCE_ICONS = {
+  website: Globe,
+  youtube: Youtube,
+  file: FileText,
+  text: Type,
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Matches the saved words in the content, inflected forms included (word, words, worded)
+const buildWordPattern = (words) => {
+  const alternatives = words
+    .map(word => word.word.trim())
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(word => escapeRegExp(word).replace(/\s+/g, '\\s+'))
+
+  if (alternatives.length === 0) return null
+  return new RegExp(`\\b(?:${alternatives.join('|')})\\w*`, 'gi')
+}
+
+// Paragraph of the source with the saved words highlighted
+const HighlightedParagraph = ({ text, pattern, wordsByText }) => {
+  if (!pattern) return <p>{text}</p>
+
+  const parts = []
+  let lastIndex = 0
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > lastIndex) {
+      parts.push(text.slice(lastIndex, match.index))
+    }
+    const word = wordsByText.find(item => match[0].toLowerCase().startsWith(item.word.toLowerCase()))
+    parts.push(
+      <mark
+        key={match.index}
+        title={word?.definition}
+        className="bg-yellow-100 dark:bg-yellow-900/40 text-gray-900 dark:text-white rounded px-0.5"
+      >
+        {match[0]}
+      </mark>
+    )
+    lastIndex = match.index + match[0].length
+  }
+  parts.push(text.slice(lastIndex))
+
+  return <p>{parts}</p>
+}
+
+const SourceReader = ({ sourceId }) => {
+  const navigate = useNavigate()
+  const [source, setSource] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadSource()
+  }, [sourceId])
+
+  const loadSource = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const response = await sourcesAPI.getById(sourceId)
+      setSource(response.data)
+    } catch (error) {
+      setError(error.message)
+      console.error('Load source error:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const deleteSource = async () => {
+    if (!confirm('Delete this source? Words saved from it are kept.')) {
+      return
+    }
+
+    try {
+      await sourcesAPI.delete(sourceId)
+      toast.success('Source deleted')
+      navigate('/sources')
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete source')
+    }
+  }
+
+  const words = source?.words || []
+  const pattern = useMemo(() => buildWordPattern(words), [source])
+  const paragraphs = useMemo(
+    () => (source?.content || '').split(/\n+/).map(text => text.trim()).filter(Boolean),
+    [source]
+  )
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  if (error || !source) {
+    return (
+      <div className="card">
+        <div className="card-body text-center py-8">
+          <p className="text-gray-600 dark:text-gray-400 mb-4">
+            {error || 'Source not found'}
+          </p>
+          <Link to="/sources" className="btn-secondary">
+            Back to sources
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <>
+      <Helmet>
+        <title>{getSourceTitle(source)} - Magic English</title>
+      </Helmet>
+
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+          <div className="min-w-0">
+            <Link
+              to="/sources"
+              className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 mb-2"
+            >
+              <ArrowLeft className="h-4 w-4 mr-1" />
+              All sources
+            </Link>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white break-words">
+              {getSourceTitle(source)}
+            </h1>
+            <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+              {getSourceTypeLabel(source.source_type)} · analyzed {formatDate(source.updated_at)} · {words.length} {words.length === 1 ? 'word' : 'words'} saved
+            </p>
+          </div>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            {source.url && (
+              <a href={source.url} target="_blank" rel="noopener noreferrer" className="btn-secondary">
+                <ExternalLink className="h-4 w-4 mr-2" />
+                Open original
+              </a>
+            )}
+            <button onClick={deleteSource} className="btn-secondary text-red-600 dark:text-red-400">
+              <Trash2 className="h-4 w-4 mr-2" />
+              Delete
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Content with the saved words highlighted */}
+          <div className="card lg:col-span-2">
+            <div className="card-body space-y-4 text-gray-700 dark:text-gray-300 leading-relaxed">
+              {paragraphs.map((text, index) => (
+                <HighlightedParagraph key={index} text={text} pattern={pattern} wordsByText={words} />
+              ))}
+            </div>
+          </div>
+
+          {/* Words saved from this source */}
+          <div className="card self-start">
+            <div className="card-header">
+              <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+                Words from this source
+              </h3>
+            </div>
+            <div className="card-body">
+              {words.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  No words saved from this source yet
+                </p>
+              ) : (
+                <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {words.map((word) => (
+                    <li key={word.id} className="py-3">
+                      <div className="flex items-center justify-between">
+                        <span className="font-medium text-gray-900 dark:text-white">{word.word}</span>
+                        {word.cefr_level && (
+                          <span className={cn('px-2 py-0.5 text-xs rounded-full', getCefrColor(word.cefr_level))}>
+                            {word.cefr_level}
+                          </span>
+                        )}
+                      </div>
+                      {word.source_sentence && (
+                        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400 italic">
+                          &ldquo;{word.source_sentence}&rdquo;
+                        </p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  )
+}
+
+const SourceList = () => {
+  const [sources, setSources] = useState([])
+  const [total, setTotal] = useState(0)
+  const [type, setType] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadSources()
+  }, [type])
+
+  const loadSources = async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const response = await sourcesAPI.getAll(type ? { type, limit: 100 } : { limit: 100 })
+      setSources(response.data)
+      setTotal(response.total)
+    } catch (error) {
+      setError(error.message)
+      console.error('Load sources error:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <>
+      <Helmet>
+        <title>Sources - Magic English</title>
+      </Helmet>
+
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+              Sources
+            </h1>
+            <p className="mt-2 text-gray-600 dark:text-gray-400">
+              Articles, videos and files you have mined for vocabulary
+            </p>
+          </div>
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="form-select mt-4 sm:mt-0 w-auto"
+          >
+            <option value="">All types</option>
+            {SOURCE_TYPES.map((sourceType) => (
+              <option key={sourceType} value={sourceType}>
+                {getSourceTypeLabel(sourceType)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : error ? (
+          <div className="card">
+            <div className="card-body text-center py-8">
+              <p className="text-gray-600 dark:text-gray-400 mb-4">{error}</p>
+              <button onClick={loadSources} className="btn-primary">
+                Try Again
+              </button>
+            </div>
+          </div>
+        ) : sources.length === 0 ? (
+          <div className="card">
+            <div className="card-body text-center py-12">
+              <Library className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+                No sources yet
+              </h3>
+              <p className="text-gray-600 dark:text-gray-400 mb-6">
+                Analyze a website, YouTube video or file on the Vocabulary page to start mining words
+              </p>
+              <Link to="/vocabulary" className="btn-primary">
+                Go to Vocabulary
+              </Link>
+            </div>
+          </div>
+        ) : (
+          <div className="card">
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {sources.map((source) => {
+                const Icon = SOURCE_ICONS[source.source_type] || Library
+                return (
+                  <li key={source.id}>
+                    <Link
+                      to={`/sources/${source.id}`}
+                      className="flex items-start px-6 py-4 hover:bg-gray-50 dark:hover:bg-gray-800"
+                    >
+                      <Icon className="h-5 w-5 text-gray-400 mt-0.5 mr-4 flex-shrink-0" />
+                      <div className="min-w-0 flex-1">
+                        <p className="font-medium text-gray-900 dark:text-white truncate">
+                          {getSourceTitle(source)}
+                        </p>
+                        {source.excerpt && (
+                          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400 line-clamp-2">
+                            {source.excerpt}
+                          </p>
+                        )}
+                        <p className="mt-1 text-xs text-gray-400">
+                          {getSourceTypeLabel(source.source_type)} · {formatDate(source.updated_at)}
+                        </p>
+                      </div>
+                      <div className="ml-4 text-right flex-shrink-0">
+                        <div className="text-lg font-semibold text-gray-900 dark:text-white">
+                          {source.wordCount}
+                        </div>
+                        <div className="text-xs text-gray-500 dark:text-gray-400">
+                          {source.wordCount === 1 ? 'word' : 'words'}
+                        </div>
+                      </div>
+                    </Link>
+                  </li>
+                )
+              })}
+            </ul>
+            {total > sources.length && (
+              <p className="px-6 py-3 text-sm text-gray-500 dark:text-gray-400 border-t border-gray-200 dark:border-gray-700">
+                Showing the {sources.length} most recent of {total} sources
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </>
+  )
+}
+
+const Sources = () => {
+  const { id } = useParams()
+  return id ? <SourceReader sourceId={id} /> : <SourceList />
+}
+
+export default Sources
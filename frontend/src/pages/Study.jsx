@@ -10,17 +10,41 @@ import {
   Check,
   HelpCircle,
   SkipForward,
+  Undo2,
 } from 'lucide-react';
+import toast from 'react-hot-toast';
 
 import { useFlashcards } from '../hooks/useFlashcards';
 import { useKeyboardShortcuts } from '../hooks/useKeyboardShortcuts';
 import { flashcardAPI } from '../lib/api';
-import { compareQuizAnswers } from '../lib/utils';
+import { applyWordSense, compareQuizAnswers, getWordTranslation, isChoiceQuestion, SERVER_GRADED_QUIZ_TYPES } from '../lib/utils';
+import { useNativeLanguage } from '../contexts/LanguageContext';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import FlashCard from '../components/Flashcards/FlashCard';
 import QuizQuestion from '../components/Flashcards/QuizQuestion';
+import TypedAnswerCard from '../components/Flashcards/TypedAnswerCard';
+import PronunciationCard from '../components/Flashcards/PronunciationCard';
+
+const STUDY_MODES = [
+  { id: 'flashcard', label: 'Flashcards' },
+  { id: 'typed', label: 'Type' },
+  { id: 'speak', label: 'Speak' },
+  { id: 'quiz', label: 'Quiz' },
+  { id: 'dictation', label: 'Dictation' },
+];
+
+// Modes that study quiz questions instead of the due cards, dictation only the listening ones
+const isQuizMode = (mode) => mode === 'quiz' || mode === 'dictation';
+
+const getQuizQuestionParams = (mode, limit, groups) => ({
+  limit,
+  includeNew: true,
+  ...(groups && { groups }),
+  ...(mode === 'dictation' && { types: 'listening' }),
+});
 
 const Study = () => {
+  const { nativeLanguage, languageName } = useNativeLanguage();
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
   const groupsParam = searchParams.get('groups');
@@ -31,6 +55,10 @@ const Study = () => {
     currentCardIndex,
     sessionStats,
     reviewCard,
+    answerCard,
+    submitPronunciation,
+    undoLastReview,
+    canUndoReview,
     skipCard,
     startSession,
     endSession,
@@ -50,7 +78,7 @@ const Study = () => {
   const [showReview, setShowReview] = useState(false);
 
   // Quiz mode state
-  const [studyMode, setStudyMode] = useState('flashcard'); // 'flashcard' or 'quiz'
+  const [studyMode, setStudyMode] = useState('flashcard'); // One of STUDY_MODES
   const [currentQuestion, setCurrentQuestion] = useState(null);
   const [quizAnswer, setQuizAnswer] = useState('');
   const [showQuizAnswer, setShowQuizAnswer] = useState(false);
@@ -58,6 +86,14 @@ const Study = () => {
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
   const [loadingQuizQuestions, setLoadingQuizQuestions] = useState(false);
   const [preloadingNextBatch, setPreloadingNextBatch] = useState(false);
+  const [quizGrade, setQuizGrade] = useState(null); // Server grading of a typed quiz answer or matching exercise
+
+  // Typed answer mode state
+  const [typedResult, setTypedResult] = useState(null);
+  const [isSubmittingAnswer, setIsSubmittingAnswer] = useState(false);
+
+  // Speaking mode state, the rated attempt with the latest one's pronunciation
+  const [speakingResult, setSpeakingResult] = useState(null);
 
   // Study session state
   const [studyStats, setStudyStats] = useState({
@@ -89,19 +125,22 @@ const Study = () => {
 
   // Set card start time when new card appears or question changes
   useEffect(() => {
-    if (currentCard && studyMode === 'flashcard') {
+    if (currentCard && !isQuizMode(studyMode)) {
       setCardStartTime(Date.now());
       setIsFlipped(false);
       setIsRatingInProgress(false);
+      setTypedResult(null);
+      setSpeakingResult(null);
     }
   }, [currentCard, studyMode]);
 
   // Set timer for quiz questions
   useEffect(() => {
-    if (studyMode === 'quiz' && currentQuestion) {
+    if (isQuizMode(studyMode) && currentQuestion) {
       setCardStartTime(Date.now());
       setShowQuizAnswer(false);
       setQuizAnswer('');
+      setQuizGrade(null);
       setIsRatingInProgress(false);
     }
   }, [currentQuestion, studyMode]);
@@ -114,13 +153,7 @@ const Study = () => {
       setPreloadingNextBatch(true);
       console.log('Preloading next batch of quiz questions...');
 
-      // Include groups filter if present
-      const params = { limit: 50, includeNew: true };
-      if (groupsParam) {
-        params.groups = groupsParam;
-      }
-
-      const response = await flashcardAPI.getAllQuizQuestions(params);
+      const response = await flashcardAPI.getAllQuizQuestions(getQuizQuestionParams(studyMode, 50, groupsParam));
 
       if (response.data.questions && response.data.questions.length > 0) {
         // Append new questions to existing ones (avoiding duplicates)
@@ -139,19 +172,13 @@ const Study = () => {
     }
   };
 
-  // Fetch all quiz questions for quiz mode with spaced repetition
-  const fetchAllQuizQuestions = async () => {
+  // Fetch all quiz questions for quiz and dictation modes with spaced repetition
+  const fetchAllQuizQuestions = async (mode = studyMode) => {
     try {
       setLoadingQuizQuestions(true);
       console.log('Fetching quiz questions...', groupsParam ? `for groups: ${groupsParam}` : 'all groups');
 
-      // Include groups filter if present
-      const params = { limit: 100, includeNew: true };
-      if (groupsParam) {
-        params.groups = groupsParam;
-      }
-
-      const response = await flashcardAPI.getAllQuizQuestions(params);
+      const response = await flashcardAPI.getAllQuizQuestions(getQuizQuestionParams(mode, 100, groupsParam));
       console.log('Quiz questions response:', response.data);
 
       if (response.data.questions && response.data.questions.length > 0) {
@@ -187,20 +214,39 @@ const Study = () => {
     setCurrentQuestion(null);
     setQuizAnswer('');
     setShowQuizAnswer(false);
+    setTypedResult(null);
+    setSpeakingResult(null);
 
-    if (mode === 'quiz') {
-      // For quiz mode, fetch all available quiz questions
+    if (isQuizMode(mode)) {
+      // For quiz modes, fetch all available quiz questions
       // Don't depend on due cards - show quiz from any vocabulary
-      await fetchAllQuizQuestions();
+      await fetchAllQuizQuestions(mode);
     } else {
-      // For flashcard mode, fetch due cards
+      // Flashcard, typed answer and speaking modes study the due cards
       await fetchDueCards(20, false);
     }
   };
 
   // Handle quiz answer submission
-  const handleQuizAnswer = (answer) => {
+  const handleQuizAnswer = async (answer) => {
     setQuizAnswer(answer);
+
+    // Typed answers and matching exercises are graded by the server before showing the result,
+    // typed answers forgiving typos and other spellings
+    if (SERVER_GRADED_QUIZ_TYPES.includes(currentQuestion?.question_type)) {
+      const responseTime = cardStartTime ? Date.now() - cardStartTime : 1000;
+      try {
+        const response = await flashcardAPI.submitQuizAnswer(currentQuestion.id, {
+          userAnswer: answer,
+          responseTime,
+          cardId: null
+        });
+        setQuizGrade(response.data.grade);
+      } catch (error) {
+        console.error('Failed to grade quiz answer:', error);
+      }
+    }
+
     setShowQuizAnswer(true);
   };
 
@@ -232,8 +278,9 @@ const Study = () => {
 
     setIsRatingInProgress(true);
 
-    const isCorrect = compareQuizAnswers(quizAnswer, currentQuestion?.correct_answer);
+    const isCorrect = quizGrade ? quizGrade.isCorrect : compareQuizAnswers(quizAnswer, currentQuestion?.correct_answer);
     const responseTime = cardStartTime ? Date.now() - cardStartTime : 1000;
+    const alreadySubmitted = Boolean(quizGrade);
 
     // Prepare data for background submission
     const questionData = { ...currentQuestion };
@@ -263,7 +310,9 @@ const Study = () => {
       setIsRatingInProgress(false);
 
       // Submit previous answer in background (non-blocking)
-      submitQuizAnswerInBackground(questionData, answerData, isCorrect);
+      if (!alreadySubmitted) {
+        submitQuizAnswerInBackground(questionData, answerData, isCorrect);
+      }
 
       // Preload more questions when we're getting close to the end (5 questions remaining)
       const questionsRemaining = allQuizQuestions.length - nextIndex;
@@ -275,7 +324,9 @@ const Study = () => {
       const fetchAndContinue = async () => {
         try {
           // Submit current answer first
-          await submitQuizAnswerInBackground(questionData, answerData, isCorrect);
+          if (!alreadySubmitted) {
+            await submitQuizAnswerInBackground(questionData, answerData, isCorrect);
+          }
 
           // Then fetch more questions
           await fetchAllQuizQuestions();
@@ -292,12 +343,111 @@ const Study = () => {
     }
   };
 
+  // Grade a typed answer on the server, which also rates the card
+  const handleTypedAnswer = async (answer) => {
+    if (!currentCard || isSubmittingAnswer) return;
+
+    setIsSubmittingAnswer(true);
+    const responseTime = cardStartTime ? Date.now() - cardStartTime : 1000;
+    const cardToReview = { ...currentCard };
+
+    try {
+      const result = await answerCard(cardToReview.id, answer, responseTime);
+      if (!result) {
+        toast.error('Could not check your answer');
+        return;
+      }
+
+      setTypedResult(result);
+      setReviewedCards(prev => [...prev, {
+        ...cardToReview,
+        userRating: result.rating,
+        wasHard: result.rating <= 2,
+        reviewedAt: new Date().toISOString(),
+        responseTime
+      }]);
+      setStudyStats(prev => ({
+        ...prev,
+        totalAnswers: prev.totalAnswers + 1,
+        correctAnswers: prev.correctAnswers + (result.grade.isCorrect ? 1 : 0),
+        newCards: prev.newCards + (cardToReview.state === 'new' ? 1 : 0),
+        reviewCards: prev.reviewCards + (cardToReview.state !== 'new' ? 1 : 0),
+      }));
+    } finally {
+      setIsSubmittingAnswer(false);
+    }
+  };
+
+  // Score a recording on the server, the first attempt at a card also rates it
+  const handleRecording = async (recording, { source, review }) => {
+    if (!currentCard || isSubmittingAnswer) return;
+
+    setIsSubmittingAnswer(true);
+    const responseTime = cardStartTime ? Date.now() - cardStartTime : 1000;
+    const cardToReview = { ...currentCard };
+
+    try {
+      const result = await submitPronunciation(cardToReview.id, recording, { source, responseTime, review });
+
+      if (!review) {
+        setSpeakingResult(prev => ({ ...prev, pronunciation: result.pronunciation }));
+        return;
+      }
+
+      setSpeakingResult(result);
+      setReviewedCards(prev => [...prev, {
+        ...cardToReview,
+        userRating: result.rating,
+        wasHard: result.rating <= 2,
+        reviewedAt: new Date().toISOString(),
+        responseTime
+      }]);
+      setStudyStats(prev => ({
+        ...prev,
+        totalAnswers: prev.totalAnswers + 1,
+        correctAnswers: prev.correctAnswers + (result.rating > 1 ? 1 : 0),
+        newCards: prev.newCards + (cardToReview.state === 'new' ? 1 : 0),
+        reviewCards: prev.reviewCards + (cardToReview.state !== 'new' ? 1 : 0),
+      }));
+    } catch (error) {
+      console.error('Failed to score recording:', error);
+      toast.error(error.message || 'Could not score your recording');
+    } finally {
+      setIsSubmittingAnswer(false);
+    }
+  };
+
+  // Move on from a graded typed answer or a scored recording
+  const handleAnsweredNext = () => {
+    if (!typedResult && !speakingResult) return;
+
+    const newCardsStudied = studyStats.cardsStudied + 1;
+    setStudyStats(prev => ({ ...prev, cardsStudied: newCardsStudied }));
+    setTypedResult(null);
+    setSpeakingResult(null);
+    skipCard();
+
+    // Show review page after 10 cards
+    if (newCardsStudied % 10 === 0) {
+      setShowReview(true);
+    }
+  };
+
   // Keyboard shortcuts
   const handleKeyPress = useCallback((event) => {
     if (showSessionEnd || isRatingInProgress) {
       return;
     }
 
+    // Ctrl+Z (Cmd+Z on macOS) undoes the last flashcard rating
+    if ((event.ctrlKey || event.metaKey) && event.code === 'KeyZ') {
+      event.preventDefault();
+      if (studyMode === 'flashcard') {
+        handleUndoReview();
+      }
+      return;
+    }
+
     // Prevent default for all our shortcuts
     const shortcuts = ['Space', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'F1', 'F2', 'F3', 'F4', 'Enter', 'KeyS', 'KeyE', 'Escape'];
     if (shortcuts.includes(event.code)) {
@@ -314,16 +464,18 @@ const Study = () => {
       case 'Space':
         if (studyMode === 'flashcard') {
           setIsFlipped(!isFlipped);
-        } else if (studyMode === 'quiz' && showQuizAnswer) {
+        } else if (studyMode === 'typed' || studyMode === 'speak') {
+          handleAnsweredNext();
+        } else if (isQuizMode(studyMode) && showQuizAnswer) {
           handleQuizNext();
         }
         break;
       case 'Digit1':
         if (studyMode === 'flashcard') {
           handleCardRating(2);  // Map 1 to Hard (rating 2)
-        } else if (studyMode === 'quiz' && currentQuestion && !showQuizAnswer) {
+        } else if (isQuizMode(studyMode) && currentQuestion && !showQuizAnswer) {
           // Select first option in quiz
-          if (currentQuestion.options && currentQuestion.options.length > 0) {
+          if (isChoiceQuestion(currentQuestion) && currentQuestion.options.length > 0) {
             handleQuizAnswer(currentQuestion.options[0]);
           }
         }
@@ -331,9 +483,9 @@ const Study = () => {
       case 'Digit2':
         if (studyMode === 'flashcard') {
           handleCardRating(3);  // Map 2 to Good (rating 3)
-        } else if (studyMode === 'quiz' && currentQuestion && !showQuizAnswer) {
+        } else if (isQuizMode(studyMode) && currentQuestion && !showQuizAnswer) {
           // Select second option in quiz
-          if (currentQuestion.options && currentQuestion.options.length > 1) {
+          if (isChoiceQuestion(currentQuestion) && currentQuestion.options.length > 1) {
             handleQuizAnswer(currentQuestion.options[1]);
           }
         }
@@ -341,17 +493,17 @@ const Study = () => {
       case 'Digit3':
         if (studyMode === 'flashcard') {
           handleCardRating(4);  // Map 3 to Easy (rating 4)
-        } else if (studyMode === 'quiz' && currentQuestion && !showQuizAnswer) {
+        } else if (isQuizMode(studyMode) && currentQuestion && !showQuizAnswer) {
           // Select third option in quiz
-          if (currentQuestion.options && currentQuestion.options.length > 2) {
+          if (isChoiceQuestion(currentQuestion) && currentQuestion.options.length > 2) {
             handleQuizAnswer(currentQuestion.options[2]);
           }
         }
         break;
       case 'Digit4':
-        if (studyMode === 'quiz' && currentQuestion && !showQuizAnswer) {
+        if (isQuizMode(studyMode) && currentQuestion && !showQuizAnswer) {
           // Select fourth option in quiz
-          if (currentQuestion.options && currentQuestion.options.length > 3) {
+          if (isChoiceQuestion(currentQuestion) && currentQuestion.options.length > 3) {
             handleQuizAnswer(currentQuestion.options[3]);
           }
         }
@@ -377,19 +529,23 @@ const Study = () => {
         break;
 
       case 'F4':
-        if (studyMode === 'quiz' && currentQuestion && !showQuizAnswer) {
-          if (currentQuestion.options && currentQuestion.options.length > 3) {
+        if (isQuizMode(studyMode) && currentQuestion && !showQuizAnswer) {
+          if (isChoiceQuestion(currentQuestion) && currentQuestion.options.length > 3) {
             handleQuizAnswer(currentQuestion.options[3]);
           }
         }
         break;
       case 'Enter':
-        if (studyMode === 'quiz' && showQuizAnswer) {
+        if (studyMode === 'typed' || studyMode === 'speak') {
+          handleAnsweredNext();
+        } else if (isQuizMode(studyMode) && showQuizAnswer) {
           handleQuizNext();
         }
         break;
       case 'KeyS':
-        handleSkipCard();
+        if (!typedResult && !speakingResult) {
+          handleSkipCard();
+        }
         break;
       case 'Escape':
         if (showShortcutsHelp) {
@@ -399,7 +555,7 @@ const Study = () => {
         }
         break;
     }
-  }, [isFlipped, showSessionEnd, showShortcutsHelp, isRatingInProgress, studyMode, showQuizAnswer, currentQuestion, quizAnswer]);
+  }, [isFlipped, showSessionEnd, showShortcutsHelp, isRatingInProgress, studyMode, showQuizAnswer, currentQuestion, quizAnswer, quizGrade, reviewedCards, canUndoReview, typedResult, speakingResult]);
 
   useKeyboardShortcuts(handleKeyPress);
 
@@ -461,6 +617,39 @@ const Study = () => {
     }
   };
 
+  const handleUndoReview = async () => {
+    if (!canUndoReview || reviewedCards.length === 0 || isRatingInProgress) return;
+
+    setIsRatingInProgress(true);
+
+    try {
+      const restoredCard = await undoLastReview();
+      if (!restoredCard) {
+        toast.error('Could not undo the last rating');
+        return;
+      }
+
+      // The latest rating of the restored card, a rating the server refused to undo stays listed
+      const undoneIndex = reviewedCards.map((card) => card.id).lastIndexOf(restoredCard.id);
+      if (undoneIndex === -1) return;
+      const undoneCard = reviewedCards[undoneIndex];
+
+      setReviewedCards(prev => prev.filter((_, index) => index !== undoneIndex));
+      setStudyStats(prev => ({
+        ...prev,
+        cardsStudied: Math.max(0, prev.cardsStudied - 1),
+        totalAnswers: Math.max(0, prev.totalAnswers - 1),
+        correctAnswers: Math.max(0, prev.correctAnswers - (undoneCard.userRating >= 3 ? 1 : 0)),
+        newCards: Math.max(0, prev.newCards - (undoneCard.state === 'new' ? 1 : 0)),
+        reviewCards: Math.max(0, prev.reviewCards - (undoneCard.state !== 'new' ? 1 : 0)),
+      }));
+      setIsFlipped(false);
+      toast.success(`Undid rating for "${undoneCard.words.word}"`);
+    } finally {
+      setIsRatingInProgress(false);
+    }
+  };
+
   const handleSkipCard = () => {
     console.log('Skipping card');
 
@@ -541,55 +730,58 @@ const Study = () => {
                         <th className="table-header">Word</th>
                         <th className="table-header">Definition</th>
                         <th className="table-header">Example</th>
-                        <th className="table-header">Vietnamese</th>
+                        <th className="table-header">{languageName}</th>
                         <th className="table-header">Rating</th>
                         <th className="table-header">Response Time</th>
                       </tr>
                     </thead>
                     <tbody className="table-body">
-                      {hardCards.map((card, index) => (
-                        <tr key={`hard-${index}`}>
-                          <td className="table-cell">
-                            <div className="flex flex-col">
-                              <span className="font-semibold text-gray-900 dark:text-gray-100">
-                                {card.words.word}
+                      {hardCards.map((card, index) => {
+                        const word = applyWordSense(card.words, card.sense);
+                        return (
+                          <tr key={`hard-${index}`}>
+                            <td className="table-cell">
+                              <div className="flex flex-col">
+                                <span className="font-semibold text-gray-900 dark:text-gray-100">
+                                  {word.word}
+                                </span>
+                                <span className="text-sm text-gray-500 dark:text-gray-400">
+                                  {word.ipa_pronunciation}
+                                </span>
+                              </div>
+                            </td>
+                            <td className="table-cell max-w-xs">
+                              <p className="text-gray-700 dark:text-gray-300 text-sm break-words whitespace-pre-wrap">
+                                {word.definition}
+                              </p>
+                            </td>
+                            <td className="table-cell max-w-xs">
+                              <p className="text-gray-600 dark:text-gray-400 text-sm break-words whitespace-pre-wrap">
+                                "{word.example_sentence}"
+                              </p>
+                            </td>
+                            <td className="table-cell max-w-xs">
+                              <p className="text-gray-600 dark:text-gray-400 text-sm break-words whitespace-pre-wrap">
+                                {getWordTranslation(word, nativeLanguage)}
+                              </p>
+                            </td>
+                            <td className="table-cell">
+                              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                                card.userRating === 2 ? 'bg-orange-100 text-orange-800 dark:bg-orange-900/20 dark:text-orange-400' :
+                                card.userRating === 1 ? 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400' :
+                                'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400'
+                              }`}>
+                                {card.userRating === 2 ? 'Hard' : card.userRating === 1 ? 'Again' : 'Good'}
                               </span>
-                              <span className="text-sm text-gray-500 dark:text-gray-400">
-                                {card.words.ipa_pronunciation}
+                            </td>
+                            <td className="table-cell">
+                              <span className="text-gray-500 dark:text-gray-400 text-sm">
+                                {Math.round(card.responseTime / 1000)}s
                               </span>
-                            </div>
-                          </td>
-                          <td className="table-cell max-w-xs">
-                            <p className="text-gray-700 dark:text-gray-300 text-sm break-words whitespace-pre-wrap">
-                              {card.words.definition}
-                            </p>
-                          </td>
-                          <td className="table-cell max-w-xs">
-                            <p className="text-gray-600 dark:text-gray-400 text-sm break-words whitespace-pre-wrap">
-                              "{card.words.example_sentence}"
-                            </p>
-                          </td>
-                          <td className="table-cell max-w-xs">
-                            <p className="text-gray-600 dark:text-gray-400 text-sm break-words whitespace-pre-wrap">
-                              {card.words.vietnamese_translation}
-                            </p>
-                          </td>
-                          <td className="table-cell">
-                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
-                              card.userRating === 2 ? 'bg-orange-100 text-orange-800 dark:bg-orange-900/20 dark:text-orange-400' :
-                              card.userRating === 1 ? 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400' :
-                              'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400'
-                            }`}>
-                              {card.userRating === 2 ? 'Hard' : card.userRating === 1 ? 'Again' : 'Good'}
-                            </span>
-                          </td>
-                          <td className="table-cell">
-                            <span className="text-gray-500 dark:text-gray-400 text-sm">
-                              {Math.round(card.responseTime / 1000)}s
-                            </span>
-                          </td>
-                        </tr>
-                      ))}
+                            </td>
+                          </tr>
+                        );
+                      })}
                     </tbody>
                   </table>
                 </div>
@@ -687,8 +879,8 @@ const Study = () => {
 
   // No cards available (only show this if not in quiz mode or quiz has no questions)
   if (!loading && !loadingQuizQuestions &&
-      ((studyMode === 'flashcard' && (!dueCards || dueCards.length === 0)) ||
-       (studyMode === 'quiz' && (!allQuizQuestions || allQuizQuestions.length === 0)))) {
+      ((!isQuizMode(studyMode) && (!dueCards || dueCards.length === 0)) ||
+       (isQuizMode(studyMode) && (!allQuizQuestions || allQuizQuestions.length === 0)))) {
     return (
       <>
         <Helmet>
@@ -706,26 +898,19 @@ const Study = () => {
 
                 {/* Mode Toggle */}
                 <div className="flex items-center bg-gray-200 dark:bg-gray-700 rounded-lg p-1">
-                  <button
-                    onClick={() => switchStudyMode('flashcard')}
-                    className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
-                      studyMode === 'flashcard'
-                        ? 'bg-white dark:bg-gray-600 text-gray-900 dark:text-gray-100 shadow-sm'
-                        : 'text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100'
-                    }`}
-                  >
-                    Flashcards
-                  </button>
-                  <button
-                    onClick={() => switchStudyMode('quiz')}
-                    className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
-                      studyMode === 'quiz'
-                        ? 'bg-white dark:bg-gray-600 text-gray-900 dark:text-gray-100 shadow-sm'
-                        : 'text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100'
-                    }`}
-                  >
-                    Quiz
-                  </button>
+                  {STUDY_MODES.map((mode) => (
+                    <button
+                      key={mode.id}
+                      onClick={() => switchStudyMode(mode.id)}
+                      className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                        studyMode === mode.id
+                          ? 'bg-white dark:bg-gray-600 text-gray-900 dark:text-gray-100 shadow-sm'
+                          : 'text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100'
+                      }`}
+                    >
+                      {mode.label}
+                    </button>
+                  ))}
                 </div>
               </div>
 
@@ -743,16 +928,18 @@ const Study = () => {
               <div className="text-center">
                 <BookOpen className="h-16 w-16 text-gray-400 mx-auto mb-4" />
                 <h2 className="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-2">
-                  {studyMode === 'quiz' ? 'No Quiz Questions Available' : 'No Cards Due'}
+                  {isQuizMode(studyMode) ? 'No Quiz Questions Available' : 'No Cards Due'}
                 </h2>
                 <p className="text-gray-600 dark:text-gray-300 mb-4">
-                  {studyMode === 'quiz'
-                    ? 'No quiz questions found. Try adding more words to your vocabulary or generate quiz questions for your existing words.'
-                    : 'Great job! You\'ve completed all your reviews for today.'
+                  {studyMode === 'dictation'
+                    ? 'No listening questions found. Save some words to hear them and their example sentences read aloud.'
+                    : isQuizMode(studyMode)
+                      ? 'No quiz questions found. Try adding more words to your vocabulary or generate quiz questions for your existing words.'
+                      : 'Great job! You\'ve completed all your reviews for today.'
                   }
                 </p>
                 <div className="flex gap-4 justify-center">
-                  {studyMode === 'quiz' && (
+                  {isQuizMode(studyMode) && (
                     <button
                       onClick={() => switchStudyMode('flashcard')}
                       className="bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition-colors"
@@ -777,8 +964,8 @@ const Study = () => {
 
   // Show loading spinner
   if (loading || loadingQuizQuestions ||
-      (studyMode === 'flashcard' && !currentCard) ||
-      (studyMode === 'quiz' && !currentQuestion)) {
+      (!isQuizMode(studyMode) && !currentCard) ||
+      (isQuizMode(studyMode) && !currentQuestion)) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
         <LoadingSpinner size="lg" />
@@ -803,26 +990,19 @@ const Study = () => {
 
               {/* Mode Toggle */}
               <div className="flex items-center bg-gray-200 dark:bg-gray-700 rounded-lg p-1">
-                <button
-                  onClick={() => switchStudyMode('flashcard')}
-                  className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
-                    studyMode === 'flashcard'
-                      ? 'bg-white dark:bg-gray-600 text-gray-900 dark:text-gray-100 shadow-sm'
-                      : 'text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100'
-                  }`}
-                >
-                  Flashcards
-                </button>
-                <button
-                  onClick={() => switchStudyMode('quiz')}
-                  className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
-                    studyMode === 'quiz'
-                      ? 'bg-white dark:bg-gray-600 text-gray-900 dark:text-gray-100 shadow-sm'
-                      : 'text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100'
-                  }`}
-                >
-                  Quiz
-                </button>
+                {STUDY_MODES.map((mode) => (
+                  <button
+                    key={mode.id}
+                    onClick={() => switchStudyMode(mode.id)}
+                    className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+                      studyMode === mode.id
+                        ? 'bg-white dark:bg-gray-600 text-gray-900 dark:text-gray-100 shadow-sm'
+                        : 'text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100'
+                    }`}
+                  >
+                    {mode.label}
+                  </button>
+                ))}
               </div>
 
               <div className="flex items-center space-x-4 text-sm text-gray-600 dark:text-gray-300">
@@ -833,7 +1013,7 @@ const Study = () => {
                 <div className="flex items-center space-x-1 text-blue-600 dark:text-blue-400 font-semibold">
                   <Flame className="h-4 w-4" />
                   <span>
-                    {studyMode === 'flashcard'
+                    {!isQuizMode(studyMode)
                       ? `${cardsRemaining} remaining`
                       : `${allQuizQuestions.length - currentQuestionIndex - 1} remaining`}
                   </span>
@@ -872,6 +1052,16 @@ const Study = () => {
               >
                 <HelpCircle className="h-5 w-5" />
               </button>
+              {studyMode === 'flashcard' && (
+                <button
+                  onClick={handleUndoReview}
+                  disabled={!canUndoReview || reviewedCards.length === 0}
+                  className="p-2 text-gray-600 hover:text-blue-600 dark:text-gray-300 dark:hover:text-blue-400 disabled:opacity-40 disabled:cursor-not-allowed"
+                  title="Undo Last Rating (Ctrl+Z)"
+                >
+                  <Undo2 className="h-5 w-5" />
+                </button>
+              )}
               <button
                 onClick={handleSkipCard}
                 className="p-2 text-gray-600 hover:text-yellow-600 dark:text-gray-300 dark:hover:text-yellow-400"
@@ -900,6 +1090,22 @@ const Study = () => {
                 showRating={true}
                 isRatingInProgress={isRatingInProgress}
               />
+            ) : studyMode === 'typed' ? (
+              <TypedAnswerCard
+                card={currentCard}
+                result={typedResult}
+                onSubmit={handleTypedAnswer}
+                onNext={handleAnsweredNext}
+                isSubmitting={isSubmittingAnswer}
+              />
+            ) : studyMode === 'speak' ? (
+              <PronunciationCard
+                card={currentCard}
+                result={speakingResult}
+                onSubmit={handleRecording}
+                onNext={handleAnsweredNext}
+                isSubmitting={isSubmittingAnswer}
+              />
             ) : (
               // Quiz Mode
               currentQuestion ? (
@@ -908,6 +1114,7 @@ const Study = () => {
                   onAnswer={handleQuizAnswer}
                   showAnswer={showQuizAnswer}
                   onNext={handleQuizNext}
+                  grade={quizGrade}
                 />
               ) : (
                 <div className="max-w-2xl mx-auto bg-white dark:bg-gray-800 rounded-xl shadow-lg p-8 text-center">
@@ -951,6 +1158,22 @@ const Study = () => {
                 <span className="ml-4">
                   • <kbd className="bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">F1-F3</kbd> for rating
                   • <kbd className="bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">Space</kbd> to flip
+                  • <kbd className="bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">Ctrl+Z</kbd> to undo
+                </span>
+              )}
+              {studyMode === 'typed' && (
+                <span className="ml-4">
+                  • <kbd className="bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">Enter</kbd> to check, then to continue
+                </span>
+              )}
+              {studyMode === 'dictation' && (
+                <span className="ml-4">
+                  • <kbd className="bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">Enter</kbd> to check, then to continue
+                </span>
+              )}
+              {studyMode === 'speak' && (
+                <span className="ml-4">
+                  • Record yourself, then <kbd className="bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">Enter</kbd> to continue
                 </span>
               )}
             </div>
@@ -989,7 +1212,7 @@ const Study = () => {
                   <span>Flip card:</span>
                   <kbd className="bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">Space</kbd>
                 </div>
-                {studyMode === 'quiz' && (
+                {isQuizMode(studyMode) && (
                   <div className="flex justify-between">
                     <span>Continue (after answer):</span>
                     <kbd className="bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">Space/Enter</kbd>
@@ -1008,6 +1231,18 @@ const Study = () => {
                   <span><kbd className="bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">F3</kbd> or <kbd className="bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">3</kbd></span>
                 </div>
 
+                <h4 className="font-medium text-gray-900 dark:text-gray-100 border-b border-gray-200 dark:border-gray-600 pb-1 mt-4">
+                  Type Mode
+                </h4>
+                <div className="flex justify-between">
+                  <span>Check answer:</span>
+                  <kbd className="bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">Enter</kbd>
+                </div>
+                <div className="flex justify-between">
+                  <span>Continue (after answer):</span>
+                  <kbd className="bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">Space/Enter</kbd>
+                </div>
+
                 <h4 className="font-medium text-gray-900 dark:text-gray-100 border-b border-gray-200 dark:border-gray-600 pb-1 mt-4">
                   Quiz Mode
                 </h4>
@@ -1039,6 +1274,10 @@ const Study = () => {
                   <span>Skip card:</span>
                   <kbd className="bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">S</kbd>
                 </div>
+                <div className="flex justify-between">
+                  <span>Undo last rating:</span>
+                  <kbd className="bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded">Ctrl+Z</kbd>
+                </div>
 
                 <h4 className="font-medium text-gray-900 dark:text-gray-100 border-b border-gray-200 dark:border-gray-600 pb-1 mt-4">
                   General
@@ -0,0 +1,385 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { Helmet } from 'react-helmet-async'
+import { Plus, Pencil, Trash2, Send, Check, X, Sparkles } from 'lucide-react'
+import { aiAPI } from '@/lib/api'
+import { useGroups } from '@/hooks/useGroups'
+import { cn, formatRelativeTime } from '@/lib/utils'
+import LoadingSpinner from '@/components/UI/LoadingSpinner'
+import toast from 'react-hot-toast'
+
+const Tutor = () => {
+  const { groups } = useGroups()
+  const [conversations, setConversations] = useState([])
+  const [activeId, setActiveId] = useState(null)
+  const [messages, setMessages] = useState([])
+  const [input, setInput] = useState('')
+  const [loadingList, setLoadingList] = useState(true)
+  const [loadingConversation, setLoadingConversation] = useState(false)
+  const [sending, setSending] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [editTitle, setEditTitle] = useState('')
+  const [contextGroupId, setContextGroupId] = useState('')
+  const [includeStruggling, setIncludeStruggling] = useState(false)
+
+  const abortRef = useRef(null)
+  const messagesEndRef = useRef(null)
+
+  useEffect(() => {
+    loadConversations()
+
+    // Stop a running reply when leaving the page
+    return () => abortRef.current?.abort()
+  }, [])
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
+  }, [messages])
+
+  const loadConversations = async () => {
+    try {
+      const response = await aiAPI.getConversations()
+      setConversations(response.data.conversations)
+    } catch (error) {
+      toast.error('Failed to load conversations')
+      console.error('Load conversations error:', error)
+    } finally {
+      setLoadingList(false)
+    }
+  }
+
+  const selectConversation = async (id) => {
+    if (id === activeId || sending) return
+
+    try {
+      setLoadingConversation(true)
+      setActiveId(id)
+      const response = await aiAPI.getConversation(id)
+      setMessages(response.data.messages)
+    } catch (error) {
+      toast.error('Failed to load conversation')
+      console.error('Load conversation error:', error)
+    } finally {
+      setLoadingConversation(false)
+    }
+  }
+
+  const startNewConversation = () => {
+    if (sending) return
+    setActiveId(null)
+    setMessages([])
+  }
+
+  const sendMessage = async () => {
+    const text = input.trim()
+    if (!text || sending) return
+
+    setInput('')
+    setSending(true)
+    setMessages(prev => [
+      ...prev,
+      { id: `local-user-${Date.now()}`, role: 'user', content: text },
+      { id: `local-assistant-${Date.now()}`, role: 'assistant', content: '' },
+    ])
+
+    // Append streamed text to the placeholder answer
+    const appendToAnswer = (content) => {
+      setMessages(prev => {
+        const last = prev[prev.length - 1]
+        return [...prev.slice(0, -1), { ...last, content: last.content + content }]
+      })
+    }
+
+    const abortController = new AbortController()
+    abortRef.current = abortController
+
+    // Ground the tutor in the learner's own vocabulary when asked to
+    const context = contextGroupId || includeStruggling
+      ? {
+          ...(contextGroupId && { groupId: contextGroupId }),
+          includeStruggling,
+        }
+      : undefined
+
+    try {
+      await aiAPI.chatStream(text, activeId || undefined, {
+        context,
+        signal: abortController.signal,
+        onEvent: (event) => {
+          if (event.type === 'start') {
+            setActiveId(event.conversationId)
+          } else if (event.type === 'chunk') {
+            appendToAnswer(event.content)
+          } else if (event.type === 'error') {
+            throw new Error(event.error)
+          }
+        },
+      })
+
+      loadConversations()
+    } catch (error) {
+      if (error.name === 'AbortError') return
+
+      // Drop the unanswered turn and give the question back
+      setMessages(prev => prev.slice(0, -2))
+      setInput(text)
+      toast.error(error.message || 'Failed to get a reply')
+      console.error('Tutor chat error:', error)
+    } finally {
+      abortRef.current = null
+      setSending(false)
+    }
+  }
+
+  const startRename = (conversation) => {
+    setEditingId(conversation.id)
+    setEditTitle(conversation.title)
+  }
+
+  const saveRename = async () => {
+    const title = editTitle.trim()
+    if (!title) return
+
+    try {
+      const response = await aiAPI.renameConversation(editingId, title)
+      setConversations(prev => prev.map(conversation =>
+        conversation.id === editingId ? response.data.conversation : conversation
+      ))
+      setEditingId(null)
+    } catch (error) {
+      toast.error('Failed to rename conversation')
+      console.error('Rename conversation error:', error)
+    }
+  }
+
+  const deleteConversation = async (id) => {
+    if (!confirm('Are you sure you want to delete this conversation?')) {
+      return
+    }
+
+    try {
+      await aiAPI.deleteConversation(id)
+      setConversations(prev => prev.filter(conversation => conversation.id !== id))
+      if (id === activeId) {
+        startNewConversation()
+      }
+      toast.success('Conversation deleted')
+    } catch (error) {
+      toast.error('Failed to delete conversation')
+      console.error('Delete conversation error:', error)
+    }
+  }
+
+  return (
+    <>
+      <Helmet>
+        <title>AI Tutor - Magic English</title>
+      </Helmet>
+
+      <div className="space-y-6">
+        {/* Header */}
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">
+            AI Tutor
+          </h1>
+          <p className="mt-2 text-gray-600 dark:text-gray-400">
+            Ask about vocabulary, grammar and usage, then follow up in the same conversation
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          {/* Conversation list */}
+          <div className="card lg:col-span-1">
+            <div className="card-header flex items-center justify-between">
+              <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+                Conversations
+              </h3>
+              <button
+                onClick={startNewConversation}
+                disabled={sending}
+                className="p-2 text-gray-500 hover:text-primary-600 dark:text-gray-400 dark:hover:text-primary-400 transition-colors"
+                title="New conversation"
+              >
+                <Plus className="h-5 w-5" />
+              </button>
+            </div>
+            <div className="max-h-[32rem] overflow-y-auto scrollbar-thin">
+              {loadingList ? (
+                <div className="flex justify-center py-8">
+                  <LoadingSpinner />
+                </div>
+              ) : conversations.length === 0 ? (
+                <p className="px-6 py-8 text-sm text-center text-gray-500 dark:text-gray-400">
+                  No conversations yet
+                </p>
+              ) : (
+                <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {conversations.map((conversation) => (
+                    <li
+                      key={conversation.id}
+                      className={cn(
+                        'group px-4 py-3 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50',
+                        conversation.id === activeId && 'bg-primary-50 dark:bg-primary-900/20'
+                      )}
+                      onClick={() => editingId !== conversation.id && selectConversation(conversation.id)}
+                    >
+                      {editingId === conversation.id ? (
+                        <div className="flex items-center space-x-1">
+                          <input
+                            type="text"
+                            value={editTitle}
+                            maxLength={100}
+                            autoFocus
+                            onChange={(e) => setEditTitle(e.target.value)}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') saveRename()
+                              if (e.key === 'Escape') setEditingId(null)
+                            }}
+                            className="form-input py-1 text-sm"
+                          />
+                          <button onClick={saveRename} className="p-1 text-green-600 hover:text-green-700">
+                            <Check className="h-4 w-4" />
+                          </button>
+                          <button onClick={() => setEditingId(null)} className="p-1 text-gray-400 hover:text-gray-600">
+                            <X className="h-4 w-4" />
+                          </button>
+                        </div>
+                      ) : (
+                        <div className="flex items-start justify-between">
+                          <div className="min-w-0">
+                            <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                              {conversation.title}
+                            </p>
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                              {formatRelativeTime(conversation.updated_at)}
+                            </p>
+                          </div>
+                          <div className="flex items-center opacity-0 group-hover:opacity-100 transition-opacity">
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                startRename(conversation)
+                              }}
+                              className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                              title="Rename"
+                            >
+                              <Pencil className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                deleteConversation(conversation.id)
+                              }}
+                              className="p-1 text-gray-400 hover:text-red-600"
+                              title="Delete"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+
+          {/* Chat */}
+          <div className="card lg:col-span-3 flex flex-col">
+            <div className="card-body flex-1 h-[32rem] overflow-y-auto scrollbar-thin space-y-4">
+              {loadingConversation ? (
+                <div className="flex justify-center py-8">
+                  <LoadingSpinner />
+                </div>
+              ) : messages.length === 0 ? (
+                <div className="h-full flex flex-col items-center justify-center text-center">
+                  <Sparkles className="h-10 w-10 text-primary-500 mb-3" />
+                  <p className="text-gray-600 dark:text-gray-400">
+                    Ask anything about English, like the difference between &quot;affect&quot; and &quot;effect&quot;
+                  </p>
+                </div>
+              ) : (
+                messages.map((message) => (
+                  <div
+                    key={message.id}
+                    className={cn('flex', message.role === 'user' ? 'justify-end' : 'justify-start')}
+                  >
+                    <div
+                      className={cn(
+                        'max-w-[80%] rounded-lg px-4 py-2 whitespace-pre-wrap',
+                        message.role === 'user'
+                          ? 'bg-primary-600 text-white'
+                          : 'bg-gray-100 text-gray-900 dark:bg-gray-700 dark:text-gray-100'
+                      )}
+                    >
+                      {message.content || <LoadingSpinner size="sm" />}
+                    </div>
+                  </div>
+                ))
+              )}
+              <div ref={messagesEndRef} />
+            </div>
+
+            <div className="border-t border-gray-200 dark:border-gray-700 p-4 space-y-3">
+              <div className="flex flex-wrap items-center gap-4 text-sm">
+                <div className="flex items-center space-x-2">
+                  <label htmlFor="tutor-group" className="text-gray-600 dark:text-gray-400">
+                    Use words from
+                  </label>
+                  <select
+                    id="tutor-group"
+                    value={contextGroupId}
+                    onChange={(e) => setContextGroupId(e.target.value)}
+                    className="form-select py-1 text-sm w-auto"
+                  >
+                    <option value="">No group</option>
+                    {groups.map((group) => (
+                      <option key={group.id} value={group.id}>
+                        {group.name}
+                      </option>
+                    ))}
+                    <option value="ungrouped">Ungrouped</option>
+                  </select>
+                </div>
+                <label className="flex items-center space-x-2 text-gray-600 dark:text-gray-400">
+                  <input
+                    type="checkbox"
+                    checked={includeStruggling}
+                    onChange={(e) => setIncludeStruggling(e.target.checked)}
+                    className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  <span>Practice words I keep forgetting</span>
+                </label>
+              </div>
+              <div className="flex items-end space-x-3">
+                <textarea
+                  className="form-textarea flex-1 min-h-[48px] max-h-40"
+                  rows={2}
+                  maxLength={2000}
+                  placeholder="Type your question... (Enter to send, Shift+Enter for a new line)"
+                  value={input}
+                  onChange={(e) => setInput(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && !e.shiftKey) {
+                      e.preventDefault()
+                      sendMessage()
+                    }
+                  }}
+                />
+                <button
+                  onClick={sendMessage}
+                  disabled={sending || !input.trim()}
+                  className="btn-primary"
+                >
+                  {sending ? <LoadingSpinner size="sm" /> : <Send className="h-4 w-4" />}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default Tutor
@@ -1,19 +1,70 @@
-import React, { useState, useEffect, useMemo } from 'react'
+import React, { useState, useEffect, useMemo, useRef } from 'react'
 import { Helmet } from 'react-helmet-async'
 import { useSearchParams } from 'react-router-dom'
 import { Search, Plus, Download, Upload, Sparkles, Edit2, Trash2, BookOpen, Link, FileText, Globe, Type, Play } from 'lucide-react'
 import { wordsAPI, aiAPI } from '@/lib/api'
-import { debounce, getCefrColor, getWordTypeColor, formatDate } from '@/lib/utils'
+import { debounce, getCefrColor, getWordTypeColor, formatDate, formatTimestamp, buildWordSource, getWordTranslation } from '@/lib/utils'
 import LoadingSpinner from '@/components/UI/LoadingSpinner'
 import GroupFilter from '@/components/GroupFilter'
 import FilterPills from '@/components/FilterPills'
 import GroupSelector from '@/components/GroupSelector'
+import WordSourceLink from '@/components/WordSourceLink'
+import WordFoundIn from '@/components/WordFoundIn'
+import WordSenses from '@/components/WordSenses'
+import { useNativeLanguage } from '@/contexts/LanguageContext'
 import { useGroups } from '@/hooks/useGroups'
 import toast from 'react-hot-toast'
 
+const ANALYSIS_JOB_STORAGE_KEY = 'analysisJobId'
+
+// Vocabulary items per page of the content analysis results
+const VOCABULARY_PAGE_SIZE = 20
+
+const isJobActive = (job) => ['queued', 'running'].includes(job?.status)
+
+// Orders words so the members of a word family follow its head, marking them with familyHead
+const groupWordFamilies = (words) => {
+  const ids = new Set(words.map(word => word.id))
+  const members = new Map()
+  words.forEach(word => {
+    if (word.family_head_id && ids.has(word.family_head_id)) {
+      members.set(word.family_head_id, [...(members.get(word.family_head_id) || []), word])
+    }
+  })
+
+  return words
+    .filter(word => !word.family_head_id || !ids.has(word.family_head_id))
+    .flatMap(word => [
+      word,
+      ...(members.get(word.id) || []).map(member => ({ ...member, familyHead: word.word })),
+    ])
+}
+
+const getJobPercentage = (job) => (
+  job?.total_chunks ? Math.round((job.processed_chunks / job.total_chunks) * 100) : 0
+)
+
+// Subtitle languages offered for YouTube videos, YouTube translates when a video has no track in the language
+const TRANSCRIPT_LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'fr', name: 'French' },
+  { code: 'de', name: 'German' },
+  { code: 'it', name: 'Italian' },
+  { code: 'pt', name: 'Portuguese' },
+  { code: 'ru', name: 'Russian' },
+  { code: 'ja', name: 'Japanese' },
+  { code: 'ko', name: 'Korean' },
+  { code: 'zh-Hans', name: 'Chinese (Simplified)' },
+  { code: 'vi', name: 'Vietnamese' },
+]
+
+const isYouTubeUrl = (url) => url.includes('youtube.com') || url.includes('youtu.be')
+
 const Vocabulary = () => {
   const [searchParams, setSearchParams] = useSearchParams()
   const { groups } = useGroups()
+  const { nativeLanguage, languageName } = useNativeLanguage()
 
   const [words, setWords] = useState([])
   const [loading, setLoading] = useState(true)
@@ -25,18 +76,24 @@ const Vocabulary = () => {
   const [showBatchGroupSelector, setShowBatchGroupSelector] = useState(false)
   const [batchGroupId, setBatchGroupId] = useState(null)
   const [batchAssigning, setBatchAssigning] = useState(false)
+  const [rebuildingFamilies, setRebuildingFamilies] = useState(false)
+  const [expandedSensesWordId, setExpandedSensesWordId] = useState(null)
   const [newWord, setNewWord] = useState('')
   const [analyzing, setAnalyzing] = useState(false)
   const [showAddForm, setShowAddForm] = useState(false)
   const [showContentForm, setShowContentForm] = useState(false)
   const [contentAnalysisMode, setContentAnalysisMode] = useState('url') // 'url', 'text', or 'file'
   const [contentUrl, setContentUrl] = useState('')
+  const [transcriptLanguage, setTranscriptLanguage] = useState('en')
   const [contentText, setContentText] = useState('')
   const [selectedFile, setSelectedFile] = useState(null)
+  const [fileChapters, setFileChapters] = useState([])
+  const [selectedChapters, setSelectedChapters] = useState(new Set())
+  const [loadingChapters, setLoadingChapters] = useState(false)
   const [analyzingContent, setAnalyzingContent] = useState(false)
-  const [analysisProgress, setAnalysisProgress] = useState({ step: 0, message: '', percentage: 0 })
+  const [analysisJob, setAnalysisJob] = useState(null)
+  const [cancellingJob, setCancellingJob] = useState(false)
   const [vocabularyResults, setVocabularyResults] = useState([])
-  const [vocabularyPages, setVocabularyPages] = useState([])
   const [currentPage, setCurrentPage] = useState(0)
   const [selectedWords, setSelectedWords] = useState(new Set())
   const [selectedWordsPerPage, setSelectedWordsPerPage] = useState({})
@@ -44,15 +101,21 @@ const Vocabulary = () => {
   const [sourceInfo, setSourceInfo] = useState(null)
   const [originalContent, setOriginalContent] = useState('')
   const [showContentViewer, setShowContentViewer] = useState(false)
-  const [hasMore, setHasMore] = useState(false)
-  const [nextOffset, setNextOffset] = useState(0)
-  const [totalChunks, setTotalChunks] = useState(0)
-  const [loadingMore, setLoadingMore] = useState(false)
   const [selectedGroupId, setSelectedGroupId] = useState(null)
   const [isInitialized, setIsInitialized] = useState(false)
   const [editingWordId, setEditingWordId] = useState(null)
   const [editFormData, setEditFormData] = useState({})
   const [savingEdit, setSavingEdit] = useState(false)
+  const jobStreamRef = useRef(null)
+
+  // Results arrive as one growing list while the job runs, split it into pages
+  const vocabularyPages = useMemo(() => {
+    const pages = []
+    for (let i = 0; i < vocabularyResults.length; i += VOCABULARY_PAGE_SIZE) {
+      pages.push(vocabularyResults.slice(i, i + VOCABULARY_PAGE_SIZE))
+    }
+    return pages
+  }, [vocabularyResults])
 
   // Initialize selectedGroups from URL on mount
   useEffect(() => {
@@ -113,15 +176,35 @@ const Vocabulary = () => {
 
     try {
       setAnalyzing(true)
-      const response = await aiAPI.analyzeWord(newWord.trim(), { autoSave: true })
+      let response = await aiAPI.analyzeWord(newWord.trim(), { autoSave: true })
+
+      // Inflections of a saved word are merged into it unless the learner wants them separately
+      if (response.data.error === 'inflected_duplicate') {
+        const { existingWord } = response.data
+        const merge = confirm(`${response.data.message}.\n\nAdd it as a form of "${existingWord.word}"? Choose Cancel to save it as a separate word.`)
+        response = await aiAPI.analyzeWord(newWord.trim(), { autoSave: true, inflection: merge ? 'merge' : 'separate' })
+      }
 
       if (response.data.error === 'duplicate_word') {
         toast.error(response.data.message)
+      } else if (response.data.merged) {
+        const { savedWord } = response.data
+        setWords(prev => prev.map(word => word.id === savedWord.id ? { ...word, ...savedWord } : word))
+        setNewWord('')
+        setShowAddForm(false)
+        toast.success(`"${newWord.trim()}" added as a form of "${savedWord.word}"`)
       } else if (response.data.savedWord) {
-        setWords(prev => [response.data.savedWord, ...prev])
+        const { savedWord } = response.data
+        setWords(prev => [savedWord, ...prev])
         setNewWord('')
         setShowAddForm(false)
-        toast.success('Word analyzed and saved successfully! Quiz question is being generated in the background.')
+        if (savedWord.senses?.length > 1) {
+          // Only the first meaning is studied until the learner picks others
+          setExpandedSensesWordId(savedWord.id)
+          toast.success(`"${savedWord.word}" has ${savedWord.senses.length} meanings. Choose the ones to study below.`)
+        } else {
+          toast.success('Word analyzed and saved successfully! Quiz question is being generated in the background.')
+        }
       } else if (response.data.analysis) {
         // Word was analyzed but not saved (could be due to autoSave: false or other reasons)
         toast.success('Word analyzed successfully!')
@@ -134,6 +217,97 @@ const Vocabulary = () => {
     }
   }
 
+  // Resume an analysis job that was running when the page was left or reloaded
+  useEffect(() => {
+    const jobId = localStorage.getItem(ANALYSIS_JOB_STORAGE_KEY)
+    if (jobId) {
+      resumeAnalysisJob(jobId)
+    }
+    return () => jobStreamRef.current?.abort()
+  }, [])
+
+  const resumeAnalysisJob = async (jobId) => {
+    try {
+      const response = await aiAPI.getAnalysisJob(jobId, true)
+      const { vocabulary, content, ...job } = response.data.job
+
+      if (!isJobActive(job) && (!vocabulary || vocabulary.length === 0)) {
+        localStorage.removeItem(ANALYSIS_JOB_STORAGE_KEY)
+        return
+      }
+
+      setAnalysisJob(job)
+      setVocabularyResults(vocabulary || [])
+      setSourceInfo(job.source_info || null)
+      setOriginalContent(content || '')
+
+      if (isJobActive(job)) {
+        setShowContentForm(true)
+        watchAnalysisJob(job.id)
+      }
+    } catch (error) {
+      localStorage.removeItem(ANALYSIS_JOB_STORAGE_KEY)
+      console.error('Resume analysis job error:', error)
+    }
+  }
+
+  // Follow job progress, new vocabulary is appended as each chunk is analyzed
+  const watchAnalysisJob = async (jobId) => {
+    jobStreamRef.current?.abort()
+    const controller = new AbortController()
+    jobStreamRef.current = controller
+
+    try {
+      await aiAPI.watchAnalysisJob(jobId, {
+        signal: controller.signal,
+        onEvent: (event) => {
+          if (event.type === 'snapshot') {
+            setVocabularyResults(event.vocabulary || [])
+          } else if (event.type === 'progress' && event.vocabulary.length > 0) {
+            setVocabularyResults(prev => [...prev, ...event.vocabulary])
+          }
+
+          setAnalysisJob(event.job)
+
+          if (event.type === 'done') {
+            handleAnalysisJobFinished(event.job)
+          }
+        }
+      })
+    } catch (error) {
+      if (error.name === 'AbortError') return
+      toast.error('Lost connection to the content analysis. Reload the page to resume it.')
+      console.error('Watch analysis job error:', error)
+    }
+  }
+
+  const handleAnalysisJobFinished = async (job) => {
+    try {
+      // Reload the saved vocabulary in case a progress event was missed
+      const response = await aiAPI.getAnalysisJob(job.id)
+      const vocabulary = response.data.job.vocabulary || []
+      setVocabularyResults(vocabulary)
+
+      if (job.status === 'failed') {
+        toast.error(job.error_code === 'quota_exceeded' && vocabulary.length > 0
+          ? 'Daily AI usage limit reached, only part of the content was analyzed'
+          : job.error || 'Failed to analyze content')
+      } else if (vocabulary.length === 0) {
+        toast.success(job.status === 'cancelled' ? 'Content analysis stopped' : 'No new vocabulary found')
+      } else {
+        toast.success(job.status === 'cancelled'
+          ? `Analysis stopped, keeping the ${vocabulary.length} vocabulary items found so far`
+          : `Found ${vocabulary.length} vocabulary items`)
+      }
+
+      if (vocabulary.length === 0) {
+        resetContentResults()
+      }
+    } catch (error) {
+      console.error('Load analysis job error:', error)
+    }
+  }
+
   const analyzeContent = async () => {
     if (contentAnalysisMode === 'url' && !contentUrl.trim()) {
       toast.error('Please enter a URL to analyze')
@@ -147,183 +321,41 @@ const Vocabulary = () => {
       toast.error('Please select a file to analyze')
       return
     }
+    if (contentAnalysisMode === 'file' && fileChapters.length > 0 && selectedChapters.size === 0) {
+      toast.error('Please select at least one chapter to analyze')
+      return
+    }
 
     try {
+      resetContentResults()
       setAnalyzingContent(true)
-      setVocabularyResults([])
-      setVocabularyPages([])
-      setCurrentPage(0)
-      setSelectedWords(new Set())
-      setSelectedWordsPerPage({})
-      setSourceInfo(null)
-      setOriginalContent('')
-      setShowContentViewer(false)
-      setHasMore(false)
-      setNextOffset(0)
-      setTotalChunks(0)
-
-      const totalSteps = contentAnalysisMode === 'url' ? 8 : contentAnalysisMode === 'file' ? 7 : 6;
-
-      // Step 1: Initialize
-      setAnalysisProgress({
-        step: 1,
-        message: `Preparing to analyze ${contentAnalysisMode === 'url' ? 'website' : contentAnalysisMode === 'file' ? 'file' : 'text'} content...`,
-        percentage: Math.round((1/totalSteps) * 100)
-      })
-      await new Promise(resolve => setTimeout(resolve, 800))
 
-      const analysisData = {}
+      let analysisData
       if (contentAnalysisMode === 'url') {
-        // Step 2: Starting browser
-        setAnalysisProgress({
-          step: 2,
-          message: 'Starting browser and navigation...',
-          percentage: Math.round((2/totalSteps) * 100)
-        })
-        await new Promise(resolve => setTimeout(resolve, 1000))
-
-        // Step 3: Fetching website or YouTube transcript
-        const hostname = new URL(contentUrl.trim()).hostname;
-        const isYoutube = hostname.includes('youtube.com') || hostname.includes('youtu.be');
-        setAnalysisProgress({
-          step: 3,
-          message: isYoutube ? `Extracting YouTube transcript...` : `Loading website: ${hostname}`,
-          percentage: Math.round((3/totalSteps) * 100)
-        })
-        analysisData.url = contentUrl.trim()
-
-        await new Promise(resolve => setTimeout(resolve, 1500))
-
-        // Step 4: Extracting content
-        setAnalysisProgress({
-          step: 4,
-          message: isYoutube ? 'Processing video subtitles...' : 'Extracting main article content...',
-          percentage: Math.round((4/totalSteps) * 100)
-        })
-        await new Promise(resolve => setTimeout(resolve, 1000))
-
-        // Step 5: Processing content
-        setAnalysisProgress({
-          step: 5,
-          message: isYoutube ? 'Converting transcript to text...' : 'Processing extracted text...',
-          percentage: Math.round((5/totalSteps) * 100)
-        })
-        await new Promise(resolve => setTimeout(resolve, 800))
+        analysisData = { url: contentUrl.trim() }
+        if (isYouTubeUrl(contentUrl)) {
+          analysisData.language = transcriptLanguage
+        }
       } else if (contentAnalysisMode === 'file') {
-        // Step 2: Upload file
-        setAnalysisProgress({
-          step: 2,
-          message: 'Uploading file to server...',
-          percentage: Math.round((2/totalSteps) * 100)
-        })
-        await new Promise(resolve => setTimeout(resolve, 1000))
-
-        // Step 3: Processing file
-        setAnalysisProgress({
-          step: 3,
-          message: `Processing ${selectedFile.name}...`,
-          percentage: Math.round((3/totalSteps) * 100)
-        })
-        await new Promise(resolve => setTimeout(resolve, 800))
-
-        // Step 4: Extracting content
-        setAnalysisProgress({
-          step: 4,
-          message: 'Extracting text from file...',
-          percentage: Math.round((4/totalSteps) * 100)
-        })
-
-        // Create FormData for file upload
-        const formData = new FormData()
-        formData.append('file', selectedFile)
-        analysisData.file = formData
-
-        await new Promise(resolve => setTimeout(resolve, 1000))
-
-        // Step 5: Preparing content
-        setAnalysisProgress({
-          step: 5,
-          message: 'Preparing content for analysis...',
-          percentage: Math.round((5/totalSteps) * 100)
-        })
-        await new Promise(resolve => setTimeout(resolve, 600))
+        analysisData = new FormData()
+        analysisData.append('file', selectedFile)
+        if (fileChapters.length > 0 && selectedChapters.size < fileChapters.length) {
+          analysisData.append('chapters', [...selectedChapters].sort((a, b) => a - b).join(','))
+        }
       } else {
-        // Step 2: Processing text content
-        setAnalysisProgress({
-          step: 2,
-          message: 'Validating text content...',
-          percentage: Math.round((2/totalSteps) * 100)
-        })
-        analysisData.text = contentText.trim()
-        await new Promise(resolve => setTimeout(resolve, 800))
-
-        // Step 3: Preparing content
-        setAnalysisProgress({
-          step: 3,
-          message: 'Preparing content for analysis...',
-          percentage: Math.round((3/totalSteps) * 100)
-        })
-        await new Promise(resolve => setTimeout(resolve, 600))
+        analysisData = { text: contentText.trim() }
       }
 
-      // AI Analysis Step
-      const aiStepNumber = contentAnalysisMode === 'url' ? 6 : contentAnalysisMode === 'file' ? 6 : 4;
-
-      // Estimate chunks for large files
-      const isLargeFile = selectedFile && selectedFile.size > 25000; // ~25KB
-      const estimatedChunks = isLargeFile ? Math.ceil(selectedFile.size / 5000) : null;
-
-      setAnalysisProgress({
-        step: aiStepNumber,
-        message: estimatedChunks
-          ? `AI analyzing vocabulary (${estimatedChunks} chunks, ~${Math.ceil(estimatedChunks * 7 / 60)} min)...`
-          : 'AI analyzing vocabulary for your level...',
-        percentage: Math.round((aiStepNumber/totalSteps) * 100),
-        estimatedChunks
-      })
-
-      const response = await aiAPI.analyzeContent(analysisData)
+      // The content is extracted right away, the AI analysis continues in the background
+      const response = await aiAPI.createAnalysisJob(analysisData)
+      const { vocabulary, ...job } = response.data.job
 
-      // Step: Processing AI results
-      const resultStepNumber = contentAnalysisMode === 'url' ? 7 : contentAnalysisMode === 'file' ? 7 : 5;
-      setAnalysisProgress({
-        step: resultStepNumber,
-        message: 'Processing AI analysis results...',
-        percentage: Math.round((resultStepNumber/totalSteps) * 100)
-      })
-      await new Promise(resolve => setTimeout(resolve, 700))
-
-      // Final step
-      setAnalysisProgress({
-        step: totalSteps,
-        message: 'Analysis complete! 🎉',
-        percentage: 100
-      })
-
-      if (response.data.vocabulary && response.data.vocabulary.length > 0) {
-        setVocabularyResults(response.data.vocabulary)
-        setVocabularyPages([response.data.vocabulary])
-        setCurrentPage(0)
-        setSourceInfo(response.data.sourceInfo || null)
-        setOriginalContent(response.data.originalContent || '')
-        setHasMore(response.data.hasMore || false)
-        setNextOffset(response.data.nextOffset || 0)
-        setTotalChunks(response.data.totalChunks || 0)
-        toast.success(response.data.message || `Found ${response.data.vocabulary.length} vocabulary items`)
-      } else {
-        setVocabularyResults([])
-        setVocabularyPages([])
-        setCurrentPage(0)
-        setSourceInfo(response.data.sourceInfo || null)
-        setOriginalContent(response.data.originalContent || '')
-        setHasMore(false)
-        setNextOffset(0)
-        setTotalChunks(0)
-        toast.info(response.data.message || 'No new vocabulary found')
-      }
+      localStorage.setItem(ANALYSIS_JOB_STORAGE_KEY, job.id)
+      setAnalysisJob(job)
+      setSourceInfo(job.source_info || null)
+      setOriginalContent(response.data.originalContent || '')
+      watchAnalysisJob(job.id)
     } catch (error) {
-      setAnalysisProgress({ step: 0, message: 'Analysis failed', percentage: 0 })
-
       // Provide user-friendly error messages
       let errorMessage = 'Failed to analyze content'
       if (error.message.includes('timeout')) {
@@ -334,6 +366,8 @@ const Vocabulary = () => {
         errorMessage = 'The website is blocking automated access. Try copying the text and using "From Text" mode instead.'
       } else if (error.message.includes('AI service unavailable')) {
         errorMessage = 'AI service is temporarily unavailable. Please try again in a few moments.'
+      } else if (error.message.includes('AI usage limit')) {
+        errorMessage = error.message
       } else if (error.response?.status === 500) {
         errorMessage = 'Server error occurred. Please try again or contact support if the issue persists.'
       }
@@ -342,124 +376,79 @@ const Vocabulary = () => {
       console.error('Content analysis error:', error)
     } finally {
       setAnalyzingContent(false)
-      // Reset progress after a short delay
-      setTimeout(() => {
-        setAnalysisProgress({ step: 0, message: '', percentage: 0 })
-      }, 2000)
     }
   }
 
-  const loadMoreVocabulary = async () => {
-    if (!hasMore || loadingMore) return
+  const selectContentFile = async (file) => {
+    setSelectedFile(file)
+    setFileChapters([])
+    setSelectedChapters(new Set())
+
+    // Books can be analyzed a few chapters at a time
+    if (!file || !file.name.toLowerCase().endsWith('.epub')) return
 
     try {
-      setLoadingMore(true)
+      setLoadingChapters(true)
+      const response = await aiAPI.inspectFile(file)
+      const chapters = response.data.file.chapters || []
+      setFileChapters(chapters)
+      setSelectedChapters(new Set(chapters.map(chapter => chapter.index)))
+    } catch (error) {
+      toast.error(error.message || 'Failed to read the chapters of this book')
+      console.error('Inspect file error:', error)
+    } finally {
+      setLoadingChapters(false)
+    }
+  }
 
-      // Prepare data with offset for pagination
-      const analysisData = {}
-      if (contentAnalysisMode === 'url') {
-        analysisData.url = contentUrl.trim()
-        analysisData.offset = nextOffset
-        analysisData.chunksToProcess = 3
-      } else if (contentAnalysisMode === 'file') {
-        const formData = new FormData()
-        formData.append('file', selectedFile)
-        formData.append('offset', nextOffset)
-        formData.append('chunksToProcess', 3)
-        analysisData.file = formData
+  const toggleChapter = (index) => {
+    setSelectedChapters(prev => {
+      const next = new Set(prev)
+      if (next.has(index)) {
+        next.delete(index)
       } else {
-        analysisData.text = contentText.trim()
-        analysisData.offset = nextOffset
-        analysisData.chunksToProcess = 3
+        next.add(index)
       }
+      return next
+    })
+  }
 
-      const response = await aiAPI.analyzeContent(analysisData)
-
-      if (response.data.vocabulary && response.data.vocabulary.length > 0) {
-        // Add new vocabulary as a new page
-        setVocabularyPages(prev => [...prev, response.data.vocabulary])
-        setCurrentPage(prev => prev + 1)
-
-        // Update pagination state
-        setHasMore(response.data.hasMore || false)
-        setNextOffset(response.data.nextOffset || 0)
+  const cancelAnalysisJob = async () => {
+    if (!analysisJob) return
 
-        toast.success(response.data.message || `Loaded ${response.data.vocabulary.length} more vocabulary items`)
-      } else {
-        setHasMore(false)
-        toast.info('No more vocabulary found')
-      }
+    try {
+      setCancellingJob(true)
+      const response = await aiAPI.cancelAnalysisJob(analysisJob.id)
+      const { vocabulary, ...job } = response.data.job
+      setAnalysisJob(job)
     } catch (error) {
-      toast.error('Failed to load more vocabulary')
-      console.error('Load more vocabulary error:', error)
+      toast.error('Failed to stop the content analysis')
+      console.error('Cancel analysis job error:', error)
     } finally {
-      setLoadingMore(false)
+      setCancellingJob(false)
     }
   }
 
-  const saveSelectedAndLoadMore = async () => {
-    const currentPageSelections = selectedWordsPerPage[currentPage] || new Set()
-    if (currentPageSelections.size === 0) {
-      toast.error('Please select at least one word to save')
-      return
+  // Discard the analysis results, stopping the job if it is still running
+  const closeVocabularyResults = () => {
+    if (isJobActive(analysisJob)) {
+      aiAPI.cancelAnalysisJob(analysisJob.id).catch(error => console.error('Cancel analysis job error:', error))
     }
+    resetContentResults()
+    setSelectedGroupId(null)
+  }
 
-    try {
-      // First save the selected words from current page
-      setSavingSelected(true)
-
-      const currentPageData = vocabularyPages[currentPage] || []
-      const wordsToSave = Array.from(currentPageSelections).map(index => {
-        const item = currentPageData[index]
-        return {
-          word: item.word,
-          definition: item.definition,
-          wordType: item.wordType,
-          cefrLevel: item.cefrLevel,
-          ipaPronunciation: item.ipaPronunciation,
-          exampleSentence: item.exampleSentence,
-          notes: item.notes,
-          tags: item.tags || [],
-          vietnameseTranslation: item.vietnameseTranslation,
-          synonyms: item.synonyms,
-          groupId: selectedGroupId
-        }
-      })
-
-      const saveResponse = await wordsAPI.bulkOperation({
-        operation: 'import',
-        words: wordsToSave
-      })
-
-      if (saveResponse.data.words) {
-        setWords(prev => [...saveResponse.data.words, ...prev])
-
-        // Get group name for success message
-        const groupName = selectedGroupId
-          ? groups.find(g => g.id === selectedGroupId)?.name
-          : null
-
-        const successMessage = groupName
-          ? `Added ${saveResponse.data.words.length} words to "${groupName}"!`
-          : `${saveResponse.data.words.length} words saved successfully!`
-
-        toast.success(successMessage)
-
-        // Clear selections for current page
-        setSelectedWordsPerPage(prev => ({
-          ...prev,
-          [currentPage]: new Set()
-        }))
-
-        // Now load more vocabulary
-        setSavingSelected(false)
-        await loadMoreVocabulary()
-      }
-    } catch (error) {
-      toast.error('Failed to save selected words')
-      console.error('Save selected words error:', error)
-      setSavingSelected(false)
-    }
+  const resetContentResults = () => {
+    jobStreamRef.current?.abort()
+    localStorage.removeItem(ANALYSIS_JOB_STORAGE_KEY)
+    setAnalysisJob(null)
+    setVocabularyResults([])
+    setCurrentPage(0)
+    setSelectedWords(new Set())
+    setSelectedWordsPerPage({})
+    setSourceInfo(null)
+    setOriginalContent('')
+    setShowContentViewer(false)
   }
 
   // Helper functions for pagination
@@ -516,9 +505,14 @@ const Vocabulary = () => {
             exampleSentence: item.exampleSentence,
             notes: item.notes,
             tags: item.tags || [],
-            vietnameseTranslation: item.vietnameseTranslation,
+            translations: item.translation ? { [item.translationLanguage || nativeLanguage]: item.translation } : {},
             synonyms: item.synonyms,
-            groupId: selectedGroupId
+            source: buildWordSource(item, sourceInfo),
+            sourceId: analysisJob?.source_id || null,
+            sourceSentence: item.sentence || '',
+            groupId: selectedGroupId,
+            // Words shown as a form of a saved word are added to its forms
+            ...(item.inflectionOf && { inflection: 'merge' })
           })
         }
       })
@@ -540,6 +534,19 @@ const Vocabulary = () => {
       if (response.data.words) {
         setWords(prev => [...response.data.words, ...prev])
 
+        // Inflections of saved words were added to their forms
+        const merged = response.data.merged || []
+        if (merged.length > 0) {
+          loadWords()
+          toast.success(`${merged.length} ${merged.length === 1 ? 'form was' : 'forms were'} merged into words you already have: ${merged.map(item => `${item.word} → ${item.into.word}`).join(', ')}`)
+        }
+
+        // Words that may be forms of others were saved separately
+        const candidates = response.data.mergeCandidates || []
+        if (candidates.length > 0) {
+          toast(`Saved separately, possibly forms of other words: ${candidates.map(item => `${item.word.word} (${item.inflectionOf.word})`).join(', ')}`, { duration: 6000 })
+        }
+
         // Get group name for success message
         const groupName = selectedGroupId
           ? groups.find(g => g.id === selectedGroupId)?.name
@@ -552,21 +559,14 @@ const Vocabulary = () => {
         toast.success(successMessage)
 
         // Clear the content form and results
+        if (isJobActive(analysisJob)) {
+          await aiAPI.cancelAnalysisJob(analysisJob.id)
+        }
         setShowContentForm(false)
         setContentUrl('')
         setContentText('')
-        setSelectedFile(null)
-        setVocabularyResults([])
-        setVocabularyPages([])
-        setCurrentPage(0)
-        setSelectedWords(new Set())
-        setSelectedWordsPerPage({})
-        setSourceInfo(null)
-        setOriginalContent('')
-        setShowContentViewer(false)
-        setHasMore(false)
-        setNextOffset(0)
-        setTotalChunks(0)
+        selectContentFile(null)
+        resetContentResults()
         setSelectedGroupId(null)
       }
     } catch (error) {
@@ -577,6 +577,21 @@ const Vocabulary = () => {
     }
   }
 
+  // Recompute the families of the whole vocabulary, e.g. for words saved before families existed
+  const rebuildWordFamilies = async () => {
+    try {
+      setRebuildingFamilies(true)
+      const response = await wordsAPI.rebuildFamilies()
+      toast.success(response.data.message)
+      await loadWords()
+    } catch (error) {
+      toast.error(error.message || 'Failed to group word families')
+      console.error('Rebuild word families error:', error)
+    } finally {
+      setRebuildingFamilies(false)
+    }
+  }
+
   const deleteWord = async (id) => {
     if (!confirm('Are you sure you want to delete this word?')) {
       return
@@ -600,7 +615,8 @@ const Vocabulary = () => {
       word_type: word.word_type || '',
       cefr_level: word.cefr_level || '',
       ipa_pronunciation: word.ipa_pronunciation || '',
-      vietnamese_translation: word.vietnamese_translation || '',
+      translations: word.translations || {},
+      translation: getWordTranslation(word, nativeLanguage),
       synonyms: word.synonyms || '',
       example_sentence: word.example_sentence || ''
     })
@@ -637,7 +653,7 @@ const Vocabulary = () => {
         wordType: editFormData.word_type || null,
         cefrLevel: editFormData.cefr_level || null,
         ipaPronunciation: editFormData.ipa_pronunciation || null,
-        vietnameseTranslation: editFormData.vietnamese_translation || null,
+        translations: { ...editFormData.translations, [nativeLanguage]: editFormData.translation || '' },
         synonyms: editFormData.synonyms || null,
         exampleSentence: editFormData.example_sentence || null
       })
@@ -811,13 +827,13 @@ const Vocabulary = () => {
         word.word.toLowerCase().includes(query) ||
         word.definition.toLowerCase().includes(query) ||
         word.example_sentence?.toLowerCase().includes(query) ||
-        word.vietnamese_translation?.toLowerCase().includes(query) ||
+        getWordTranslation(word, nativeLanguage).toLowerCase().includes(query) ||
         word.synonyms?.toLowerCase().includes(query)
       )
     }
 
-    return filtered
-  }, [words, searchQuery, dateFilter])
+    return groupWordFamilies(filtered)
+  }, [words, searchQuery, dateFilter, nativeLanguage])
 
   if (loading) {
     return (
@@ -930,7 +946,7 @@ const Vocabulary = () => {
                   onClick={() => {
                     setContentAnalysisMode('url')
                     setContentText('')
-                    setSelectedFile(null)
+                    selectContentFile(null)
                   }}
                   className={`flex items-center justify-center p-3 rounded-lg border-2 transition-all ${
                     contentAnalysisMode === 'url'
@@ -945,7 +961,7 @@ const Vocabulary = () => {
                   onClick={() => {
                     setContentAnalysisMode('text')
                     setContentUrl('')
-                    setSelectedFile(null)
+                    selectContentFile(null)
                   }}
                   className={`flex items-center justify-center p-3 rounded-lg border-2 transition-all ${
                     contentAnalysisMode === 'text'
@@ -989,12 +1005,31 @@ const Vocabulary = () => {
                         onChange={(e) => setContentUrl(e.target.value)}
                         onKeyPress={(e) => e.key === 'Enter' && analyzeContent()}
                       />
-                      {contentUrl && (contentUrl.includes('youtube.com') || contentUrl.includes('youtu.be')) && (
+                      {contentUrl && isYouTubeUrl(contentUrl) && (
                         <div className="absolute inset-y-0 right-0 pr-3 flex items-center pointer-events-none">
                           <Play className="h-4 w-4 text-red-500" />
                         </div>
                       )}
                     </div>
+                    {contentUrl && isYouTubeUrl(contentUrl) && (
+                      <div className="mt-2 flex items-center space-x-2">
+                        <label htmlFor="transcript-language" className="text-sm text-gray-700 dark:text-gray-300">
+                          Subtitle language
+                        </label>
+                        <select
+                          id="transcript-language"
+                          value={transcriptLanguage}
+                          onChange={(e) => setTranscriptLanguage(e.target.value)}
+                          className="form-select py-1 text-sm w-auto"
+                        >
+                          {TRANSCRIPT_LANGUAGES.map((language) => (
+                            <option key={language.code} value={language.code}>
+                              {language.name}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
                     <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
                       <span className="inline-flex items-center">
                         Enter a website URL or
@@ -1031,7 +1066,7 @@ const Vocabulary = () => {
                     <div className="relative">
                       <input
                         type="file"
-                        accept=".txt,.pdf,.docx,.srt"
+                        accept=".txt,.pdf,.docx,.srt,.vtt,.md,.html,.htm,.epub"
                         onChange={(e) => {
                           const file = e.target.files[0]
                           if (file) {
@@ -1042,9 +1077,9 @@ const Vocabulary = () => {
                               e.target.value = ''
                               return
                             }
-                            setSelectedFile(file)
+                            selectContentFile(file)
                           } else {
-                            setSelectedFile(null)
+                            selectContentFile(null)
                           }
                         }}
                         className="hidden"
@@ -1076,7 +1111,7 @@ const Vocabulary = () => {
                                 <span className="font-semibold">Click to upload</span> or drag and drop
                               </p>
                               <p className="text-xs text-gray-500 dark:text-gray-400">
-                                TXT, PDF, DOCX, SRT (max 5MB)
+                                TXT, PDF, DOCX, EPUB, Markdown, HTML, SRT, VTT (max 5MB)
                               </p>
                             </>
                           )}
@@ -1086,6 +1121,55 @@ const Vocabulary = () => {
                     <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
                       Upload a document or subtitle file to extract vocabulary suitable for your level
                     </p>
+
+                    {/* EPUB chapters */}
+                    {loadingChapters && (
+                      <div className="flex items-center mt-3 text-sm text-gray-500 dark:text-gray-400">
+                        <LoadingSpinner size="sm" className="mr-2" />
+                        Reading chapters...
+                      </div>
+                    )}
+                    {fileChapters.length > 0 && (
+                      <div className="mt-3">
+                        <div className="flex items-center justify-between mb-2">
+                          <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                            Chapters ({selectedChapters.size} of {fileChapters.length} selected)
+                          </span>
+                          <button
+                            type="button"
+                            onClick={() => setSelectedChapters(
+                              selectedChapters.size === fileChapters.length
+                                ? new Set()
+                                : new Set(fileChapters.map(chapter => chapter.index))
+                            )}
+                            className="text-sm text-primary-600 hover:text-primary-700 dark:text-primary-400"
+                          >
+                            {selectedChapters.size === fileChapters.length ? 'Deselect All' : 'Select All'}
+                          </button>
+                        </div>
+                        <div className="max-h-48 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-lg divide-y divide-gray-200 dark:divide-gray-700">
+                          {fileChapters.map((chapter) => (
+                            <label
+                              key={chapter.index}
+                              className="flex items-center justify-between px-3 py-2 text-sm cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800"
+                            >
+                              <span className="flex items-center min-w-0">
+                                <input
+                                  type="checkbox"
+                                  checked={selectedChapters.has(chapter.index)}
+                                  onChange={() => toggleChapter(chapter.index)}
+                                  className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-3"
+                                />
+                                <span className="truncate text-gray-900 dark:text-white">{chapter.title}</span>
+                              </span>
+                              <span className="ml-3 flex-shrink-0 text-xs text-gray-500 dark:text-gray-400">
+                                {chapter.wordCount.toLocaleString()} words
+                              </span>
+                            </label>
+                          ))}
+                        </div>
+                      </div>
+                    )}
                   </div>
                 )}
 
@@ -1100,41 +1184,29 @@ const Vocabulary = () => {
               </div>
 
               {/* Progress Bar */}
-              {analyzingContent && (
+              {(analyzingContent || isJobActive(analysisJob)) && (
                 <div className="space-y-4">
                   <div className="flex items-center justify-between text-sm">
                     <span className="text-gray-700 dark:text-gray-300 font-medium">
-                      Step {analysisProgress.step}/{contentAnalysisMode === 'url' ? '8' : contentAnalysisMode === 'file' ? '7' : '6'}: {analysisProgress.message}
+                      {!analysisJob
+                        ? contentAnalysisMode === 'file' ? 'Uploading and extracting text from file...' : 'Extracting content...'
+                        : analysisJob.status === 'queued'
+                          ? 'Waiting for the analysis to start...'
+                          : analysisJob.total_chunks > 0
+                            ? `Analyzed ${analysisJob.processed_chunks} of ${analysisJob.total_chunks} chunks`
+                            : 'AI analyzing vocabulary for your level...'}
                     </span>
                     <span className="text-blue-600 dark:text-blue-400 font-bold text-lg">
-                      {analysisProgress.percentage}%
+                      {getJobPercentage(analysisJob)}%
                     </span>
                   </div>
-                  <div className="relative">
-                    <div className="w-full bg-gray-200 rounded-full h-3 dark:bg-gray-700 overflow-hidden">
-                      <div
-                        className="bg-gradient-to-r from-blue-500 via-purple-500 to-blue-600 h-full rounded-full transition-all duration-700 ease-out relative overflow-hidden"
-                        style={{ width: `${analysisProgress.percentage}%` }}
-                      >
-                        {/* Shimmer effect */}
-                        <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white to-transparent opacity-30 animate-pulse"></div>
-                      </div>
-                    </div>
-
-                    {/* Step indicators */}
-                    <div className="flex justify-between mt-2">
-                      {Array.from({ length: contentAnalysisMode === 'url' ? 8 : contentAnalysisMode === 'file' ? 7 : 6 }, (_, i) => (
-                        <div
-                          key={i}
-                          className={`h-2 w-2 rounded-full transition-all duration-300 ${
-                            i + 1 <= analysisProgress.step
-                              ? 'bg-blue-500 scale-110'
-                              : i + 1 === analysisProgress.step + 1
-                              ? 'bg-blue-300 animate-pulse'
-                              : 'bg-gray-300 dark:bg-gray-600'
-                          }`}
-                        />
-                      ))}
+                  <div className="w-full bg-gray-200 rounded-full h-3 dark:bg-gray-700 overflow-hidden">
+                    <div
+                      className="bg-gradient-to-r from-blue-500 via-purple-500 to-blue-600 h-full rounded-full transition-all duration-700 ease-out relative overflow-hidden"
+                      style={{ width: `${getJobPercentage(analysisJob)}%` }}
+                    >
+                      {/* Shimmer effect */}
+                      <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white to-transparent opacity-30 animate-pulse"></div>
                     </div>
                   </div>
 
@@ -1147,7 +1219,19 @@ const Vocabulary = () => {
                     <span className="text-gray-600 dark:text-gray-300 font-medium">
                       Analyzing content with AI...
                     </span>
+                    {isJobActive(analysisJob) && (
+                      <button
+                        onClick={cancelAnalysisJob}
+                        disabled={cancellingJob}
+                        className="text-red-600 hover:text-red-700 dark:text-red-400 font-medium disabled:opacity-50"
+                      >
+                        {cancellingJob ? 'Stopping...' : 'Stop'}
+                      </button>
+                    )}
                   </div>
+                  <p className="text-xs text-center text-gray-500 dark:text-gray-400">
+                    The analysis keeps running if you leave this page, it resumes when you come back
+                  </p>
                 </div>
               )}
 
@@ -1157,16 +1241,17 @@ const Vocabulary = () => {
                   onClick={analyzeContent}
                   disabled={
                     analyzingContent ||
+                    isJobActive(analysisJob) ||
                     (contentAnalysisMode === 'url' && !contentUrl.trim()) ||
                     (contentAnalysisMode === 'text' && !contentText.trim()) ||
-                    (contentAnalysisMode === 'file' && !selectedFile)
+                    (contentAnalysisMode === 'file' && (!selectedFile || loadingChapters || (fileChapters.length > 0 && selectedChapters.size === 0)))
                   }
                   className="btn-primary"
                 >
-                  {!analyzingContent && (
+                  {!analyzingContent && !isJobActive(analysisJob) && (
                     <Sparkles className="h-4 w-4 mr-2" />
                   )}
-                  {analyzingContent ? 'Analyzing...' : 'Analyze Content'}
+                  {analyzingContent || isJobActive(analysisJob) ? 'Analyzing...' : 'Analyze Content'}
                 </button>
               </div>
             </div>
@@ -1222,20 +1307,7 @@ const Vocabulary = () => {
                     </div>
                   </div>
                   <button
-                    onClick={() => {
-                      setVocabularyResults([])
-                      setVocabularyPages([])
-                      setCurrentPage(0)
-                      setSelectedWords(new Set())
-                      setSelectedWordsPerPage({})
-                      setSourceInfo(null)
-                      setOriginalContent('')
-                      setShowContentViewer(false)
-                      setHasMore(false)
-                      setNextOffset(0)
-                      setTotalChunks(0)
-                      setSelectedGroupId(null)
-                    }}
+                    onClick={closeVocabularyResults}
                     className="text-white hover:text-gray-200 p-2"
                   >
                     <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -1333,7 +1405,7 @@ const Vocabulary = () => {
                       <th className="table-header-cell">Type</th>
                       <th className="table-header-cell">CEFR</th>
                       <th className="table-header-cell">Definition</th>
-                      <th className="table-header-cell">Vietnamese</th>
+                      <th className="table-header-cell">{languageName}</th>
                       <th className="table-header-cell">Example</th>
                     </tr>
                   </thead>
@@ -1353,6 +1425,15 @@ const Vocabulary = () => {
                             <div className="font-medium text-gray-900 dark:text-white">
                               {item.word}
                             </div>
+                            {item.inflectionOf ? (
+                              <div className="text-xs text-amber-600 dark:text-amber-400" title="Saving it adds it to the forms of that word">
+                                form of "{item.inflectionOf.word}"
+                              </div>
+                            ) : item.familyOf && (
+                              <div className="text-xs text-gray-500 dark:text-gray-400">
+                                family of "{item.familyOf.word}"
+                              </div>
+                            )}
                             {item.ipaPronunciation && (
                               <div className="text-sm text-gray-500 dark:text-gray-400 font-mono">
                                 /{item.ipaPronunciation}/
@@ -1381,13 +1462,22 @@ const Vocabulary = () => {
                         </td>
                         <td className="table-cell max-w-xs">
                           <p className="text-sm text-gray-900 dark:text-white break-words">
-                            {item.vietnameseTranslation || '-'}
+                            {item.translation || '-'}
                           </p>
                         </td>
                         <td className="table-cell max-w-xs">
                           <p className="text-sm text-gray-500 dark:text-gray-400 whitespace-pre-wrap break-words">
                             {item.exampleSentence || '-'}
                           </p>
+                          {item.cue ? (
+                            <p className="mt-1 text-xs text-blue-600 dark:text-blue-400" title={item.cue.text}>
+                              ▶ {formatTimestamp(item.cue.start)}: "{item.cue.text}"
+                            </p>
+                          ) : item.sentence && (
+                            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400 italic">
+                              &ldquo;{item.sentence}&rdquo;
+                            </p>
+                          )}
                         </td>
                       </tr>
                     ))}
@@ -1425,28 +1515,21 @@ const Vocabulary = () => {
                     </div>
                   )}
 
-                  {/* Load More Button */}
-                  {hasMore && (
+                  {/* Job Progress */}
+                  {isJobActive(analysisJob) && (
                     <div className="mt-6 flex flex-col items-center justify-center space-y-3">
-                      <div className="text-sm text-gray-600 dark:text-gray-400">
-                        Loaded {nextOffset} of {totalChunks} chunks
+                      <div className="flex items-center text-sm text-gray-600 dark:text-gray-400">
+                        <LoadingSpinner size="sm" className="mr-2" />
+                        {analysisJob.total_chunks > 0
+                          ? `Analyzed ${analysisJob.processed_chunks} of ${analysisJob.total_chunks} chunks, new vocabulary is added as it is found`
+                          : 'Analyzing content, new vocabulary is added as it is found'}
                       </div>
                       <button
-                        onClick={getCurrentPageSelections().size > 0 ? saveSelectedAndLoadMore : loadMoreVocabulary}
-                        disabled={loadingMore || savingSelected}
-                        className="btn-primary shadow-lg bg-gradient-to-r from-purple-500 to-blue-600 hover:from-purple-600 hover:to-blue-700"
+                        onClick={cancelAnalysisJob}
+                        disabled={cancellingJob}
+                        className="btn-secondary"
                       >
-                        {loadingMore || savingSelected ? (
-                          <>
-                            <LoadingSpinner size="sm" className="mr-2" />
-                            {savingSelected ? 'Saving and Loading More...' : 'Loading More...'}
-                          </>
-                        ) : (
-                          <>
-                            <Sparkles className="h-4 w-4 mr-2" />
-                            {getCurrentPageSelections().size > 0 ? 'Save Selected and Load More' : 'Load More Vocabulary'}
-                          </>
-                        )}
+                        {cancellingJob ? 'Stopping...' : 'Stop Analysis'}
                       </button>
                     </div>
                   )}
@@ -1599,12 +1682,22 @@ const Vocabulary = () => {
                 </div>
               )}
               {selectedWordIds.size === 0 && filteredWords.length > 0 && (
-                <button
-                  onClick={handleSelectAll}
-                  className="text-sm text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
-                >
-                  Select All
-                </button>
+                <div className="flex items-center gap-4">
+                  <button
+                    onClick={rebuildWordFamilies}
+                    disabled={rebuildingFamilies}
+                    className="text-sm text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white disabled:opacity-50"
+                    title="Group inflections and derived words, e.g. analyze and analysis"
+                  >
+                    {rebuildingFamilies ? 'Grouping...' : 'Group Word Families'}
+                  </button>
+                  <button
+                    onClick={handleSelectAll}
+                    className="text-sm text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+                  >
+                    Select All
+                  </button>
+                </div>
               )}
             </div>
           </div>
@@ -1635,7 +1728,7 @@ const Vocabulary = () => {
                       <th className="table-header-cell">Type</th>
                       <th className="table-header-cell">CEFR</th>
                       <th className="table-header-cell">Definition</th>
-                      <th className="table-header-cell">Vietnamese</th>
+                      <th className="table-header-cell">{languageName}</th>
                       <th className="table-header-cell">Synonyms</th>
                       <th className="table-header-cell">Example</th>
                       <th className="table-header-cell">Actions</th>
@@ -1733,14 +1826,14 @@ const Vocabulary = () => {
 
                                 <div>
                                   <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                                    Vietnamese Translation
+                                    {languageName} Translation
                                   </label>
                                   <input
                                     type="text"
-                                    value={editFormData.vietnamese_translation}
-                                    onChange={(e) => setEditFormData(prev => ({ ...prev, vietnamese_translation: e.target.value }))}
+                                    value={editFormData.translation}
+                                    onChange={(e) => setEditFormData(prev => ({ ...prev, translation: e.target.value }))}
                                     className="form-input w-full"
-                                    placeholder="Vietnamese meaning"
+                                    placeholder={`${languageName} meaning`}
                                   />
                                 </div>
 
@@ -1800,7 +1893,8 @@ const Vocabulary = () => {
                       }
 
                       return (
-                        <tr key={word.id} className={selectedWordIds.has(word.id) ? 'bg-blue-50 dark:bg-blue-900/20' : ''}>
+                        <React.Fragment key={word.id}>
+                        <tr className={selectedWordIds.has(word.id) ? 'bg-blue-50 dark:bg-blue-900/20' : ''}>
                           <td className="table-cell">
                             <input
                               type="checkbox"
@@ -1810,10 +1904,28 @@ const Vocabulary = () => {
                             />
                           </td>
                           <td className="table-cell">
-                            <div>
+                            <div className={word.familyHead ? 'pl-4 border-l-2 border-gray-200 dark:border-gray-700' : ''}>
                               <div className="font-medium text-gray-900 dark:text-white">
                                 {word.word}
                               </div>
+                              {word.familyHead && (
+                                <div className="text-xs text-gray-500 dark:text-gray-400">
+                                  family of "{word.familyHead}"
+                                </div>
+                              )}
+                              {word.forms?.length > 0 && (
+                                <div className="text-xs text-gray-500 dark:text-gray-400">
+                                  also: {word.forms.join(', ')}
+                                </div>
+                              )}
+                              {word.senses?.length > 1 && (
+                                <button
+                                  onClick={() => setExpandedSensesWordId(expandedSensesWordId === word.id ? null : word.id)}
+                                  className="text-xs text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300"
+                                >
+                                  {word.senses.length} meanings · {word.senses.filter(sense => sense.is_studied).length} studied
+                                </button>
+                              )}
                               {word.ipa_pronunciation && (
                                 <div className="text-sm text-gray-500 dark:text-gray-400 font-mono">
                                   /{word.ipa_pronunciation}/
@@ -1842,7 +1954,7 @@ const Vocabulary = () => {
                           </td>
                           <td className="table-cell max-w-xs">
                             <p className="text-sm text-gray-900 dark:text-white truncate">
-                              {word.vietnamese_translation || '-'}
+                              {getWordTranslation(word, nativeLanguage) || '-'}
                             </p>
                           </td>
                           <td className="table-cell max-w-xs">
@@ -1854,6 +1966,8 @@ const Vocabulary = () => {
                             <p className="text-sm text-gray-500 dark:text-gray-400 whitespace-pre-wrap break-words">
                               {word.example_sentence}
                             </p>
+                            <WordSourceLink source={word.source} className="mt-1" />
+                            <WordFoundIn source={word.found_in} sentence={word.source_sentence} className="mt-1" />
                           </td>
                           <td className="table-cell">
                             <div className="flex space-x-2">
@@ -1874,6 +1988,17 @@ const Vocabulary = () => {
                             </div>
                           </td>
                         </tr>
+                        {expandedSensesWordId === word.id && (
+                          <tr>
+                            <td className="table-cell bg-gray-50 dark:bg-gray-800/50" colSpan="9">
+                              <WordSenses
+                                word={word}
+                                onSaved={(senses) => setWords(prev => prev.map(item => item.id === word.id ? { ...item, senses } : item))}
+                              />
+                            </td>
+                          </tr>
+                        )}
+                        </React.Fragment>
                       )
                     })}
                   </tbody>
@@ -23,6 +23,7 @@
 import { createClient } from '@supabase/supabase-js';
 import { quizService } from '../backend/src/services/quizService.js';
 import { aiService } from '../backend/src/services/aiService.js';
+import { getUserNativeLanguage } from '../backend/src/config/languages.js';
 import { config } from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -144,7 +145,7 @@ async function main() {
       .from('words')
       .select(`
         id, word, definition, word_type, cefr_level,
-        example_sentence, vietnamese_translation, synonyms,
+        example_sentence, translations, synonyms,
         user_id, created_at
       `);
 
@@ -235,7 +236,14 @@ async function main() {
 
       // Generate quiz questions
       try {
-        const result = await quizService.generateAndSaveQuizQuestions(wordsToProcess, supabase);
+        // Questions show the translation in the learner's native language, as in the app
+        const nativeLanguage = await getUserNativeLanguage(supabase, userId);
+        const wordsWithTranslation = wordsToProcess.map(word => {
+          const translation = word.translations?.[nativeLanguage];
+          return { ...word, translations: translation ? { [nativeLanguage]: translation } : {} };
+        });
+
+        const result = await quizService.generateAndSaveQuizQuestions(wordsWithTranslation, supabase);
 
         console.log(`   ✅ Result: Generated ${result.generated}, Saved ${result.saved}, Errors ${result.errors}`);
         if (result.error) {